@@ -2,14 +2,25 @@ const express = require('express');
 const session = require('express-session');
 const path = require('path');
 const db = require('./models/database');
+const Printer = require('./models/printer');
+const PrintBatch = require('./models/printBatch');
 const cleanupService = require('./utils/cleanupService');
+const jobStatusSync = require('./utils/jobStatusSync');
+const jobDispatcher = require('./utils/jobDispatcher');
+const jobScheduler = require('./utils/jobScheduler');
+const inkMonitor = require('./utils/inkMonitor');
 const authController = require('./controllers/authController');
 const uploadController = require('./controllers/uploadController');
 const configController = require('./controllers/configController');
 const jobController = require('./controllers/jobController');
 const scannerController = require('./controllers/scannerController');
+const adminController = require('./controllers/adminController');
+const thumbnailController = require('./controllers/thumbnailController');
+const printerController = require('./controllers/printerController');
+const preferencesController = require('./controllers/preferencesController');
+const presetController = require('./controllers/presetController');
 const upload = require('./middleware/multerConfig');
-const { requireAuth, requireGuest } = require('./middleware/auth');
+const { requireAuth, requireGuest, requireAdmin } = require('./middleware/auth');
 
 const app = express();
 
@@ -51,21 +62,38 @@ app.get('/logout', authController.logout);
 
 // Protected routes
 app.get('/dashboard', requireAuth, jobController.getDashboard);
+app.post('/preferences', requireAuth, preferencesController.postPreferences);
 
 // Upload routes
 app.get('/upload', requireAuth, uploadController.getUpload);
-app.post('/upload', requireAuth, upload.single('document'), uploadController.postUpload);
+app.post('/upload', requireAuth, upload.array('document', PrintBatch.BATCH_CONFIG.maxFiles), uploadController.postUpload, uploadController.handleUploadError);
 
 // Configuration routes
 app.get('/configure', requireAuth, configController.getConfig);
 app.post('/configure', requireAuth, configController.postConfig);
 
+// Preset routes; presets are created from the configure page
+app.get('/presets', requireAuth, presetController.getPresets);
+app.post('/presets/default', requireAuth, presetController.postDefaultPreset);
+app.post('/presets/:presetId', requireAuth, presetController.postUpdatePreset);
+app.post('/presets/:presetId/delete', requireAuth, presetController.postDeletePreset);
+
 // Job submission routes
 app.get('/submit-job', requireAuth, jobController.getSubmitJob);
+app.post('/submit-job/preset', requireAuth, jobController.postApplyPreset);
 app.post('/submit-job', requireAuth, jobController.postSubmitJob);
 app.get('/job/:jobId', requireAuth, jobController.getJobDetails);
+app.post('/job/:jobId/cancel', requireAuth, jobController.cancelJob);
+app.post('/job/:jobId/reschedule', requireAuth, jobController.rescheduleJob);
+app.post('/job/:jobId/release', requireAuth, jobController.releaseJob);
+app.get('/release', requireAuth, jobController.getReleaseScreen);
+app.post('/job/:jobId/continue', requireAuth, jobController.continueJob);
+app.post('/job/:jobId/reprint', requireAuth, jobController.reprintJob);
+app.post('/job/:jobId/keep', requireAuth, jobController.keepJob);
 app.get('/api/job/:jobId/status', requireAuth, jobController.updateJobStatus);
+app.post('/api/job/:jobId/cancel', requireAuth, jobController.apiCancelJob);
 app.post('/api/cleanup', requireAuth, jobController.manualCleanup);
+app.get('/api/printer/status', requireAuth, printerController.getPrinterStatus);
 
 // Scanner routes
 app.get('/scanner', requireAuth, scannerController.getScannerPage);
@@ -73,6 +101,25 @@ app.post('/scanner', requireAuth, scannerController.postScanDocument);
 app.get('/scanner/download/:fileName', requireAuth, scannerController.downloadScannedDocument);
 app.delete('/scanner/delete/:fileName', requireAuth, scannerController.deleteScannedDocument);
 
+// Thumbnail routes
+app.get('/thumbnails/upload/:fileName', requireAuth, thumbnailController.getUploadThumbnail);
+app.get('/thumbnails/scan/:fileName', requireAuth, thumbnailController.getScanThumbnail);
+app.get('/thumbnails/job/:jobId', requireAuth, thumbnailController.getJobThumbnail);
+
+// Admin routes
+app.get('/admin/printers', requireAdmin, adminController.getPrinters);
+app.post('/admin/printers', requireAdmin, adminController.postRegisterPrinter);
+app.post('/admin/printers/:printerId', requireAdmin, adminController.postUpdatePrinter);
+app.post('/admin/printers/:printerId/refresh', requireAdmin, adminController.postRefreshPrinter);
+app.get('/admin/quotas', requireAdmin, adminController.getQuotas);
+app.post('/admin/quotas/:userId/limits', requireAdmin, adminController.postQuotaLimits);
+app.post('/admin/quotas/:userId/top-up', requireAdmin, adminController.postQuotaTopUp);
+app.post('/admin/quotas/:userId/reset', requireAdmin, adminController.postQuotaReset);
+app.get('/admin/watermarks', requireAdmin, adminController.getWatermarks);
+app.post('/admin/watermarks/:userId', requireAdmin, adminController.postForcedWatermark);
+app.get('/admin/settings', requireAdmin, adminController.getSettings);
+app.post('/admin/settings', requireAdmin, adminController.postSettings);
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error(err.stack);
@@ -83,6 +130,8 @@ const PORT = process.env.PORT || 2000;
 
 // Initialize database and start server
 db.initializeDatabase()
+  .then(() => Printer.ensureDefaultPrinter())
+  .then(() => Printer.loadCapabilityProfiles())
   .then(() => {
     app.listen(PORT, () => {
       console.log(`Print Queue Manager listening on port ${PORT}`);
@@ -90,6 +139,18 @@ db.initializeDatabase()
 
     // Schedule daily cleanup
     cleanupService.scheduleDailyCleanup();
+
+    // Keep in-progress jobs in sync with CUPS
+    jobStatusSync.startJobStatusSync();
+
+    // Hand queued jobs to CUPS, including any left pending by a restart
+    jobDispatcher.startDispatcher();
+
+    // Release scheduled jobs when their print time comes
+    jobScheduler.startScheduler();
+
+    // Track ink levels so low ink is reported before prints come out faded
+    inkMonitor.startInkMonitor();
   })
   .catch((err) => {
     console.error('Failed to initialize database:', err);
@@ -0,0 +1,362 @@
+const db = require('../models/database');
+const Printer = require('../models/printer');
+const Quota = require('../models/quota');
+const User = require('../models/user');
+const PrintSettings = require('../models/printSettings');
+const AppSettings = require('../models/appSettings');
+const printerIntegration = require('../utils/printerIntegration');
+const printerCapabilities = require('../utils/printerCapabilities');
+
+// CUPS queue names are limited to printable characters other than space, tab, "/", "\", "'", '"' and "#";
+// the queue manager only accepts the usual letters, digits, dashes, dots and underscores
+const QUEUE_NAME_PATTERN = /^[A-Za-z0-9_.-]+$/;
+
+/**
+ * Render the printer administration page
+ * @private
+ */
+async function renderPrinters(req, res, error, success) {
+  const printers = await Printer.listPrinters();
+  const discovery = await printerIntegration.discoverPrinters();
+  const registeredQueues = printers.map(printer => printer.queueName);
+
+  res.render('admin-printers', {
+    username: req.session.username,
+    printers: printers.map(printer => ({
+      ...printer,
+      found: discovery.printers.some(device => device.queueName === printer.queueName),
+      capabilities: printerCapabilities.getCapabilities(printer.queueName),
+      capabilitiesSource: printerCapabilities.getCapabilitiesSource(printer.queueName)
+    })),
+    discovered: discovery.printers.filter(device => !registeredQueues.includes(device.queueName)),
+    discoveryMessage: discovery.message,
+    error,
+    success
+  });
+}
+
+/**
+ * Display registered printers and CUPS queues that can be registered
+ */
+async function getPrinters(req, res) {
+  try {
+    await renderPrinters(req, res, null, null);
+  } catch (err) {
+    console.error('Printer admin page error:', err);
+    res.status(500).render('error', { error: 'Failed to load printers' });
+  }
+}
+
+/**
+ * Register a CUPS queue discovered with lpstat -v
+ */
+async function postRegisterPrinter(req, res) {
+  try {
+    const queueName = (req.body.queueName || '').trim();
+    const displayName = (req.body.displayName || '').trim() || queueName;
+
+    if (!QUEUE_NAME_PATTERN.test(queueName)) {
+      return renderPrinters(req, res, 'Invalid printer queue name', null);
+    }
+
+    const discovery = await printerIntegration.discoverPrinters();
+    if (!discovery.printers.some(device => device.queueName === queueName)) {
+      return renderPrinters(req, res, `Printer ${queueName} was not found in CUPS`, null);
+    }
+
+    const printer = await Printer.registerPrinter(queueName, displayName);
+    await renderPrinters(req, res, null, `Printer ${printer.displayName} registered`);
+  } catch (err) {
+    console.error('Printer registration error:', err);
+    if (err.message.includes('already registered')) {
+      return renderPrinters(req, res, err.message, null);
+    }
+    res.status(500).render('error', { error: 'Failed to register printer' });
+  }
+}
+
+/**
+ * Rename, enable or disable a registered printer
+ */
+async function postUpdatePrinter(req, res) {
+  try {
+    const { printerId } = req.params;
+
+    if (!printerId || isNaN(printerId)) {
+      return res.status(400).render('error', { error: 'Invalid printer ID' });
+    }
+
+    const printer = await Printer.getPrinter(parseInt(printerId, 10));
+    if (!printer) {
+      return res.status(404).render('error', { error: 'Printer not found' });
+    }
+
+    const displayName = (req.body.displayName || '').trim();
+    if (!displayName) {
+      return renderPrinters(req, res, 'Display name is required', null);
+    }
+
+    const updated = await Printer.updatePrinter(printer.id, {
+      displayName,
+      enabled: req.body.enabled === 'on' || req.body.enabled === 'true'
+    });
+    await renderPrinters(req, res, null, `Printer ${updated.displayName} updated`);
+  } catch (err) {
+    console.error('Printer update error:', err);
+    res.status(500).render('error', { error: 'Failed to update printer' });
+  }
+}
+
+/**
+ * Re-read a registered printer's capability profile
+ */
+async function postRefreshPrinter(req, res) {
+  try {
+    const { printerId } = req.params;
+
+    if (!printerId || isNaN(printerId)) {
+      return res.status(400).render('error', { error: 'Invalid printer ID' });
+    }
+
+    const printer = await Printer.getPrinter(parseInt(printerId, 10));
+    if (!printer) {
+      return res.status(404).render('error', { error: 'Printer not found' });
+    }
+
+    const result = await Printer.refreshCapabilityProfile(printer.id);
+    if (!result.success) {
+      return renderPrinters(req, res, result.message, null);
+    }
+    await renderPrinters(req, res, null, result.message);
+  } catch (err) {
+    console.error('Printer refresh error:', err);
+    res.status(500).render('error', { error: 'Failed to refresh printer capabilities' });
+  }
+}
+
+/**
+ * Render the quota administration page
+ * @private
+ */
+async function renderQuotas(req, res, error, success) {
+  const users = await db.getUsers();
+  const quotas = [];
+
+  for (const user of users) {
+    quotas.push({
+      id: user.id,
+      username: user.username,
+      status: await Quota.getQuotaStatus(user.id)
+    });
+  }
+
+  res.render('admin-quotas', {
+    username: req.session.username,
+    users: quotas,
+    defaults: Quota.QUOTA_CONFIG,
+    error,
+    success
+  });
+}
+
+/**
+ * Find the user an admin form was posted for
+ * @private
+ * @returns {Promise<Object|null>} The user, or null once an error page has been sent
+ */
+async function findUser(req, res) {
+  const { userId } = req.params;
+
+  if (!userId || isNaN(userId)) {
+    res.status(400).render('error', { error: 'Invalid user ID' });
+    return null;
+  }
+
+  const user = await db.getUserById(parseInt(userId, 10));
+  if (!user) {
+    res.status(404).render('error', { error: 'User not found' });
+    return null;
+  }
+
+  return user;
+}
+
+/**
+ * Display each user's page quota and usage
+ */
+async function getQuotas(req, res) {
+  try {
+    await renderQuotas(req, res, null, null);
+  } catch (err) {
+    console.error('Quota admin page error:', err);
+    res.status(500).render('error', { error: 'Failed to load quotas' });
+  }
+}
+
+/**
+ * Set a user's own daily and monthly limits
+ */
+async function postQuotaLimits(req, res) {
+  try {
+    const user = await findUser(req, res);
+    if (!user) {
+      return;
+    }
+
+    await Quota.setQuotaLimits(user.id, {
+      daily: { color: req.body.dailyColorLimit, grayscale: req.body.dailyGrayscaleLimit },
+      monthly: { color: req.body.monthlyColorLimit, grayscale: req.body.monthlyGrayscaleLimit }
+    });
+    await renderQuotas(req, res, null, `Quota limits for ${user.username} updated`);
+  } catch (err) {
+    console.error('Quota limit update error:', err);
+    if (err.message.startsWith('Invalid')) {
+      return renderQuotas(req, res, err.message, null);
+    }
+    res.status(500).render('error', { error: 'Failed to update quota limits' });
+  }
+}
+
+/**
+ * Add pages to a user's allowance for today and this month
+ */
+async function postQuotaTopUp(req, res) {
+  try {
+    const user = await findUser(req, res);
+    if (!user) {
+      return;
+    }
+
+    const pages = await Quota.topUpQuota(user.id, req.body.inkType, req.body.pages);
+    await renderQuotas(req, res, null, `Added ${pages} ${req.body.inkType} page(s) for ${user.username}`);
+  } catch (err) {
+    console.error('Quota top-up error:', err);
+    if (err.message.startsWith('Invalid')) {
+      return renderQuotas(req, res, err.message, null);
+    }
+    res.status(500).render('error', { error: 'Failed to top up quota' });
+  }
+}
+
+/**
+ * Clear a user's usage for today and this month
+ */
+async function postQuotaReset(req, res) {
+  try {
+    const user = await findUser(req, res);
+    if (!user) {
+      return;
+    }
+
+    await Quota.resetQuota(user.id);
+    await renderQuotas(req, res, null, `Quota usage for ${user.username} reset`);
+  } catch (err) {
+    console.error('Quota reset error:', err);
+    res.status(500).render('error', { error: 'Failed to reset quota' });
+  }
+}
+
+/**
+ * Render the watermark administration page
+ * @private
+ */
+async function renderWatermarks(req, res, error, success) {
+  res.render('admin-watermarks', {
+    username: req.session.username,
+    users: await db.getUsers(),
+    maxLength: PrintSettings.WATERMARK_TEXT_MAX_LENGTH,
+    error,
+    success
+  });
+}
+
+/**
+ * Display the watermark each user is forced to print with
+ */
+async function getWatermarks(req, res) {
+  try {
+    await renderWatermarks(req, res, null, null);
+  } catch (err) {
+    console.error('Watermark admin page error:', err);
+    res.status(500).render('error', { error: 'Failed to load watermarks' });
+  }
+}
+
+/**
+ * Force a watermark on every job a user prints, or stop forcing one
+ */
+async function postForcedWatermark(req, res) {
+  try {
+    const user = await findUser(req, res);
+    if (!user) {
+      return;
+    }
+
+    const watermark = await User.setForcedWatermark(user.id, req.body.forcedWatermark);
+    await renderWatermarks(req, res, null, watermark
+      ? `Jobs printed by ${user.username} are now stamped with "${watermark}"`
+      : `${user.username} no longer has a forced watermark`);
+  } catch (err) {
+    console.error('Forced watermark update error:', err);
+    if (err.message.startsWith('Invalid')) {
+      return renderWatermarks(req, res, err.message, null);
+    }
+    res.status(500).render('error', { error: 'Failed to update watermark' });
+  }
+}
+
+/**
+ * Render the site settings page
+ * @private
+ */
+async function renderSettings(req, res, error, success) {
+  res.render('admin-settings', {
+    username: req.session.username,
+    settings: await AppSettings.getAppSettings(),
+    error,
+    success
+  });
+}
+
+/**
+ * Display the site-wide settings
+ */
+async function getSettings(req, res) {
+  try {
+    await renderSettings(req, res, null, null);
+  } catch (err) {
+    console.error('Site settings page error:', err);
+    res.status(500).render('error', { error: 'Failed to load site settings' });
+  }
+}
+
+/**
+ * Save the site-wide settings
+ * Unchecked checkboxes are not posted, so a missing setting is turned off
+ */
+async function postSettings(req, res) {
+  try {
+    await AppSettings.updateAppSettings({
+      coverPageDefault: req.body.coverPageDefault === 'on'
+    });
+    await renderSettings(req, res, null, 'Site settings saved');
+  } catch (err) {
+    console.error('Site settings update error:', err);
+    res.status(500).render('error', { error: 'Failed to save site settings' });
+  }
+}
+
+module.exports = {
+  getPrinters,
+  postRegisterPrinter,
+  postUpdatePrinter,
+  postRefreshPrinter,
+  getQuotas,
+  postQuotaLimits,
+  postQuotaTopUp,
+  postQuotaReset,
+  getWatermarks,
+  postForcedWatermark,
+  getSettings,
+  postSettings
+};
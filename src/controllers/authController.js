@@ -37,6 +37,7 @@ async function postLogin(req, res) {
     // Create session
     req.session.userId = user.id;
     req.session.username = user.username;
+    req.session.isAdmin = user.isAdmin;
 
     res.redirect('/dashboard');
   } catch (err) {
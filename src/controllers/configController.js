@@ -1,19 +1,106 @@
 const PrintSettings = require('../models/printSettings');
+const Printer = require('../models/printer');
+const User = require('../models/user');
+const PrintPreset = require('../models/printPreset');
+const PrintBatch = require('../models/printBatch');
+const { getSessionUser } = require('../middleware/auth');
+const printerIntegration = require('../utils/printerIntegration');
+const fileValidator = require('../utils/fileValidator');
+
+/**
+ * Load the printers a user can choose from and the one selected
+ * Refreshes the selected printer's capabilities so options and validation reflect its driver
+ * @param {number|string|null} printerId - Chosen printer ID
+ * @returns {Promise<{printers: Array, printer: Object|null, queueName: string, capabilitiesSource: string}>}
+ */
+async function loadPrinterChoice(printerId) {
+  const printers = await Printer.listEnabledPrinters();
+  const printer = await Printer.getEnabledPrinterOrDefault(printerId);
+  const queueName = printer ? printer.queueName : printerIntegration.PRINTER_CONFIG.name;
+  const { source } = await printerIntegration.getPrinterCapabilities({ printerName: queueName });
+
+  return {
+    printers,
+    printer,
+    queueName,
+    capabilitiesSource: source
+  };
+}
+
+/**
+ * Check whether any document uploaded in this session is an image, which has layout settings
+ * @private
+ */
+function isImageUpload(req) {
+  return (req.session.uploadedFiles || []).some(uploadedFile => fileValidator.isImageFormat(uploadedFile.mimetype));
+}
+
+/**
+ * Render the configuration page for a printer
+ * @private
+ */
+async function renderConfig(req, res, choice, error, success) {
+  const user = await User.getUserById(req.session.userId);
+  const sessionUser = getSessionUser(req);
+
+  // A preset picked on the page replaces the settings chosen so far; without saved settings the
+  // form starts from the user's default preset
+  const defaults = PrintSettings.getDefaults(choice.queueName);
+  const loadedPreset = req.query.presetId ? await PrintPreset.getPreset(parseInt(req.query.presetId, 10), sessionUser) : null;
+  const defaultPreset = await PrintPreset.getDefaultPreset(sessionUser);
+  let current = req.session.printSettings;
+  if (loadedPreset) {
+    current = loadedPreset.settings;
+  } else if (!current && defaultPreset) {
+    current = defaultPreset.settings;
+  }
+
+  // The form starts from the settings already chosen, such as those of a job being reprinted
+  res.render('configure', {
+    options: PrintSettings.getAvailableOptions(choice.queueName),
+    defaults,
+    selected: { ...defaults, ...(current || {}) },
+    copiesLimits: PrintSettings.COPIES_LIMITS,
+    isImage: isImageUpload(req),
+    imageSelected: current && current.imageScaling
+      ? { ...PrintSettings.normalizeImageSettings(current), imageScale: current.imageScale || PrintSettings.DEFAULT_IMAGE_SETTINGS.imageScale }
+      : PrintSettings.DEFAULT_IMAGE_SETTINGS,
+    imageScaleLimits: PrintSettings.IMAGE_SCALE_LIMITS,
+    imageMarginLimits: PrintSettings.IMAGE_MARGIN_LIMITS,
+    borderlessPaperTypes: PrintSettings.BORDERLESS_PAPER_TYPES,
+    watermark: {
+      ...PrintSettings.DEFAULT_WATERMARK_SETTINGS,
+      ...(current && current.watermarkText ? PrintSettings.normalizeWatermarkSettings(current) : {})
+    },
+    watermarkOpacityLimits: PrintSettings.WATERMARK_OPACITY_LIMITS,
+    watermarkFontSizeLimits: PrintSettings.WATERMARK_FONT_SIZE_LIMITS,
+    watermarkTextMaxLength: PrintSettings.WATERMARK_TEXT_MAX_LENGTH,
+    forcedWatermark: user ? user.forcedWatermark : null,
+    presets: await PrintPreset.listPresets(sessionUser),
+    loadedPresetId: loadedPreset ? loadedPreset.id : null,
+    defaultPresetId: defaultPreset ? defaultPreset.id : null,
+    presetNameMaxLength: PrintPreset.PRESET_NAME_MAX_LENGTH,
+    isAdmin: sessionUser.isAdmin,
+    batchFiles: req.session.uploadedFiles && req.session.uploadedFiles.length > 1 ? req.session.uploadedFiles : [],
+    batchMode: req.session.batchMode || PrintBatch.BATCH_MODES[0],
+    printers: choice.printers,
+    selectedPrinterId: choice.printer ? choice.printer.id : null,
+    capabilitiesSource: choice.capabilitiesSource,
+    error,
+    success
+  });
+}
 
 /**
  * Display print configuration page
  */
 async function getConfig(req, res) {
   try {
-    const options = PrintSettings.getAvailableOptions();
-    const defaults = PrintSettings.getDefaults();
-
-    res.render('configure', {
-      options,
-      defaults,
-      error: null,
-      success: null
-    });
+    const choice = await loadPrinterChoice(req.query.printerId || req.session.printerId);
+    if (req.query.presetId && !await PrintPreset.getPreset(parseInt(req.query.presetId, 10), getSessionUser(req))) {
+      return renderConfig(req, res, choice, 'Preset not found', null);
+    }
+    await renderConfig(req, res, choice, null, null);
   } catch (err) {
     console.error('Config page error:', err);
     res.status(500).render('error', { error: 'Failed to load configuration page' });
@@ -24,58 +111,118 @@ async function getConfig(req, res) {
  * Handle print configuration form submission
  */
 async function postConfig(req, res) {
+  let choice = null;
   try {
-    const { paperType, printQuality, colorMode, paperSize } = req.body;
+    choice = await loadPrinterChoice(req.body.printerId);
+
+    const {
+      paperType,
+      printQuality,
+      colorMode,
+      paperSize,
+      copies,
+      pageRanges,
+      pagesPerSheet,
+      orientation,
+      collated,
+      duplexMode,
+      priority
+    } = req.body;
 
     // Create settings object from form data
     const settings = {
       paperType,
       printQuality,
       colorMode,
-      paperSize
+      paperSize,
+      copies,
+      pageRanges,
+      pagesPerSheet,
+      orientation,
+      collated,
+      duplexMode,
+      priority
     };
 
-    // Validate settings
-    const validation = PrintSettings.validateSettings(settings);
+    // Layout settings are only offered for images
+    const imageSettings = {};
+    if (isImageUpload(req)) {
+      imageSettings.imageScaling = req.body.imageScaling;
+      imageSettings.imageScale = req.body.imageScale;
+      imageSettings.imagePosition = req.body.imagePosition;
+      imageSettings.imageMargin = req.body.imageMargin;
+      imageSettings.borderless = req.body.borderless === 'on';
+    }
+
+    const watermarkSettings = {
+      watermarkText: req.body.watermarkText || '',
+      watermarkPosition: req.body.watermarkPosition,
+      watermarkOpacity: req.body.watermarkOpacity,
+      watermarkFontSize: req.body.watermarkFontSize
+    };
+
+    // Validate settings against the chosen printer
+    const validation = PrintSettings.validateSettings({ ...settings, ...imageSettings, ...watermarkSettings }, choice.queueName);
 
     if (!validation.isValid) {
-      const options = PrintSettings.getAvailableOptions();
-      const defaults = PrintSettings.getDefaults();
-
-      return res.render('configure', {
-        options,
-        defaults,
-        error: validation.errors.join('; '),
-        success: null
-      });
+      return renderConfig(req, res, choice, validation.errors.join('; '), null);
     }
 
     // Normalize settings
     const normalizedSettings = PrintSettings.normalizeSettings(settings);
+    if (imageSettings.imageScaling !== undefined) {
+      Object.assign(normalizedSettings, PrintSettings.normalizeImageSettings(imageSettings));
+    }
+    const watermark = PrintSettings.normalizeWatermarkSettings(watermarkSettings);
+    if (watermark.watermarkText) {
+      Object.assign(normalizedSettings, watermark);
+    }
 
-    // Store settings in session for use in job submission
-    req.session.printSettings = normalizedSettings;
+    // Files uploaded together print as one job per file or as a single combined job
+    const batchFiles = req.session.uploadedFiles || [];
+    let batchMode = PrintBatch.BATCH_MODES[0];
+    if (batchFiles.length > 1) {
+      try {
+        batchMode = PrintBatch.validateBatchMode(req.body.batchMode || batchMode);
+      } catch (err) {
+        return renderConfig(req, res, choice, err.message, null);
+      }
+    }
+
+    // Optionally keep the settings as a named preset for later jobs
+    let preset = null;
+    if (String(req.body.presetName || '').trim()) {
+      try {
+        preset = await PrintPreset.savePreset(getSessionUser(req), req.body.presetName, normalizedSettings, {
+          shared: req.body.sharePreset === 'on'
+        });
+        if (req.body.defaultPreset === 'on') {
+          await PrintPreset.setDefaultPreset(getSessionUser(req), preset.id);
+        }
+      } catch (err) {
+        if (err.message.startsWith('Invalid') || err.message.startsWith('Access denied')) {
+          return renderConfig(req, res, choice, err.message, null);
+        }
+        throw err;
+      }
+    }
 
-    const options = PrintSettings.getAvailableOptions();
-    const defaults = PrintSettings.getDefaults();
+    // Store settings and printer in session for use in job submission
+    req.session.printSettings = normalizedSettings;
+    req.session.presetId = preset ? preset.id : null;
+    req.session.batchMode = batchMode;
+    req.session.printerId = choice.printer ? choice.printer.id : null;
 
-    res.render('configure', {
-      options,
-      defaults,
-      error: null,
-      success: 'Print settings saved successfully'
-    });
+    await renderConfig(req, res, choice, null, preset
+      ? `Print settings saved successfully and kept as preset ${preset.name}`
+      : 'Print settings saved successfully');
   } catch (err) {
     console.error('Config submission error:', err);
-    const options = PrintSettings.getAvailableOptions();
-    const defaults = PrintSettings.getDefaults();
-
-    res.render('configure', {
-      options,
-      defaults,
-      error: 'An error occurred while saving settings',
-      success: null
-    });
+
+    if (!choice) {
+      return res.status(500).render('error', { error: 'An error occurred while saving settings' });
+    }
+    await renderConfig(req, res, choice, 'An error occurred while saving settings', null);
   }
 }
 
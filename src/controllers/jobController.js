@@ -1,8 +1,73 @@
 const PrintJob = require('../models/printJob');
 const PrintSettings = require('../models/printSettings');
+const Printer = require('../models/printer');
+const Quota = require('../models/quota');
+const User = require('../models/user');
+const AppSettings = require('../models/appSettings');
+const PrintPreset = require('../models/printPreset');
+const PrintBatch = require('../models/printBatch');
+const { getSessionUser } = require('../middleware/auth');
+const jobDispatcher = require('../utils/jobDispatcher');
+const pageCounter = require('../utils/pageCounter');
+const inkMonitor = require('../utils/inkMonitor');
+const fileValidator = require('../utils/fileValidator');
+const printCopy = require('../utils/printCopy');
+const crypto = require('crypto');
 const fs = require('fs').promises;
 const path = require('path');
 
+/**
+ * Render the job submission page for the uploads in the session
+ * @private
+ */
+async function renderSubmitJob(req, res, { status = 200, printAt = '', holdJob = false, error = null, success = null } = {}) {
+  const printer = await Printer.getEnabledPrinterOrDefault(req.session.printerId);
+  const documents = await getBatchDocuments(req.session.uploadedFiles, await getChosenSettings(req, printer));
+  const combined = isCombinedBatch(req);
+
+  // Image layout settings are shown when any file of the batch is an image
+  const imageDocument = documents.find(document => fileValidator.isImageFormat(document.file.mimetype));
+
+  res.status(status).render('submit-job', {
+    username: req.session.username,
+    uploadedFiles: req.session.uploadedFiles,
+    documents,
+    combined,
+    printer,
+    settings: (imageDocument || documents[0]).settings,
+    summary: pageCounter.getBatchSummary(documents, combined),
+    quota: await Quota.getQuotaStatus(req.session.userId),
+    presets: await PrintPreset.listPresets(getSessionUser(req)),
+    presetId: req.session.presetId || null,
+    printAt,
+    holdJob,
+    minPrintAt: formatDateTimeLocal(new Date()),
+    holdExpiryHours: PrintJob.HOLD_CONFIG.expiryHours,
+    forcedWatermark: await getForcedWatermark(req.session.userId),
+    coverPage: await getCoverPage(req.session.userId),
+    error: error || await getPrinterNotice(req, printer),
+    success
+  });
+}
+
+/**
+ * Explain that the printer chosen on the configure page can no longer be used
+ * Jobs are never moved to another printer without the user knowing
+ * @private
+ * @param {Object} req - Express request object
+ * @param {Object|null} printer - Printer the jobs would print on
+ * @returns {Promise<string|null>} Notice, or null if the chosen printer is available
+ */
+async function getPrinterNotice(req, printer) {
+  const chosenId = req.session.printerId;
+  if (!chosenId || (printer && printer.id === chosenId)) {
+    return null;
+  }
+
+  const chosen = await Printer.getPrinter(chosenId);
+  return `${chosen ? chosen.displayName : 'The printer you chose'} is no longer available. Please choose another printer on the configure page.`;
+}
+
 /**
  * Display job submission page
  * Shows uploaded file and print settings for confirmation
@@ -10,36 +75,293 @@ const path = require('path');
 async function getSubmitJob(req, res) {
   try {
     // Check if file was uploaded
-    if (!req.session.uploadedFile) {
+    if (!hasUploads(req)) {
       return res.render('error', {
         error: 'No file uploaded. Please upload a document first.'
       });
     }
 
-    // Get current print settings or defaults
-    const settings = req.session.printSettings || PrintSettings.getDefaults();
-
-    res.render('submit-job', {
-      username: req.session.username,
-      uploadedFile: req.session.uploadedFile,
-      settings,
-      error: null,
-      success: null
-    });
+    await renderSubmitJob(req, res);
   } catch (err) {
     console.error('Submit job page error:', err);
     res.status(500).render('error', { error: 'Failed to load job submission page' });
   }
 }
 
+/**
+ * Print the uploads in the session with one of the user's presets
+ * The preset's settings replace those chosen so far, if the printer supports them
+ */
+async function postApplyPreset(req, res) {
+  try {
+    if (!hasUploads(req)) {
+      return res.render('error', {
+        error: 'No file uploaded. Please upload a document first.'
+      });
+    }
+
+    const preset = await PrintPreset.getPreset(parseInt(req.body.presetId, 10), getSessionUser(req));
+    if (!preset) {
+      return renderSubmitJob(req, res, { status: 404, error: 'Preset not found' });
+    }
+
+    const printer = await Printer.getEnabledPrinterOrDefault(req.session.printerId);
+    const validation = PrintSettings.validateSettings(preset.settings, printer ? printer.queueName : undefined);
+    if (!validation.isValid) {
+      return renderSubmitJob(req, res, {
+        status: 400,
+        error: `Preset ${preset.name} cannot be used with this printer: ${validation.errors.join('; ')}`
+      });
+    }
+
+    req.session.printSettings = preset.settings;
+    req.session.presetId = preset.id;
+    await renderSubmitJob(req, res, { success: `Using preset ${preset.name}` });
+  } catch (err) {
+    console.error('Apply preset error:', err);
+    res.status(500).render('error', { error: 'Failed to apply preset' });
+  }
+}
+
+/**
+ * Check whether the session has documents to print
+ * @private
+ */
+function hasUploads(req) {
+  return Array.isArray(req.session.uploadedFiles) && req.session.uploadedFiles.length > 0;
+}
+
+/**
+ * Check whether the files in the session print as a single combined job
+ * @private
+ */
+function isCombinedBatch(req) {
+  return req.session.uploadedFiles.length > 1 && req.session.batchMode === 'combined';
+}
+
+/**
+ * Get the print settings chosen for the uploads in the session
+ * Settings saved on the configure page come first, then the user's default preset, then the printer defaults
+ * @private
+ * @param {Object} req - Express request object
+ * @param {Object|null} printer - Printer the job prints on
+ * @returns {Promise<Object>}
+ */
+async function getChosenSettings(req, printer) {
+  if (req.session.printSettings) {
+    return req.session.printSettings;
+  }
+
+  const preset = await PrintPreset.getDefaultPreset(getSessionUser(req));
+  return preset ? preset.settings : PrintSettings.getDefaults(printer ? printer.queueName : undefined);
+}
+
+/**
+ * Get the settings the uploaded document prints with
+ * Images also get layout settings, with the defaults if none were configured; other documents never do
+ * @private
+ * @param {Object} uploadedFile - Session upload
+ * @param {Object} settings - Configured print settings
+ * @returns {Object}
+ */
+function getUploadSettings(uploadedFile, settings) {
+  const {
+    imageScaling,
+    imageScale,
+    imagePosition,
+    imageMargin,
+    borderless,
+    ...documentSettings
+  } = settings;
+
+  if (!fileValidator.isImageFormat(uploadedFile.mimetype)) {
+    return documentSettings;
+  }
+
+  return {
+    ...documentSettings,
+    ...PrintSettings.normalizeImageSettings({ imageScaling, imageScale, imagePosition, imageMargin, borderless })
+  };
+}
+
+/**
+ * Get the watermark an administrator requires on a user's jobs
+ * @private
+ * @param {number} userId - User ID
+ * @returns {Promise<string|null>}
+ */
+async function getForcedWatermark(userId) {
+  const user = await User.getUserById(userId);
+  return user ? user.forcedWatermark : null;
+}
+
+/**
+ * Find out whether the user's jobs print with a cover page
+ * @private
+ * @param {number} userId - User ID
+ * @returns {Promise<boolean>}
+ */
+async function getCoverPage(userId) {
+  const user = await User.getUserById(userId);
+  return user ? User.printsCoverPage(user) : false;
+}
+
+/**
+ * Get the page count of the uploaded document
+ * The count is kept with the upload in the session so the document is only parsed once
+ * @private
+ * @param {Object} uploadedFile - Session upload
+ * @returns {Promise<number|null>}
+ */
+async function getUploadedPageCount(uploadedFile) {
+  if (uploadedFile.pageCount === undefined) {
+    uploadedFile.pageCount = await pageCounter.countPages(uploadedFile.path);
+  }
+  return uploadedFile.pageCount;
+}
+
+/**
+ * Get the settings, page count and paper use of each uploaded file, in print order
+ * @private
+ * @param {Array<Object>} uploadedFiles - Session uploads
+ * @param {Object} settings - Configured print settings
+ * @returns {Promise<Array<{file: Object, settings: Object, pageCount: number|null, summary: Object}>>}
+ */
+async function getBatchDocuments(uploadedFiles, settings) {
+  const documents = [];
+  for (const file of uploadedFiles) {
+    const fileSettings = getUploadSettings(file, settings);
+    const pageCount = await getUploadedPageCount(file);
+    documents.push({ file, settings: fileSettings, pageCount, summary: pageCounter.getPrintSummary(pageCount, fileSettings) });
+  }
+  return documents;
+}
+
+/**
+ * Join the files of a combined batch into the single document its job prints
+ * The joined PDF is written next to the uploads; the uploads themselves are left to the daily cleanup
+ * @private
+ * @param {Array<Object>} documents - Batch documents from getBatchDocuments
+ * @returns {Promise<{name: string, path: string, pageCount: number, settings: Object}>}
+ */
+async function combineBatch(documents) {
+  const uploadsDir = path.dirname(documents[0].file.path);
+  const outputPath = path.join(uploadsDir, `combined-${Date.now()}-${crypto.randomBytes(4).toString('hex')}.pdf`);
+  const pageCount = await printCopy.combineDocuments(
+    documents.map(document => ({ path: document.file.path, mimetype: document.file.mimetype, settings: document.settings })),
+    outputPath
+  );
+
+  return {
+    name: PrintBatch.getCombinedDocumentName(documents.map(document => document.file.originalName)),
+    path: outputPath,
+    pageCount,
+    // Images are already laid out in the joined PDF
+    settings: getUploadSettings({ mimetype: 'application/pdf' }, documents[0].settings)
+  };
+}
+
+/**
+ * Check the jobs about to be created against the user's remaining quota
+ * Jobs are charged when they reach the printer, which stays the check that counts; this one
+ * turns away jobs that would only fail there. Every document's pages must have been counted.
+ * @private
+ * @param {number} userId - User ID
+ * @param {Object[]} summaries - Print summaries of the jobs, from getPrintSummary
+ * @throws {Error} If the jobs need more pages of an ink type than are left
+ */
+async function checkBatchQuota(userId, summaries) {
+  const pages = { color: 0, grayscale: 0 };
+  summaries.forEach(summary => {
+    pages[summary.color ? 'color' : 'grayscale'] += summary.printedSides;
+  });
+
+  for (const [inkType, count] of Object.entries(pages)) {
+    if (count > 0) {
+      await Quota.checkQuota(userId, inkType, count);
+    }
+  }
+}
+
+/**
+ * Format a date for a datetime-local input, in the server's time zone
+ * @private
+ * @param {Date|string} value
+ * @returns {string} YYYY-MM-DDTHH:MM
+ */
+function formatDateTimeLocal(value) {
+  const date = new Date(value);
+  const pad = number => String(number).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Describe where a waiting job stands in its printer's queue
+ * @private
+ */
+async function describeQueuedJob(job) {
+  const position = await jobDispatcher.getQueuePosition(job);
+  const pause = jobDispatcher.getPauseState(await Printer.resolveQueueName(job.printerId));
+
+  let message = `Your job is number ${position} in the queue and will be sent to the printer shortly.`;
+  if (pause) {
+    message = `The printer is unavailable (${pause.reason}). Your job is number ${position} in the queue and will print when the printer is back.`;
+  } else if (job.nextAttemptAt && new Date(job.nextAttemptAt) > new Date()) {
+    message = `Sending your job to the printer failed on attempt ${job.attemptCount}. It is number ${position} in the queue and will be retried automatically.`;
+  }
+
+  return {
+    position,
+    paused: Boolean(pause),
+    message
+  };
+}
+
+/**
+ * Describe what happened to a job just submitted
+ * @private
+ * @param {Object} jobResult - Result of PrintJob.createPrintJob
+ * @param {Object} submission
+ * @param {boolean} submission.hold - Whether the job is held
+ * @param {Date|null} submission.scheduledFor - Print time of a scheduled job
+ * @param {Object|null} submission.dispatch - Result of dispatching the queue after the jobs were created
+ * @returns {Promise<Object>}
+ */
+async function describeSubmission(jobResult, { hold, scheduledFor, dispatch }) {
+  if (hold) {
+    return {
+      success: true,
+      held: true,
+      releasePin: jobResult.releasePin,
+      message: `Your job is held until you release it with the PIN below. It expires at ${jobResult.heldUntil.toLocaleString()}.`
+    };
+  }
+
+  if (scheduledFor) {
+    return {
+      success: true,
+      scheduled: true,
+      message: `Your job will print at ${scheduledFor.toLocaleString()}. You can reschedule or cancel it from the dashboard.`
+    };
+  }
+
+  const job = await PrintJob.getPrintJob(jobResult.jobId);
+  if (job.status === 'pending') {
+    return { success: true, queued: true, ...await describeQueuedJob(job) };
+  }
+  return dispatch.results[jobResult.jobId] || { success: true, message: 'Job sent to the printer' };
+}
+
 /**
  * Handle job submission
- * Creates print job and submits to printer queue
+ * Creates print job and queues it; the dispatcher sends it to the printer straight away when it is free.
+ * Jobs given a print time wait for the scheduler instead, and held jobs wait for their owner to release them.
+ * A batch of files becomes one job per file, or a single job when it is combined.
  */
 async function postSubmitJob(req, res) {
   try {
     // Validate session data
-    if (!req.session.uploadedFile) {
+    if (!hasUploads(req)) {
       return res.render('error', {
         error: 'No file uploaded. Please upload a document first.'
       });
@@ -51,40 +373,151 @@ async function postSubmitJob(req, res) {
       });
     }
 
-    const uploadedFile = req.session.uploadedFile;
-    const settings = req.session.printSettings || PrintSettings.getDefaults();
+    const uploadedFiles = req.session.uploadedFiles;
 
-    // Create print job in database
-    const jobResult = await PrintJob.createPrintJob({
-      userId: req.session.userId,
-      documentName: uploadedFile.originalName,
-      documentPath: uploadedFile.path,
-      paperType: settings.paperType,
-      printQuality: settings.printQuality,
-      colorMode: settings.colorMode,
-      paperSize: settings.paperSize
-    });
+    // A reprint's document is shared with the job it prints again and may have been cleaned up since
+    for (const uploadedFile of uploadedFiles) {
+      try {
+        await fs.access(uploadedFile.path);
+      } catch (err) {
+        req.session.uploadedFiles = null;
+        return res.status(410).render('error', {
+          error: `${uploadedFile.originalName} is no longer available. Please upload it again.`
+        });
+      }
+    }
+
+    // Jobs go to the printer chosen on the configure page, or the default printer
+    const printer = await Printer.getEnabledPrinterOrDefault(req.session.printerId);
+    if (!printer && (await Printer.listPrinters()).length > 0) {
+      return res.render('error', {
+        error: 'No printers are available. Please ask an administrator to enable a printer.'
+      });
+    }
+
+    // A printer disabled since it was chosen is not swapped for another one
+    const printerNotice = await getPrinterNotice(req, printer);
+    if (printerNotice) {
+      return renderSubmitJob(req, res, { status: 409, printAt: req.body.printAt, holdJob: req.body.holdJob === 'on', error: printerNotice });
+    }
+
+    const documents = await getBatchDocuments(uploadedFiles, await getChosenSettings(req, printer));
+    const combined = isCombinedBatch(req);
+
+    const hold = req.body.holdJob === 'on';
+    let scheduledFor;
+    let jobDocuments;
+    try {
+      // Every job of the batch has to print something
+      const summaries = combined ? [pageCounter.getBatchSummary(documents, true)] : documents.map(document => document.summary);
+      if (combined) {
+        if (summaries[0].selectedPages === 0) {
+          throw new Error(`Page range ${documents[0].settings.pageRanges} does not select any of the ${summaries[0].pageCount} page(s) in the combined document`);
+        }
+      } else {
+        const empty = documents.find(document => document.summary.selectedPages === 0);
+        if (empty) {
+          const documentName = documents.length > 1 ? empty.file.originalName : 'the document';
+          throw new Error(`Page range ${empty.settings.pageRanges} does not select any of the ${empty.pageCount} page(s) in ${documentName}`);
+        }
+      }
+
+      // Pages are charged to the quota when a job prints, so a document whose pages cannot be counted could never print
+      const uncounted = documents.find(document => document.pageCount === null);
+      if (uncounted) {
+        const documentName = documents.length > 1 ? uncounted.file.originalName : 'the document';
+        throw new Error(`The number of pages in ${documentName} could not be read, so it cannot be checked against your print quota. Please save it as a new PDF and upload it again.`);
+      }
+
+      await checkBatchQuota(req.session.userId, summaries);
+
+      scheduledFor = PrintJob.parseScheduledFor(req.body.printAt);
+      if (hold && scheduledFor) {
+        throw new Error('Choose either a print time or hold until released, not both');
+      }
+
+      jobDocuments = combined
+        ? [await combineBatch(documents)]
+        : documents.map(document => ({
+          name: document.file.originalName,
+          path: document.file.path,
+          pageCount: document.pageCount,
+          settings: document.settings,
+          reprintOf: document.file.reprintOf || null
+        }));
+    } catch (err) {
+      return renderSubmitJob(req, res, { status: 400, printAt: req.body.printAt, holdJob: hold, error: err.message });
+    }
 
-    const jobId = jobResult.jobId;
+    // Jobs of a batch are recorded together so the dashboard can group them
+    const batchId = uploadedFiles.length > 1
+      ? await PrintBatch.createBatch(req.session.userId, combined ? 'combined' : 'separate', uploadedFiles.length)
+      : null;
 
-    // Submit job to printer queue
-    const submissionResult = await PrintJob.submitJobToQueue(
-      jobId,
-      uploadedFile.path,
-      settings
-    );
+    // Create print jobs in database, in print order
+    const jobResults = [];
+    for (const document of jobDocuments) {
+      const { settings } = document;
+      jobResults.push(await PrintJob.createPrintJob({
+        userId: req.session.userId,
+        printerId: printer ? printer.id : null,
+        documentName: document.name,
+        documentPath: document.path,
+        paperType: settings.paperType,
+        printQuality: settings.printQuality,
+        colorMode: settings.colorMode,
+        paperSize: settings.paperSize,
+        copies: settings.copies,
+        pageRanges: settings.pageRanges,
+        pagesPerSheet: settings.pagesPerSheet,
+        orientation: settings.orientation,
+        collated: settings.collated,
+        duplexMode: settings.duplexMode,
+        priority: settings.priority,
+        scheduledFor,
+        hold,
+        pageCount: document.pageCount,
+        imageScaling: settings.imageScaling,
+        imageScale: settings.imageScale,
+        imagePosition: settings.imagePosition,
+        imageMargin: settings.imageMargin,
+        borderless: settings.borderless,
+        watermarkText: settings.watermarkText,
+        watermarkPosition: settings.watermarkPosition,
+        watermarkOpacity: settings.watermarkOpacity,
+        watermarkFontSize: settings.watermarkFontSize,
+        reprintOf: document.reprintOf || null,
+        batchId
+      }));
+    }
+
+    // Give the dispatcher a chance to send the jobs now; otherwise they wait in the queue
+    const dispatch = hold || scheduledFor ? null : await jobDispatcher.dispatchPendingJobs();
+
+    const jobs = [];
+    for (const [index, jobResult] of jobResults.entries()) {
+      jobs.push({
+        jobId: jobResult.jobId,
+        documentName: jobDocuments[index].name,
+        submissionResult: await describeSubmission(jobResult, { hold, scheduledFor, dispatch })
+      });
+    }
 
     // Clear session data after successful submission
-    req.session.uploadedFile = null;
+    req.session.uploadedFiles = null;
+    req.session.batchMode = null;
     req.session.printSettings = null;
+    req.session.presetId = null;
 
     // Render confirmation page
     res.render('job-confirmation', {
       username: req.session.username,
-      jobId,
-      documentName: uploadedFile.originalName,
-      settings,
-      submissionResult,
+      jobId: jobs[0].jobId,
+      documentName: jobs[0].documentName,
+      printer,
+      settings: jobDocuments[0].settings,
+      submissionResult: jobs[0].submissionResult,
+      batchJobs: jobs.length > 1 ? jobs : [],
       error: null
     });
   } catch (err) {
@@ -125,7 +558,12 @@ async function getJobDetails(req, res) {
 
     res.render('job-details', {
       username: req.session.username,
-      job
+      job,
+      priority: PrintJob.getPriorityName(job.priority),
+      queue: job.status === 'pending' ? await describeQueuedJob(job) : null,
+      attempts: await PrintJob.getJobAttempts(job.id),
+      canCancel: PrintJob.isCancellable(job),
+      error: null
     });
   } catch (err) {
     console.error('Get job details error:', err);
@@ -146,11 +584,29 @@ async function getDashboard(req, res) {
 
     // Retrieve user's print jobs from database
     const jobs = await PrintJob.getUserPrintJobs(req.session.userId);
+    const quota = await Quota.getQuotaStatus(req.session.userId);
+    const printer = await Printer.getEnabledPrinterOrDefault(req.session.printerId);
+    const inkQueue = printer ? printer.queueName : await Printer.resolveQueueName(null);
+    const user = await User.getUserById(req.session.userId);
+    const appSettings = await AppSettings.getAppSettings();
 
     // Jobs are already sorted in reverse chronological order by the database query
     res.render('dashboard', {
       username: req.session.username,
-      jobs: jobs || []
+      jobs: jobs || [],
+      jobGroups: PrintBatch.groupJobsByBatch(jobs || []),
+      isAdmin: Boolean(req.session.isAdmin),
+      isCancellable: PrintJob.isCancellable,
+      isReschedulable: PrintJob.isReschedulable,
+      hasHeldJobs: (jobs || []).some(job => job.status === 'held'),
+      quota,
+      ink: await inkMonitor.getInkLevels(inkQueue),
+      inkPrinterName: printer ? printer.displayName : inkQueue,
+      inkTrendDays: inkMonitor.INK_MONITOR_CONFIG.trendDays,
+      coverPage: user ? user.coverPage : null,
+      coverPageDefault: appSettings.coverPageDefault,
+      formatDateTimeLocal,
+      minPrintAt: formatDateTimeLocal(new Date())
     });
   } catch (err) {
     console.error('Dashboard error:', err);
@@ -159,8 +615,9 @@ async function getDashboard(req, res) {
 }
 
 /**
- * Update job status by checking printer queue
- * Called periodically to sync job status with printer
+ * Get current job status
+ * Statuses are kept in sync with CUPS by the background job status sync;
+ * in-progress jobs are reconciled once more on request so the answer is fresh
  */
 async function updateJobStatus(req, res) {
   try {
@@ -182,19 +639,13 @@ async function updateJobStatus(req, res) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
-    // Check if job is still in printer queue
-    const printerIntegration = require('../utils/printerIntegration');
-    const statusCheck = await printerIntegration.isJobInQueue(job.id);
-
-    // Update job status in database if it's completed
-    if (!statusCheck.inQueue && job.status === 'in-progress') {
-      await PrintJob.updateJobStatus(job.id, 'completed');
-    }
+    const jobStatusSync = require('../utils/jobStatusSync');
+    const syncResult = await jobStatusSync.syncJob(job);
 
     res.json({
       jobId: job.id,
-      status: statusCheck.status,
-      updated: !statusCheck.inQueue
+      status: syncResult.status,
+      updated: syncResult.status !== 'in-progress'
     });
   } catch (err) {
     console.error('Update job status error:', err);
@@ -202,6 +653,272 @@ async function updateJobStatus(req, res) {
   }
 }
 
+/**
+ * Cancel a job from the dashboard
+ */
+async function cancelJob(req, res) {
+  try {
+    const { jobId } = req.params;
+
+    if (!jobId || isNaN(jobId)) {
+      return res.status(400).render('error', {
+        error: 'Invalid job ID'
+      });
+    }
+
+    const job = await PrintJob.getPrintJob(parseInt(jobId, 10));
+
+    if (!job) {
+      return res.status(404).render('error', {
+        error: 'Job not found'
+      });
+    }
+
+    // Verify user owns this job
+    if (job.userId !== req.session.userId) {
+      return res.status(403).render('error', {
+        error: 'Access denied. You do not have permission to cancel this job.'
+      });
+    }
+
+    const result = await PrintJob.cancelJob(job.id);
+
+    if (!result.success) {
+      return res.status(409).render('error', {
+        error: `Could not cancel job: ${result.message}`
+      });
+    }
+
+    res.redirect('/dashboard');
+  } catch (err) {
+    console.error('Cancel job error:', err);
+    res.status(500).render('error', { error: 'Failed to cancel job' });
+  }
+}
+
+/**
+ * Give a scheduled or queued job a new print time
+ * An empty print time sends the job to the queue straight away
+ */
+async function rescheduleJob(req, res) {
+  try {
+    const { jobId } = req.params;
+
+    if (!jobId || isNaN(jobId)) {
+      return res.status(400).render('error', {
+        error: 'Invalid job ID'
+      });
+    }
+
+    const job = await PrintJob.getPrintJob(parseInt(jobId, 10));
+
+    if (!job) {
+      return res.status(404).render('error', {
+        error: 'Job not found'
+      });
+    }
+
+    // Verify user owns this job
+    if (job.userId !== req.session.userId) {
+      return res.status(403).render('error', {
+        error: 'Access denied. You do not have permission to reschedule this job.'
+      });
+    }
+
+    let scheduledFor;
+    try {
+      scheduledFor = PrintJob.parseScheduledFor(req.body.printAt);
+    } catch (err) {
+      return res.status(400).render('error', {
+        error: `Could not reschedule job: ${err.message}`
+      });
+    }
+
+    const result = await PrintJob.rescheduleJob(job.id, scheduledFor);
+
+    if (!result.success) {
+      return res.status(409).render('error', {
+        error: `Could not reschedule job: ${result.message}`
+      });
+    }
+
+    if (!scheduledFor) {
+      await jobDispatcher.dispatchPendingJobs();
+    }
+
+    res.redirect('/dashboard');
+  } catch (err) {
+    console.error('Reschedule job error:', err);
+    res.status(500).render('error', { error: 'Failed to reschedule job' });
+  }
+}
+
+/**
+ * Display the release screen listing the user's held jobs
+ */
+async function getReleaseScreen(req, res) {
+  try {
+    const jobs = await PrintJob.getUserPrintJobs(req.session.userId);
+
+    res.render('release', {
+      username: req.session.username,
+      jobs: jobs.filter(job => job.status === 'held'),
+      error: null,
+      success: null
+    });
+  } catch (err) {
+    console.error('Release screen error:', err);
+    res.status(500).render('error', { error: 'Failed to load held jobs' });
+  }
+}
+
+/**
+ * Release a held job with its PIN
+ * Requests from the release screen return to it with the outcome; others go back to the dashboard
+ */
+async function releaseJob(req, res) {
+  const fromReleaseScreen = req.body.from === 'release';
+
+  // Show the outcome on the release screen, or on the error page for dashboard requests
+  const respond = async (status, error, success) => {
+    if (fromReleaseScreen) {
+      const jobs = await PrintJob.getUserPrintJobs(req.session.userId);
+      return res.status(status).render('release', {
+        username: req.session.username,
+        jobs: jobs.filter(job => job.status === 'held'),
+        error,
+        success
+      });
+    }
+
+    if (error) {
+      return res.status(status).render('error', { error });
+    }
+    return res.redirect('/dashboard');
+  };
+
+  try {
+    const { jobId } = req.params;
+
+    if (!jobId || isNaN(jobId)) {
+      return respond(400, 'Invalid job ID', null);
+    }
+
+    const job = await PrintJob.getPrintJob(parseInt(jobId, 10));
+
+    if (!job) {
+      return respond(404, 'Job not found', null);
+    }
+
+    // Verify user owns this job
+    if (job.userId !== req.session.userId) {
+      return respond(403, 'Access denied. You do not have permission to release this job.', null);
+    }
+
+    const result = await PrintJob.releaseJob(job.id, req.body.pin);
+
+    if (!result.success) {
+      return respond(409, `Could not release job: ${result.message}`, null);
+    }
+
+    await jobDispatcher.dispatchPendingJobs();
+
+    return respond(200, null, `${job.documentName} was released to the printer`);
+  } catch (err) {
+    console.error('Release job error:', err);
+    res.status(500).render('error', { error: 'Failed to release job' });
+  }
+}
+
+/**
+ * Print the back sides of a manual duplex job
+ */
+async function continueJob(req, res) {
+  try {
+    const { jobId } = req.params;
+
+    if (!jobId || isNaN(jobId)) {
+      return res.status(400).render('error', {
+        error: 'Invalid job ID'
+      });
+    }
+
+    const job = await PrintJob.getPrintJob(parseInt(jobId, 10));
+
+    if (!job) {
+      return res.status(404).render('error', {
+        error: 'Job not found'
+      });
+    }
+
+    // Verify user owns this job
+    if (job.userId !== req.session.userId) {
+      return res.status(403).render('error', {
+        error: 'Access denied. You do not have permission to continue this job.'
+      });
+    }
+
+    const result = await PrintJob.continueManualDuplex(job.id);
+
+    if (!result.success) {
+      return res.status(409).render('job-details', {
+        username: req.session.username,
+        job,
+        priority: PrintJob.getPriorityName(job.priority),
+        queue: null,
+        attempts: await PrintJob.getJobAttempts(job.id),
+        canCancel: PrintJob.isCancellable(job),
+        error: result.message
+      });
+    }
+
+    res.redirect(`/job/${job.id}`);
+  } catch (err) {
+    console.error('Continue job error:', err);
+    res.status(500).render('error', { error: 'Failed to continue job' });
+  }
+}
+
+/**
+ * Cancel a job (JSON API)
+ */
+async function apiCancelJob(req, res) {
+  try {
+    const { jobId } = req.params;
+
+    if (!jobId || isNaN(jobId)) {
+      return res.status(400).json({ error: 'Invalid job ID' });
+    }
+
+    const job = await PrintJob.getPrintJob(parseInt(jobId, 10));
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    // Verify user owns this job
+    if (job.userId !== req.session.userId) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const result = await PrintJob.cancelJob(job.id);
+
+    if (!result.success) {
+      return res.status(409).json({ success: false, error: result.message });
+    }
+
+    res.json({
+      success: true,
+      jobId: job.id,
+      status: 'cancelled',
+      message: result.message
+    });
+  } catch (err) {
+    console.error('API cancel job error:', err);
+    res.status(500).json({ error: 'Failed to cancel job' });
+  }
+}
+
 /**
  * Manually trigger cleanup
  */
@@ -216,6 +933,7 @@ async function manualCleanup(req, res) {
       details: {
         uploadedDocs: result.uploadedDocs,
         scannedDocs: result.scannedDocs,
+        thumbnails: result.thumbnails,
         printJobs: result.printJobs
       }
     });
@@ -225,11 +943,122 @@ async function manualCleanup(req, res) {
   }
 }
 
+/**
+ * Start printing a job again
+ * The job's document and settings take the place of an upload, so the owner can review them on
+ * the submission page, change them on the configure page, and submit the reprint as a new job
+ */
+async function reprintJob(req, res) {
+  try {
+    const { jobId } = req.params;
+
+    // Validate job ID
+    if (!jobId || isNaN(jobId)) {
+      return res.status(400).render('error', {
+        error: 'Invalid job ID'
+      });
+    }
+
+    // Get job from database
+    const job = await PrintJob.getPrintJob(parseInt(jobId, 10));
+
+    if (!job) {
+      return res.status(404).render('error', {
+        error: 'Job not found'
+      });
+    }
+
+    // Verify user owns this job
+    if (job.userId !== req.session.userId) {
+      return res.status(403).render('error', {
+        error: 'Access denied. You do not have permission to reprint this job.'
+      });
+    }
+
+    const reprint = await PrintJob.getReprint(job.id);
+    if (!reprint.success) {
+      return res.status(410).render('error', { error: reprint.message });
+    }
+
+    req.session.uploadedFiles = [{
+      filename: path.basename(job.documentPath),
+      originalName: job.documentName,
+      mimetype: fileValidator.getMimeType(job.documentPath),
+      size: reprint.size,
+      path: job.documentPath,
+      convertedFrom: null,
+      uploadedAt: job.submittedAt,
+      pageCount: job.pageCount === null ? undefined : job.pageCount,
+      reprintOf: job.id
+    }];
+    req.session.batchMode = null;
+    req.session.printSettings = reprint.settings;
+    req.session.presetId = null;
+    req.session.printerId = job.printerId;
+
+    res.redirect('/submit-job');
+  } catch (err) {
+    console.error('Reprint job error:', err);
+    res.status(500).render('error', { error: 'Failed to reprint job' });
+  }
+}
+
+/**
+ * Keep a job's document beyond the cleanup window, or stop keeping it
+ */
+async function keepJob(req, res) {
+  try {
+    const { jobId } = req.params;
+
+    // Validate job ID
+    if (!jobId || isNaN(jobId)) {
+      return res.status(400).render('error', {
+        error: 'Invalid job ID'
+      });
+    }
+
+    // Get job from database
+    const job = await PrintJob.getPrintJob(parseInt(jobId, 10));
+
+    if (!job) {
+      return res.status(404).render('error', {
+        error: 'Job not found'
+      });
+    }
+
+    // Verify user owns this job
+    if (job.userId !== req.session.userId) {
+      return res.status(403).render('error', {
+        error: 'Access denied. You do not have permission to keep this job.'
+      });
+    }
+
+    const result = await PrintJob.setKeepDocument(job.id, req.body.keep === 'on');
+    if (!result.success) {
+      return res.status(410).render('error', { error: result.message });
+    }
+
+    res.redirect(req.body.returnTo === 'details' ? `/job/${job.id}` : '/dashboard');
+  } catch (err) {
+    console.error('Keep job error:', err);
+    res.status(500).render('error', { error: 'Failed to update job' });
+  }
+}
+
 module.exports = {
   getSubmitJob,
+  postApplyPreset,
   postSubmitJob,
   getJobDetails,
   getDashboard,
   updateJobStatus,
-  manualCleanup
+  cancelJob,
+  rescheduleJob,
+  getReleaseScreen,
+  releaseJob,
+  continueJob,
+  apiCancelJob,
+  manualCleanup,
+  reprintJob,
+  keepJob
 };
@@ -0,0 +1,21 @@
+const User = require('../models/user');
+
+/**
+ * Save the signed-in user's preferences from the dashboard
+ */
+async function postPreferences(req, res) {
+  try {
+    await User.setCoverPagePreference(req.session.userId, req.body.coverPage);
+    res.redirect('/dashboard');
+  } catch (err) {
+    console.error('Preferences update error:', err);
+    if (err.message.startsWith('Invalid')) {
+      return res.status(400).render('error', { error: err.message });
+    }
+    res.status(500).render('error', { error: 'Failed to save preferences' });
+  }
+}
+
+module.exports = {
+  postPreferences
+};
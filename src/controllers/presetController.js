@@ -0,0 +1,103 @@
+const PrintPreset = require('../models/printPreset');
+const { getSessionUser } = require('../middleware/auth');
+
+/**
+ * Render the preset management page
+ * @private
+ */
+async function renderPresets(req, res, error, success, status = 200) {
+  const user = getSessionUser(req);
+  const defaultPreset = await PrintPreset.getDefaultPreset(user);
+
+  res.status(status).render('presets', {
+    username: req.session.username,
+    isAdmin: user.isAdmin,
+    presets: await PrintPreset.listPresets(user),
+    defaultPresetId: defaultPreset ? defaultPreset.id : null,
+    nameMaxLength: PrintPreset.PRESET_NAME_MAX_LENGTH,
+    summarizeSettings: PrintPreset.summarizeSettings,
+    error,
+    success
+  });
+}
+
+/**
+ * Render the page with the error a preset change failed with
+ * @private
+ */
+async function renderPresetError(req, res, err, fallback) {
+  if (err.message === 'Preset not found') {
+    return renderPresets(req, res, err.message, null, 404);
+  }
+  if (err.message.startsWith('Access denied')) {
+    return renderPresets(req, res, err.message, null, 403);
+  }
+  if (err.message.startsWith('Invalid')) {
+    return renderPresets(req, res, err.message, null, 400);
+  }
+  res.status(500).render('error', { error: fallback });
+}
+
+/**
+ * Display the user's presets and the shared presets
+ */
+async function getPresets(req, res) {
+  try {
+    await renderPresets(req, res, null, null);
+  } catch (err) {
+    console.error('Presets page error:', err);
+    res.status(500).render('error', { error: 'Failed to load presets' });
+  }
+}
+
+/**
+ * Rename a preset, and share or unshare it for administrators
+ */
+async function postUpdatePreset(req, res) {
+  try {
+    const preset = await PrintPreset.updatePreset(parseInt(req.params.presetId, 10), getSessionUser(req), {
+      name: req.body.name,
+      shared: req.session.isAdmin ? req.body.shared === 'on' : undefined
+    });
+    await renderPresets(req, res, null, `Preset ${preset.name} saved`);
+  } catch (err) {
+    console.error('Preset update error:', err);
+    await renderPresetError(req, res, err, 'Failed to update preset');
+  }
+}
+
+/**
+ * Delete a preset
+ */
+async function postDeletePreset(req, res) {
+  try {
+    const preset = await PrintPreset.deletePreset(parseInt(req.params.presetId, 10), getSessionUser(req));
+    await renderPresets(req, res, null, `Preset ${preset.name} deleted`);
+  } catch (err) {
+    console.error('Preset delete error:', err);
+    await renderPresetError(req, res, err, 'Failed to delete preset');
+  }
+}
+
+/**
+ * Choose the preset the configure page starts from, or go back to the printer defaults
+ */
+async function postDefaultPreset(req, res) {
+  try {
+    const presetId = parseInt(req.body.presetId, 10) || null;
+    const preset = await PrintPreset.setDefaultPreset(getSessionUser(req), presetId);
+    await renderPresets(req, res, null, preset
+      ? `New print settings now start from ${preset.name}`
+      : 'New print settings now start from the printer defaults');
+  } catch (err) {
+    console.error('Default preset error:', err);
+    await renderPresetError(req, res, err, 'Failed to choose default preset');
+  }
+}
+
+module.exports = {
+  getPresets,
+  postUpdatePreset,
+  postDeletePreset,
+  postDefaultPreset
+};
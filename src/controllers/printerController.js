@@ -0,0 +1,64 @@
+const Printer = require('../models/printer');
+const printerIntegration = require('../utils/printerIntegration');
+const printerState = require('../utils/printerState');
+
+/**
+ * Get the status of the enabled printers, or of one printer with ?printerId=
+ * Responds with the most severe status and each printer's status, severity, message and conditions
+ */
+async function getPrinterStatus(req, res) {
+  try {
+    const { printerId } = req.query;
+    let printers;
+
+    if (printerId) {
+      if (isNaN(printerId)) {
+        return res.status(400).json({ error: 'Invalid printer ID' });
+      }
+
+      const printer = await Printer.getPrinter(parseInt(printerId, 10));
+      if (!printer || !printer.enabled) {
+        return res.status(404).json({ error: 'Printer not found' });
+      }
+      printers = [printer];
+    } else {
+      printers = await Printer.listEnabledPrinters();
+    }
+
+    if (printers.length === 0) {
+      return res.json({ severity: 'error', message: 'No printers are available', printers: [] });
+    }
+
+    const statuses = [];
+    for (const printer of printers) {
+      const status = await printerIntegration.getPrinterStatus(printer.queueName);
+      statuses.push({
+        id: printer.id,
+        displayName: printer.displayName,
+        queueName: printer.queueName,
+        available: status.available,
+        status: status.status,
+        severity: status.severity,
+        message: status.message,
+        conditions: status.conditions,
+        inkWarning: status.inkWarning
+      });
+    }
+
+    const worst = statuses.reduce((current, status) =>
+      printerState.SEVERITIES.indexOf(status.severity) > printerState.SEVERITIES.indexOf(current.severity) ? status : current);
+
+    res.json({
+      severity: worst.severity,
+      message: worst.message,
+      printers: statuses
+    });
+  } catch (err) {
+    console.error('Printer status error:', err);
+    res.status(500).json({ error: 'Failed to check printer status' });
+  }
+}
+
+module.exports = {
+  getPrinterStatus
+};
@@ -0,0 +1,91 @@
+const PrintJob = require('../models/printJob');
+const scannerIntegration = require('../utils/scannerIntegration');
+const thumbnailService = require('../utils/thumbnailService');
+
+/**
+ * Send a document's preview, rendering it if needed
+ * @private
+ */
+async function sendThumbnail(res, sourcePath) {
+  const thumbnailPath = await thumbnailService.getThumbnail(sourcePath);
+
+  if (!thumbnailPath) {
+    return res.status(404).json({ error: 'No preview available' });
+  }
+
+  // Previews are per user, so only the browser may cache them
+  res.set('Cache-Control', 'private, max-age=3600');
+  res.sendFile(thumbnailPath);
+}
+
+/**
+ * Preview of a document uploaded in this session
+ */
+async function getUploadThumbnail(req, res) {
+  try {
+    const uploadedFile = (req.session.uploadedFiles || []).find(file => file.filename === req.params.fileName);
+
+    // Only the uploads in the user's own session can be previewed
+    if (!uploadedFile) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+
+    await sendThumbnail(res, uploadedFile.path);
+  } catch (err) {
+    console.error('Upload thumbnail error:', err);
+    res.status(500).json({ error: 'Failed to render preview' });
+  }
+}
+
+/**
+ * Preview of a scanned document
+ */
+async function getScanThumbnail(req, res) {
+  try {
+    const docResult = await scannerIntegration.getScannedDocument(req.params.fileName);
+
+    if (!docResult.success) {
+      return res.status(404).json({ error: docResult.message });
+    }
+
+    await sendThumbnail(res, docResult.filePath);
+  } catch (err) {
+    console.error('Scan thumbnail error:', err);
+    res.status(500).json({ error: 'Failed to render preview' });
+  }
+}
+
+/**
+ * Preview of a print job's document
+ */
+async function getJobThumbnail(req, res) {
+  try {
+    const { jobId } = req.params;
+
+    if (!jobId || isNaN(jobId)) {
+      return res.status(400).json({ error: 'Invalid job ID' });
+    }
+
+    const job = await PrintJob.getPrintJob(parseInt(jobId, 10));
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    // Verify user owns this job
+    if (job.userId !== req.session.userId) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    await sendThumbnail(res, job.documentPath);
+  } catch (err) {
+    console.error('Job thumbnail error:', err);
+    res.status(500).json({ error: 'Failed to render preview' });
+  }
+}
+
+module.exports = {
+  getUploadThumbnail,
+  getScanThumbnail,
+  getJobThumbnail
+};
@@ -1,22 +1,130 @@
 const path = require('path');
 const fs = require('fs').promises;
+const multer = require('multer');
 const fileValidator = require('../utils/fileValidator');
+const textRenderer = require('../utils/textRenderer');
+const PrintBatch = require('../models/printBatch');
+
+/**
+ * Render the upload page
+ * @private
+ */
+function renderUpload(req, res, { error = null, success = null, uploadedFiles = null } = {}) {
+  res.render('upload', {
+    username: req.session.username,
+    supportedFormats: fileValidator.getSupportedExtensions().join(', '),
+    maxSizeMB: fileValidator.getFileSizeLimitMB(),
+    maxFiles: PrintBatch.BATCH_CONFIG.maxFiles,
+    error,
+    success,
+    uploadedFiles
+  });
+}
+
+/**
+ * Check that an uploaded file can be printed
+ * @private
+ * @param {Object} file - File received by multer
+ * @returns {Promise<string|null>} Why the file was refused, or null if it is fine
+ */
+async function checkUploadedFile(file) {
+  const { filename, mimetype, size, path: filePath } = file;
+
+  // Validate file format
+  if (!fileValidator.validateFileFormat(filename, mimetype)) {
+    return `Unsupported file format. Supported formats: ${fileValidator.getSupportedExtensions().join(', ')}`;
+  }
+
+  // Validate file size
+  if (!fileValidator.validateFileSize(size)) {
+    return `File size exceeds maximum limit of ${fileValidator.getFileSizeLimitMB()}MB`;
+  }
+
+  // The MIME type comes from the browser, so check the content really is that format
+  const contentCheck = await fileValidator.checkFileContent(filePath, mimetype);
+  if (!contentCheck.valid) {
+    return `${contentCheck.message}. Please upload the original file.`;
+  }
+
+  return null;
+}
+
+/**
+ * Turn an uploaded file into the document that is configured and printed
+ * Text documents are laid out as a PDF
+ * @private
+ * @param {Object} file - File received by multer
+ * @returns {Promise<{upload: Object, replacedCharacters: Array<string>}>} Session upload, and the characters
+ *   of a text document that are printed as question marks
+ * @throws {Error} With code textRenderer.TEXT_TOO_LONG if a text document is too long to lay out
+ */
+async function prepareDocument(file) {
+  let document = { filename: file.filename, mimetype: file.mimetype, size: file.size, path: file.path };
+  let replacedCharacters = [];
+
+  if (fileValidator.isTextFormat(file.mimetype)) {
+    const converted = await textRenderer.convertTextFile(file.path, {
+      markdown: fileValidator.isMarkdownFile(file.originalname, file.mimetype),
+      title: file.originalname
+    });
+    await fs.unlink(file.path);
+
+    const stats = await fs.stat(converted.path);
+    document = { filename: path.basename(converted.path), mimetype: 'application/pdf', size: stats.size, path: converted.path };
+    replacedCharacters = converted.replacedCharacters;
+  }
+
+  const upload = {
+    filename: document.filename,
+    originalName: file.originalname,
+    mimetype: document.mimetype,
+    size: document.size,
+    path: document.path,
+    convertedFrom: document.mimetype !== file.mimetype ? file.mimetype : null,
+    uploadedAt: new Date().toISOString()
+  };
+  return { upload, replacedCharacters };
+}
+
+/**
+ * Tell the user which characters of their text documents will print as question marks
+ * @private
+ * @param {Array<{name: string, characters: Array<string>}>} replacements - Replaced characters by document
+ * @returns {string} Notice, or an empty string if nothing was replaced
+ */
+function describeReplacedCharacters(replacements) {
+  return replacements
+    .filter(({ characters }) => characters.length > 0)
+    .map(({ name, characters }) => {
+      const shown = characters.slice(0, 10).join(' ');
+      const more = characters.length > 10 ? ` and ${characters.length - 10} more` : '';
+      return ` Some characters in "${name}" are not in the printer's fonts and will print as "?": ${shown}${more}.`;
+    })
+    .join('');
+}
+
+/**
+ * Delete uploaded files that will not be printed
+ * @private
+ */
+async function removeUploads(filePaths) {
+  for (const filePath of filePaths) {
+    try {
+      await fs.unlink(filePath);
+    } catch (unlinkErr) {
+      if (unlinkErr.code !== 'ENOENT') {
+        console.error('Failed to delete uploaded file:', unlinkErr);
+      }
+    }
+  }
+}
 
 /**
  * Display upload page
  */
 async function getUpload(req, res) {
   try {
-    const supportedFormats = fileValidator.getSupportedExtensions().join(', ');
-    const maxSizeMB = fileValidator.getFileSizeLimitMB();
-    
-    res.render('upload', {
-      username: req.session.username,
-      supportedFormats,
-      maxSizeMB,
-      error: null,
-      success: null
-    });
+    renderUpload(req, res);
   } catch (err) {
     console.error('Upload page error:', err);
     res.status(500).render('error', { error: 'Failed to load upload page' });
@@ -25,87 +133,102 @@ async function getUpload(req, res) {
 
 /**
  * Handle file upload
+ * Several files can be uploaded at once; they form a batch that shares one settings step and
+ * prints in the order chosen on the upload page
  */
 async function postUpload(req, res) {
+  const files = req.files || [];
+  const documentPaths = [];
+
   try {
     // Check if file was uploaded
-    if (!req.file) {
-      return res.render('upload', {
-        username: req.session.username,
-        supportedFormats: fileValidator.getSupportedExtensions().join(', '),
-        maxSizeMB: fileValidator.getFileSizeLimitMB(),
-        error: 'No file selected',
-        success: null
-      });
+    if (files.length === 0) {
+      return renderUpload(req, res, { error: 'No file selected' });
     }
 
-    const { filename, mimetype, size, path: filePath } = req.file;
+    let orderedFiles;
+    try {
+      orderedFiles = PrintBatch.orderFiles(files, req.body.fileOrder);
+    } catch (err) {
+      await removeUploads(files.map(file => file.path));
+      return renderUpload(req, res, { error: `${err.message}. Please choose the files again.` });
+    }
 
-    // Validate file format
-    if (!fileValidator.validateFileFormat(filename, mimetype)) {
-      // Delete the uploaded file
-      await fs.unlink(filePath);
-      
-      const supportedFormats = fileValidator.getSupportedExtensions().join(', ');
-      return res.render('upload', {
-        username: req.session.username,
-        supportedFormats,
-        maxSizeMB: fileValidator.getFileSizeLimitMB(),
-        error: `Unsupported file format. Supported formats: ${supportedFormats}`,
-        success: null
-      });
+    // One unprintable file rejects the whole batch, so it never prints with a document missing
+    for (const file of orderedFiles) {
+      const problem = await checkUploadedFile(file);
+      if (problem) {
+        await removeUploads(files.map(upload => upload.path));
+        return renderUpload(req, res, {
+          error: files.length > 1 ? `${file.originalname}: ${problem}` : problem
+        });
+      }
     }
 
-    // Validate file size
-    if (!fileValidator.validateFileSize(size)) {
-      // Delete the uploaded file
-      await fs.unlink(filePath);
-      
-      const maxSizeMB = fileValidator.getFileSizeLimitMB();
-      return res.render('upload', {
-        username: req.session.username,
-        supportedFormats: fileValidator.getSupportedExtensions().join(', '),
-        maxSizeMB,
-        error: `File size exceeds maximum limit of ${maxSizeMB}MB`,
-        success: null
-      });
+    const uploadedFiles = [];
+    const replacements = [];
+    for (const file of orderedFiles) {
+      let prepared;
+      try {
+        prepared = await prepareDocument(file);
+      } catch (err) {
+        if (err.code !== textRenderer.TEXT_TOO_LONG) {
+          throw err;
+        }
+        // A text document too long to lay out rejects the batch like any other unprintable file
+        await removeUploads([...files.map(upload => upload.path), ...documentPaths]);
+        return renderUpload(req, res, {
+          error: files.length > 1 ? `${file.originalname}: ${err.message}` : err.message
+        });
+      }
+      documentPaths.push(prepared.upload.path);
+      uploadedFiles.push(prepared.upload);
+      replacements.push({ name: file.originalname, characters: prepared.replacedCharacters });
     }
 
     // Store file information in session for next step (print configuration)
-    req.session.uploadedFile = {
-      filename,
-      originalName: req.file.originalname,
-      mimetype,
-      size,
-      path: filePath,
-      uploadedAt: new Date().toISOString()
-    };
-
-    res.render('upload', {
-      username: req.session.username,
-      supportedFormats: fileValidator.getSupportedExtensions().join(', '),
-      maxSizeMB: fileValidator.getFileSizeLimitMB(),
-      error: null,
-      success: `File "${req.file.originalname}" uploaded successfully. Proceed to configure print settings.`,
-      uploadedFile: req.session.uploadedFile
+    req.session.uploadedFiles = uploadedFiles;
+    req.session.batchMode = PrintBatch.BATCH_MODES[0];
+
+    const converted = uploadedFiles.some(file => file.convertedFrom) ? ' and laid out for printing' : '';
+    const uploaded = uploadedFiles.length > 1 ? `${uploadedFiles.length} files` : `File "${uploadedFiles[0].originalName}"`;
+    renderUpload(req, res, {
+      success: `${uploaded} uploaded${converted} successfully. Proceed to configure print settings.${describeReplacedCharacters(replacements)}`,
+      uploadedFiles
     });
   } catch (err) {
     console.error('Upload error:', err);
-    
-    // Clean up uploaded file if it exists
-    if (req.file && req.file.path) {
-      try {
-        await fs.unlink(req.file.path);
-      } catch (unlinkErr) {
-        console.error('Failed to delete uploaded file:', unlinkErr);
-      }
-    }
+
+    // Clean up uploaded files and the documents made from them
+    await removeUploads([...files.map(file => file.path), ...documentPaths]);
 
     res.status(500).render('error', { error: 'An error occurred during file upload' });
   }
 }
 
+/**
+ * Handle files multer refused before they reached postUpload
+ * Too many files or a file over the size limit rejects the batch like the other upload checks;
+ * multer has already deleted the files it stored. Other errors go to the app's error handler.
+ */
+function handleUploadError(err, req, res, next) {
+  if (!(err instanceof multer.MulterError)) {
+    return next(err);
+  }
+
+  if (err.code === 'LIMIT_UNEXPECTED_FILE' && err.field === 'document') {
+    return renderUpload(req, res, { error: `At most ${PrintBatch.BATCH_CONFIG.maxFiles} files can be uploaded at once` });
+  }
+
+  if (err.code === 'LIMIT_FILE_SIZE') {
+    return renderUpload(req, res, { error: `File size exceeds maximum limit of ${fileValidator.getFileSizeLimitMB()}MB` });
+  }
+
+  next(err);
+}
+
 module.exports = {
   getUpload,
-  postUpload
+  postUpload,
+  handleUploadError
 };
@@ -5,6 +5,8 @@ const sqlite3 = require('sqlite3').verbose();
 const express = require('express');
 const session = require('express-session');
 const db = require('./models/database');
+const PrintBatch = require('./models/printBatch');
+const fileValidator = require('./utils/fileValidator');
 const authController = require('./controllers/authController');
 const uploadController = require('./controllers/uploadController');
 const configController = require('./controllers/configController');
@@ -56,7 +58,7 @@ app.get('/dashboard', requireAuth, jobController.getDashboard);
 
 // Upload routes
 app.get('/upload', requireAuth, uploadController.getUpload);
-app.post('/upload', requireAuth, upload.single('document'), uploadController.postUpload);
+app.post('/upload', requireAuth, upload.array('document', PrintBatch.BATCH_CONFIG.maxFiles), uploadController.postUpload, uploadController.handleUploadError);
 
 // Configuration routes
 app.get('/configure', requireAuth, configController.getConfig);
@@ -221,6 +223,22 @@ function cleanupTestFiles() {
   }
 }
 
+/**
+ * Delete the files multer stored for uploads sent under the given names since a directory listing
+ * Stored names are the sanitised upload name followed by a unique suffix, e.g. chapter-one-1700000000000-42.pdf
+ */
+function removeStoredUploads(before, originalNames) {
+  const uploadsDir = path.join(__dirname, '../uploads');
+  const prefixes = originalNames.map(name => {
+    const safeName = fileValidator.sanitizeFileName(name);
+    return `${path.basename(safeName, path.extname(safeName))}-`;
+  });
+
+  fs.readdirSync(uploadsDir)
+    .filter(file => !before.includes(file) && prefixes.some(prefix => file.startsWith(prefix)))
+    .forEach(file => fs.unlinkSync(path.join(uploadsDir, file)));
+}
+
 describe('Integration Tests - Print Queue Manager', () => {
   beforeAll(async () => {
     // Initialize the main database for tests
@@ -399,6 +417,155 @@ describe('Integration Tests - Print Queue Manager', () => {
       expect(submitResponse.text).toContain('confirmation');
     });
 
+    /**
+     * Test that several files uploaded together form a batch in the chosen order
+     */
+    test('should upload several files as one batch in the chosen print order', async () => {
+      await request(app)
+        .post('/register')
+        .send({
+          username: 'testuser_batch',
+          password: 'password123',
+          confirmPassword: 'password123'
+        });
+
+      const loginResponse = await request(app)
+        .post('/login')
+        .send({
+          username: 'testuser_batch',
+          password: 'password123'
+        });
+
+      const setCookieHeader = loginResponse.headers['set-cookie'];
+      const pdfContent = fs.readFileSync(createTestPdfFile());
+      const before = fs.readdirSync(path.join(__dirname, '../uploads'));
+
+      try {
+        // The second file was dragged in front of the first
+        const uploadResponse = await request(app)
+          .post('/upload')
+          .set('Cookie', setCookieHeader)
+          .field('fileOrder', '1,0')
+          .attach('document', pdfContent, { filename: 'chapter-two.pdf', contentType: 'application/pdf' })
+          .attach('document', pdfContent, { filename: 'chapter-one.pdf', contentType: 'application/pdf' });
+
+        expect(uploadResponse.status).toBe(200);
+        expect(uploadResponse.text).toContain('2 files uploaded successfully');
+
+        const configPageResponse = await request(app)
+          .get('/configure')
+          .set('Cookie', setCookieHeader);
+
+        expect(configPageResponse.status).toBe(200);
+        expect(configPageResponse.text).toContain('Batch of 2 Files');
+        expect(configPageResponse.text.indexOf('chapter-one.pdf')).toBeLessThan(configPageResponse.text.indexOf('chapter-two.pdf'));
+
+        const submitPageResponse = await request(app)
+          .get('/submit-job')
+          .set('Cookie', setCookieHeader);
+
+        expect(submitPageResponse.status).toBe(200);
+        expect(submitPageResponse.text).toContain('Each file becomes a job of its own');
+      } finally {
+        removeStoredUploads(before, ['chapter-one.pdf', 'chapter-two.pdf']);
+      }
+    });
+
+    /**
+     * Test that a batch over the file limit is turned away with a message instead of an error page
+     */
+    test('should reject a batch with more files than the limit', async () => {
+      await request(app)
+        .post('/register')
+        .send({
+          username: 'testuser_big_batch',
+          password: 'password123',
+          confirmPassword: 'password123'
+        });
+
+      const loginResponse = await request(app)
+        .post('/login')
+        .send({
+          username: 'testuser_big_batch',
+          password: 'password123'
+        });
+
+      const setCookieHeader = loginResponse.headers['set-cookie'];
+      const pdfContent = fs.readFileSync(createTestPdfFile());
+      const before = fs.readdirSync(path.join(__dirname, '../uploads'));
+      const names = Array.from({ length: PrintBatch.BATCH_CONFIG.maxFiles + 1 }, (_, i) => `too-many-${i + 1}.pdf`);
+
+      try {
+        let uploadRequest = request(app)
+          .post('/upload')
+          .set('Cookie', setCookieHeader);
+        names.forEach(name => {
+          uploadRequest = uploadRequest.attach('document', pdfContent, { filename: name, contentType: 'application/pdf' });
+        });
+        const uploadResponse = await uploadRequest;
+
+        expect(uploadResponse.status).toBe(200);
+        expect(uploadResponse.text).toContain(`At most ${PrintBatch.BATCH_CONFIG.maxFiles} files can be uploaded at once`);
+      } finally {
+        removeStoredUploads(before, names);
+      }
+    });
+
+    /**
+     * Test that a PDF whose pages cannot be counted is turned away when it is submitted, since it
+     * could never be charged to the print quota
+     */
+    test('should refuse to submit a PDF whose pages cannot be counted', async () => {
+      await request(app)
+        .post('/register')
+        .send({
+          username: 'testuser_uncounted',
+          password: 'password123',
+          confirmPassword: 'password123'
+        });
+
+      const loginResponse = await request(app)
+        .post('/login')
+        .send({
+          username: 'testuser_uncounted',
+          password: 'password123'
+        });
+
+      const setCookieHeader = loginResponse.headers['set-cookie'];
+      const user = await db.getUserByUsername('testuser_uncounted');
+      const jobsBefore = await db.getPrintJobs(user.id);
+      const before = fs.readdirSync(path.join(__dirname, '../uploads'));
+
+      try {
+        const uploadResponse = await request(app)
+          .post('/upload')
+          .set('Cookie', setCookieHeader)
+          .attach('document', Buffer.from('%PDF-1.4\nno pages here\n'), { filename: 'unreadable.pdf', contentType: 'application/pdf' });
+
+        expect(uploadResponse.text).toContain('uploaded successfully');
+
+        await request(app)
+          .post('/configure')
+          .set('Cookie', setCookieHeader)
+          .send({
+            paperType: 'Plain Paper',
+            printQuality: 'Normal',
+            colorMode: 'Grayscale',
+            paperSize: 'A4'
+          });
+
+        const submitResponse = await request(app)
+          .post('/submit-job')
+          .set('Cookie', setCookieHeader);
+
+        expect(submitResponse.status).toBe(400);
+        expect(submitResponse.text).toContain('could not be read, so it cannot be checked against your print quota');
+        expect(await db.getPrintJobs(user.id)).toHaveLength(jobsBefore.length);
+      } finally {
+        removeStoredUploads(before, ['unreadable.pdf']);
+      }
+    });
+
     /**
      * Test that file format validation works during upload
      * Requirements: 2.3, 2.5
@@ -448,6 +615,79 @@ describe('Integration Tests - Print Queue Manager', () => {
         fs.unlinkSync(testFilePath);
       }
     });
+
+    /**
+     * Test that hostile upload names are stored under safe names and never reach a shell
+     */
+    test('should store hostile file names safely and submit them without running commands', async () => {
+      await request(app)
+        .post('/register')
+        .send({
+          username: 'testuser_hostile',
+          password: 'password123',
+          confirmPassword: 'password123'
+        });
+
+      const loginResponse = await request(app)
+        .post('/login')
+        .send({
+          username: 'testuser_hostile',
+          password: 'password123'
+        });
+
+      const setCookieHeader = loginResponse.headers['set-cookie'];
+      const uploadsDir = path.join(__dirname, '../uploads');
+      const sentinel = path.join(process.cwd(), 'pqm-upload-sentinel');
+      const pdfContent = fs.readFileSync(createTestPdfFile());
+      const storedFiles = [];
+
+      const hostileNames = [
+        '$(touch pqm-upload-sentinel).pdf',
+        '`touch pqm-upload-sentinel`.pdf',
+        'report"; touch pqm-upload-sentinel; ".pdf',
+        "it's; touch pqm-upload-sentinel #.pdf",
+        '-rf --help.pdf'
+      ];
+
+      try {
+        for (const name of hostileNames) {
+          const before = fs.readdirSync(uploadsDir);
+
+          const uploadResponse = await request(app)
+            .post('/upload')
+            .set('Cookie', setCookieHeader)
+            .attach('document', pdfContent, { filename: name, contentType: 'application/pdf' });
+
+          expect(uploadResponse.status).toBe(200);
+          expect(uploadResponse.text).toContain('uploaded successfully');
+
+          const stored = fs.readdirSync(uploadsDir).filter(file => !before.includes(file));
+          storedFiles.push(...stored);
+          expect(stored).toHaveLength(1);
+          expect(stored[0]).toMatch(/^[A-Za-z0-9][A-Za-z0-9._-]*\.pdf$/);
+
+          await request(app)
+            .post('/configure')
+            .set('Cookie', setCookieHeader)
+            .send({
+              paperType: 'Plain Paper',
+              printQuality: 'Normal',
+              colorMode: 'Grayscale',
+              paperSize: 'A4'
+            });
+
+          const submitResponse = await request(app)
+            .post('/submit-job')
+            .set('Cookie', setCookieHeader);
+
+          expect(submitResponse.status).toBe(200);
+        }
+
+        expect(fs.existsSync(sentinel)).toBe(false);
+      } finally {
+        storedFiles.forEach(file => fs.unlinkSync(path.join(uploadsDir, file)));
+      }
+    });
   });
 
   describe('Job History Retrieval and Display', () => {
@@ -24,7 +24,35 @@ function requireGuest(req, res, next) {
   next();
 }
 
+/**
+ * Middleware to check if user is an administrator
+ * Redirects to login if not authenticated, responds 403 otherwise
+ */
+function requireAdmin(req, res, next) {
+  if (!req.session || !req.session.userId) {
+    return res.redirect('/login');
+  }
+  if (!req.session.isAdmin) {
+    return res.status(403).render('error', { error: 'Administrator access required' });
+  }
+  next();
+}
+
+/**
+ * Get the signed-in user from the session
+ * @param {Object} req - Express request object
+ * @returns {{id: number, isAdmin: boolean}}
+ */
+function getSessionUser(req) {
+  return {
+    id: req.session.userId,
+    isAdmin: Boolean(req.session.isAdmin)
+  };
+}
+
 module.exports = {
   requireAuth,
-  requireGuest
+  requireGuest,
+  requireAdmin,
+  getSessionUser
 };
@@ -15,10 +15,11 @@ const storage = multer.diskStorage({
     cb(null, uploadsDir);
   },
   filename: (req, file, cb) => {
-    // Generate unique filename with timestamp
+    // Generate unique filename with timestamp from a sanitised copy of the client's name
     const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const ext = path.extname(file.originalname);
-    const name = path.basename(file.originalname, ext);
+    const safeName = fileValidator.sanitizeFileName(file.originalname);
+    const ext = path.extname(safeName);
+    const name = path.basename(safeName, ext);
     cb(null, `${name}-${uniqueSuffix}${ext}`);
   }
 });
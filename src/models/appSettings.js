@@ -0,0 +1,69 @@
+const db = require('./database');
+
+/**
+ * App Settings model
+ * Site-wide settings chosen by administrators, such as whether jobs print with a cover page for
+ * users who have not picked their own preference. Settings are stored in the AppSetting table as
+ * JSON values; settings that were never saved keep their defaults.
+ */
+
+const DEFAULT_APP_SETTINGS = {
+  // Print a cover page ahead of each job for users following the site default
+  coverPageDefault: false
+};
+
+/**
+ * Get all site-wide settings
+ * Stored values that cannot be read fall back to their defaults
+ * @returns {Promise<Object>} Settings keyed as in DEFAULT_APP_SETTINGS
+ */
+async function getAppSettings() {
+  const settings = { ...DEFAULT_APP_SETTINGS };
+  const rows = await db.getAppSettings();
+
+  rows.forEach(({ key, value }) => {
+    if (!Object.prototype.hasOwnProperty.call(DEFAULT_APP_SETTINGS, key)) {
+      return;
+    }
+
+    try {
+      const parsed = JSON.parse(value);
+      if (typeof parsed === typeof DEFAULT_APP_SETTINGS[key]) {
+        settings[key] = parsed;
+      }
+    } catch (err) {
+      console.error(`[SETTINGS] Ignoring unreadable value of ${key}: ${err.message}`);
+    }
+  });
+
+  return settings;
+}
+
+/**
+ * Change site-wide settings
+ * @param {Object} changes - Settings to change, keyed as in DEFAULT_APP_SETTINGS
+ * @returns {Promise<Object>} All settings after the change
+ * @throws {Error} If a setting is unknown or its value has the wrong type
+ */
+async function updateAppSettings(changes) {
+  for (const [key, value] of Object.entries(changes)) {
+    if (!Object.prototype.hasOwnProperty.call(DEFAULT_APP_SETTINGS, key)) {
+      throw new Error(`Unknown setting: ${key}`);
+    }
+    if (typeof value !== typeof DEFAULT_APP_SETTINGS[key]) {
+      throw new Error(`Invalid value for ${key}: ${value}`);
+    }
+  }
+
+  for (const [key, value] of Object.entries(changes)) {
+    await db.setAppSetting(key, JSON.stringify(value));
+  }
+
+  return getAppSettings();
+}
+
+module.exports = {
+  DEFAULT_APP_SETTINGS,
+  getAppSettings,
+  updateAppSettings
+};
@@ -0,0 +1,36 @@
+const db = require('./database');
+const AppSettings = require('./appSettings');
+
+describe('App Settings', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should use the defaults for settings that were never saved or cannot be read', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(db, 'getAppSettings').mockResolvedValue([
+      { key: 'coverPageDefault', value: '{not json' },
+      { key: 'retired', value: '"x"' }
+    ]);
+
+    expect(await AppSettings.getAppSettings()).toEqual(AppSettings.DEFAULT_APP_SETTINGS);
+  });
+
+  test('should store changed settings as JSON', async () => {
+    const save = jest.spyOn(db, 'setAppSetting').mockResolvedValue({ changes: 1 });
+    jest.spyOn(db, 'getAppSettings').mockResolvedValue([{ key: 'coverPageDefault', value: 'true' }]);
+
+    const settings = await AppSettings.updateAppSettings({ coverPageDefault: true });
+
+    expect(save).toHaveBeenCalledWith('coverPageDefault', 'true');
+    expect(settings.coverPageDefault).toBe(true);
+  });
+
+  test('should refuse unknown settings and values of the wrong type', async () => {
+    const save = jest.spyOn(db, 'setAppSetting').mockResolvedValue({ changes: 1 });
+
+    await expect(AppSettings.updateAppSettings({ theme: 'dark' })).rejects.toThrow('Unknown setting: theme');
+    await expect(AppSettings.updateAppSettings({ coverPageDefault: 'yes' })).rejects.toThrow('Invalid value for coverPageDefault');
+    expect(save).not.toHaveBeenCalled();
+  });
+});
@@ -32,6 +32,7 @@ function initializeDatabase() {
         }
 
         createTables()
+          .then(migrateTables)
           .then(() => resolve(db))
           .catch(reject);
       });
@@ -52,6 +53,10 @@ function createTables() {
           id INTEGER PRIMARY KEY AUTOINCREMENT,
           username TEXT UNIQUE NOT NULL,
           passwordHash TEXT NOT NULL,
+          isAdmin INTEGER DEFAULT 0,
+          forcedWatermark TEXT,
+          coverPage INTEGER,
+          defaultPresetId INTEGER,
           createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
         )
       `, (err) => {
@@ -61,21 +66,71 @@ function createTables() {
         }
       });
 
+      // Printer table
+      db.run(`
+        CREATE TABLE IF NOT EXISTS Printer (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          queueName TEXT UNIQUE NOT NULL,
+          displayName TEXT NOT NULL,
+          capabilityProfile TEXT,
+          enabled INTEGER DEFAULT 1,
+          createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `, (err) => {
+        if (err) {
+          reject(new Error(`Failed to create Printer table: ${err.message}`));
+          return;
+        }
+      });
+
       // PrintJob table
       db.run(`
         CREATE TABLE IF NOT EXISTS PrintJob (
           id INTEGER PRIMARY KEY AUTOINCREMENT,
           userId INTEGER NOT NULL,
+          printerId INTEGER,
           documentName TEXT NOT NULL,
           documentPath TEXT NOT NULL,
           paperType TEXT DEFAULT 'Plain Paper',
           printQuality INTEGER DEFAULT 600,
           colorMode TEXT DEFAULT 'Grayscale',
           paperSize TEXT DEFAULT 'A4',
+          copies INTEGER DEFAULT 1,
+          pageRanges TEXT DEFAULT '',
+          pagesPerSheet INTEGER DEFAULT 1,
+          orientation TEXT DEFAULT 'Portrait',
+          collated INTEGER DEFAULT 1,
+          duplexMode TEXT DEFAULT 'Off',
+          duplexBackPages TEXT,
+          duplexSetAsidePage INTEGER,
+          flipUntil DATETIME,
+          priority INTEGER DEFAULT 1,
+          attemptCount INTEGER DEFAULT 0,
+          nextAttemptAt DATETIME,
+          scheduledFor DATETIME,
+          releasePinHash TEXT,
+          heldUntil DATETIME,
+          pageCount INTEGER,
+          imageScaling TEXT,
+          imageScale INTEGER,
+          imagePosition TEXT,
+          imageMargin INTEGER,
+          borderless INTEGER DEFAULT 0,
+          watermarkText TEXT,
+          watermarkPosition TEXT,
+          watermarkOpacity INTEGER,
+          watermarkFontSize INTEGER,
+          reprintOf INTEGER,
+          keepDocument INTEGER DEFAULT 0,
+          batchId INTEGER,
           status TEXT DEFAULT 'pending',
+          cupsJobId TEXT,
           submittedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
           completedAt DATETIME,
-          FOREIGN KEY (userId) REFERENCES User(id) ON DELETE CASCADE
+          cancelledAt DATETIME,
+          FOREIGN KEY (userId) REFERENCES User(id) ON DELETE CASCADE,
+          FOREIGN KEY (printerId) REFERENCES Printer(id) ON DELETE SET NULL,
+          FOREIGN KEY (batchId) REFERENCES PrintBatch(id) ON DELETE SET NULL
         )
       `, (err) => {
         if (err) {
@@ -84,6 +139,132 @@ function createTables() {
         }
       });
 
+      // PrintJobAttempt table: one row per submission to the printer
+      db.run(`
+        CREATE TABLE IF NOT EXISTS PrintJobAttempt (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          jobId INTEGER NOT NULL,
+          attemptNumber INTEGER NOT NULL,
+          success INTEGER NOT NULL,
+          retryable INTEGER DEFAULT 0,
+          message TEXT,
+          attemptedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (jobId) REFERENCES PrintJob(id) ON DELETE CASCADE
+        )
+      `, (err) => {
+        if (err) {
+          reject(new Error(`Failed to create PrintJobAttempt table: ${err.message}`));
+          return;
+        }
+      });
+
+      // PrintBatch table: files uploaded together and printed with one set of settings, either as
+      // one job per file (separate) or as a single job of the files joined together (combined)
+      db.run(`
+        CREATE TABLE IF NOT EXISTS PrintBatch (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          userId INTEGER NOT NULL,
+          mode TEXT NOT NULL,
+          fileCount INTEGER NOT NULL,
+          createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (userId) REFERENCES User(id) ON DELETE CASCADE
+        )
+      `, (err) => {
+        if (err) {
+          reject(new Error(`Failed to create PrintBatch table: ${err.message}`));
+          return;
+        }
+      });
+
+      // UserQuota table: per-user page limits; NULL limits use the defaults in QUOTA_CONFIG
+      db.run(`
+        CREATE TABLE IF NOT EXISTS UserQuota (
+          userId INTEGER PRIMARY KEY,
+          dailyColorLimit INTEGER,
+          dailyGrayscaleLimit INTEGER,
+          monthlyColorLimit INTEGER,
+          monthlyGrayscaleLimit INTEGER,
+          resetAt DATETIME,
+          FOREIGN KEY (userId) REFERENCES User(id) ON DELETE CASCADE
+        )
+      `, (err) => {
+        if (err) {
+          reject(new Error(`Failed to create UserQuota table: ${err.message}`));
+          return;
+        }
+      });
+
+      // QuotaUsage table: pages charged for jobs, and negative entries for top-ups
+      db.run(`
+        CREATE TABLE IF NOT EXISTS QuotaUsage (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          userId INTEGER NOT NULL,
+          jobId INTEGER,
+          inkType TEXT NOT NULL,
+          pages INTEGER NOT NULL,
+          recordedAt DATETIME NOT NULL,
+          FOREIGN KEY (userId) REFERENCES User(id) ON DELETE CASCADE,
+          FOREIGN KEY (jobId) REFERENCES PrintJob(id) ON DELETE SET NULL
+        )
+      `, (err) => {
+        if (err) {
+          reject(new Error(`Failed to create QuotaUsage table: ${err.message}`));
+          return;
+        }
+      });
+
+      // InkLevelReading table: one row per supply each time a printer's ink levels are read
+      db.run(`
+        CREATE TABLE IF NOT EXISTS InkLevelReading (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          queueName TEXT NOT NULL,
+          markerName TEXT NOT NULL,
+          markerColor TEXT,
+          markerType TEXT,
+          level INTEGER,
+          lowLevel INTEGER,
+          recordedAt DATETIME NOT NULL
+        )
+      `, (err) => {
+        if (err) {
+          reject(new Error(`Failed to create InkLevelReading table: ${err.message}`));
+          return;
+        }
+      });
+
+      // PrintPreset table: named print settings, stored as JSON; shared presets are offered to every user
+      db.run(`
+        CREATE TABLE IF NOT EXISTS PrintPreset (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          userId INTEGER NOT NULL,
+          name TEXT NOT NULL,
+          settings TEXT NOT NULL,
+          shared INTEGER DEFAULT 0,
+          createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (userId, name),
+          FOREIGN KEY (userId) REFERENCES User(id) ON DELETE CASCADE
+        )
+      `, (err) => {
+        if (err) {
+          reject(new Error(`Failed to create PrintPreset table: ${err.message}`));
+          return;
+        }
+      });
+
+      // AppSetting table: site-wide settings chosen by administrators, stored as JSON values
+      db.run(`
+        CREATE TABLE IF NOT EXISTS AppSetting (
+          key TEXT PRIMARY KEY,
+          value TEXT NOT NULL
+        )
+      `, (err) => {
+        if (err) {
+          reject(new Error(`Failed to create AppSetting table: ${err.message}`));
+          return;
+        }
+      });
+
       // Session table
       db.run(`
         CREATE TABLE IF NOT EXISTS Session (
@@ -104,6 +285,67 @@ function createTables() {
   });
 }
 
+// Columns added after a table was first created. Older database files are
+// brought up to date on startup because CREATE TABLE IF NOT EXISTS skips them.
+const COLUMN_MIGRATIONS = [
+  { table: 'PrintJob', column: 'cupsJobId', definition: 'TEXT' },
+  { table: 'PrintJob', column: 'cancelledAt', definition: 'DATETIME' },
+  { table: 'PrintJob', column: 'copies', definition: 'INTEGER DEFAULT 1' },
+  { table: 'PrintJob', column: 'pageRanges', definition: "TEXT DEFAULT ''" },
+  { table: 'PrintJob', column: 'pagesPerSheet', definition: 'INTEGER DEFAULT 1' },
+  { table: 'PrintJob', column: 'orientation', definition: "TEXT DEFAULT 'Portrait'" },
+  { table: 'PrintJob', column: 'collated', definition: 'INTEGER DEFAULT 1' },
+  { table: 'PrintJob', column: 'duplexMode', definition: "TEXT DEFAULT 'Off'" },
+  { table: 'PrintJob', column: 'duplexBackPages', definition: 'TEXT' },
+  { table: 'PrintJob', column: 'duplexSetAsidePage', definition: 'INTEGER' },
+  { table: 'PrintJob', column: 'printerId', definition: 'INTEGER REFERENCES Printer(id) ON DELETE SET NULL' },
+  { table: 'User', column: 'isAdmin', definition: 'INTEGER DEFAULT 0' },
+  { table: 'PrintJob', column: 'priority', definition: 'INTEGER DEFAULT 1' },
+  { table: 'PrintJob', column: 'attemptCount', definition: 'INTEGER DEFAULT 0' },
+  { table: 'PrintJob', column: 'nextAttemptAt', definition: 'DATETIME' },
+  { table: 'PrintJob', column: 'scheduledFor', definition: 'DATETIME' },
+  { table: 'PrintJob', column: 'releasePinHash', definition: 'TEXT' },
+  { table: 'PrintJob', column: 'heldUntil', definition: 'DATETIME' },
+  { table: 'PrintJob', column: 'flipUntil', definition: 'DATETIME' },
+  { table: 'PrintJob', column: 'pageCount', definition: 'INTEGER' },
+  { table: 'PrintJob', column: 'imageScaling', definition: 'TEXT' },
+  { table: 'PrintJob', column: 'imageScale', definition: 'INTEGER' },
+  { table: 'PrintJob', column: 'imagePosition', definition: 'TEXT' },
+  { table: 'PrintJob', column: 'imageMargin', definition: 'INTEGER' },
+  { table: 'PrintJob', column: 'borderless', definition: 'INTEGER DEFAULT 0' },
+  { table: 'PrintJob', column: 'watermarkText', definition: 'TEXT' },
+  { table: 'PrintJob', column: 'watermarkPosition', definition: 'TEXT' },
+  { table: 'PrintJob', column: 'watermarkOpacity', definition: 'INTEGER' },
+  { table: 'PrintJob', column: 'watermarkFontSize', definition: 'INTEGER' },
+  { table: 'User', column: 'forcedWatermark', definition: 'TEXT' },
+  { table: 'User', column: 'coverPage', definition: 'INTEGER' },
+  { table: 'PrintJob', column: 'reprintOf', definition: 'INTEGER' },
+  { table: 'PrintJob', column: 'keepDocument', definition: 'INTEGER DEFAULT 0' },
+  { table: 'User', column: 'defaultPresetId', definition: 'INTEGER' },
+  { table: 'PrintJob', column: 'batchId', definition: 'INTEGER REFERENCES PrintBatch(id) ON DELETE SET NULL' }
+];
+
+/**
+ * Add any columns from COLUMN_MIGRATIONS that are missing from existing tables
+ * @returns {Promise<void>}
+ */
+async function migrateTables() {
+  for (const { table, column, definition } of COLUMN_MIGRATIONS) {
+    const columns = await query(`PRAGMA table_info(${table})`);
+
+    if (!columns.some(col => col.name === column)) {
+      await run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      console.log(`[DATABASE] Added column ${table}.${column}`);
+    }
+  }
+
+  // Databases created before admin accounts existed promote their first user
+  await run(
+    `UPDATE User SET isAdmin = 1
+     WHERE id = (SELECT MIN(id) FROM User) AND NOT EXISTS (SELECT 1 FROM User WHERE isAdmin = 1)`
+  );
+}
+
 /**
  * Execute a query with parameters
  * @param {string} sql - SQL query
@@ -196,17 +438,330 @@ function getUserById(userId) {
 
 /**
  * Create a new user
+ * The first user registered becomes an administrator
  * @param {string} username
  * @param {string} passwordHash
  * @returns {Promise<{lastID: number, changes: number}>}
  */
 function createUser(username, passwordHash) {
   return run(
-    'INSERT INTO User (username, passwordHash) VALUES (?, ?)',
+    `INSERT INTO User (username, passwordHash, isAdmin)
+     VALUES (?, ?, (SELECT COUNT(*) = 0 FROM User))`,
     [username, passwordHash]
   );
 }
 
+/**
+ * Get all users, without their password hashes
+ * @returns {Promise<Array>}
+ */
+function getUsers() {
+  return query('SELECT id, username, isAdmin, forcedWatermark, createdAt FROM User ORDER BY username ASC');
+}
+
+/**
+ * Set the watermark stamped on every job a user prints
+ * @param {number} userId
+ * @param {string|null} forcedWatermark - Watermark text; null to let the user choose
+ * @returns {Promise<{lastID: number, changes: number}>}
+ */
+function setUserForcedWatermark(userId, forcedWatermark) {
+  return run('UPDATE User SET forcedWatermark = ? WHERE id = ?', [forcedWatermark, userId]);
+}
+
+/**
+ * Set whether cover pages print ahead of a user's jobs
+ * @param {number} userId
+ * @param {number|null} coverPage - 1 or 0; null to follow the site default
+ * @returns {Promise<{lastID: number, changes: number}>}
+ */
+function setUserCoverPage(userId, coverPage) {
+  return run('UPDATE User SET coverPage = ? WHERE id = ?', [coverPage, userId]);
+}
+
+/**
+ * Choose the preset a user's print settings start from
+ * @param {number} userId
+ * @param {number|null} presetId - Preset ID; null for the printer defaults
+ * @returns {Promise<{lastID: number, changes: number}>}
+ */
+function setUserDefaultPreset(userId, presetId) {
+  return run('UPDATE User SET defaultPresetId = ? WHERE id = ?', [presetId, userId]);
+}
+
+/**
+ * Get the presets a user can use: their own and the shared ones
+ * @param {number} userId
+ * @returns {Promise<Array>} Presets with their owner's name, own presets first
+ */
+function getPrintPresets(userId) {
+  return query(
+    `SELECT PrintPreset.*, User.username AS ownerName
+     FROM PrintPreset JOIN User ON User.id = PrintPreset.userId
+     WHERE PrintPreset.userId = ? OR PrintPreset.shared = 1
+     ORDER BY PrintPreset.userId != ? ASC, PrintPreset.name COLLATE NOCASE ASC`,
+    [userId, userId]
+  );
+}
+
+/**
+ * Get a preset by ID
+ * @param {number} presetId
+ * @returns {Promise<any>}
+ */
+function getPrintPreset(presetId) {
+  return queryOne(
+    `SELECT PrintPreset.*, User.username AS ownerName
+     FROM PrintPreset JOIN User ON User.id = PrintPreset.userId
+     WHERE PrintPreset.id = ?`,
+    [presetId]
+  );
+}
+
+/**
+ * Get one of a user's own presets by name
+ * @param {number} userId
+ * @param {string} name
+ * @returns {Promise<any>}
+ */
+function getPrintPresetByName(userId, name) {
+  return queryOne('SELECT * FROM PrintPreset WHERE userId = ? AND name = ?', [userId, name]);
+}
+
+/**
+ * Insert a preset
+ * @param {Object} preset
+ * @param {number} preset.userId - Owner
+ * @param {string} preset.name
+ * @param {string} preset.settings - JSON encoded print settings
+ * @param {boolean} preset.shared - Offer the preset to every user
+ * @returns {Promise<{lastID: number, changes: number}>}
+ */
+function insertPrintPreset({ userId, name, settings, shared }) {
+  return run(
+    'INSERT INTO PrintPreset (userId, name, settings, shared) VALUES (?, ?, ?, ?)',
+    [userId, name, settings, shared ? 1 : 0]
+  );
+}
+
+/**
+ * Update a preset
+ * @param {number} presetId
+ * @param {Object} preset
+ * @param {string} preset.name
+ * @param {string} preset.settings - JSON encoded print settings
+ * @param {boolean} preset.shared
+ * @returns {Promise<{lastID: number, changes: number}>}
+ */
+function updatePrintPreset(presetId, { name, settings, shared }) {
+  return run(
+    'UPDATE PrintPreset SET name = ?, settings = ?, shared = ?, updatedAt = CURRENT_TIMESTAMP WHERE id = ?',
+    [name, settings, shared ? 1 : 0, presetId]
+  );
+}
+
+/**
+ * Delete a preset, and stop users starting from it
+ * @param {number} presetId
+ * @returns {Promise<{lastID: number, changes: number}>}
+ */
+async function deletePrintPreset(presetId) {
+  await run('UPDATE User SET defaultPresetId = NULL WHERE defaultPresetId = ?', [presetId]);
+  return run('DELETE FROM PrintPreset WHERE id = ?', [presetId]);
+}
+
+/**
+ * Get all site-wide settings
+ * @returns {Promise<Array<{key: string, value: string}>>}
+ */
+function getAppSettings() {
+  return query('SELECT key, value FROM AppSetting');
+}
+
+/**
+ * Save a site-wide setting
+ * @param {string} key
+ * @param {string} value - JSON encoded value
+ * @returns {Promise<{lastID: number, changes: number}>}
+ */
+function setAppSetting(key, value) {
+  return run(
+    'INSERT INTO AppSetting (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value',
+    [key, value]
+  );
+}
+
+/**
+ * Get a user's quota limits and reset time
+ * @param {number} userId
+ * @returns {Promise<any>} UserQuota row, or undefined if the user has no overrides
+ */
+function getUserQuota(userId) {
+  return queryOne('SELECT * FROM UserQuota WHERE userId = ?', [userId]);
+}
+
+/**
+ * Set a user's quota limits
+ * @param {number} userId
+ * @param {Object} limits - dailyColorLimit, dailyGrayscaleLimit, monthlyColorLimit, monthlyGrayscaleLimit; null for the default
+ * @returns {Promise<{lastID: number, changes: number}>}
+ */
+function setUserQuotaLimits(userId, limits) {
+  const { dailyColorLimit, dailyGrayscaleLimit, monthlyColorLimit, monthlyGrayscaleLimit } = limits;
+
+  return run(
+    `INSERT INTO UserQuota (userId, dailyColorLimit, dailyGrayscaleLimit, monthlyColorLimit, monthlyGrayscaleLimit)
+     VALUES (?, ?, ?, ?, ?)
+     ON CONFLICT(userId) DO UPDATE SET
+       dailyColorLimit = excluded.dailyColorLimit,
+       dailyGrayscaleLimit = excluded.dailyGrayscaleLimit,
+       monthlyColorLimit = excluded.monthlyColorLimit,
+       monthlyGrayscaleLimit = excluded.monthlyGrayscaleLimit`,
+    [userId, dailyColorLimit, dailyGrayscaleLimit, monthlyColorLimit, monthlyGrayscaleLimit]
+  );
+}
+
+/**
+ * Discard a user's quota usage recorded before a time
+ * @param {number} userId
+ * @param {string} resetAt - ISO timestamp
+ * @returns {Promise<{lastID: number, changes: number}>}
+ */
+function resetUserQuota(userId, resetAt) {
+  return run(
+    `INSERT INTO UserQuota (userId, resetAt) VALUES (?, ?)
+     ON CONFLICT(userId) DO UPDATE SET resetAt = excluded.resetAt`,
+    [userId, resetAt]
+  );
+}
+
+/**
+ * Record pages charged to or credited to a user's quota
+ * @param {Object} usage
+ * @param {number} usage.userId
+ * @param {number|null} usage.jobId - Job the pages were printed for; null for a top-up
+ * @param {string} usage.inkType - color or grayscale
+ * @param {number} usage.pages - Pages used; negative for a top-up
+ * @param {string} usage.recordedAt - ISO timestamp
+ * @returns {Promise<{lastID: number, changes: number}>}
+ */
+function insertQuotaUsage(usage) {
+  const { userId, jobId = null, inkType, pages, recordedAt } = usage;
+
+  return run(
+    'INSERT INTO QuotaUsage (userId, jobId, inkType, pages, recordedAt) VALUES (?, ?, ?, ?, ?)',
+    [userId, jobId, inkType, pages, recordedAt]
+  );
+}
+
+/**
+ * Get a user's total quota usage per ink type since a time
+ * @param {number} userId
+ * @param {string} since - ISO timestamp
+ * @returns {Promise<Array<{inkType: string, pages: number}>>}
+ */
+function getQuotaUsageSince(userId, since) {
+  return query(
+    `SELECT inkType, SUM(pages) AS pages FROM QuotaUsage
+     WHERE userId = ? AND recordedAt >= ? GROUP BY inkType`,
+    [userId, since]
+  );
+}
+
+/**
+ * Get the quota usage charged for a print job
+ * @param {number} jobId
+ * @returns {Promise<Array>}
+ */
+function getJobQuotaUsage(jobId) {
+  return query('SELECT * FROM QuotaUsage WHERE jobId = ?', [jobId]);
+}
+
+/**
+ * Remove the quota usage charged for a print job
+ * @param {number} jobId
+ * @returns {Promise<{lastID: number, changes: number}>}
+ */
+function deleteJobQuotaUsage(jobId) {
+  return run('DELETE FROM QuotaUsage WHERE jobId = ?', [jobId]);
+}
+
+/**
+ * Get all registered printers
+ * @returns {Promise<Array>}
+ */
+function getPrinters() {
+  return query('SELECT * FROM Printer ORDER BY id ASC');
+}
+
+/**
+ * Get a printer by ID
+ * @param {number} printerId
+ * @returns {Promise<any>}
+ */
+function getPrinter(printerId) {
+  return queryOne('SELECT * FROM Printer WHERE id = ?', [printerId]);
+}
+
+/**
+ * Get a printer by CUPS queue name
+ * @param {string} queueName
+ * @returns {Promise<any>}
+ */
+function getPrinterByQueueName(queueName) {
+  return queryOne('SELECT * FROM Printer WHERE queueName = ?', [queueName]);
+}
+
+/**
+ * Register a printer
+ * @param {Object} printerData
+ * @param {string} printerData.queueName - CUPS queue name
+ * @param {string} printerData.displayName - Name shown to users
+ * @param {string|null} printerData.capabilityProfile - `lpoptions -l` output for the queue
+ * @param {boolean} printerData.enabled
+ * @returns {Promise<{lastID: number, changes: number}>}
+ */
+function insertPrinter(printerData) {
+  const {
+    queueName,
+    displayName,
+    capabilityProfile = null,
+    enabled = true
+  } = printerData;
+
+  return run(
+    'INSERT INTO Printer (queueName, displayName, capabilityProfile, enabled) VALUES (?, ?, ?, ?)',
+    [queueName, displayName, capabilityProfile, enabled ? 1 : 0]
+  );
+}
+
+/**
+ * Update a printer's display name and enabled flag
+ * @param {number} printerId
+ * @param {string} displayName
+ * @param {boolean} enabled
+ * @returns {Promise<{lastID: number, changes: number}>}
+ */
+function updatePrinter(printerId, displayName, enabled) {
+  return run(
+    'UPDATE Printer SET displayName = ?, enabled = ? WHERE id = ?',
+    [displayName, enabled ? 1 : 0, printerId]
+  );
+}
+
+/**
+ * Store the capability profile read from a printer
+ * @param {number} printerId
+ * @param {string} capabilityProfile - `lpoptions -l` output
+ * @returns {Promise<{lastID: number, changes: number}>}
+ */
+function setPrinterCapabilityProfile(printerId, capabilityProfile) {
+  return run(
+    'UPDATE Printer SET capabilityProfile = ? WHERE id = ?',
+    [capabilityProfile, printerId]
+  );
+}
+
 /**
  * Insert a print job
  * @param {Object} jobData
@@ -218,27 +773,72 @@ function insertPrintJob(jobData) {
     documentName,
     documentPath,
     paperType = 'Plain Paper',
-    printQuality = 600,
+    printQuality = 'Normal',
     colorMode = 'Grayscale',
     paperSize = 'A4',
+    copies = 1,
+    pageRanges = '',
+    pagesPerSheet = 1,
+    orientation = 'Portrait',
+    collated = true,
+    duplexMode = 'Off',
+    printerId = null,
+    priority = 1,
+    scheduledFor = null,
+    releasePinHash = null,
+    heldUntil = null,
+    pageCount = null,
+    imageScaling = null,
+    imageScale = null,
+    imagePosition = null,
+    imageMargin = null,
+    borderless = false,
+    watermarkText = null,
+    watermarkPosition = null,
+    watermarkOpacity = null,
+    watermarkFontSize = null,
+    reprintOf = null,
+    batchId = null,
     status = 'pending'
   } = jobData;
 
   return run(
-    `INSERT INTO PrintJob (userId, documentName, documentPath, paperType, printQuality, colorMode, paperSize, status)
-     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-    [userId, documentName, documentPath, paperType, printQuality, colorMode, paperSize, status]
+    `INSERT INTO PrintJob (userId, printerId, documentName, documentPath, paperType, printQuality, colorMode, paperSize,
+       copies, pageRanges, pagesPerSheet, orientation, collated, duplexMode, priority, scheduledFor,
+       releasePinHash, heldUntil, pageCount, imageScaling, imageScale, imagePosition, imageMargin, borderless,
+       watermarkText, watermarkPosition, watermarkOpacity, watermarkFontSize, reprintOf, batchId, status)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [userId, printerId, documentName, documentPath, paperType, printQuality, colorMode, paperSize,
+      copies, pageRanges, pagesPerSheet, orientation, collated ? 1 : 0, duplexMode, priority, scheduledFor,
+      releasePinHash, heldUntil, pageCount, imageScaling, imageScale, imagePosition, imageMargin, borderless ? 1 : 0,
+      watermarkText, watermarkPosition, watermarkOpacity, watermarkFontSize, reprintOf, batchId, status]
   );
 }
 
 /**
- * Get print jobs for a user
+ * Insert a print batch
+ * @param {Object} batch
+ * @param {number} batch.userId - Owner
+ * @param {string} batch.mode - separate or combined
+ * @param {number} batch.fileCount - Files uploaded in the batch
+ * @returns {Promise<{lastID: number, changes: number}>}
+ */
+function insertPrintBatch({ userId, mode, fileCount }) {
+  return run('INSERT INTO PrintBatch (userId, mode, fileCount) VALUES (?, ?, ?)', [userId, mode, fileCount]);
+}
+
+/**
+ * Get print jobs for a user, with the batch each was submitted in
  * @param {number} userId
  * @returns {Promise<Array>}
  */
 function getPrintJobs(userId) {
   return query(
-    'SELECT * FROM PrintJob WHERE userId = ? ORDER BY submittedAt DESC',
+    `SELECT PrintJob.*, Printer.displayName AS printerName,
+       PrintBatch.mode AS batchMode, PrintBatch.fileCount AS batchFileCount
+     FROM PrintJob LEFT JOIN Printer ON Printer.id = PrintJob.printerId
+       LEFT JOIN PrintBatch ON PrintBatch.id = PrintJob.batchId
+     WHERE PrintJob.userId = ? ORDER BY PrintJob.submittedAt DESC`,
     [userId]
   );
 }
@@ -249,7 +849,12 @@ function getPrintJobs(userId) {
  * @returns {Promise<any>}
  */
 function getPrintJob(jobId) {
-  return queryOne('SELECT * FROM PrintJob WHERE id = ?', [jobId]);
+  return queryOne(
+    `SELECT PrintJob.*, Printer.displayName AS printerName
+     FROM PrintJob LEFT JOIN Printer ON Printer.id = PrintJob.printerId
+     WHERE PrintJob.id = ?`,
+    [jobId]
+  );
 }
 
 /**
@@ -265,6 +870,222 @@ function updatePrintJobStatus(jobId, status) {
   );
 }
 
+/**
+ * Get all print jobs with a given status
+ * @param {string} status
+ * @returns {Promise<Array>}
+ */
+function getPrintJobsByStatus(status) {
+  return query(
+    'SELECT * FROM PrintJob WHERE status = ? ORDER BY submittedAt ASC',
+    [status]
+  );
+}
+
+/**
+ * Get the jobs waiting to be handed to CUPS, in dispatch order
+ * Higher priorities go first; jobs with the same priority keep submission order
+ * @returns {Promise<Array>}
+ */
+function getPendingPrintJobs() {
+  return query(
+    "SELECT * FROM PrintJob WHERE status = 'pending' ORDER BY priority DESC, submittedAt ASC, id ASC"
+  );
+}
+
+/**
+ * Record the CUPS job ID assigned to a print job
+ * @param {number} jobId
+ * @param {string} cupsJobId
+ * @returns {Promise<{lastID: number, changes: number}>}
+ */
+function setPrintJobCupsId(jobId, cupsJobId) {
+  return run(
+    'UPDATE PrintJob SET cupsJobId = ? WHERE id = ?',
+    [cupsJobId, jobId]
+  );
+}
+
+/**
+ * Record the back sides still to be printed for a manual duplex job
+ * @param {number} jobId
+ * @param {string} backPages - CUPS page list for the back sides
+ * @param {number|null} setAsidePage - Last front page whose sheet has no back side
+ * @param {string} flipUntil - When the job expires unless the back sides are printed, as an ISO timestamp
+ * @returns {Promise<{lastID: number, changes: number}>}
+ */
+function setPrintJobDuplexPlan(jobId, backPages, setAsidePage, flipUntil) {
+  return run(
+    'UPDATE PrintJob SET duplexBackPages = ?, duplexSetAsidePage = ?, flipUntil = ? WHERE id = ?',
+    [backPages, setAsidePage, flipUntil, jobId]
+  );
+}
+
+/**
+ * Get manual duplex jobs whose back sides were not printed in time
+ * Jobs left awaiting their flip before deadlines were recorded have none and count as late
+ * @param {string} now - Current time as an ISO timestamp
+ * @returns {Promise<Array>}
+ */
+function getExpiredFlipPrintJobs(now) {
+  return query(
+    "SELECT * FROM PrintJob WHERE status = 'awaiting-flip' AND (flipUntil IS NULL OR flipUntil <= ?) ORDER BY flipUntil ASC",
+    [now]
+  );
+}
+
+/**
+ * Fail a manual duplex job that is still awaiting its flip
+ * Only jobs awaiting their flip are failed, so a job continued or cancelled in the meantime is left alone
+ * @param {number} jobId
+ * @returns {Promise<{lastID: number, changes: number}>}
+ */
+function failUnflippedPrintJob(jobId) {
+  return run(
+    "UPDATE PrintJob SET status = 'failed', completedAt = CURRENT_TIMESTAMP WHERE id = ? AND status = 'awaiting-flip'",
+    [jobId]
+  );
+}
+
+/**
+ * Get scheduled print jobs whose print time has come
+ * @param {string} now - Current time as an ISO timestamp
+ * @returns {Promise<Array>}
+ */
+function getDueScheduledPrintJobs(now) {
+  return query(
+    "SELECT * FROM PrintJob WHERE status = 'scheduled' AND scheduledFor <= ? ORDER BY scheduledFor ASC, id ASC",
+    [now]
+  );
+}
+
+/**
+ * Hold a print job until a print time
+ * Only scheduled and pending jobs are moved, so a job cancelled or sent to the printer in the meantime keeps its status
+ * @param {number} jobId
+ * @param {string} scheduledFor - Print time as an ISO timestamp
+ * @returns {Promise<{lastID: number, changes: number}>}
+ */
+function schedulePrintJob(jobId, scheduledFor) {
+  return run(
+    "UPDATE PrintJob SET status = 'scheduled', scheduledFor = ? WHERE id = ? AND status IN ('scheduled', 'pending')",
+    [scheduledFor, jobId]
+  );
+}
+
+/**
+ * Move a scheduled print job into the queue
+ * Only scheduled jobs are moved, so a job cancelled in the meantime stays cancelled
+ * @param {number} jobId
+ * @returns {Promise<{lastID: number, changes: number}>}
+ */
+function releaseScheduledPrintJob(jobId) {
+  return run(
+    "UPDATE PrintJob SET status = 'pending' WHERE id = ? AND status = 'scheduled'",
+    [jobId]
+  );
+}
+
+/**
+ * Move a held print job into the queue and forget its release PIN
+ * @param {number} jobId
+ * @returns {Promise<{lastID: number, changes: number}>}
+ */
+function releaseHeldPrintJob(jobId) {
+  return run(
+    "UPDATE PrintJob SET status = 'pending', releasePinHash = NULL WHERE id = ? AND status = 'held'",
+    [jobId]
+  );
+}
+
+/**
+ * Get held print jobs that were not released in time
+ * @param {string} now - Current time as an ISO timestamp
+ * @returns {Promise<Array>}
+ */
+function getExpiredHeldPrintJobs(now) {
+  return query(
+    "SELECT * FROM PrintJob WHERE status = 'held' AND heldUntil <= ? ORDER BY heldUntil ASC",
+    [now]
+  );
+}
+
+/**
+ * Mark a held print job as expired
+ * @param {number} jobId
+ * @returns {Promise<{lastID: number, changes: number}>}
+ */
+function expirePrintJob(jobId) {
+  return run(
+    "UPDATE PrintJob SET status = 'expired', releasePinHash = NULL, completedAt = CURRENT_TIMESTAMP WHERE id = ? AND status = 'held'",
+    [jobId]
+  );
+}
+
+/**
+ * Keep a print job and its document beyond the cleanup window, or let them be cleaned up again
+ * @param {number} jobId
+ * @param {boolean} keep
+ * @returns {Promise<{lastID: number, changes: number}>}
+ */
+function setPrintJobKeepDocument(jobId, keep) {
+  return run('UPDATE PrintJob SET keepDocument = ? WHERE id = ?', [keep ? 1 : 0, jobId]);
+}
+
+/**
+ * Get print jobs whose owners keep their documents
+ * @returns {Promise<Array>}
+ */
+function getKeptPrintJobs() {
+  return query('SELECT * FROM PrintJob WHERE keepDocument = 1');
+}
+
+/**
+ * Record a submission attempt for a print job
+ * @param {number} jobId
+ * @param {Object} attempt
+ * @param {boolean} attempt.success - Whether the printer accepted the job
+ * @param {boolean} [attempt.retryable] - Whether a failed attempt may succeed if repeated
+ * @param {string} attempt.message - Submission result or error message
+ * @returns {Promise<number>} The attempt number, starting at 1
+ */
+async function insertPrintJobAttempt(jobId, { success, retryable = false, message }) {
+  await run('UPDATE PrintJob SET attemptCount = attemptCount + 1 WHERE id = ?', [jobId]);
+  const { attemptCount } = await queryOne('SELECT attemptCount FROM PrintJob WHERE id = ?', [jobId]);
+
+  await run(
+    'INSERT INTO PrintJobAttempt (jobId, attemptNumber, success, retryable, message) VALUES (?, ?, ?, ?, ?)',
+    [jobId, attemptCount, success ? 1 : 0, retryable ? 1 : 0, message]
+  );
+
+  return attemptCount;
+}
+
+/**
+ * Get the submission attempts of a print job, oldest first
+ * @param {number} jobId
+ * @returns {Promise<Array>}
+ */
+function getPrintJobAttempts(jobId) {
+  return query(
+    'SELECT * FROM PrintJobAttempt WHERE jobId = ? ORDER BY attemptNumber ASC',
+    [jobId]
+  );
+}
+
+/**
+ * Set when a pending print job may next be submitted
+ * @param {number} jobId
+ * @param {string|null} nextAttemptAt - ISO timestamp, or null to submit on the next dispatch
+ * @returns {Promise<{lastID: number, changes: number}>}
+ */
+function setPrintJobNextAttempt(jobId, nextAttemptAt) {
+  return run(
+    'UPDATE PrintJob SET nextAttemptAt = ? WHERE id = ?',
+    [nextAttemptAt, jobId]
+  );
+}
+
 /**
  * Update print job completion
  * @param {number} jobId
@@ -277,6 +1098,83 @@ function completePrintJob(jobId) {
   );
 }
 
+/**
+ * Mark print job as failed
+ * @param {number} jobId
+ * @returns {Promise<{lastID: number, changes: number}>}
+ */
+function failPrintJob(jobId) {
+  return run(
+    'UPDATE PrintJob SET status = ?, completedAt = CURRENT_TIMESTAMP WHERE id = ?',
+    ['failed', jobId]
+  );
+}
+
+/**
+ * Mark print job as cancelled
+ * @param {number} jobId
+ * @returns {Promise<{lastID: number, changes: number}>}
+ */
+function cancelPrintJob(jobId) {
+  return run(
+    'UPDATE PrintJob SET status = ?, cancelledAt = CURRENT_TIMESTAMP WHERE id = ?',
+    ['cancelled', jobId]
+  );
+}
+
+/**
+ * Record the ink levels read from a printer
+ * @param {string} queueName - CUPS queue name
+ * @param {Array<{name: string, color: string|null, type: string|null, level: number|null, lowLevel: number}>} markers
+ * @param {string} recordedAt - ISO timestamp
+ * @returns {Promise<void>}
+ */
+async function insertInkLevelReadings(queueName, markers, recordedAt) {
+  for (const marker of markers) {
+    await run(
+      `INSERT INTO InkLevelReading (queueName, markerName, markerColor, markerType, level, lowLevel, recordedAt)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [queueName, marker.name, marker.color, marker.type, marker.level, marker.lowLevel, recordedAt]
+    );
+  }
+}
+
+/**
+ * Get the ink levels read from a printer since a time, oldest first
+ * @param {string} queueName - CUPS queue name
+ * @param {string} since - ISO timestamp
+ * @returns {Promise<Array>}
+ */
+function getInkLevelReadings(queueName, since) {
+  return query(
+    'SELECT * FROM InkLevelReading WHERE queueName = ? AND recordedAt >= ? ORDER BY recordedAt ASC, id ASC',
+    [queueName, since]
+  );
+}
+
+/**
+ * Get the most recent ink level reading of a printer
+ * @param {string} queueName - CUPS queue name
+ * @returns {Promise<Array>} One row per supply; empty if the printer was never read
+ */
+function getLatestInkLevelReadings(queueName) {
+  return query(
+    `SELECT * FROM InkLevelReading
+     WHERE queueName = ? AND recordedAt = (SELECT MAX(recordedAt) FROM InkLevelReading WHERE queueName = ?)
+     ORDER BY id ASC`,
+    [queueName, queueName]
+  );
+}
+
+/**
+ * Delete ink level readings older than a time
+ * @param {string} before - ISO timestamp
+ * @returns {Promise<{lastID: number, changes: number}>}
+ */
+function deleteInkLevelReadingsBefore(before) {
+  return run('DELETE FROM InkLevelReading WHERE recordedAt < ?', [before]);
+}
+
 /**
  * Close database connection
  * @returns {Promise<void>}
@@ -307,11 +1205,60 @@ module.exports = {
   getUserByUsername,
   getUserById,
   createUser,
+  getUsers,
+  setUserForcedWatermark,
+  setUserCoverPage,
+  setUserDefaultPreset,
+  getPrintPresets,
+  getPrintPreset,
+  getPrintPresetByName,
+  insertPrintPreset,
+  updatePrintPreset,
+  deletePrintPreset,
+  getAppSettings,
+  setAppSetting,
+  getUserQuota,
+  setUserQuotaLimits,
+  resetUserQuota,
+  insertQuotaUsage,
+  getQuotaUsageSince,
+  getJobQuotaUsage,
+  deleteJobQuotaUsage,
+  getPrinters,
+  getPrinter,
+  getPrinterByQueueName,
+  insertPrinter,
+  updatePrinter,
+  setPrinterCapabilityProfile,
   insertPrintJob,
+  insertPrintBatch,
   getPrintJobs,
   getPrintJob,
+  getPrintJobsByStatus,
+  getPendingPrintJobs,
+  getDueScheduledPrintJobs,
+  schedulePrintJob,
+  releaseScheduledPrintJob,
+  releaseHeldPrintJob,
+  getExpiredHeldPrintJobs,
+  expirePrintJob,
+  getExpiredFlipPrintJobs,
+  failUnflippedPrintJob,
+  setPrintJobKeepDocument,
+  getKeptPrintJobs,
+  insertPrintJobAttempt,
+  getPrintJobAttempts,
+  setPrintJobNextAttempt,
   updatePrintJobStatus,
+  setPrintJobCupsId,
+  setPrintJobDuplexPlan,
   completePrintJob,
+  failPrintJob,
+  cancelPrintJob,
+  insertInkLevelReadings,
+  getInkLevelReadings,
+  getLatestInkLevelReadings,
+  deleteInkLevelReadingsBefore,
   closeDatabase,
   get db() {
     return db;
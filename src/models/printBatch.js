@@ -0,0 +1,110 @@
+const db = require('./database');
+
+/**
+ * PrintBatch Model
+ * Several files uploaded together share one settings step. When submitted, a batch either becomes
+ * one job per file (separate) or a single job of the files joined together in upload order (combined).
+ * Batches of a single file are ordinary jobs and are not recorded as batches.
+ */
+
+const BATCH_MODES = ['separate', 'combined'];
+
+const BATCH_CONFIG = {
+  // Most files accepted in one upload
+  maxFiles: 20
+};
+
+/**
+ * Check a batch mode
+ * @param {string} mode - separate or combined
+ * @returns {string}
+ * @throws {Error} If the mode is not known
+ */
+function validateBatchMode(mode) {
+  if (!BATCH_MODES.includes(mode)) {
+    throw new Error(`Invalid batch mode: ${mode}. Must be one of: ${BATCH_MODES.join(', ')}`);
+  }
+  return mode;
+}
+
+/**
+ * Put uploaded files in the order chosen on the upload page
+ * @param {Array} files - Files in the order they were uploaded
+ * @param {string} [order] - Comma-separated positions of the files in print order, e.g. "2,0,1"; empty to keep the upload order
+ * @returns {Array} The files in print order
+ * @throws {Error} If the order does not list every file exactly once
+ */
+function orderFiles(files, order) {
+  if (!order) {
+    return files;
+  }
+
+  const positions = String(order).split(',').map(position => Number(position.trim()));
+  const complete = positions.length === files.length &&
+    new Set(positions).size === files.length &&
+    positions.every(position => Number.isInteger(position) && position >= 0 && position < files.length);
+  if (!complete) {
+    throw new Error('Invalid file order');
+  }
+
+  return positions.map(position => files[position]);
+}
+
+/**
+ * Name the job a combined batch prints as, from the names of its files in print order
+ * @param {Array<string>} documentNames
+ * @returns {string}
+ */
+function getCombinedDocumentName(documentNames) {
+  return documentNames.join(' + ');
+}
+
+/**
+ * Record a batch
+ * @param {number} userId - Owner
+ * @param {string} mode - separate or combined
+ * @param {number} fileCount - Files in the batch
+ * @returns {Promise<number>} Batch ID
+ */
+async function createBatch(userId, mode, fileCount) {
+  const result = await db.insertPrintBatch({ userId, mode: validateBatchMode(mode), fileCount });
+  return result.lastID;
+}
+
+/**
+ * Group a job history by batch
+ * Groups keep the order of the history; the jobs of a batch are listed in the order they print
+ * @param {Array<Object>} jobs - Jobs with their batchId, batchMode and batchFileCount
+ * @returns {Array<{batchId: number|null, mode: string|null, fileCount: number, jobs: Array<Object>}>}
+ */
+function groupJobsByBatch(jobs) {
+  const groups = [];
+  const batches = new Map();
+
+  jobs.forEach(job => {
+    if (!job.batchId) {
+      groups.push({ batchId: null, mode: null, fileCount: 1, jobs: [job] });
+      return;
+    }
+
+    if (!batches.has(job.batchId)) {
+      const group = { batchId: job.batchId, mode: job.batchMode, fileCount: job.batchFileCount, jobs: [] };
+      batches.set(job.batchId, group);
+      groups.push(group);
+    }
+    batches.get(job.batchId).jobs.push(job);
+  });
+
+  batches.forEach(group => group.jobs.sort((a, b) => a.id - b.id));
+  return groups;
+}
+
+module.exports = {
+  BATCH_MODES,
+  BATCH_CONFIG,
+  validateBatchMode,
+  orderFiles,
+  getCombinedDocumentName,
+  createBatch,
+  groupJobsByBatch
+};
@@ -0,0 +1,75 @@
+const fc = require('fast-check');
+const db = require('./database');
+const PrintBatch = require('./printBatch');
+
+describe('Print Batches', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('orderFiles', () => {
+    /**
+     * Property: Any arrangement of the files' positions puts each file where it was dragged to
+     */
+    test('Property: Files are put in the chosen order', () => {
+      fc.assert(
+        fc.property(
+          fc.integer({ min: 1, max: PrintBatch.BATCH_CONFIG.maxFiles }).chain(count =>
+            fc.shuffledSubarray([...Array(count).keys()], { minLength: count, maxLength: count })),
+          positions => {
+            const files = positions.map((position, index) => `file-${index}`);
+            const ordered = PrintBatch.orderFiles(files, positions.join(','));
+
+            expect(ordered).toEqual(positions.map(position => `file-${position}`));
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    test('should keep the upload order when no order is chosen', () => {
+      expect(PrintBatch.orderFiles(['a', 'b'], '')).toEqual(['a', 'b']);
+    });
+
+    test('should refuse an order that does not list every file once', () => {
+      expect(() => PrintBatch.orderFiles(['a', 'b'], '0')).toThrow('Invalid file order');
+      expect(() => PrintBatch.orderFiles(['a', 'b'], '0,0')).toThrow('Invalid file order');
+      expect(() => PrintBatch.orderFiles(['a', 'b'], '1,2')).toThrow('Invalid file order');
+      expect(() => PrintBatch.orderFiles(['a', 'b'], '1,x')).toThrow('Invalid file order');
+    });
+  });
+
+  describe('createBatch', () => {
+    test('should record the batch mode and file count', async () => {
+      const insert = jest.spyOn(db, 'insertPrintBatch').mockResolvedValue({ lastID: 4 });
+
+      expect(await PrintBatch.createBatch(1, 'combined', 3)).toBe(4);
+      expect(insert).toHaveBeenCalledWith({ userId: 1, mode: 'combined', fileCount: 3 });
+    });
+
+    test('should refuse unknown batch modes', async () => {
+      const insert = jest.spyOn(db, 'insertPrintBatch');
+
+      await expect(PrintBatch.createBatch(1, 'stapled', 2)).rejects.toThrow('Invalid batch mode');
+      expect(insert).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('groupJobsByBatch', () => {
+    test('should group the jobs of a batch in print order and keep the history order', () => {
+      const jobs = [
+        { id: 9, batchId: null },
+        { id: 8, batchId: 2, batchMode: 'separate', batchFileCount: 2 },
+        { id: 7, batchId: 2, batchMode: 'separate', batchFileCount: 2 },
+        { id: 6, batchId: 1, batchMode: 'combined', batchFileCount: 3 },
+        { id: 5, batchId: null }
+      ];
+
+      const groups = PrintBatch.groupJobsByBatch(jobs);
+
+      expect(groups.map(group => group.jobs.map(job => job.id))).toEqual([[9], [7, 8], [6], [5]]);
+      expect(groups[1]).toMatchObject({ batchId: 2, mode: 'separate', fileCount: 2 });
+      expect(groups[2]).toMatchObject({ batchId: 1, mode: 'combined', fileCount: 3 });
+    });
+  });
+});
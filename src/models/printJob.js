@@ -1,5 +1,16 @@
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 const db = require('./database');
+const PrintSettings = require('./printSettings');
+const Printer = require('./printer');
+const Quota = require('./quota');
 const printerIntegration = require('../utils/printerIntegration');
+const pageCounter = require('../utils/pageCounter');
+const manualDuplex = require('../utils/manualDuplex');
+const watermark = require('../utils/watermark');
+const printCopy = require('../utils/printCopy');
+const User = require('./user');
+const fs = require('fs').promises;
 const path = require('path');
 
 /**
@@ -7,27 +18,150 @@ const path = require('path');
  * Manages print job creation, submission, and tracking
  */
 
+// Job statuses
+// scheduled: the job waits for its print time before joining the queue
+// held: the job waits for its owner to release it with its PIN
+// awaiting-flip: front sides of a manual duplex job are printed and the user must reload the stack
+// expired: a held job was not released in time and its document was deleted
+const JOB_STATUSES = ['scheduled', 'held', 'pending', 'in-progress', 'awaiting-flip', 'completed', 'failed', 'cancelled', 'expired'];
+
+// Statuses from which a job can still be cancelled
+const CANCELLABLE_STATUSES = ['scheduled', 'held', 'pending', 'in-progress', 'awaiting-flip'];
+
+// Statuses from which a job can still be given a new print time
+const RESCHEDULABLE_STATUSES = ['scheduled', 'pending'];
+
+// CUPS job states in which the front sides of a manual duplex job are still printing
+const ACTIVE_CUPS_STATES = ['pending', 'held', 'processing'];
+
+// Stored priority for each queue priority setting; the dispatcher sends higher values first
+const PRIORITY_LEVELS = {
+  Low: 0,
+  Normal: 1,
+  High: 2
+};
+
+// Held jobs expire this many hours after submission unless released
+const HOLD_CONFIG = {
+  expiryHours: Math.max(1, parseInt(process.env.HELD_JOB_EXPIRY_HOURS, 10) || 24),
+  pinLength: 6
+};
+
+// Manual duplex jobs keep their printer while the stack is flipped, and fail if the back sides
+// are not printed within this many minutes of the front sides being sent
+const DUPLEX_CONFIG = {
+  flipTimeoutMinutes: Math.max(1, parseInt(process.env.MANUAL_DUPLEX_FLIP_MINUTES, 10) || 60)
+};
+
+/**
+ * Generate a random numeric release PIN
+ * @private
+ * @returns {string}
+ */
+function generateReleasePin() {
+  return String(crypto.randomInt(0, 10 ** HOLD_CONFIG.pinLength)).padStart(HOLD_CONFIG.pinLength, '0');
+}
+
+/**
+ * Get the priority setting for a stored priority
+ * @param {number} level - PrintJob priority column
+ * @returns {string} Low, Normal or High
+ */
+function getPriorityName(level) {
+  const entry = Object.entries(PRIORITY_LEVELS).find(([, value]) => value === Number(level));
+  return entry ? entry[0] : 'Normal';
+}
+
+/**
+ * Parse a requested print time
+ * Accepts the value of a datetime-local input, which is read in the server's time zone
+ * @param {string|Date|null} value - Requested print time; empty for as soon as possible
+ * @param {Date} [now] - Current time
+ * @returns {Date|null} The print time, or null to print straight away
+ * @throws {Error} If the time is invalid or not in the future
+ */
+function parseScheduledFor(value, now = new Date()) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const scheduledFor = value instanceof Date ? value : new Date(String(value));
+  if (isNaN(scheduledFor.getTime())) {
+    throw new Error(`Invalid print time: ${value}`);
+  }
+
+  if (scheduledFor <= now) {
+    throw new Error('Print time must be in the future');
+  }
+
+  return scheduledFor;
+}
+
 /**
  * Create a new print job
  * @param {Object} jobData - Job data
  * @param {number} jobData.userId - User ID
+ * @param {number} [jobData.printerId] - Registered printer the job targets
  * @param {string} jobData.documentName - Document name
  * @param {string} jobData.documentPath - Path to document file
  * @param {string} jobData.paperType - Paper type (Plain Paper, Glossy)
- * @param {number} jobData.printQuality - Print quality (600, 1200 DPI)
+ * @param {string} jobData.printQuality - Print quality (Normal, Best, Photo)
  * @param {string} jobData.colorMode - Color mode (Color, Grayscale)
  * @param {string} jobData.paperSize - Paper size (A4, Letter, Legal)
- * @returns {Promise<{id: number, jobId: number}>}
+ * @param {number} jobData.copies - Number of copies
+ * @param {string} jobData.pageRanges - Pages to print (empty for all)
+ * @param {number} jobData.pagesPerSheet - Pages per sheet (1, 2, 4, 6)
+ * @param {string} jobData.orientation - Orientation (Portrait, Landscape)
+ * @param {boolean} jobData.collated - Collate copies
+ * @param {string} jobData.duplexMode - Duplex mode (Off, Manual)
+ * @param {string} jobData.priority - Queue priority (Low, Normal, High)
+ * @param {Date} [jobData.scheduledFor] - Print time; the job is scheduled instead of queued until then
+ * @param {boolean} [jobData.hold] - Hold the job until its owner releases it with the returned PIN
+ * @param {number} [jobData.pageCount] - Pages in the document, if known
+ * @param {string} [jobData.imageScaling] - Image layout (Fit, Fill, Custom); only set for image documents
+ * @param {number} [jobData.imageScale] - Custom image scale percentage
+ * @param {string} [jobData.imagePosition] - Image position on the page
+ * @param {number} [jobData.imageMargin] - Image margin on each side in millimetres
+ * @param {boolean} [jobData.borderless] - Print the image to the edges of the paper
+ * @param {string} [jobData.watermarkText] - Watermark stamped on every page; may contain {username}, {date} and {job}
+ * @param {string} [jobData.watermarkPosition] - Watermark position (Header, Footer, Center, Diagonal)
+ * @param {number} [jobData.watermarkOpacity] - Watermark opacity percentage
+ * @param {number} [jobData.watermarkFontSize] - Watermark font size in points
+ * @param {number} [jobData.reprintOf] - Job this job prints again
+ * @param {number} [jobData.batchId] - Batch the job was submitted in
+ * @returns {Promise<{id: number, jobId: number, releasePin?: string, heldUntil?: Date}>}
  */
 async function createPrintJob(jobData) {
   const {
     userId,
+    printerId = null,
     documentName,
     documentPath,
     paperType = 'Plain Paper',
-    printQuality = 600,
+    printQuality = 'Normal',
     colorMode = 'Grayscale',
-    paperSize = 'A4'
+    paperSize = 'A4',
+    copies = 1,
+    pageRanges = '',
+    pagesPerSheet = 1,
+    orientation = 'Portrait',
+    collated = true,
+    duplexMode = 'Off',
+    priority = 'Normal',
+    scheduledFor = null,
+    hold = false,
+    pageCount = null,
+    imageScaling = null,
+    imageScale = null,
+    imagePosition = null,
+    imageMargin = null,
+    borderless = false,
+    watermarkText = null,
+    watermarkPosition = null,
+    watermarkOpacity = null,
+    watermarkFontSize = null,
+    reprintOf = null,
+    batchId = null
   } = jobData;
 
   // Validate required fields
@@ -35,35 +169,114 @@ async function createPrintJob(jobData) {
     throw new Error('Missing required job data: userId, documentName, documentPath');
   }
 
+  if (PRIORITY_LEVELS[priority] === undefined) {
+    throw new Error(`Invalid priority: ${priority}. Must be one of: ${Object.keys(PRIORITY_LEVELS).join(', ')}`);
+  }
+
+  if (hold && scheduledFor) {
+    throw new Error('A job cannot be both held and scheduled');
+  }
+
+  // Only a hash of the release PIN is stored; the PIN itself is shown to the owner once
+  const releasePin = hold ? generateReleasePin() : null;
+  const heldUntil = hold ? new Date(Date.now() + HOLD_CONFIG.expiryHours * 60 * 60 * 1000) : null;
+
+  let status = 'pending';
+  if (hold) {
+    status = 'held';
+  } else if (scheduledFor) {
+    status = 'scheduled';
+  }
+
   // Insert job into database
   const result = await db.insertPrintJob({
     userId,
+    printerId,
     documentName,
     documentPath,
     paperType,
     printQuality,
     colorMode,
     paperSize,
-    status: 'pending'
+    copies,
+    pageRanges,
+    pagesPerSheet,
+    orientation,
+    collated,
+    duplexMode,
+    priority: PRIORITY_LEVELS[priority],
+    scheduledFor: scheduledFor ? scheduledFor.toISOString() : null,
+    releasePinHash: releasePin ? await bcrypt.hash(releasePin, 10) : null,
+    heldUntil: heldUntil ? heldUntil.toISOString() : null,
+    pageCount,
+    imageScaling,
+    imageScale,
+    imagePosition,
+    imageMargin,
+    borderless,
+    watermarkText,
+    watermarkPosition,
+    watermarkOpacity,
+    watermarkFontSize,
+    reprintOf,
+    batchId,
+    status
   });
 
+  if (hold) {
+    return {
+      id: result.lastID,
+      jobId: result.lastID,
+      releasePin,
+      heldUntil
+    };
+  }
+
   return {
     id: result.lastID,
     jobId: result.lastID
   };
 }
 
+/**
+ * Record that the printer accepted a job
+ * A job with a CUPS job ID stays in progress until the status sync sees it leave the queue. Without
+ * one, as with the Windows print command, nothing can follow the job, so it is completed once the
+ * printer has it.
+ * @private
+ * @param {number} jobId - Job ID
+ * @param {Object} result - Successful result from the printer integration
+ * @returns {Promise<void>}
+ */
+async function markSubmitted(jobId, result) {
+  if (result.jobId && result.jobId !== 'unknown') {
+    // Keep the CUPS job ID so the status sync can follow the job in the queue
+    await db.setPrintJobCupsId(jobId, result.jobId);
+    await db.updatePrintJobStatus(jobId, 'in-progress');
+  } else {
+    await db.completePrintJob(jobId);
+  }
+}
+
 /**
  * Submit a print job to the system print queue
- * Uses CUPS (lp command) on Linux/Ubuntu systems
+ * Uses CUPS (lp command) on Linux/Ubuntu systems, on the queue of the printer the job targets
  * @param {number} jobId - Job ID
  * @param {string} documentPath - Path to document file
  * @param {Object} settings - Print settings
  * @param {string} settings.paperType - Paper type
- * @param {number} settings.printQuality - Print quality (DPI)
+ * @param {string} settings.printQuality - Print quality
  * @param {string} settings.colorMode - Color mode
  * @param {string} settings.paperSize - Paper size
- * @returns {Promise<{success: boolean, message: string}>}
+ * @param {number} settings.copies - Number of copies
+ * @param {string} settings.pageRanges - Pages to print (empty for all)
+ * @param {number} settings.pagesPerSheet - Pages per sheet
+ * @param {string} settings.orientation - Orientation
+ * @param {boolean} settings.collated - Collate copies
+ * @param {string} settings.duplexMode - Duplex mode (Off, Manual)
+ * @param {string} [settings.imageScaling] - Image layout, with the other image settings (image documents only)
+ * @param {string} [settings.watermarkText] - Watermark text, with the other watermark settings
+ * @returns {Promise<{success: boolean, message: string, awaitingFlip?: boolean}>}
  */
 async function submitJobToQueue(jobId, documentPath, settings) {
   try {
@@ -76,25 +289,61 @@ async function submitJobToQueue(jobId, documentPath, settings) {
     // Normalize settings to ensure correct types
     const normalizedSettings = {
       paperType: String(settings.paperType),
-      printQuality: parseInt(settings.printQuality, 10),
+      printQuality: String(settings.printQuality),
       colorMode: String(settings.colorMode),
-      paperSize: String(settings.paperSize)
+      paperSize: String(settings.paperSize),
+      copies: parseInt(settings.copies, 10) || 1,
+      pageRanges: String(settings.pageRanges || ''),
+      pagesPerSheet: parseInt(settings.pagesPerSheet, 10) || 1,
+      orientation: String(settings.orientation || 'Portrait'),
+      collated: settings.collated !== false && settings.collated !== 'false',
+      duplexMode: String(settings.duplexMode || 'Off')
     };
 
+    // Only image documents carry layout settings
+    if (settings.imageScaling) {
+      Object.assign(normalizedSettings, PrintSettings.normalizeImageSettings(settings));
+    }
+
+    if (settings.watermarkText) {
+      Object.assign(normalizedSettings, PrintSettings.normalizeWatermarkSettings(settings));
+    }
+
     console.log(`[JOB] Normalized settings for job ${jobId}:`, normalizedSettings);
 
-    // Validate print settings
-    const validation = printerIntegration.validatePrintSettings(normalizedSettings);
+    const queueName = await Printer.resolveQueueName(job.printerId);
+
+    // Validate print settings against the target printer
+    const validation = printerIntegration.validatePrintSettings(normalizedSettings, queueName);
     if (!validation.valid) {
       throw new Error(`Invalid print settings: ${validation.errors.join(', ')}`);
     }
 
-    // Submit to printer using printer integration module
-    const result = await printerIntegration.submitJobToPrinter(documentPath, normalizedSettings);
+    // Charge the owner's page quota before anything reaches CUPS
+    await Quota.chargeJob(job, normalizedSettings);
+
+    // Manual duplex prints the front sides now and parks the job until the stack is flipped
+    let result;
+    try {
+      result = normalizedSettings.duplexMode === 'Manual'
+        ? await submitManualDuplexFronts(job, documentPath, normalizedSettings, queueName)
+        : await printDocument(job, documentPath, normalizedSettings, queueName);
+    } catch (err) {
+      await Quota.refundJob(jobId);
+      throw err;
+    }
+
+    if (!result.success) {
+      // The printer never got the job, so its pages are not used up
+      await Quota.refundJob(jobId);
+    }
+
+    if (normalizedSettings.duplexMode === 'Manual') {
+      return result;
+    }
 
     if (result.success) {
-      // Update job status to in-progress
-      await db.updatePrintJobStatus(jobId, 'in-progress');
+      await markSubmitted(jobId, result);
     } else {
       // If printer is not available, keep job as pending
       console.warn(`Printer submission failed for job ${jobId}:`, result.message);
@@ -106,7 +355,252 @@ async function submitJobToQueue(jobId, documentPath, settings) {
   }
 }
 
+/**
+ * Get the watermark a job is stamped with
+ * A watermark an administrator forces on the owner replaces the owner's own text and is printed
+ * at least as large and as opaque as the default watermark, so it cannot be made unreadable
+ * @private
+ * @returns {Object|null} Watermark for watermark.stampPdf, or null to print without one
+ */
+function getJobWatermark(job, settings, owner) {
+  const forcedText = owner ? owner.forcedWatermark : null;
+  if (!forcedText && !settings.watermarkText) {
+    return null;
+  }
+
+  const layout = PrintSettings.normalizeWatermarkSettings(settings);
+  const defaults = PrintSettings.DEFAULT_WATERMARK_SETTINGS;
+  const text = watermark.formatWatermarkText(forcedText || layout.watermarkText, {
+    username: owner ? owner.username : '',
+    jobId: job.id
+  });
+  if (!text) {
+    return null;
+  }
+
+  return {
+    text,
+    position: layout.watermarkPosition,
+    opacity: forcedText ? Math.max(layout.watermarkOpacity, defaults.watermarkOpacity) : layout.watermarkOpacity,
+    fontSize: forcedText ? Math.max(layout.watermarkFontSize, defaults.watermarkFontSize) : layout.watermarkFontSize
+  };
+}
+
+/**
+ * Read a timestamp stored by SQLite's CURRENT_TIMESTAMP, which is in UTC
+ * @private
+ */
+function parseDbTimestamp(value) {
+  if (!value) {
+    return new Date();
+  }
+  return new Date(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value) ? `${value.replace(' ', 'T')}Z` : value);
+}
+
+/**
+ * Get the details printed on a job's cover page
+ * @private
+ * @returns {Promise<Object|null>} Details for coverPage.addCoverPage, or null if the owner prints without one
+ */
+async function getJobCoverPage(job, settings, owner, queueName) {
+  if (!owner || !(await User.printsCoverPage(owner))) {
+    return null;
+  }
+
+  const printer = job.printerId ? await Printer.getPrinter(job.printerId) : null;
+
+  return {
+    jobId: job.id,
+    owner: owner.username,
+    documentName: job.documentName,
+    submittedAt: parseDbTimestamp(job.submittedAt),
+    pageCount: job.pageCount || null,
+    printerName: printer ? printer.displayName : queueName,
+    settings
+  };
+}
+
+/**
+ * Send a document to the printer with the job's watermark and cover page, if it has them
+ * Both are added to a copy of the document sent as a single submission, so the cover page prints
+ * directly ahead of the job and again ahead of each further copy. The copy is deleted once the
+ * printer has it. Cover pages are not charged to the owner's quota.
+ * @private
+ * @param {Object} [options]
+ * @param {boolean} [options.coverPage=true] - Whether the job's cover page may be printed
+ * @returns {Promise<{success: boolean, jobId: string, message: string}>}
+ */
+async function printDocument(job, documentPath, settings, queueName, { coverPage = true } = {}) {
+  const owner = await User.getUserById(job.userId);
+  const jobWatermark = getJobWatermark(job, settings, owner);
+  const jobCoverPage = coverPage ? await getJobCoverPage(job, settings, owner, queueName) : null;
+  if (!jobWatermark && !jobCoverPage) {
+    return printerIntegration.submitJobToPrinter(documentPath, settings, queueName);
+  }
+
+  const copy = await printCopy.createPrintCopy(documentPath, settings, { watermark: jobWatermark, coverPage: jobCoverPage });
+  try {
+    return await printerIntegration.submitJobToPrinter(copy.path, copy.settings, queueName);
+  } finally {
+    await printCopy.removePrintCopy(copy.path);
+  }
+}
+
+/**
+ * Submit the front sides of a manual duplex job
+ * A cover page would change which sides end up back to back, so manual duplex jobs print without one
+ * @private
+ */
+async function submitManualDuplexFronts(job, documentPath, settings, queueName) {
+  const jobId = job.id;
+  const pageCount = await pageCounter.countPages(documentPath);
+  if (!pageCount) {
+    throw new Error('Manual duplex needs a document whose page count can be read');
+  }
+
+  const pages = PrintSettings.expandPageRanges(settings.pageRanges, pageCount);
+  if (!pages || pages.length === 0) {
+    throw new Error(`Page range ${settings.pageRanges} does not select any of the ${pageCount} page(s) in the document`);
+  }
+
+  const plan = manualDuplex.planManualDuplex(pages);
+  const result = await printDocument(job, documentPath, {
+    ...settings,
+    pageRanges: manualDuplex.formatPageList(plan.frontPages)
+  }, queueName, { coverPage: false });
+
+  if (!result.success) {
+    console.warn(`Printer submission failed for job ${jobId}:`, result.message);
+    return result;
+  }
+
+  // A single selected page has no back side, so the job prints like any other
+  if (plan.backPages.length === 0) {
+    await markSubmitted(jobId, result);
+    return result;
+  }
+
+  if (result.jobId && result.jobId !== 'unknown') {
+    await db.setPrintJobCupsId(jobId, result.jobId);
+  }
+
+  const flipUntil = new Date(Date.now() + DUPLEX_CONFIG.flipTimeoutMinutes * 60 * 1000);
+  await db.setPrintJobDuplexPlan(jobId, manualDuplex.formatPageList(plan.backPages), plan.setAsidePage, flipUntil.toISOString());
+  await db.updatePrintJobStatus(jobId, 'awaiting-flip');
+
+  return {
+    ...result,
+    awaitingFlip: true,
+    message: 'Front sides sent to the printer. Open the job page for instructions on printing the back sides.'
+  };
+}
+
+/**
+ * Build print settings from a stored job
+ * @param {Object} job - PrintJob row
+ * @returns {Object} Print settings
+ */
+function getJobSettings(job) {
+  const settings = {
+    paperType: job.paperType,
+    printQuality: job.printQuality,
+    colorMode: job.colorMode,
+    paperSize: job.paperSize,
+    copies: job.copies,
+    pageRanges: job.pageRanges || '',
+    pagesPerSheet: job.pagesPerSheet,
+    orientation: job.orientation,
+    collated: Boolean(job.collated),
+    duplexMode: job.duplexMode || 'Off',
+    priority: getPriorityName(job.priority)
+  };
+
+  if (job.imageScaling) {
+    Object.assign(settings, PrintSettings.normalizeImageSettings(job));
+  }
+
+  if (job.watermarkText) {
+    Object.assign(settings, PrintSettings.normalizeWatermarkSettings(job));
+  }
+
+  return settings;
+}
+
+/**
+ * Print the back sides of a manual duplex job once the user has reloaded the stack
+ * Back sides are printed in reverse order so the last sheet printed is the first fed back in
+ * @param {number} jobId - Job ID
+ * @returns {Promise<{success: boolean, jobId: string, message: string}>}
+ */
+async function continueManualDuplex(jobId) {
+  const job = await db.getPrintJob(jobId);
+  if (!job) {
+    throw new Error(`Job ${jobId} not found`);
+  }
+
+  if (job.status !== 'awaiting-flip') {
+    return {
+      success: false,
+      jobId: null,
+      message: `Job ${jobId} is not waiting for the pages to be flipped`
+    };
+  }
+
+  const queueName = await Printer.resolveQueueName(job.printerId);
+
+  if (job.cupsJobId) {
+    const frontState = await printerIntegration.getJobState(job.cupsJobId, queueName);
+    if (ACTIVE_CUPS_STATES.includes(frontState.state)) {
+      return {
+        success: false,
+        jobId: null,
+        message: 'The front sides are still printing. Wait until they have finished before continuing.'
+      };
+    }
+  }
+
+  const result = await printDocument(job, job.documentPath, {
+    ...getJobSettings(job),
+    pageRanges: job.duplexBackPages,
+    outputOrder: 'reverse'
+  }, queueName, { coverPage: false });
+
+  if (!result.success) {
+    return result;
+  }
+
+  await markSubmitted(jobId, result);
+
+  return result;
+}
+
+/**
+ * Fail manual duplex jobs whose back sides were not printed in time
+ * The printer they kept is free again, and the reason is recorded as an attempt on the job
+ * @param {Date} [now] - Current time
+ * @returns {Promise<number>} Number of jobs failed
+ */
+async function failUnflippedJobs(now = new Date()) {
+  let failedCount = 0;
+
+  for (const job of await db.getExpiredFlipPrintJobs(now.toISOString())) {
+    const result = await db.failUnflippedPrintJob(job.id);
+    if (result.changes === 0) {
+      // Continued or cancelled in the meantime
+      continue;
+    }
+
+    failedCount++;
+    await db.insertPrintJobAttempt(job.id, {
+      success: false,
+      retryable: false,
+      message: `The back sides were not printed within ${DUPLEX_CONFIG.flipTimeoutMinutes} minutes of the front sides`
+    });
+    console.log(`[JOB] Back sides of job ${job.id} were not printed in time; the job failed`);
+  }
 
+  return failedCount;
+}
 
 /**
  * Get a specific print job
@@ -117,6 +611,15 @@ async function getPrintJob(jobId) {
   return db.getPrintJob(jobId);
 }
 
+/**
+ * Get the submission attempts of a print job, oldest first
+ * @param {number} jobId - Job ID
+ * @returns {Promise<Array<{attemptNumber: number, success: number, retryable: number, message: string, attemptedAt: string}>>}
+ */
+async function getJobAttempts(jobId) {
+  return db.getPrintJobAttempts(jobId);
+}
+
 /**
  * Get all print jobs for a user
  * @param {number} userId - User ID
@@ -129,14 +632,12 @@ async function getUserPrintJobs(userId) {
 /**
  * Update job status
  * @param {number} jobId - Job ID
- * @param {string} status - New status (pending, in-progress, completed, failed)
+ * @param {string} status - New status (pending, in-progress, awaiting-flip, completed, failed, cancelled)
  * @returns {Promise<{lastID: number, changes: number}>}
  */
 async function updateJobStatus(jobId, status) {
-  const validStatuses = ['pending', 'in-progress', 'completed', 'failed'];
-  
-  if (!validStatuses.includes(status)) {
-    throw new Error(`Invalid status: ${status}. Must be one of: ${validStatuses.join(', ')}`);
+  if (!JOB_STATUSES.includes(status)) {
+    throw new Error(`Invalid status: ${status}. Must be one of: ${JOB_STATUSES.join(', ')}`);
   }
 
   return db.updatePrintJobStatus(jobId, status);
@@ -151,11 +652,256 @@ async function completeJob(jobId) {
   return db.completePrintJob(jobId);
 }
 
+/**
+ * Check whether a job can still be cancelled
+ * @param {Object} job - PrintJob row
+ * @returns {boolean}
+ */
+function isCancellable(job) {
+  return Boolean(job) && CANCELLABLE_STATUSES.includes(job.status);
+}
+
+/**
+ * Cancel a print job
+ * Jobs already handed to CUPS are cancelled there first; pending jobs that
+ * never reached CUPS are simply dropped from the queue
+ * @param {number} jobId - Job ID
+ * @returns {Promise<{success: boolean, message: string}>}
+ */
+async function cancelJob(jobId) {
+  const job = await db.getPrintJob(jobId);
+  if (!job) {
+    throw new Error(`Job ${jobId} not found`);
+  }
+
+  if (!isCancellable(job)) {
+    return {
+      success: false,
+      message: `Job ${jobId} is ${job.status} and can no longer be cancelled`
+    };
+  }
+
+  // A job awaiting its flip has usually finished its front sides in CUPS already,
+  // so a failed CUPS cancel only matters for jobs that are still printing
+  if (job.cupsJobId) {
+    const queueName = await Printer.resolveQueueName(job.printerId);
+    const result = await printerIntegration.cancelPrintJob(job.cupsJobId, queueName);
+    if (!result.success && job.status === 'in-progress') {
+      return {
+        success: false,
+        message: result.message
+      };
+    }
+  }
+
+  await db.cancelPrintJob(jobId);
+
+  return {
+    success: true,
+    message: `Job ${jobId} cancelled`
+  };
+}
+
+/**
+ * Check whether a job can still be given a new print time
+ * @param {Object} job - PrintJob row
+ * @returns {boolean}
+ */
+function isReschedulable(job) {
+  return Boolean(job) && RESCHEDULABLE_STATUSES.includes(job.status);
+}
+
+/**
+ * Give a waiting job a new print time
+ * Queued jobs can be deferred as well; a job whose new time is null joins the queue straight away
+ * @param {number} jobId - Job ID
+ * @param {Date|null} scheduledFor - New print time, or null to print as soon as possible
+ * @returns {Promise<{success: boolean, message: string}>}
+ */
+async function rescheduleJob(jobId, scheduledFor) {
+  const job = await db.getPrintJob(jobId);
+  if (!job) {
+    throw new Error(`Job ${jobId} not found`);
+  }
+
+  if (!isReschedulable(job)) {
+    return {
+      success: false,
+      message: `Job ${jobId} is ${job.status} and can no longer be rescheduled`
+    };
+  }
+
+  if (scheduledFor) {
+    const result = await db.schedulePrintJob(jobId, scheduledFor.toISOString());
+    if (result.changes === 0) {
+      return {
+        success: false,
+        message: `Job ${jobId} has already left the schedule and can no longer be rescheduled`
+      };
+    }
+    return {
+      success: true,
+      message: `Job ${jobId} will print at ${scheduledFor.toLocaleString()}`
+    };
+  }
+
+  await db.releaseScheduledPrintJob(jobId);
+  return {
+    success: true,
+    message: `Job ${jobId} has joined the queue`
+  };
+}
+
+/**
+ * Release a held job to the queue
+ * @param {number} jobId - Job ID
+ * @param {string} pin - Release PIN shown when the job was submitted
+ * @returns {Promise<{success: boolean, message: string}>}
+ */
+async function releaseJob(jobId, pin) {
+  const job = await db.getPrintJob(jobId);
+  if (!job) {
+    throw new Error(`Job ${jobId} not found`);
+  }
+
+  if (job.status !== 'held') {
+    return {
+      success: false,
+      message: `Job ${jobId} is ${job.status} and is not waiting to be released`
+    };
+  }
+
+  if (new Date(job.heldUntil) <= new Date()) {
+    return {
+      success: false,
+      message: `Job ${jobId} has expired`
+    };
+  }
+
+  if (!job.releasePinHash || !await bcrypt.compare(String(pin || '').trim(), job.releasePinHash)) {
+    return {
+      success: false,
+      message: 'Incorrect PIN'
+    };
+  }
+
+  await db.releaseHeldPrintJob(jobId);
+
+  return {
+    success: true,
+    message: `Job ${jobId} released to the printer`
+  };
+}
+
+/**
+ * Check that a job's document is still on disk
+ * @private
+ * @returns {Promise<import('fs').Stats|null>}
+ */
+async function statDocument(job) {
+  try {
+    return await fs.stat(job.documentPath);
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return null;
+    }
+    throw err;
+  }
+}
+
+/**
+ * Explain that a job's document has been cleaned up
+ * @private
+ */
+function documentGoneMessage(job) {
+  return `The document of job ${job.id} (${job.documentName}) is no longer available. ` +
+    'Documents are deleted a day after they are printed unless you keep them; upload it again to print it.';
+}
+
+/**
+ * Get what is needed to print a job again
+ * A reprint is a new job for the same document, submitted with the job's settings or edited ones
+ * @param {number} jobId - Job ID
+ * @returns {Promise<{success: boolean, message: string, job?: Object, settings?: Object, size?: number}>}
+ *   The job, its print settings and the document size, or why it cannot be printed again
+ */
+async function getReprint(jobId) {
+  const job = await db.getPrintJob(jobId);
+  if (!job) {
+    throw new Error(`Job ${jobId} not found`);
+  }
+
+  const stats = await statDocument(job);
+  if (!stats) {
+    return {
+      success: false,
+      message: documentGoneMessage(job)
+    };
+  }
+
+  return {
+    success: true,
+    message: `Job ${jobId} can be printed again`,
+    job,
+    settings: getJobSettings(job),
+    size: stats.size
+  };
+}
+
+/**
+ * Keep a job's document beyond the cleanup window, so the job can be printed again later
+ * Kept jobs stay in the history until they are no longer kept
+ * @param {number} jobId - Job ID
+ * @param {boolean} keep - Whether to keep the document
+ * @returns {Promise<{success: boolean, message: string}>}
+ */
+async function setKeepDocument(jobId, keep) {
+  const job = await db.getPrintJob(jobId);
+  if (!job) {
+    throw new Error(`Job ${jobId} not found`);
+  }
+
+  if (keep && !await statDocument(job)) {
+    return {
+      success: false,
+      message: documentGoneMessage(job)
+    };
+  }
+
+  await db.setPrintJobKeepDocument(jobId, keep);
+
+  return {
+    success: true,
+    message: keep
+      ? `${job.documentName} will be kept until you stop keeping it`
+      : `${job.documentName} is no longer kept and will be cleaned up as usual`
+  };
+}
+
 module.exports = {
+  JOB_STATUSES,
+  CANCELLABLE_STATUSES,
+  RESCHEDULABLE_STATUSES,
+  HOLD_CONFIG,
+  DUPLEX_CONFIG,
+  PRIORITY_LEVELS,
+  getPriorityName,
+  parseScheduledFor,
   createPrintJob,
   submitJobToQueue,
+  continueManualDuplex,
+  failUnflippedJobs,
+  getJobSettings,
   getPrintJob,
+  getJobAttempts,
   getUserPrintJobs,
   updateJobStatus,
-  completeJob
+  completeJob,
+  isCancellable,
+  cancelJob,
+  isReschedulable,
+  rescheduleJob,
+  releaseJob,
+  getReprint,
+  setKeepDocument
 };
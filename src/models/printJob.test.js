@@ -255,3 +255,521 @@ describe('Print Job Submission', () => {
     );
   }, 30000);
 });
+
+describe('Print Job Cancellation', () => {
+  const db = require('./database');
+  const printerIntegration = require('../utils/printerIntegration');
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should cancel jobs already submitted to CUPS', async () => {
+    jest.spyOn(db, 'getPrintJob').mockResolvedValue({ id: 5, status: 'in-progress', cupsJobId: '41' });
+    const cancelInCups = jest.spyOn(printerIntegration, 'cancelPrintJob').mockResolvedValue({ success: true, message: 'ok' });
+    const cancelInDb = jest.spyOn(db, 'cancelPrintJob').mockResolvedValue({ changes: 1 });
+
+    const result = await PrintJob.cancelJob(5);
+
+    expect(result.success).toBe(true);
+    expect(cancelInCups).toHaveBeenCalledWith('41', printerIntegration.PRINTER_CONFIG.name);
+    expect(cancelInDb).toHaveBeenCalledWith(5);
+  });
+
+  test('should cancel jobs on the queue of the printer they target', async () => {
+    jest.spyOn(db, 'getPrintJob').mockResolvedValue({ id: 8, status: 'in-progress', cupsJobId: '43', printerId: 2 });
+    jest.spyOn(db, 'getPrinter').mockResolvedValue({ id: 2, queueName: 'LaserJet-M110', displayName: 'Laser', enabled: 1 });
+    const cancelInCups = jest.spyOn(printerIntegration, 'cancelPrintJob').mockResolvedValue({ success: true, message: 'ok' });
+    jest.spyOn(db, 'cancelPrintJob').mockResolvedValue({ changes: 1 });
+
+    await PrintJob.cancelJob(8);
+
+    expect(cancelInCups).toHaveBeenCalledWith('43', 'LaserJet-M110');
+  });
+
+  test('should drop pending jobs that never reached CUPS', async () => {
+    jest.spyOn(db, 'getPrintJob').mockResolvedValue({ id: 6, status: 'pending', cupsJobId: null });
+    const cancelInCups = jest.spyOn(printerIntegration, 'cancelPrintJob');
+    const cancelInDb = jest.spyOn(db, 'cancelPrintJob').mockResolvedValue({ changes: 1 });
+
+    const result = await PrintJob.cancelJob(6);
+
+    expect(result.success).toBe(true);
+    expect(cancelInCups).not.toHaveBeenCalled();
+    expect(cancelInDb).toHaveBeenCalledWith(6);
+  });
+
+  test('should keep the job when CUPS refuses to cancel it', async () => {
+    jest.spyOn(db, 'getPrintJob').mockResolvedValue({ id: 7, status: 'in-progress', cupsJobId: '42' });
+    jest.spyOn(printerIntegration, 'cancelPrintJob').mockResolvedValue({ success: false, message: 'job-completed' });
+    const cancelInDb = jest.spyOn(db, 'cancelPrintJob');
+
+    const result = await PrintJob.cancelJob(7);
+
+    expect(result.success).toBe(false);
+    expect(cancelInDb).not.toHaveBeenCalled();
+  });
+
+  test('should refuse to cancel finished jobs', async () => {
+    for (const status of ['completed', 'failed', 'cancelled']) {
+      jest.spyOn(db, 'getPrintJob').mockResolvedValue({ id: 8, status, cupsJobId: '43' });
+
+      const result = await PrintJob.cancelJob(8);
+      expect(result.success).toBe(false);
+      expect(PrintJob.isCancellable({ status })).toBe(false);
+    }
+  });
+});
+
+describe('Scheduled Jobs', () => {
+  const db = require('./database');
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should parse print times in the future and treat empty ones as print now', () => {
+    const now = new Date(2026, 2, 2, 22, 0);
+
+    expect(PrintJob.parseScheduledFor('2026-03-03T07:00', now)).toEqual(new Date(2026, 2, 3, 7, 0));
+    expect(PrintJob.parseScheduledFor('', now)).toBeNull();
+    expect(PrintJob.parseScheduledFor(undefined, now)).toBeNull();
+
+    expect(() => PrintJob.parseScheduledFor('tomorrow morning', now)).toThrow('Invalid print time');
+    expect(() => PrintJob.parseScheduledFor('2026-03-02T21:00', now)).toThrow('must be in the future');
+  });
+
+  test('should store scheduled jobs with their print time instead of queueing them', async () => {
+    const insert = jest.spyOn(db, 'insertPrintJob').mockResolvedValue({ lastID: 12, changes: 1 });
+    const scheduledFor = new Date('2026-03-03T07:00:00.000Z');
+
+    await PrintJob.createPrintJob({ userId: 1, documentName: 'report.pdf', documentPath: '/uploads/report.pdf', scheduledFor });
+
+    expect(insert).toHaveBeenCalledWith(expect.objectContaining({
+      status: 'scheduled',
+      scheduledFor: '2026-03-03T07:00:00.000Z'
+    }));
+  });
+
+  test('should reschedule waiting jobs or release them to the queue', async () => {
+    jest.spyOn(db, 'getPrintJob').mockResolvedValue({ id: 12, status: 'scheduled' });
+    const schedule = jest.spyOn(db, 'schedulePrintJob').mockResolvedValue({ changes: 1 });
+    const release = jest.spyOn(db, 'releaseScheduledPrintJob').mockResolvedValue({ changes: 1 });
+
+    expect((await PrintJob.rescheduleJob(12, new Date('2026-03-04T07:00:00.000Z'))).success).toBe(true);
+    expect(schedule).toHaveBeenCalledWith(12, '2026-03-04T07:00:00.000Z');
+
+    expect((await PrintJob.rescheduleJob(12, null)).success).toBe(true);
+    expect(release).toHaveBeenCalledWith(12);
+  });
+
+  test('should not report success when the job left the schedule while it was being rescheduled', async () => {
+    jest.spyOn(db, 'getPrintJob').mockResolvedValue({ id: 14, status: 'scheduled' });
+    jest.spyOn(db, 'schedulePrintJob').mockResolvedValue({ changes: 0 });
+
+    const result = await PrintJob.rescheduleJob(14, new Date('2026-03-04T07:00:00.000Z'));
+
+    expect(result.success).toBe(false);
+    expect(result.message).toContain('can no longer be rescheduled');
+  });
+
+  test('should refuse to reschedule jobs already sent to the printer', async () => {
+    const schedule = jest.spyOn(db, 'schedulePrintJob');
+
+    for (const status of ['in-progress', 'awaiting-flip', 'completed', 'cancelled']) {
+      jest.spyOn(db, 'getPrintJob').mockResolvedValue({ id: 13, status });
+
+      const result = await PrintJob.rescheduleJob(13, new Date(Date.now() + 60000));
+      expect(result.success).toBe(false);
+    }
+
+    expect(schedule).not.toHaveBeenCalled();
+    expect(PrintJob.isCancellable({ status: 'scheduled' })).toBe(true);
+  });
+});
+
+describe('Held Jobs', () => {
+  const db = require('./database');
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  /**
+   * Create a held job and return the stored row along with its PIN
+   */
+  async function createHeldJob() {
+    const insert = jest.spyOn(db, 'insertPrintJob').mockResolvedValue({ lastID: 21, changes: 1 });
+    const result = await PrintJob.createPrintJob({ userId: 1, documentName: 'payslip.pdf', documentPath: '/uploads/payslip.pdf', hold: true });
+    return { result, row: { id: 21, ...insert.mock.calls[0][0] } };
+  }
+
+  test('should hold jobs with a hashed PIN and an expiry time', async () => {
+    const before = Date.now();
+    const { result, row } = await createHeldJob();
+
+    expect(result.releasePin).toMatch(/^\d{6}$/);
+    expect(row.status).toBe('held');
+    expect(row.releasePinHash).not.toContain(result.releasePin);
+    expect(new Date(row.heldUntil).getTime()).toBeGreaterThanOrEqual(before + PrintJob.HOLD_CONFIG.expiryHours * 60 * 60 * 1000);
+  });
+
+  test('should refuse to hold scheduled jobs', async () => {
+    await expect(PrintJob.createPrintJob({
+      userId: 1,
+      documentName: 'payslip.pdf',
+      documentPath: '/uploads/payslip.pdf',
+      hold: true,
+      scheduledFor: new Date(Date.now() + 60000)
+    })).rejects.toThrow('both held and scheduled');
+  });
+
+  test('should release held jobs only with the right PIN', async () => {
+    const { result, row } = await createHeldJob();
+    jest.spyOn(db, 'getPrintJob').mockResolvedValue(row);
+    const release = jest.spyOn(db, 'releaseHeldPrintJob').mockResolvedValue({ changes: 1 });
+
+    const wrongPin = result.releasePin === '000000' ? '111111' : '000000';
+    expect(await PrintJob.releaseJob(21, wrongPin)).toEqual({ success: false, message: 'Incorrect PIN' });
+    expect(release).not.toHaveBeenCalled();
+
+    expect((await PrintJob.releaseJob(21, result.releasePin)).success).toBe(true);
+    expect(release).toHaveBeenCalledWith(21);
+  });
+
+  test('should not release expired or already released jobs', async () => {
+    const { result, row } = await createHeldJob();
+    const release = jest.spyOn(db, 'releaseHeldPrintJob');
+
+    jest.spyOn(db, 'getPrintJob').mockResolvedValue({ ...row, heldUntil: new Date(Date.now() - 1000).toISOString() });
+    expect((await PrintJob.releaseJob(21, result.releasePin)).message).toContain('expired');
+
+    jest.spyOn(db, 'getPrintJob').mockResolvedValue({ ...row, status: 'pending' });
+    expect((await PrintJob.releaseJob(21, result.releasePin)).success).toBe(false);
+
+    expect(release).not.toHaveBeenCalled();
+  });
+});
+
+describe('Manual Duplex Jobs', () => {
+  const db = require('./database');
+  const printerIntegration = require('../utils/printerIntegration');
+  const pageCounter = require('../utils/pageCounter');
+  const Quota = require('./quota');
+
+  const awaitingJob = {
+    id: 12,
+    status: 'awaiting-flip',
+    cupsJobId: '50',
+    documentPath: '/uploads/doc.pdf',
+    paperType: 'Plain Paper',
+    printQuality: 'Normal',
+    colorMode: 'Grayscale',
+    paperSize: 'A4',
+    copies: 1,
+    pageRanges: '',
+    pagesPerSheet: 1,
+    orientation: 'Portrait',
+    collated: 1,
+    duplexMode: 'Manual',
+    duplexBackPages: '2,4',
+    duplexSetAsidePage: 5
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should print the front sides and park the job awaiting a flip', async () => {
+    jest.spyOn(db, 'getPrintJob').mockResolvedValue({ id: 12, status: 'pending' });
+    jest.spyOn(db, 'getUserById').mockResolvedValue({ id: 1, username: 'alice', forcedWatermark: null });
+    jest.spyOn(pageCounter, 'countPages').mockResolvedValue(5);
+    jest.spyOn(Quota, 'chargeJob').mockResolvedValue({ inkType: 'grayscale', pages: 5 });
+    const submit = jest.spyOn(printerIntegration, 'submitJobToPrinter').mockResolvedValue({ success: true, jobId: '50', message: 'ok' });
+    jest.spyOn(db, 'setPrintJobCupsId').mockResolvedValue({ changes: 1 });
+    const savePlan = jest.spyOn(db, 'setPrintJobDuplexPlan').mockResolvedValue({ changes: 1 });
+    const updateStatus = jest.spyOn(db, 'updatePrintJobStatus').mockResolvedValue({ changes: 1 });
+
+    const result = await PrintJob.submitJobToQueue(12, '/uploads/doc.pdf', {
+      paperType: 'Plain Paper',
+      printQuality: 'Normal',
+      colorMode: 'Grayscale',
+      paperSize: 'A4',
+      duplexMode: 'Manual'
+    });
+
+    expect(result.awaitingFlip).toBe(true);
+    expect(submit.mock.calls[0][1].pageRanges).toBe('1,3,5');
+    expect(savePlan).toHaveBeenCalledWith(12, '2,4', 5, expect.any(String));
+    expect(new Date(savePlan.mock.calls[0][3]).getTime() - Date.now())
+      .toBeGreaterThan((PrintJob.DUPLEX_CONFIG.flipTimeoutMinutes - 1) * 60 * 1000);
+    expect(updateStatus).toHaveBeenCalledWith(12, 'awaiting-flip');
+  });
+
+  test('should print the back sides in reverse order when continued', async () => {
+    jest.spyOn(db, 'getPrintJob').mockResolvedValue(awaitingJob);
+    jest.spyOn(db, 'getUserById').mockResolvedValue({ id: 1, username: 'alice', forcedWatermark: null });
+    jest.spyOn(printerIntegration, 'getJobState').mockResolvedValue({ found: true, state: 'completed', reasons: [] });
+    const submit = jest.spyOn(printerIntegration, 'submitJobToPrinter').mockResolvedValue({ success: true, jobId: '51', message: 'ok' });
+    const setCupsId = jest.spyOn(db, 'setPrintJobCupsId').mockResolvedValue({ changes: 1 });
+    const updateStatus = jest.spyOn(db, 'updatePrintJobStatus').mockResolvedValue({ changes: 1 });
+
+    const result = await PrintJob.continueManualDuplex(12);
+
+    expect(result.success).toBe(true);
+    expect(submit.mock.calls[0][1]).toMatchObject({ pageRanges: '2,4', outputOrder: 'reverse' });
+    expect(setCupsId).toHaveBeenCalledWith(12, '51');
+    expect(updateStatus).toHaveBeenCalledWith(12, 'in-progress');
+  });
+
+  test('should wait for the front sides to finish printing', async () => {
+    jest.spyOn(db, 'getPrintJob').mockResolvedValue(awaitingJob);
+    jest.spyOn(printerIntegration, 'getJobState').mockResolvedValue({ found: true, state: 'processing', reasons: [] });
+    const submit = jest.spyOn(printerIntegration, 'submitJobToPrinter');
+
+    const result = await PrintJob.continueManualDuplex(12);
+
+    expect(result.success).toBe(false);
+    expect(submit).not.toHaveBeenCalled();
+  });
+
+  test('should fail jobs whose back sides were not printed in time, and record why', async () => {
+    const now = new Date('2026-03-02T09:00:00.000Z');
+    const late = jest.spyOn(db, 'getExpiredFlipPrintJobs').mockResolvedValue([
+      { ...awaitingJob, flipUntil: '2026-03-02T08:00:00.000Z' },
+      { ...awaitingJob, id: 13, flipUntil: '2026-03-02T08:30:00.000Z' }
+    ]);
+    // Job 13 was continued just before the deadline was checked
+    const fail = jest.spyOn(db, 'failUnflippedPrintJob').mockImplementation(async jobId => ({ changes: jobId === 12 ? 1 : 0 }));
+    const attempt = jest.spyOn(db, 'insertPrintJobAttempt').mockResolvedValue(2);
+
+    const failed = await PrintJob.failUnflippedJobs(now);
+
+    expect(late).toHaveBeenCalledWith(now.toISOString());
+    expect(fail).toHaveBeenCalledTimes(2);
+    expect(failed).toBe(1);
+    expect(attempt).toHaveBeenCalledTimes(1);
+    expect(attempt.mock.calls[0][0]).toBe(12);
+    expect(attempt.mock.calls[0][1]).toMatchObject({ success: false, retryable: false });
+  });
+});
+
+describe('Watermarked Jobs', () => {
+  const db = require('./database');
+  const printerIntegration = require('../utils/printerIntegration');
+  const printCopy = require('../utils/printCopy');
+  const Quota = require('./quota');
+
+  const settings = {
+    paperType: 'Plain Paper',
+    printQuality: 'Normal',
+    colorMode: 'Grayscale',
+    paperSize: 'A4',
+    watermarkText: '{username} - Job {job}',
+    watermarkPosition: 'Header',
+    watermarkOpacity: 20,
+    watermarkFontSize: 8
+  };
+
+  beforeEach(() => {
+    jest.spyOn(db, 'getPrintJob').mockResolvedValue({ id: 21, userId: 4, status: 'pending' });
+    jest.spyOn(Quota, 'chargeJob').mockResolvedValue({ inkType: 'grayscale', pages: 1 });
+    jest.spyOn(db, 'setPrintJobCupsId').mockResolvedValue({ changes: 1 });
+    jest.spyOn(db, 'updatePrintJobStatus').mockResolvedValue({ changes: 1 });
+    jest.spyOn(db, 'getAppSettings').mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should complete jobs the printer accepted without a job ID to follow', async () => {
+    jest.spyOn(db, 'getUserById').mockResolvedValue({ id: 4, username: 'alice', forcedWatermark: null });
+    jest.spyOn(printCopy, 'createPrintCopy').mockImplementation(async (documentPath, jobSettings) => ({ path: '/stamped/doc.pdf', settings: jobSettings }));
+    jest.spyOn(printCopy, 'removePrintCopy').mockResolvedValue();
+    jest.spyOn(printerIntegration, 'submitJobToPrinter').mockResolvedValue({ success: true, jobId: null, message: 'Job submitted successfully to printer' });
+    const complete = jest.spyOn(db, 'completePrintJob').mockResolvedValue({ changes: 1 });
+
+    const result = await PrintJob.submitJobToQueue(21, '/uploads/doc.pdf', settings);
+
+    expect(result.success).toBe(true);
+    expect(complete).toHaveBeenCalledWith(21);
+    expect(db.setPrintJobCupsId).not.toHaveBeenCalled();
+    expect(db.updatePrintJobStatus).not.toHaveBeenCalledWith(21, 'in-progress');
+  });
+
+  test('should print a stamped copy and delete it once the printer has it', async () => {
+    jest.spyOn(db, 'getUserById').mockResolvedValue({ id: 4, username: 'alice', forcedWatermark: null });
+    const createCopy = jest.spyOn(printCopy, 'createPrintCopy').mockImplementation(async (documentPath, jobSettings) => ({
+      path: '/stamped/doc-1a2b.pdf',
+      settings: jobSettings
+    }));
+    const removeCopy = jest.spyOn(printCopy, 'removePrintCopy').mockResolvedValue();
+    const submit = jest.spyOn(printerIntegration, 'submitJobToPrinter').mockResolvedValue({ success: true, jobId: '60', message: 'ok' });
+
+    await PrintJob.submitJobToQueue(21, '/uploads/doc.pdf', settings);
+
+    expect(createCopy.mock.calls[0][0]).toBe('/uploads/doc.pdf');
+    expect(createCopy.mock.calls[0][2].watermark).toEqual({ text: 'alice - Job 21', position: 'Header', opacity: 20, fontSize: 8 });
+    expect(submit.mock.calls[0][0]).toBe('/stamped/doc-1a2b.pdf');
+    expect(removeCopy).toHaveBeenCalledWith('/stamped/doc-1a2b.pdf');
+  });
+
+  test('should stamp the forced watermark in place of the owner\'s, at least as visible as the default', async () => {
+    jest.spyOn(db, 'getUserById').mockResolvedValue({ id: 4, username: 'alice', forcedWatermark: 'Printed by {username}' });
+    const createCopy = jest.spyOn(printCopy, 'createPrintCopy').mockResolvedValue({ path: '/stamped/doc.pdf', settings });
+    jest.spyOn(printCopy, 'removePrintCopy').mockResolvedValue();
+    jest.spyOn(printerIntegration, 'submitJobToPrinter').mockResolvedValue({ success: true, jobId: '61', message: 'ok' });
+
+    await PrintJob.submitJobToQueue(21, '/uploads/doc.pdf', settings);
+
+    expect(createCopy.mock.calls[0][2].watermark).toEqual({ text: 'Printed by alice', position: 'Header', opacity: 50, fontSize: 10 });
+  });
+
+  test('should print the document as it is without a watermark', async () => {
+    jest.spyOn(db, 'getUserById').mockResolvedValue({ id: 4, username: 'alice', forcedWatermark: null });
+    const createCopy = jest.spyOn(printCopy, 'createPrintCopy');
+    const submit = jest.spyOn(printerIntegration, 'submitJobToPrinter').mockResolvedValue({ success: true, jobId: '62', message: 'ok' });
+
+    const { watermarkText, ...withoutWatermark } = settings;
+    await PrintJob.submitJobToQueue(21, '/uploads/doc.pdf', withoutWatermark);
+
+    expect(createCopy).not.toHaveBeenCalled();
+    expect(submit.mock.calls[0][0]).toBe('/uploads/doc.pdf');
+  });
+
+  test('should give back the pages when the document cannot be stamped', async () => {
+    jest.spyOn(db, 'getUserById').mockResolvedValue({ id: 4, username: 'alice', forcedWatermark: null });
+    jest.spyOn(printCopy, 'createPrintCopy').mockRejectedValue(new Error('Could not add a watermark to doc.pdf: encrypted'));
+    const refund = jest.spyOn(Quota, 'refundJob').mockResolvedValue();
+
+    await expect(PrintJob.submitJobToQueue(21, '/uploads/doc.pdf', settings)).rejects.toThrow('Could not add a watermark');
+    expect(refund).toHaveBeenCalledWith(21);
+  });
+});
+
+describe('Cover Pages', () => {
+  const db = require('./database');
+  const printerIntegration = require('../utils/printerIntegration');
+  const printCopy = require('../utils/printCopy');
+  const Quota = require('./quota');
+
+  const settings = {
+    paperType: 'Plain Paper',
+    printQuality: 'Normal',
+    colorMode: 'Grayscale',
+    paperSize: 'A4',
+    copies: 2
+  };
+
+  beforeEach(() => {
+    jest.spyOn(db, 'getPrintJob').mockResolvedValue({
+      id: 22,
+      userId: 4,
+      status: 'pending',
+      documentName: 'report.pdf',
+      pageCount: 3,
+      submittedAt: '2024-05-01 09:30:00'
+    });
+    jest.spyOn(Quota, 'chargeJob').mockResolvedValue({ inkType: 'grayscale', pages: 6 });
+    jest.spyOn(db, 'setPrintJobCupsId').mockResolvedValue({ changes: 1 });
+    jest.spyOn(db, 'updatePrintJobStatus').mockResolvedValue({ changes: 1 });
+    jest.spyOn(printCopy, 'removePrintCopy').mockResolvedValue();
+    jest.spyOn(printerIntegration, 'submitJobToPrinter').mockResolvedValue({ success: true, jobId: '70', message: 'ok' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should print a cover page when the site default turns them on', async () => {
+    jest.spyOn(db, 'getUserById').mockResolvedValue({ id: 4, username: 'alice', forcedWatermark: null, coverPage: null });
+    jest.spyOn(db, 'getAppSettings').mockResolvedValue([{ key: 'coverPageDefault', value: 'true' }]);
+    const createCopy = jest.spyOn(printCopy, 'createPrintCopy').mockResolvedValue({ path: '/print-copies/doc.pdf', settings });
+
+    await PrintJob.submitJobToQueue(22, '/uploads/doc.pdf', settings);
+
+    const { watermark, coverPage } = createCopy.mock.calls[0][2];
+    expect(watermark).toBeNull();
+    expect(coverPage).toMatchObject({ jobId: 22, owner: 'alice', documentName: 'report.pdf', pageCount: 3 });
+    expect(coverPage.submittedAt.toISOString()).toBe('2024-05-01T09:30:00.000Z');
+    expect(coverPage.settings).toMatchObject({ copies: 2 });
+  });
+
+  test('should follow the owner\'s preference over the site default', async () => {
+    jest.spyOn(db, 'getUserById').mockResolvedValue({ id: 4, username: 'alice', forcedWatermark: null, coverPage: 0 });
+    jest.spyOn(db, 'getAppSettings').mockResolvedValue([{ key: 'coverPageDefault', value: 'true' }]);
+    const createCopy = jest.spyOn(printCopy, 'createPrintCopy');
+
+    await PrintJob.submitJobToQueue(22, '/uploads/doc.pdf', settings);
+
+    expect(createCopy).not.toHaveBeenCalled();
+  });
+
+  test('should not charge the cover page to the owner\'s quota', async () => {
+    jest.spyOn(db, 'getUserById').mockResolvedValue({ id: 4, username: 'alice', forcedWatermark: null, coverPage: 1 });
+    jest.spyOn(printCopy, 'createPrintCopy').mockResolvedValue({ path: '/print-copies/doc.pdf', settings });
+
+    await PrintJob.submitJobToQueue(22, '/uploads/doc.pdf', settings);
+
+    expect(Quota.chargeJob.mock.calls[0][1]).toMatchObject(settings);
+  });
+});
+
+describe('Reprinting Jobs', () => {
+  const db = require('./database');
+  const documentPath = path.join(__dirname, '../../data/reprint_test.pdf');
+
+  const job = {
+    id: 30,
+    userId: 4,
+    status: 'completed',
+    documentName: 'report.pdf',
+    documentPath,
+    paperType: 'Plain Paper',
+    printQuality: 'Normal',
+    colorMode: 'Color',
+    paperSize: 'A4',
+    copies: 2,
+    pageRanges: '1-3',
+    pagesPerSheet: 1,
+    orientation: 'Portrait',
+    collated: 1,
+    duplexMode: 'Off',
+    priority: 1
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    if (fs.existsSync(documentPath)) {
+      fs.unlinkSync(documentPath);
+    }
+  });
+
+  test('should reprint with the settings of the original job', async () => {
+    fs.writeFileSync(documentPath, '%PDF-1.4 test content');
+    jest.spyOn(db, 'getPrintJob').mockResolvedValue(job);
+
+    const reprint = await PrintJob.getReprint(30);
+
+    expect(reprint.success).toBe(true);
+    expect(reprint.size).toBe(fs.statSync(documentPath).size);
+    expect(reprint.settings).toMatchObject({ colorMode: 'Color', copies: 2, pageRanges: '1-3', collated: true, priority: 'Normal' });
+  });
+
+  test('should explain that a cleaned up document cannot be reprinted or kept', async () => {
+    jest.spyOn(db, 'getPrintJob').mockResolvedValue(job);
+    const keep = jest.spyOn(db, 'setPrintJobKeepDocument').mockResolvedValue({ changes: 1 });
+
+    const reprint = await PrintJob.getReprint(30);
+    expect(reprint.success).toBe(false);
+    expect(reprint.message).toContain('report.pdf) is no longer available');
+
+    expect((await PrintJob.setKeepDocument(30, true)).success).toBe(false);
+    expect(keep).not.toHaveBeenCalled();
+
+    // A document that is gone can still stop being kept
+    expect((await PrintJob.setKeepDocument(30, false)).success).toBe(true);
+    expect(keep).toHaveBeenCalledWith(30, false);
+  });
+});
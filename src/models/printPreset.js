@@ -0,0 +1,252 @@
+const db = require('./database');
+const PrintSettings = require('./printSettings');
+
+/**
+ * PrintPreset model
+ * Named print settings users keep for the jobs they print often, e.g. "Homework - grayscale A4 2-up".
+ * Each user can pick one preset their settings start from on the configure page. Administrators can
+ * share presets with the whole household; shared presets are offered to every user but only
+ * administrators can change them.
+ */
+
+const PRESET_NAME_MAX_LENGTH = 60;
+
+/**
+ * Build the preset a user sees from a PrintPreset row
+ * @private
+ */
+function toPreset(row, user) {
+  return {
+    id: row.id,
+    userId: row.userId,
+    ownerName: row.ownerName,
+    name: row.name,
+    settings: JSON.parse(row.settings),
+    shared: Boolean(row.shared),
+    isOwn: row.userId === user.id,
+    canEdit: row.userId === user.id || (Boolean(row.shared) && Boolean(user.isAdmin))
+  };
+}
+
+/**
+ * Check whether a user can use a preset
+ * @private
+ */
+function isVisible(row, user) {
+  return Boolean(row) && (row.userId === user.id || Boolean(row.shared));
+}
+
+/**
+ * Check a preset name and tidy its spacing
+ * @param {string} name - Preset name
+ * @returns {string}
+ * @throws {Error} If the name is empty or too long
+ */
+function validatePresetName(name) {
+  const tidy = String(name || '').replace(/\s+/g, ' ').trim();
+
+  if (!tidy) {
+    throw new Error('Invalid preset name: enter a name');
+  }
+  if (tidy.length > PRESET_NAME_MAX_LENGTH) {
+    throw new Error(`Invalid preset name: use at most ${PRESET_NAME_MAX_LENGTH} characters`);
+  }
+  return tidy;
+}
+
+/**
+ * Normalize the settings a preset stores
+ * Image layout and watermark settings are only kept when they were chosen
+ * @param {Object} settings - Print settings
+ * @returns {Object}
+ */
+function normalizePresetSettings(settings) {
+  const normalized = PrintSettings.normalizeSettings(settings);
+
+  if (settings.imageScaling) {
+    Object.assign(normalized, PrintSettings.normalizeImageSettings(settings));
+  }
+
+  const watermark = PrintSettings.normalizeWatermarkSettings(settings);
+  if (watermark.watermarkText) {
+    Object.assign(normalized, watermark);
+  }
+
+  return normalized;
+}
+
+/**
+ * Describe a preset's settings in a few words, e.g. "Grayscale, A4, Plain Paper, 2 per sheet"
+ * @param {Object} settings - Print settings
+ * @returns {string}
+ */
+function summarizeSettings(settings) {
+  const parts = [settings.colorMode, settings.paperSize, settings.paperType, settings.printQuality];
+
+  if (settings.pagesPerSheet > 1) {
+    parts.push(`${settings.pagesPerSheet} per sheet`);
+  }
+  if (settings.copies > 1) {
+    parts.push(`${settings.copies} copies`);
+  }
+  if (settings.duplexMode === 'Manual') {
+    parts.push('both sides');
+  }
+  if (settings.watermarkText) {
+    parts.push('watermark');
+  }
+
+  return parts.filter(Boolean).join(', ');
+}
+
+/**
+ * Get the presets a user can use
+ * @param {{id: number, isAdmin: boolean}} user - Signed-in user
+ * @returns {Promise<Array<Object>>} The user's own presets, then the shared presets of others
+ */
+async function listPresets(user) {
+  const rows = await db.getPrintPresets(user.id);
+  return rows.map(row => toPreset(row, user));
+}
+
+/**
+ * Get a preset a user can use
+ * @param {number} presetId - Preset ID
+ * @param {{id: number, isAdmin: boolean}} user - Signed-in user
+ * @returns {Promise<Object|null>} The preset, or null if it does not exist or belongs to someone else
+ */
+async function getPreset(presetId, user) {
+  const row = await db.getPrintPreset(presetId);
+  return isVisible(row, user) ? toPreset(row, user) : null;
+}
+
+/**
+ * Get a preset the user can change
+ * @private
+ * @throws {Error} If the preset does not exist or the user cannot change it
+ */
+async function getEditablePreset(presetId, user) {
+  const preset = await getPreset(presetId, user);
+  if (!preset) {
+    throw new Error('Preset not found');
+  }
+  if (!preset.canEdit) {
+    throw new Error('Access denied. Only administrators can change shared presets.');
+  }
+  return preset;
+}
+
+/**
+ * Save print settings as one of the user's presets
+ * A preset of the same name is replaced
+ * @param {{id: number, isAdmin: boolean}} user - Signed-in user
+ * @param {string} name - Preset name
+ * @param {Object} settings - Print settings
+ * @param {Object} [options]
+ * @param {boolean} [options.shared=false] - Offer the preset to every user (administrators only)
+ * @returns {Promise<Object>} The saved preset
+ * @throws {Error} If the name is invalid or a user who is not an administrator shares the preset
+ */
+async function savePreset(user, name, settings, { shared = false } = {}) {
+  const presetName = validatePresetName(name);
+  if (shared && !user.isAdmin) {
+    throw new Error('Access denied. Only administrators can share presets.');
+  }
+
+  const stored = JSON.stringify(normalizePresetSettings(settings));
+  const existing = await db.getPrintPresetByName(user.id, presetName);
+
+  let presetId;
+  if (existing) {
+    await db.updatePrintPreset(existing.id, { name: presetName, settings: stored, shared });
+    presetId = existing.id;
+  } else {
+    presetId = (await db.insertPrintPreset({ userId: user.id, name: presetName, settings: stored, shared })).lastID;
+  }
+
+  return getPreset(presetId, user);
+}
+
+/**
+ * Rename a preset or change whether it is shared
+ * @param {number} presetId - Preset ID
+ * @param {{id: number, isAdmin: boolean}} user - Signed-in user
+ * @param {Object} changes
+ * @param {string} changes.name - New name
+ * @param {boolean} [changes.shared] - Share the preset (administrators only); unchanged if omitted
+ * @returns {Promise<Object>} The updated preset
+ * @throws {Error} If the preset cannot be changed by the user or the name is invalid or taken
+ */
+async function updatePreset(presetId, user, { name, shared }) {
+  const preset = await getEditablePreset(presetId, user);
+  const presetName = validatePresetName(name);
+  const share = shared === undefined || !user.isAdmin ? preset.shared : Boolean(shared);
+
+  const existing = await db.getPrintPresetByName(preset.userId, presetName);
+  if (existing && existing.id !== preset.id) {
+    throw new Error(`Invalid preset name: a preset called ${presetName} already exists`);
+  }
+
+  await db.updatePrintPreset(preset.id, { name: presetName, settings: JSON.stringify(preset.settings), shared: share });
+  return getPreset(preset.id, user);
+}
+
+/**
+ * Delete a preset
+ * Users who started from it go back to the printer defaults
+ * @param {number} presetId - Preset ID
+ * @param {{id: number, isAdmin: boolean}} user - Signed-in user
+ * @returns {Promise<Object>} The deleted preset
+ * @throws {Error} If the preset cannot be changed by the user
+ */
+async function deletePreset(presetId, user) {
+  const preset = await getEditablePreset(presetId, user);
+  await db.deletePrintPreset(preset.id);
+  return preset;
+}
+
+/**
+ * Choose the preset the user's print settings start from
+ * @param {{id: number, isAdmin: boolean}} user - Signed-in user
+ * @param {number|null} presetId - Preset ID, or null to start from the printer defaults
+ * @returns {Promise<Object|null>} The chosen preset
+ * @throws {Error} If the preset is not one the user can use
+ */
+async function setDefaultPreset(user, presetId) {
+  const preset = presetId ? await getPreset(presetId, user) : null;
+  if (presetId && !preset) {
+    throw new Error('Preset not found');
+  }
+
+  await db.setUserDefaultPreset(user.id, preset ? preset.id : null);
+  return preset;
+}
+
+/**
+ * Get the preset a user's print settings start from
+ * @param {{id: number, isAdmin: boolean}} user - Signed-in user
+ * @returns {Promise<Object|null>} The preset, or null for the printer defaults
+ */
+async function getDefaultPreset(user) {
+  const row = await db.getUserById(user.id);
+  if (!row || !row.defaultPresetId) {
+    return null;
+  }
+
+  // A shared preset that is no longer shared drops back to the printer defaults
+  return getPreset(row.defaultPresetId, user);
+}
+
+module.exports = {
+  PRESET_NAME_MAX_LENGTH,
+  validatePresetName,
+  normalizePresetSettings,
+  summarizeSettings,
+  listPresets,
+  getPreset,
+  savePreset,
+  updatePreset,
+  deletePreset,
+  setDefaultPreset,
+  getDefaultPreset
+};
@@ -0,0 +1,140 @@
+const fc = require('fast-check');
+const db = require('./database');
+const PrintPreset = require('./printPreset');
+const PrintSettings = require('./printSettings');
+
+const alice = { id: 1, isAdmin: false };
+const bob = { id: 2, isAdmin: false };
+const admin = { id: 3, isAdmin: true };
+
+/**
+ * Build a PrintPreset row as the database returns it
+ */
+function presetRow(overrides = {}) {
+  return {
+    id: 10,
+    userId: alice.id,
+    ownerName: 'alice',
+    name: 'Draft',
+    settings: JSON.stringify({ ...PrintSettings.DEFAULT_SETTINGS, colorMode: 'Grayscale' }),
+    shared: 0,
+    ...overrides
+  };
+}
+
+describe('Print Presets', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('validatePresetName', () => {
+    /**
+     * Property: Names are kept with their spacing tidied, as long as they fit
+     */
+    test('Property: Names of allowed length are tidied and kept', () => {
+      fc.assert(
+        fc.property(
+          fc.array(fc.stringMatching(/^[A-Za-z0-9]{1,8}$/), { minLength: 1, maxLength: 5 }),
+          words => {
+            expect(PrintPreset.validatePresetName(`  ${words.join('   ')} `)).toBe(words.join(' '));
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    test('should refuse empty and overlong names', () => {
+      expect(() => PrintPreset.validatePresetName(' \t')).toThrow('Invalid preset name');
+      expect(() => PrintPreset.validatePresetName('x'.repeat(PrintPreset.PRESET_NAME_MAX_LENGTH + 1))).toThrow('Invalid preset name');
+    });
+  });
+
+  describe('savePreset', () => {
+    test('should add a new preset with normalized settings', async () => {
+      jest.spyOn(db, 'getPrintPresetByName').mockResolvedValue(null);
+      const insert = jest.spyOn(db, 'insertPrintPreset').mockResolvedValue({ lastID: 10 });
+      jest.spyOn(db, 'getPrintPreset').mockResolvedValue(presetRow());
+
+      const preset = await PrintPreset.savePreset(alice, ' Draft ', { ...PrintSettings.DEFAULT_SETTINGS, copies: '2' });
+
+      const saved = insert.mock.calls[0][0];
+      expect(saved).toMatchObject({ userId: alice.id, name: 'Draft', shared: false });
+      expect(JSON.parse(saved.settings).copies).toBe(2);
+      expect(preset).toMatchObject({ id: 10, name: 'Draft', isOwn: true, canEdit: true });
+    });
+
+    test('should replace a preset of the same name', async () => {
+      jest.spyOn(db, 'getPrintPresetByName').mockResolvedValue(presetRow());
+      const insert = jest.spyOn(db, 'insertPrintPreset');
+      const update = jest.spyOn(db, 'updatePrintPreset').mockResolvedValue({ changes: 1 });
+      jest.spyOn(db, 'getPrintPreset').mockResolvedValue(presetRow());
+
+      await PrintPreset.savePreset(alice, 'Draft', PrintSettings.DEFAULT_SETTINGS);
+
+      expect(insert).not.toHaveBeenCalled();
+      expect(update).toHaveBeenCalledWith(10, expect.objectContaining({ name: 'Draft', shared: false }));
+    });
+
+    test('should only let administrators share presets', async () => {
+      const insert = jest.spyOn(db, 'insertPrintPreset').mockResolvedValue({ lastID: 11 });
+      jest.spyOn(db, 'getPrintPresetByName').mockResolvedValue(null);
+      jest.spyOn(db, 'getPrintPreset').mockResolvedValue(presetRow({ id: 11, userId: admin.id, shared: 1 }));
+
+      await expect(PrintPreset.savePreset(alice, 'Household', PrintSettings.DEFAULT_SETTINGS, { shared: true }))
+        .rejects.toThrow('Access denied');
+      expect(insert).not.toHaveBeenCalled();
+
+      const preset = await PrintPreset.savePreset(admin, 'Household', PrintSettings.DEFAULT_SETTINGS, { shared: true });
+      expect(insert).toHaveBeenCalledWith(expect.objectContaining({ userId: admin.id, shared: true }));
+      expect(preset.shared).toBe(true);
+    });
+  });
+
+  describe('Visibility', () => {
+    test('should hide the presets of other users unless they are shared', async () => {
+      jest.spyOn(db, 'getPrintPreset').mockResolvedValueOnce(presetRow()).mockResolvedValueOnce(presetRow({ shared: 1 }));
+
+      expect(await PrintPreset.getPreset(10, bob)).toBeNull();
+      expect(await PrintPreset.getPreset(10, bob)).toMatchObject({ isOwn: false, canEdit: false, ownerName: 'alice' });
+    });
+
+    test('should let administrators but not other users change shared presets', async () => {
+      jest.spyOn(db, 'getPrintPreset').mockResolvedValue(presetRow({ shared: 1 }));
+      const remove = jest.spyOn(db, 'deletePrintPreset').mockResolvedValue({ changes: 1 });
+
+      await expect(PrintPreset.deletePreset(10, bob)).rejects.toThrow('Access denied');
+      await PrintPreset.deletePreset(10, admin);
+
+      expect(remove).toHaveBeenCalledTimes(1);
+    });
+
+    test('should refuse to rename a preset to a name already in use', async () => {
+      jest.spyOn(db, 'getPrintPreset').mockResolvedValue(presetRow());
+      jest.spyOn(db, 'getPrintPresetByName').mockResolvedValue(presetRow({ id: 12, name: 'Photos' }));
+      const update = jest.spyOn(db, 'updatePrintPreset');
+
+      await expect(PrintPreset.updatePreset(10, alice, { name: 'Photos' })).rejects.toThrow('Invalid preset name');
+      expect(update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Default Preset', () => {
+    test('should only accept a preset the user can use', async () => {
+      jest.spyOn(db, 'getPrintPreset').mockResolvedValue(presetRow());
+      const save = jest.spyOn(db, 'setUserDefaultPreset').mockResolvedValue({ changes: 1 });
+
+      await expect(PrintPreset.setDefaultPreset(bob, 10)).rejects.toThrow('Preset not found');
+      await PrintPreset.setDefaultPreset(alice, 10);
+      await PrintPreset.setDefaultPreset(alice, null);
+
+      expect(save.mock.calls).toEqual([[alice.id, 10], [alice.id, null]]);
+    });
+
+    test('should fall back to the printer defaults when the default preset is no longer shared', async () => {
+      jest.spyOn(db, 'getUserById').mockResolvedValue({ id: bob.id, defaultPresetId: 10 });
+      jest.spyOn(db, 'getPrintPreset').mockResolvedValue(presetRow());
+
+      expect(await PrintPreset.getDefaultPreset(bob)).toBeNull();
+    });
+  });
+});
@@ -3,45 +3,194 @@
  * Manages print configuration options and defaults
  */
 
+const printerCapabilities = require('../utils/printerCapabilities');
+const { PRINTER_CONFIG } = require('../utils/printerIntegration');
+const { parsePageRanges } = require('../utils/pageRanges');
+
 // Default print settings
 const DEFAULT_SETTINGS = {
   paperType: 'Plain Paper',
   printQuality: 'Normal',
   colorMode: 'Grayscale',
-  paperSize: 'A4'
+  paperSize: 'A4',
+  copies: 1,
+  pageRanges: '',
+  pagesPerSheet: 1,
+  orientation: 'Portrait',
+  collated: true,
+  duplexMode: 'Off',
+  priority: 'Normal'
+};
+
+// Default layout settings for photos and other image documents
+const DEFAULT_IMAGE_SETTINGS = {
+  imageScaling: 'Fit',
+  imageScale: 100,
+  imagePosition: 'Center',
+  imageMargin: 0,
+  borderless: false
 };
 
+// Default watermark settings; an empty text prints without a watermark
+const DEFAULT_WATERMARK_SETTINGS = {
+  watermarkText: '',
+  watermarkPosition: 'Footer',
+  watermarkOpacity: 50,
+  watermarkFontSize: 10
+};
+
+// Settings whose choices come from the printer driver
+const PRINTER_SETTINGS = ['paperType', 'printQuality', 'colorMode', 'paperSize'];
+
 // Available options for each setting
+// Driver options are read from the cached capabilities of the default printer
 const AVAILABLE_OPTIONS = {
-  paperTypes: ['Plain Paper', 'Glossy'],
-  printQualities: ['Normal', 'Best', 'Photo'],
-  colorModes: ['Color', 'Grayscale'],
-  paperSizes: ['A4', 'Letter', 'Legal']
+  get paperTypes() {
+    return printerCapabilities.getChoiceValues('paperType', PRINTER_CONFIG.name);
+  },
+  get printQualities() {
+    return printerCapabilities.getChoiceValues('printQuality', PRINTER_CONFIG.name);
+  },
+  get colorModes() {
+    return printerCapabilities.getChoiceValues('colorMode', PRINTER_CONFIG.name);
+  },
+  get paperSizes() {
+    return printerCapabilities.getChoiceValues('paperSize', PRINTER_CONFIG.name);
+  },
+  pagesPerSheet: [1, 2, 4, 6],
+  orientations: ['Portrait', 'Landscape'],
+  duplexModes: ['Off', 'Manual'],
+  // Queue priority, lowest first
+  priorities: ['Low', 'Normal', 'High'],
+  // Fit shows the whole image, Fill covers the page and crops the edges, Custom scales to imageScale percent
+  imageScalings: ['Fit', 'Fill', 'Custom'],
+  imagePositions: ['Center', 'Top', 'Bottom', 'Left', 'Right', 'Top Left', 'Top Right', 'Bottom Left', 'Bottom Right'],
+  // Header and Footer run along the top and bottom edge, Diagonal crosses the page
+  watermarkPositions: ['Header', 'Footer', 'Center', 'Diagonal']
+};
+
+// Paper types borderless printing is offered for
+const BORDERLESS_PAPER_TYPES = ['Glossy'];
+
+// Allowed number of copies per job
+const COPIES_LIMITS = {
+  min: 1,
+  max: 99
+};
+
+// Allowed custom image scale, as a percentage of the page
+const IMAGE_SCALE_LIMITS = {
+  min: 1,
+  max: 800
+};
+
+// Allowed image margin on each side, in millimetres (0 uses the printer's own margins)
+const IMAGE_MARGIN_LIMITS = {
+  min: 0,
+  max: 50
 };
 
+// Allowed watermark opacity, as a percentage
+const WATERMARK_OPACITY_LIMITS = {
+  min: 5,
+  max: 100
+};
+
+// Allowed watermark font size, in points
+const WATERMARK_FONT_SIZE_LIMITS = {
+  min: 6,
+  max: 72
+};
+
+// Longest watermark text, before its fields are filled in
+const WATERMARK_TEXT_MAX_LENGTH = 200;
+
 /**
  * Get default print settings
+ * Driver options the printer does not offer fall back to the printer's own default
+ * @param {string} [printerName] - CUPS queue name (defaults to the default printer)
  * @returns {Object} Default settings object
  */
-function getDefaults() {
-  return { ...DEFAULT_SETTINGS };
+function getDefaults(printerName = PRINTER_CONFIG.name) {
+  const defaults = { ...DEFAULT_SETTINGS };
+  const capabilities = printerCapabilities.getCapabilities(printerName);
+
+  PRINTER_SETTINGS.forEach(setting => {
+    const capability = capabilities[setting];
+    if (!printerCapabilities.getChoiceValues(setting, printerName).includes(defaults[setting])) {
+      defaults[setting] = capability.defaultValue || capability.choices[0].value;
+    }
+  });
+
+  return defaults;
 }
 
 /**
  * Get all available options
+ * @param {string} [printerName] - CUPS queue name (defaults to the default printer)
  * @returns {Object} Available options for each setting
  */
-function getAvailableOptions() {
-  return { ...AVAILABLE_OPTIONS };
+function getAvailableOptions(printerName = PRINTER_CONFIG.name) {
+  return {
+    ...AVAILABLE_OPTIONS,
+    paperTypes: printerCapabilities.getChoiceValues('paperType', printerName),
+    printQualities: printerCapabilities.getChoiceValues('printQuality', printerName),
+    colorModes: printerCapabilities.getChoiceValues('colorMode', printerName),
+    paperSizes: printerCapabilities.getChoiceValues('paperSize', printerName)
+  };
+}
+
+/**
+ * Expand a page range string into the page numbers it selects within a document
+ * Pages past the end of the document are dropped; an empty string selects every page
+ * @param {string} pageRanges - Comma-separated pages and ranges
+ * @param {number} pageCount - Number of pages in the document
+ * @returns {Array<number>|null} Selected page numbers in document order, or null if the string is invalid
+ */
+function expandPageRanges(pageRanges, pageCount) {
+  const ranges = parsePageRanges(pageRanges);
+  if (ranges === null) {
+    return null;
+  }
+
+  if (ranges.length === 0) {
+    return Array.from({ length: pageCount }, (_, i) => i + 1);
+  }
+
+  // CUPS prints each selected page once, in document order
+  const pages = new Set();
+  ranges.forEach(({ start, end }) => {
+    for (let page = start; page <= Math.min(end, pageCount); page++) {
+      pages.add(page);
+    }
+  });
+  return [...pages].sort((a, b) => a - b);
+}
+
+/**
+ * Parse a collated flag from a form field or stored setting
+ * @param {boolean|string|number} value
+ * @returns {boolean|null} Parsed value, or null if it is not a boolean
+ */
+function parseCollated(value) {
+  if (value === true || value === 'true' || value === 1 || value === '1') {
+    return true;
+  }
+  if (value === false || value === 'false' || value === 0 || value === '0') {
+    return false;
+  }
+  return null;
 }
 
 /**
  * Validate print settings
  * @param {Object} settings - Settings to validate
+ * @param {string} [printerName] - CUPS queue whose capabilities the settings must match
  * @returns {Object} { isValid: boolean, errors: Array<string> }
  */
-function validateSettings(settings) {
+function validateSettings(settings, printerName = PRINTER_CONFIG.name) {
   const errors = [];
+  const options = getAvailableOptions(printerName);
 
   if (!settings) {
     return {
@@ -52,29 +201,162 @@ function validateSettings(settings) {
 
   // Validate paperType
   if (settings.paperType !== undefined) {
-    if (!AVAILABLE_OPTIONS.paperTypes.includes(settings.paperType)) {
-      errors.push(`Invalid paper type: ${settings.paperType}. Must be one of: ${AVAILABLE_OPTIONS.paperTypes.join(', ')}`);
+    if (!options.paperTypes.includes(settings.paperType)) {
+      errors.push(`Invalid paper type: ${settings.paperType}. Must be one of: ${options.paperTypes.join(', ')}`);
     }
   }
 
   // Validate printQuality
   if (settings.printQuality !== undefined) {
-    if (!AVAILABLE_OPTIONS.printQualities.includes(settings.printQuality)) {
-      errors.push(`Invalid print quality: ${settings.printQuality}. Must be one of: ${AVAILABLE_OPTIONS.printQualities.join(', ')}`);
+    if (!options.printQualities.includes(settings.printQuality)) {
+      errors.push(`Invalid print quality: ${settings.printQuality}. Must be one of: ${options.printQualities.join(', ')}`);
     }
   }
 
   // Validate colorMode
   if (settings.colorMode !== undefined) {
-    if (!AVAILABLE_OPTIONS.colorModes.includes(settings.colorMode)) {
-      errors.push(`Invalid color mode: ${settings.colorMode}. Must be one of: ${AVAILABLE_OPTIONS.colorModes.join(', ')}`);
+    if (!options.colorModes.includes(settings.colorMode)) {
+      errors.push(`Invalid color mode: ${settings.colorMode}. Must be one of: ${options.colorModes.join(', ')}`);
     }
   }
 
   // Validate paperSize
   if (settings.paperSize !== undefined) {
-    if (!AVAILABLE_OPTIONS.paperSizes.includes(settings.paperSize)) {
-      errors.push(`Invalid paper size: ${settings.paperSize}. Must be one of: ${AVAILABLE_OPTIONS.paperSizes.join(', ')}`);
+    if (!options.paperSizes.includes(settings.paperSize)) {
+      errors.push(`Invalid paper size: ${settings.paperSize}. Must be one of: ${options.paperSizes.join(', ')}`);
+    }
+  }
+
+  // Validate copies
+  if (settings.copies !== undefined) {
+    const copies = Number(settings.copies);
+    if (!Number.isInteger(copies) || copies < COPIES_LIMITS.min || copies > COPIES_LIMITS.max) {
+      errors.push(`Invalid number of copies: ${settings.copies}. Must be a whole number from ${COPIES_LIMITS.min} to ${COPIES_LIMITS.max}`);
+    }
+  }
+
+  // Validate pageRanges
+  if (settings.pageRanges !== undefined) {
+    if (parsePageRanges(settings.pageRanges) === null) {
+      errors.push(`Invalid page range: ${settings.pageRanges}. Use page numbers and ranges such as 1-3,7`);
+    }
+  }
+
+  // Validate pagesPerSheet
+  if (settings.pagesPerSheet !== undefined) {
+    if (!options.pagesPerSheet.includes(Number(settings.pagesPerSheet))) {
+      errors.push(`Invalid pages per sheet: ${settings.pagesPerSheet}. Must be one of: ${options.pagesPerSheet.join(', ')}`);
+    }
+  }
+
+  // Validate orientation
+  if (settings.orientation !== undefined) {
+    if (!options.orientations.includes(settings.orientation)) {
+      errors.push(`Invalid orientation: ${settings.orientation}. Must be one of: ${options.orientations.join(', ')}`);
+    }
+  }
+
+  // Validate collated
+  if (settings.collated !== undefined) {
+    if (parseCollated(settings.collated) === null) {
+      errors.push(`Invalid collated flag: ${settings.collated}. Must be true or false`);
+    }
+  }
+
+  // Validate duplexMode
+  if (settings.duplexMode !== undefined) {
+    if (!options.duplexModes.includes(settings.duplexMode)) {
+      errors.push(`Invalid duplex mode: ${settings.duplexMode}. Must be one of: ${options.duplexModes.join(', ')}`);
+    } else if (settings.duplexMode === 'Manual') {
+      // Odd and even passes are planned per page, so each sheet side must be exactly one page
+      if (settings.copies !== undefined && Number(settings.copies) !== 1) {
+        errors.push('Manual duplex prints one copy at a time. Set copies to 1');
+      }
+      if (settings.pagesPerSheet !== undefined && Number(settings.pagesPerSheet) !== 1) {
+        errors.push('Manual duplex cannot be combined with more than one page per sheet');
+      }
+    }
+  }
+
+  // Validate priority
+  if (settings.priority !== undefined) {
+    if (!options.priorities.includes(settings.priority)) {
+      errors.push(`Invalid priority: ${settings.priority}. Must be one of: ${options.priorities.join(', ')}`);
+    }
+  }
+
+  // Validate imageScaling
+  if (settings.imageScaling !== undefined) {
+    if (!options.imageScalings.includes(settings.imageScaling)) {
+      errors.push(`Invalid image scaling: ${settings.imageScaling}. Must be one of: ${options.imageScalings.join(', ')}`);
+    }
+  }
+
+  // Validate imageScale
+  if (settings.imageScale !== undefined && settings.imageScaling === 'Custom') {
+    const scale = Number(settings.imageScale);
+    if (!Number.isInteger(scale) || scale < IMAGE_SCALE_LIMITS.min || scale > IMAGE_SCALE_LIMITS.max) {
+      errors.push(`Invalid image scale: ${settings.imageScale}. Must be a whole percentage from ${IMAGE_SCALE_LIMITS.min} to ${IMAGE_SCALE_LIMITS.max}`);
+    }
+  }
+
+  // Validate imagePosition
+  if (settings.imagePosition !== undefined) {
+    if (!options.imagePositions.includes(settings.imagePosition)) {
+      errors.push(`Invalid image position: ${settings.imagePosition}. Must be one of: ${options.imagePositions.join(', ')}`);
+    }
+  }
+
+  // Validate imageMargin
+  if (settings.imageMargin !== undefined) {
+    const margin = Number(settings.imageMargin);
+    if (!Number.isInteger(margin) || margin < IMAGE_MARGIN_LIMITS.min || margin > IMAGE_MARGIN_LIMITS.max) {
+      errors.push(`Invalid image margin: ${settings.imageMargin}. Must be a whole number of millimetres from ${IMAGE_MARGIN_LIMITS.min} to ${IMAGE_MARGIN_LIMITS.max}`);
+    }
+  }
+
+  // Validate borderless
+  if (settings.borderless !== undefined) {
+    const borderless = parseCollated(settings.borderless);
+    if (borderless === null) {
+      errors.push(`Invalid borderless flag: ${settings.borderless}. Must be true or false`);
+    } else if (borderless) {
+      if (settings.paperType !== undefined && !BORDERLESS_PAPER_TYPES.includes(settings.paperType)) {
+        errors.push(`Borderless printing needs ${BORDERLESS_PAPER_TYPES.join(' or ')} paper`);
+      }
+      if (settings.imageMargin !== undefined && Number(settings.imageMargin) > 0) {
+        errors.push('Borderless printing cannot have margins. Set the margin to 0');
+      }
+    }
+  }
+
+  // Validate watermarkText
+  if (settings.watermarkText !== undefined && settings.watermarkText !== null) {
+    if (String(settings.watermarkText).length > WATERMARK_TEXT_MAX_LENGTH) {
+      errors.push(`Watermark text is too long. Use at most ${WATERMARK_TEXT_MAX_LENGTH} characters`);
+    }
+  }
+
+  // Validate watermarkPosition
+  if (settings.watermarkPosition !== undefined) {
+    if (!options.watermarkPositions.includes(settings.watermarkPosition)) {
+      errors.push(`Invalid watermark position: ${settings.watermarkPosition}. Must be one of: ${options.watermarkPositions.join(', ')}`);
+    }
+  }
+
+  // Validate watermarkOpacity
+  if (settings.watermarkOpacity !== undefined) {
+    const opacity = Number(settings.watermarkOpacity);
+    if (!Number.isInteger(opacity) || opacity < WATERMARK_OPACITY_LIMITS.min || opacity > WATERMARK_OPACITY_LIMITS.max) {
+      errors.push(`Invalid watermark opacity: ${settings.watermarkOpacity}. Must be a whole percentage from ${WATERMARK_OPACITY_LIMITS.min} to ${WATERMARK_OPACITY_LIMITS.max}`);
+    }
+  }
+
+  // Validate watermarkFontSize
+  if (settings.watermarkFontSize !== undefined) {
+    const fontSize = Number(settings.watermarkFontSize);
+    if (!Number.isInteger(fontSize) || fontSize < WATERMARK_FONT_SIZE_LIMITS.min || fontSize > WATERMARK_FONT_SIZE_LIMITS.max) {
+      errors.push(`Invalid watermark font size: ${settings.watermarkFontSize}. Must be a whole number of points from ${WATERMARK_FONT_SIZE_LIMITS.min} to ${WATERMARK_FONT_SIZE_LIMITS.max}`);
     }
   }
 
@@ -95,7 +377,14 @@ function applyDefaults(settings) {
     paperType: settings.paperType || DEFAULT_SETTINGS.paperType,
     printQuality: settings.printQuality || DEFAULT_SETTINGS.printQuality,
     colorMode: settings.colorMode || DEFAULT_SETTINGS.colorMode,
-    paperSize: settings.paperSize || DEFAULT_SETTINGS.paperSize
+    paperSize: settings.paperSize || DEFAULT_SETTINGS.paperSize,
+    copies: settings.copies || DEFAULT_SETTINGS.copies,
+    pageRanges: settings.pageRanges || DEFAULT_SETTINGS.pageRanges,
+    pagesPerSheet: settings.pagesPerSheet || DEFAULT_SETTINGS.pagesPerSheet,
+    orientation: settings.orientation || DEFAULT_SETTINGS.orientation,
+    collated: settings.collated !== undefined ? settings.collated : DEFAULT_SETTINGS.collated,
+    duplexMode: settings.duplexMode || DEFAULT_SETTINGS.duplexMode,
+    priority: settings.priority || DEFAULT_SETTINGS.priority
   };
 }
 
@@ -109,16 +398,77 @@ function normalizeSettings(settings) {
     paperType: String(settings.paperType || DEFAULT_SETTINGS.paperType),
     printQuality: String(settings.printQuality || DEFAULT_SETTINGS.printQuality),
     colorMode: String(settings.colorMode || DEFAULT_SETTINGS.colorMode),
-    paperSize: String(settings.paperSize || DEFAULT_SETTINGS.paperSize)
+    paperSize: String(settings.paperSize || DEFAULT_SETTINGS.paperSize),
+    copies: parseInt(settings.copies, 10) || DEFAULT_SETTINGS.copies,
+    pageRanges: String(settings.pageRanges || DEFAULT_SETTINGS.pageRanges).replace(/\s+/g, ''),
+    pagesPerSheet: parseInt(settings.pagesPerSheet, 10) || DEFAULT_SETTINGS.pagesPerSheet,
+    orientation: String(settings.orientation || DEFAULT_SETTINGS.orientation),
+    collated: settings.collated !== undefined && parseCollated(settings.collated) !== null
+      ? parseCollated(settings.collated)
+      : DEFAULT_SETTINGS.collated,
+    duplexMode: String(settings.duplexMode || DEFAULT_SETTINGS.duplexMode),
+    priority: String(settings.priority || DEFAULT_SETTINGS.priority)
+  };
+}
+
+/**
+ * Normalize the layout settings of an image document (ensure correct types)
+ * The custom scale is only kept when imageScaling is Custom
+ * @param {Object} settings - Settings to normalize
+ * @returns {{imageScaling: string, imageScale: number|null, imagePosition: string, imageMargin: number, borderless: boolean}}
+ */
+function normalizeImageSettings(settings) {
+  const imageScaling = String(settings.imageScaling || DEFAULT_IMAGE_SETTINGS.imageScaling);
+  const borderless = settings.borderless !== undefined ? parseCollated(settings.borderless) : null;
+
+  return {
+    imageScaling,
+    imageScale: imageScaling === 'Custom'
+      ? parseInt(settings.imageScale, 10) || DEFAULT_IMAGE_SETTINGS.imageScale
+      : null,
+    imagePosition: String(settings.imagePosition || DEFAULT_IMAGE_SETTINGS.imagePosition),
+    imageMargin: parseInt(settings.imageMargin, 10) || DEFAULT_IMAGE_SETTINGS.imageMargin,
+    borderless: borderless !== null ? borderless : DEFAULT_IMAGE_SETTINGS.borderless
+  };
+}
+
+/**
+ * Normalize watermark settings (ensure correct types)
+ * @param {Object} settings - Settings to normalize
+ * @returns {{watermarkText: string|null, watermarkPosition: string, watermarkOpacity: number, watermarkFontSize: number}}
+ *   watermarkText is null when no watermark is printed
+ */
+function normalizeWatermarkSettings(settings) {
+  const text = String(settings.watermarkText || '').replace(/\s+/g, ' ').trim();
+
+  return {
+    watermarkText: text || null,
+    watermarkPosition: String(settings.watermarkPosition || DEFAULT_WATERMARK_SETTINGS.watermarkPosition),
+    watermarkOpacity: parseInt(settings.watermarkOpacity, 10) || DEFAULT_WATERMARK_SETTINGS.watermarkOpacity,
+    watermarkFontSize: parseInt(settings.watermarkFontSize, 10) || DEFAULT_WATERMARK_SETTINGS.watermarkFontSize
   };
 }
 
 module.exports = {
   DEFAULT_SETTINGS,
+  DEFAULT_IMAGE_SETTINGS,
+  DEFAULT_WATERMARK_SETTINGS,
   AVAILABLE_OPTIONS,
+  BORDERLESS_PAPER_TYPES,
+  COPIES_LIMITS,
+  IMAGE_SCALE_LIMITS,
+  IMAGE_MARGIN_LIMITS,
+  WATERMARK_OPACITY_LIMITS,
+  WATERMARK_FONT_SIZE_LIMITS,
+  WATERMARK_TEXT_MAX_LENGTH,
   getDefaults,
   getAvailableOptions,
   validateSettings,
   applyDefaults,
-  normalizeSettings
+  normalizeSettings,
+  normalizeImageSettings,
+  normalizeWatermarkSettings,
+  parsePageRanges,
+  expandPageRanges,
+  parseCollated
 };
@@ -210,4 +210,185 @@ describe('Print Settings', () => {
     expect(options.colorModes.length).toBeGreaterThan(0);
     expect(options.paperSizes.length).toBeGreaterThan(0);
   });
+  /**
+   * Property: Page ranges built from valid pages and ranges are accepted and parsed back
+   */
+  test('Property: Page ranges round trip through parsing', () => {
+    fc.assert(
+      fc.property(
+        fc.array(
+          fc.tuple(fc.integer({ min: 1, max: 500 }), fc.integer({ min: 0, max: 20 })),
+          { minLength: 1, maxLength: 6 }
+        ),
+        (parts) => {
+          const pageRanges = parts
+            .map(([start, length]) => (length === 0 ? `${start}` : `${start}-${start + length}`))
+            .join(',');
+
+          const ranges = PrintSettings.parsePageRanges(pageRanges);
+
+          expect(ranges).toHaveLength(parts.length);
+          ranges.forEach((range, i) => {
+            expect(range.start).toBe(parts[i][0]);
+            expect(range.end).toBe(parts[i][0] + parts[i][1]);
+          });
+          expect(PrintSettings.validateSettings({ pageRanges }).isValid).toBe(true);
+        }
+      ),
+      { numRuns: 100 }
+    );
+  });
+
+  /**
+   * Unit test: Malformed page ranges are rejected
+   */
+  test('Unit test: Invalid page ranges are rejected', () => {
+    ['0', '3-1', '1-', 'a-b', '1,,2', '1-3;7', '-2'].forEach(pageRanges => {
+      expect(PrintSettings.parsePageRanges(pageRanges)).toBeNull();
+      expect(PrintSettings.validateSettings({ pageRanges }).isValid).toBe(false);
+    });
+
+    expect(PrintSettings.parsePageRanges('')).toEqual([]);
+    expect(PrintSettings.parsePageRanges(' 1 - 3, 7 ')).toEqual([{ start: 1, end: 3 }, { start: 7, end: 7 }]);
+  });
+
+  /**
+   * Unit test: Copies, pages per sheet, orientation and collation are validated
+   */
+  test('Unit test: Layout settings are validated', () => {
+    expect(PrintSettings.validateSettings({ copies: '3', pagesPerSheet: '4', orientation: 'Landscape', collated: 'false' }).isValid).toBe(true);
+
+    expect(PrintSettings.validateSettings({ copies: 0 }).isValid).toBe(false);
+    expect(PrintSettings.validateSettings({ copies: 100 }).isValid).toBe(false);
+    expect(PrintSettings.validateSettings({ copies: '2.5' }).isValid).toBe(false);
+    expect(PrintSettings.validateSettings({ pagesPerSheet: 3 }).isValid).toBe(false);
+    expect(PrintSettings.validateSettings({ orientation: 'Sideways' }).isValid).toBe(false);
+    expect(PrintSettings.validateSettings({ collated: 'maybe' }).isValid).toBe(false);
+  });
+
+  /**
+   * Unit test: Form values are normalized to their stored types
+   */
+  test('Unit test: Layout settings are normalized', () => {
+    const normalized = PrintSettings.normalizeSettings({
+      copies: '2',
+      pageRanges: '1 - 3, 7',
+      pagesPerSheet: '2',
+      orientation: 'Landscape',
+      collated: 'false'
+    });
+
+    expect(normalized.copies).toBe(2);
+    expect(normalized.pageRanges).toBe('1-3,7');
+    expect(normalized.pagesPerSheet).toBe(2);
+    expect(normalized.orientation).toBe('Landscape');
+    expect(normalized.collated).toBe(false);
+  });
+  /**
+   * Unit test: Page ranges expand to the pages CUPS will print
+   */
+  test('Unit test: Page ranges expand within the document', () => {
+    expect(PrintSettings.expandPageRanges('', 3)).toEqual([1, 2, 3]);
+    expect(PrintSettings.expandPageRanges('7,1-3', 10)).toEqual([1, 2, 3, 7]);
+    expect(PrintSettings.expandPageRanges('2-4,3-5', 10)).toEqual([2, 3, 4, 5]);
+    expect(PrintSettings.expandPageRanges('4-9', 5)).toEqual([4, 5]);
+    expect(PrintSettings.expandPageRanges('8', 5)).toEqual([]);
+    expect(PrintSettings.expandPageRanges('x', 5)).toBeNull();
+  });
+
+  /**
+   * Unit test: Manual duplex is only allowed for single copies at one page per sheet
+   */
+  test('Unit test: Manual duplex settings are validated', () => {
+    expect(PrintSettings.validateSettings({ duplexMode: 'Manual', copies: 1, pagesPerSheet: 1 }).isValid).toBe(true);
+    expect(PrintSettings.validateSettings({ duplexMode: 'Off', copies: 3, pagesPerSheet: 4 }).isValid).toBe(true);
+
+    expect(PrintSettings.validateSettings({ duplexMode: 'Automatic' }).isValid).toBe(false);
+    expect(PrintSettings.validateSettings({ duplexMode: 'Manual', copies: 2 }).isValid).toBe(false);
+    expect(PrintSettings.validateSettings({ duplexMode: 'Manual', pagesPerSheet: 2 }).isValid).toBe(false);
+  });
+
+  /**
+   * Unit test: Queue priority must be one of the listed levels
+   */
+  test('Unit test: Priority settings are validated', () => {
+    for (const priority of PrintSettings.getAvailableOptions().priorities) {
+      expect(PrintSettings.validateSettings({ priority }).isValid).toBe(true);
+    }
+
+    expect(PrintSettings.validateSettings({ priority: 'Urgent' }).isValid).toBe(false);
+    expect(PrintSettings.applyDefaults({}).priority).toBe('Normal');
+  });
+
+  /**
+   * Unit test: Image layout settings are validated
+   */
+  test('Unit test: Image layout settings are validated', () => {
+    expect(PrintSettings.validateSettings({ imageScaling: 'Fill', imagePosition: 'Top Left', imageMargin: '5' }).isValid).toBe(true);
+    expect(PrintSettings.validateSettings({ imageScaling: 'Custom', imageScale: '150' }).isValid).toBe(true);
+
+    expect(PrintSettings.validateSettings({ imageScaling: 'Stretch' }).isValid).toBe(false);
+    expect(PrintSettings.validateSettings({ imageScaling: 'Custom', imageScale: '900' }).isValid).toBe(false);
+    expect(PrintSettings.validateSettings({ imagePosition: 'Middle' }).isValid).toBe(false);
+    expect(PrintSettings.validateSettings({ imageMargin: '-1' }).isValid).toBe(false);
+
+    // Borderless needs photo paper and no margins
+    expect(PrintSettings.validateSettings({ paperType: 'Glossy', borderless: true, imageMargin: 0 }).isValid).toBe(true);
+    expect(PrintSettings.validateSettings({ paperType: 'Plain Paper', borderless: true }).errors)
+      .toEqual(['Borderless printing needs Glossy paper']);
+    expect(PrintSettings.validateSettings({ paperType: 'Glossy', borderless: true, imageMargin: 5 }).isValid).toBe(false);
+  });
+
+  /**
+   * Unit test: Image layout settings are normalized
+   */
+  test('Unit test: Image layout settings are normalized', () => {
+    expect(PrintSettings.normalizeImageSettings({})).toEqual({
+      imageScaling: 'Fit',
+      imageScale: null,
+      imagePosition: 'Center',
+      imageMargin: 0,
+      borderless: false
+    });
+
+    expect(PrintSettings.normalizeImageSettings({
+      imageScaling: 'Custom',
+      imageScale: '150',
+      imagePosition: 'Bottom Right',
+      imageMargin: '10',
+      borderless: 1
+    })).toEqual({
+      imageScaling: 'Custom',
+      imageScale: 150,
+      imagePosition: 'Bottom Right',
+      imageMargin: 10,
+      borderless: true
+    });
+  });
+
+  /**
+   * Unit test: Watermark settings are validated and normalized
+   */
+  test('Unit test: Watermark settings are validated and normalized', () => {
+    expect(PrintSettings.validateSettings({
+      watermarkText: '{username} - {date}',
+      watermarkPosition: 'Diagonal',
+      watermarkOpacity: '30',
+      watermarkFontSize: '12'
+    }).isValid).toBe(true);
+
+    expect(PrintSettings.validateSettings({ watermarkText: 'x'.repeat(201) }).isValid).toBe(false);
+    expect(PrintSettings.validateSettings({ watermarkPosition: 'Sideways' }).isValid).toBe(false);
+    expect(PrintSettings.validateSettings({ watermarkOpacity: '0' }).isValid).toBe(false);
+    expect(PrintSettings.validateSettings({ watermarkFontSize: '100' }).isValid).toBe(false);
+
+    expect(PrintSettings.normalizeWatermarkSettings({ watermarkText: '   ' })).toEqual({
+      watermarkText: null,
+      watermarkPosition: 'Footer',
+      watermarkOpacity: 50,
+      watermarkFontSize: 10
+    });
+    expect(PrintSettings.normalizeWatermarkSettings({ watermarkText: ' Draft\n copy ', watermarkOpacity: '25' }))
+      .toMatchObject({ watermarkText: 'Draft copy', watermarkOpacity: 25 });
+  });
 });
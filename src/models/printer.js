@@ -0,0 +1,230 @@
+const db = require('./database');
+const printerIntegration = require('../utils/printerIntegration');
+const printerCapabilities = require('../utils/printerCapabilities');
+
+/**
+ * Printer model
+ * Manages the CUPS queues registered with the print queue manager
+ */
+
+/**
+ * Convert a Printer row to a printer object
+ * @private
+ */
+function toPrinter(row) {
+  if (!row) {
+    return null;
+  }
+
+  return {
+    id: row.id,
+    queueName: row.queueName,
+    displayName: row.displayName,
+    capabilityProfile: row.capabilityProfile,
+    enabled: Boolean(row.enabled),
+    createdAt: row.createdAt
+  };
+}
+
+/**
+ * Load a printer's stored capability profile into the capabilities cache
+ * Live capabilities already read from the printer are kept
+ * @private
+ */
+function cacheCapabilityProfile(printer) {
+  if (printer.capabilityProfile && printerCapabilities.getCapabilitiesSource(printer.queueName) !== 'printer') {
+    printerCapabilities.updateFromLpoptions(printer.queueName, printer.capabilityProfile, 'profile');
+  }
+}
+
+/**
+ * Read a printer's capability profile, or null if the queue cannot be queried
+ * @private
+ */
+async function readCapabilityProfile(queueName) {
+  try {
+    return await printerIntegration.readPrinterOptions(queueName);
+  } catch (err) {
+    console.error(`[PRINTER] Could not read capabilities for ${queueName}: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Get all registered printers
+ * @returns {Promise<Array>}
+ */
+async function listPrinters() {
+  const rows = await db.getPrinters();
+  return rows.map(toPrinter);
+}
+
+/**
+ * Get the printers users can print to
+ * @returns {Promise<Array>}
+ */
+async function listEnabledPrinters() {
+  const printers = await listPrinters();
+  return printers.filter(printer => printer.enabled);
+}
+
+/**
+ * Get a printer by ID
+ * @param {number} printerId - Printer ID
+ * @returns {Promise<Object|null>}
+ */
+async function getPrinter(printerId) {
+  return toPrinter(await db.getPrinter(printerId));
+}
+
+/**
+ * Get the printer used when a user has not chosen one
+ * @returns {Promise<Object|null>} First enabled printer, or null if none are enabled
+ */
+async function getDefaultPrinter() {
+  const printers = await listEnabledPrinters();
+  return printers[0] || null;
+}
+
+/**
+ * Get the enabled printer a user chose, or the default printer
+ * @param {number|string|null} printerId - Chosen printer ID
+ * @returns {Promise<Object|null>} Printer, or null if no printers are enabled
+ */
+async function getEnabledPrinterOrDefault(printerId) {
+  if (printerId) {
+    const printer = await getPrinter(printerId);
+    if (printer && printer.enabled) {
+      return printer;
+    }
+  }
+  return getDefaultPrinter();
+}
+
+/**
+ * Register a CUPS queue as a printer
+ * The queue's driver options are stored as its capability profile
+ * @param {string} queueName - CUPS queue name
+ * @param {string} displayName - Name shown to users
+ * @returns {Promise<Object>} The registered printer
+ */
+async function registerPrinter(queueName, displayName) {
+  if (!queueName || !displayName) {
+    throw new Error('Queue name and display name are required');
+  }
+
+  const existing = await db.getPrinterByQueueName(queueName);
+  if (existing) {
+    throw new Error(`Printer ${queueName} is already registered`);
+  }
+
+  const capabilityProfile = await readCapabilityProfile(queueName);
+  const result = await db.insertPrinter({ queueName, displayName, capabilityProfile, enabled: true });
+
+  const printer = await getPrinter(result.lastID);
+  cacheCapabilityProfile(printer);
+  return printer;
+}
+
+/**
+ * Update a printer's display name and enabled flag
+ * @param {number} printerId - Printer ID
+ * @param {Object} updates
+ * @param {string} updates.displayName - Name shown to users
+ * @param {boolean} updates.enabled - Whether users can print to it
+ * @returns {Promise<Object>} The updated printer
+ */
+async function updatePrinter(printerId, { displayName, enabled }) {
+  const printer = await getPrinter(printerId);
+  if (!printer) {
+    throw new Error(`Printer ${printerId} not found`);
+  }
+
+  if (!displayName) {
+    throw new Error('Display name is required');
+  }
+
+  await db.updatePrinter(printerId, displayName, enabled);
+  return getPrinter(printerId);
+}
+
+/**
+ * Re-read a printer's driver options and store them as its capability profile
+ * @param {number} printerId - Printer ID
+ * @returns {Promise<{success: boolean, message: string}>}
+ */
+async function refreshCapabilityProfile(printerId) {
+  const printer = await getPrinter(printerId);
+  if (!printer) {
+    throw new Error(`Printer ${printerId} not found`);
+  }
+
+  const capabilityProfile = await readCapabilityProfile(printer.queueName);
+  if (!capabilityProfile) {
+    return {
+      success: false,
+      message: `Could not read the options of ${printer.displayName}`
+    };
+  }
+
+  await db.setPrinterCapabilityProfile(printerId, capabilityProfile);
+  printerCapabilities.updateFromLpoptions(printer.queueName, capabilityProfile);
+
+  return {
+    success: true,
+    message: `Capabilities of ${printer.displayName} updated`
+  };
+}
+
+/**
+ * Load every registered printer's capability profile into the capabilities cache
+ * @returns {Promise<void>}
+ */
+async function loadCapabilityProfiles() {
+  const printers = await listPrinters();
+  printers.forEach(cacheCapabilityProfile);
+}
+
+/**
+ * Register the default CUPS queue if no printers are registered yet
+ * Keeps existing installations printing to the queue they used before printers were configurable
+ * @returns {Promise<void>}
+ */
+async function ensureDefaultPrinter() {
+  const printers = await db.getPrinters();
+  if (printers.length > 0) {
+    return;
+  }
+
+  const queueName = printerIntegration.PRINTER_CONFIG.name;
+  await registerPrinter(queueName, queueName.replace(/-/g, ' '));
+}
+
+/**
+ * Get the CUPS queue a job should use
+ * @param {number|null} printerId - Printer ID recorded on the job
+ * @returns {Promise<string>} Queue name, or the default queue for jobs without a printer
+ */
+async function resolveQueueName(printerId) {
+  if (printerId) {
+    const printer = await getPrinter(printerId);
+    if (printer) {
+      return printer.queueName;
+    }
+  }
+  return printerIntegration.PRINTER_CONFIG.name;
+}
+
+module.exports = {
+  listPrinters,
+  listEnabledPrinters,
+  getPrinter,
+  getDefaultPrinter,
+  getEnabledPrinterOrDefault,
+  registerPrinter,
+  updatePrinter,
+  refreshCapabilityProfile,
+  loadCapabilityProfiles,
+  ensureDefaultPrinter,
+  resolveQueueName
+};
@@ -0,0 +1,104 @@
+const db = require('./database');
+const Printer = require('./printer');
+const printerIntegration = require('../utils/printerIntegration');
+const printerCapabilities = require('../utils/printerCapabilities');
+
+describe('Printer Model', () => {
+  const laserRow = {
+    id: 2,
+    queueName: 'LaserJet-M110',
+    displayName: 'Office Laser',
+    capabilityProfile: 'ColorModel/Output Mode: *Gray\nPageSize/Media Size: *A4 A5',
+    enabled: 1,
+    createdAt: '2026-10-01 09:00:00'
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    printerCapabilities.resetCapabilities();
+  });
+
+  describe('registerPrinter', () => {
+    test('should store the queue with its capability profile', async () => {
+      jest.spyOn(db, 'getPrinterByQueueName').mockResolvedValue(null);
+      jest.spyOn(printerIntegration, 'readPrinterOptions').mockResolvedValue(laserRow.capabilityProfile);
+      const insert = jest.spyOn(db, 'insertPrinter').mockResolvedValue({ lastID: 2, changes: 1 });
+      jest.spyOn(db, 'getPrinter').mockResolvedValue(laserRow);
+
+      const printer = await Printer.registerPrinter('LaserJet-M110', 'Office Laser');
+
+      expect(insert).toHaveBeenCalledWith({
+        queueName: 'LaserJet-M110',
+        displayName: 'Office Laser',
+        capabilityProfile: laserRow.capabilityProfile,
+        enabled: true
+      });
+      expect(printer.enabled).toBe(true);
+      expect(printerCapabilities.getCapabilitiesSource('LaserJet-M110')).toBe('profile');
+      expect(printerCapabilities.getChoiceValues('colorMode', 'LaserJet-M110')).toEqual(['Gray']);
+    });
+
+    test('should register queues whose options cannot be read without a profile', async () => {
+      jest.spyOn(db, 'getPrinterByQueueName').mockResolvedValue(null);
+      jest.spyOn(printerIntegration, 'readPrinterOptions').mockRejectedValue(new Error('lpoptions: Unknown printer'));
+      const insert = jest.spyOn(db, 'insertPrinter').mockResolvedValue({ lastID: 3, changes: 1 });
+      jest.spyOn(db, 'getPrinter').mockResolvedValue({ ...laserRow, id: 3, capabilityProfile: null });
+
+      await Printer.registerPrinter('LaserJet-M110', 'Office Laser');
+
+      expect(insert.mock.calls[0][0].capabilityProfile).toBeNull();
+      expect(printerCapabilities.getCapabilitiesSource('LaserJet-M110')).toBe('fallback');
+    });
+
+    test('should reject queues that are already registered', async () => {
+      jest.spyOn(db, 'getPrinterByQueueName').mockResolvedValue(laserRow);
+      const insert = jest.spyOn(db, 'insertPrinter');
+
+      await expect(Printer.registerPrinter('LaserJet-M110', 'Office Laser')).rejects.toThrow('already registered');
+      expect(insert).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getEnabledPrinterOrDefault', () => {
+    test('should use the chosen printer when it is enabled', async () => {
+      jest.spyOn(db, 'getPrinter').mockResolvedValue(laserRow);
+
+      const printer = await Printer.getEnabledPrinterOrDefault(2);
+
+      expect(printer.queueName).toBe('LaserJet-M110');
+    });
+
+    test('should fall back to the first enabled printer', async () => {
+      jest.spyOn(db, 'getPrinter').mockResolvedValue({ ...laserRow, enabled: 0 });
+      jest.spyOn(db, 'getPrinters').mockResolvedValue([
+        { ...laserRow, enabled: 0 },
+        { ...laserRow, id: 4, queueName: 'Ink-Tank-310-series', enabled: 1 }
+      ]);
+
+      const printer = await Printer.getEnabledPrinterOrDefault(2);
+
+      expect(printer.id).toBe(4);
+    });
+
+    test('should return null when no printers are enabled', async () => {
+      jest.spyOn(db, 'getPrinters').mockResolvedValue([{ ...laserRow, enabled: 0 }]);
+
+      expect(await Printer.getEnabledPrinterOrDefault(null)).toBeNull();
+    });
+  });
+
+  describe('resolveQueueName', () => {
+    test('should use the queue of the job printer', async () => {
+      jest.spyOn(db, 'getPrinter').mockResolvedValue(laserRow);
+
+      expect(await Printer.resolveQueueName(2)).toBe('LaserJet-M110');
+    });
+
+    test('should use the default queue for jobs without a printer', async () => {
+      const getPrinter = jest.spyOn(db, 'getPrinter');
+
+      expect(await Printer.resolveQueueName(null)).toBe(printerIntegration.PRINTER_CONFIG.name);
+      expect(getPrinter).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,251 @@
+const db = require('./database');
+const pageCounter = require('../utils/pageCounter');
+
+/**
+ * Quota model
+ * Limits how many pages each user prints per day and per month, with separate color and
+ * grayscale allowances. Pages are charged when a job is sent to the printer and recorded in the
+ * QuotaUsage table; admins can top up a user's allowance or reset their usage.
+ *
+ * A page is one printed side of paper, so printing several pages per sheet uses less quota.
+ */
+
+// Ink types pages are charged against
+const INK_TYPES = ['color', 'grayscale'];
+
+// Quota periods, from shortest to longest
+const PERIODS = ['daily', 'monthly'];
+
+/**
+ * Read a default limit from the environment
+ * @private
+ */
+function envLimit(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value >= 0 ? value : fallback;
+}
+
+// Default limits for users without their own
+const QUOTA_CONFIG = {
+  daily: {
+    color: envLimit('QUOTA_DAILY_COLOR_PAGES', 20),
+    grayscale: envLimit('QUOTA_DAILY_GRAYSCALE_PAGES', 50)
+  },
+  monthly: {
+    color: envLimit('QUOTA_MONTHLY_COLOR_PAGES', 200),
+    grayscale: envLimit('QUOTA_MONTHLY_GRAYSCALE_PAGES', 500)
+  },
+  // Largest single top-up an admin can grant
+  maxTopUp: 10000
+};
+
+// UserQuota column holding each limit
+const LIMIT_COLUMNS = {
+  daily: { color: 'dailyColorLimit', grayscale: 'dailyGrayscaleLimit' },
+  monthly: { color: 'monthlyColorLimit', grayscale: 'monthlyGrayscaleLimit' }
+};
+
+/**
+ * Get when the current quota period started, in the server's time zone
+ * @param {string} period - daily or monthly
+ * @param {Date} now - Current time
+ * @returns {Date}
+ */
+function getPeriodStart(period, now) {
+  if (period === 'daily') {
+    return new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  }
+  return new Date(now.getFullYear(), now.getMonth(), 1);
+}
+
+/**
+ * Get a user's limits, used pages and remaining pages for each period and ink type
+ * Usage before the user's last reset is not counted
+ * @param {number} userId - User ID
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Object>} { daily: { color: { limit, used, remaining, customLimit }, grayscale }, monthly, resetAt }
+ */
+async function getQuotaStatus(userId, now = new Date()) {
+  const userQuota = await db.getUserQuota(userId);
+  const resetAt = userQuota && userQuota.resetAt ? new Date(userQuota.resetAt) : null;
+  const status = { resetAt };
+
+  for (const period of PERIODS) {
+    let since = getPeriodStart(period, now);
+    if (resetAt && resetAt > since) {
+      since = resetAt;
+    }
+
+    const usage = await db.getQuotaUsageSince(userId, since.toISOString());
+    status[period] = {};
+
+    INK_TYPES.forEach(inkType => {
+      const customLimit = userQuota ? userQuota[LIMIT_COLUMNS[period][inkType]] : null;
+      const limit = customLimit !== null && customLimit !== undefined ? customLimit : QUOTA_CONFIG[period][inkType];
+      const row = usage.find(entry => entry.inkType === inkType);
+      const used = row ? row.pages : 0;
+
+      status[period][inkType] = {
+        limit,
+        used,
+        remaining: Math.max(0, limit - used),
+        customLimit: customLimit !== null && customLimit !== undefined
+      };
+    });
+  }
+
+  return status;
+}
+
+/**
+ * Check that a user has enough pages left of an ink type in every period
+ * Nothing is charged; jobs are still charged when they are sent to the printer
+ * @param {number} userId - User ID
+ * @param {string} inkType - color or grayscale
+ * @param {number} pages - Printed sides needed
+ * @param {Date} [now] - Current time
+ * @returns {Promise<void>}
+ * @throws {Error} If the pages exceed the remaining quota of a period
+ */
+async function checkQuota(userId, inkType, pages, now = new Date()) {
+  const status = await getQuotaStatus(userId, now);
+
+  for (const period of PERIODS) {
+    const { remaining } = status[period][inkType];
+    if (pages > remaining) {
+      const periodLabel = period === 'daily' ? 'today' : 'this month';
+      throw new Error(`Print quota exceeded: ${pages} ${inkType} page(s) are needed but only ${remaining} are left ${periodLabel}`);
+    }
+  }
+}
+
+/**
+ * Charge a job's pages to its owner's quota
+ * A job is only charged once, however many times it is submitted
+ * @param {Object} job - PrintJob row
+ * @param {Object} settings - Print settings the job is submitted with
+ * @param {Date} [now] - Current time
+ * @returns {Promise<{inkType: string, pages: number}|null>} The charge, or null if the job was already charged
+ * @throws {Error} If the job's pages cannot be counted or exceed the remaining quota. Submission turns
+ *   away documents whose pages cannot be counted, so this only happens if the document changed since.
+ */
+async function chargeJob(job, settings, now = new Date()) {
+  const existing = await db.getJobQuotaUsage(job.id);
+  if (existing.length > 0) {
+    return null;
+  }
+
+  const pageCount = job.pageCount || await pageCounter.countPages(job.documentPath);
+  const summary = pageCounter.getPrintSummary(pageCount, settings);
+  if (summary.printedSides === null) {
+    throw new Error('The number of pages in this document could not be read, so it cannot be checked against the print quota');
+  }
+
+  const inkType = summary.color ? 'color' : 'grayscale';
+  const pages = summary.printedSides;
+  await checkQuota(job.userId, inkType, pages, now);
+
+  await db.insertQuotaUsage({
+    userId: job.userId,
+    jobId: job.id,
+    inkType,
+    pages,
+    recordedAt: now.toISOString()
+  });
+
+  return { inkType, pages };
+}
+
+/**
+ * Give back the pages charged for a job the printer never accepted
+ * @param {number} jobId - Job ID
+ * @returns {Promise<void>}
+ */
+async function refundJob(jobId) {
+  await db.deleteJobQuotaUsage(jobId);
+}
+
+/**
+ * Add pages to a user's allowance for the current day and month
+ * @param {number} userId - User ID
+ * @param {string} inkType - color or grayscale
+ * @param {number|string} pages - Pages to add
+ * @param {Date} [now] - Current time
+ * @returns {Promise<number>} Pages added
+ * @throws {Error} If the ink type or number of pages is invalid
+ */
+async function topUpQuota(userId, inkType, pages, now = new Date()) {
+  if (!INK_TYPES.includes(inkType)) {
+    throw new Error(`Invalid ink type: ${inkType}. Must be one of: ${INK_TYPES.join(', ')}`);
+  }
+
+  const count = Number(pages);
+  if (!Number.isInteger(count) || count < 1 || count > QUOTA_CONFIG.maxTopUp) {
+    throw new Error(`Invalid number of pages: ${pages}. Must be a whole number from 1 to ${QUOTA_CONFIG.maxTopUp}`);
+  }
+
+  await db.insertQuotaUsage({
+    userId,
+    jobId: null,
+    inkType,
+    pages: -count,
+    recordedAt: now.toISOString()
+  });
+
+  return count;
+}
+
+/**
+ * Start a user's daily and monthly usage afresh
+ * @param {number} userId - User ID
+ * @param {Date} [now] - Current time
+ * @returns {Promise<void>}
+ */
+async function resetQuota(userId, now = new Date()) {
+  await db.resetUserQuota(userId, now.toISOString());
+}
+
+/**
+ * Set a user's own limits
+ * @param {number} userId - User ID
+ * @param {Object} limits - { daily: { color, grayscale }, monthly: { color, grayscale } };
+ *   an empty value restores the default limit
+ * @returns {Promise<void>}
+ * @throws {Error} If a limit is not a whole number of zero or more
+ */
+async function setQuotaLimits(userId, limits) {
+  const columns = {};
+
+  for (const period of PERIODS) {
+    for (const inkType of INK_TYPES) {
+      const value = limits[period] ? limits[period][inkType] : undefined;
+
+      if (value === undefined || value === null || String(value).trim() === '') {
+        columns[LIMIT_COLUMNS[period][inkType]] = null;
+        continue;
+      }
+
+      const limit = Number(value);
+      if (!Number.isInteger(limit) || limit < 0) {
+        throw new Error(`Invalid ${period} ${inkType} limit: ${value}. Must be a whole number of pages`);
+      }
+      columns[LIMIT_COLUMNS[period][inkType]] = limit;
+    }
+  }
+
+  await db.setUserQuotaLimits(userId, columns);
+}
+
+module.exports = {
+  INK_TYPES,
+  PERIODS,
+  QUOTA_CONFIG,
+  getPeriodStart,
+  getQuotaStatus,
+  checkQuota,
+  chargeJob,
+  refundJob,
+  topUpQuota,
+  resetQuota,
+  setQuotaLimits
+};
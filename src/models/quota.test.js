@@ -0,0 +1,192 @@
+const db = require('./database');
+const printerIntegration = require('../utils/printerIntegration');
+const Quota = require('./quota');
+const PrintJob = require('./printJob');
+
+describe('Quota', () => {
+  // A weekday afternoon, so the day and month started before now
+  const now = new Date(2026, 2, 18, 15, 30);
+
+  const job = {
+    id: 30,
+    userId: 4,
+    status: 'pending',
+    documentPath: '/uploads/report.pdf',
+    pageCount: 6
+  };
+
+  const settings = {
+    colorMode: 'Grayscale',
+    copies: 1,
+    pageRanges: '',
+    pagesPerSheet: 1,
+    duplexMode: 'Off'
+  };
+
+  /**
+   * Mock the usage recorded since a time: daily queries get dailyUsage, monthly queries monthlyUsage
+   */
+  function mockUsage(dailyUsage, monthlyUsage) {
+    const dayStart = Quota.getPeriodStart('daily', now).toISOString();
+    return jest.spyOn(db, 'getQuotaUsageSince').mockImplementation(async (userId, since) =>
+      (since >= dayStart ? dailyUsage : monthlyUsage));
+  }
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getQuotaStatus', () => {
+    test('should use the default limits and subtract pages used in each period', async () => {
+      jest.spyOn(db, 'getUserQuota').mockResolvedValue(undefined);
+      mockUsage([{ inkType: 'grayscale', pages: 12 }], [{ inkType: 'grayscale', pages: 40 }, { inkType: 'color', pages: 5 }]);
+
+      const status = await Quota.getQuotaStatus(4, now);
+
+      expect(status.daily.grayscale).toEqual({
+        limit: Quota.QUOTA_CONFIG.daily.grayscale,
+        used: 12,
+        remaining: Quota.QUOTA_CONFIG.daily.grayscale - 12,
+        customLimit: false
+      });
+      expect(status.daily.color.used).toBe(0);
+      expect(status.monthly.color.remaining).toBe(Quota.QUOTA_CONFIG.monthly.color - 5);
+    });
+
+    test('should use a user\'s own limits and ignore usage before a reset', async () => {
+      const resetAt = new Date(2026, 2, 18, 9, 0);
+      jest.spyOn(db, 'getUserQuota').mockResolvedValue({
+        userId: 4,
+        dailyColorLimit: 0,
+        dailyGrayscaleLimit: null,
+        monthlyColorLimit: 10,
+        monthlyGrayscaleLimit: null,
+        resetAt: resetAt.toISOString()
+      });
+      const usage = jest.spyOn(db, 'getQuotaUsageSince').mockResolvedValue([]);
+
+      const status = await Quota.getQuotaStatus(4, now);
+
+      expect(status.daily.color).toMatchObject({ limit: 0, remaining: 0, customLimit: true });
+      expect(status.monthly.color.limit).toBe(10);
+      expect(status.monthly.grayscale.customLimit).toBe(false);
+      usage.mock.calls.forEach(([, since]) => expect(since).toBe(resetAt.toISOString()));
+    });
+  });
+
+  describe('checkQuota', () => {
+    test('should accept pages within every period\'s remaining quota and charge nothing', async () => {
+      jest.spyOn(db, 'getUserQuota').mockResolvedValue(undefined);
+      mockUsage([], []);
+      const insert = jest.spyOn(db, 'insertQuotaUsage');
+
+      await expect(Quota.checkQuota(4, 'grayscale', Quota.QUOTA_CONFIG.daily.grayscale, now)).resolves.toBeUndefined();
+      expect(insert).not.toHaveBeenCalled();
+    });
+
+    test('should reject pages over the remaining quota of any period', async () => {
+      jest.spyOn(db, 'getUserQuota').mockResolvedValue(undefined);
+      mockUsage([], [{ inkType: 'color', pages: Quota.QUOTA_CONFIG.monthly.color - 2 }]);
+
+      await expect(Quota.checkQuota(4, 'color', 3, now))
+        .rejects.toThrow('Print quota exceeded: 3 color page(s) are needed but only 2 are left this month');
+    });
+  });
+
+  describe('chargeJob', () => {
+    test('should record the printed pages against the job\'s ink type', async () => {
+      jest.spyOn(db, 'getJobQuotaUsage').mockResolvedValue([]);
+      jest.spyOn(db, 'getUserQuota').mockResolvedValue(undefined);
+      mockUsage([], []);
+      const insert = jest.spyOn(db, 'insertQuotaUsage').mockResolvedValue({ lastID: 1, changes: 1 });
+
+      const charge = await Quota.chargeJob(job, { ...settings, copies: 2, pagesPerSheet: 2 }, now);
+
+      expect(charge).toEqual({ inkType: 'grayscale', pages: 6 });
+      expect(insert).toHaveBeenCalledWith({
+        userId: 4,
+        jobId: 30,
+        inkType: 'grayscale',
+        pages: 6,
+        recordedAt: now.toISOString()
+      });
+    });
+
+    test('should refuse a job larger than the remaining daily or monthly quota', async () => {
+      jest.spyOn(db, 'getJobQuotaUsage').mockResolvedValue([]);
+      jest.spyOn(db, 'getUserQuota').mockResolvedValue(undefined);
+      const insert = jest.spyOn(db, 'insertQuotaUsage');
+
+      mockUsage([{ inkType: 'color', pages: Quota.QUOTA_CONFIG.daily.color - 2 }], []);
+      await expect(Quota.chargeJob(job, { ...settings, colorMode: 'Color' }, now))
+        .rejects.toThrow('only 2 are left today');
+
+      jest.restoreAllMocks();
+      jest.spyOn(db, 'getJobQuotaUsage').mockResolvedValue([]);
+      jest.spyOn(db, 'getUserQuota').mockResolvedValue(undefined);
+      mockUsage([], [{ inkType: 'grayscale', pages: Quota.QUOTA_CONFIG.monthly.grayscale }]);
+      await expect(Quota.chargeJob(job, settings, now)).rejects.toThrow('only 0 are left this month');
+
+      expect(insert).not.toHaveBeenCalled();
+    });
+
+    test('should not charge a job twice', async () => {
+      jest.spyOn(db, 'getJobQuotaUsage').mockResolvedValue([{ id: 1, jobId: 30, pages: 6 }]);
+      const insert = jest.spyOn(db, 'insertQuotaUsage');
+
+      expect(await Quota.chargeJob(job, settings, now)).toBeNull();
+      expect(insert).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('admin changes', () => {
+    test('should top up an allowance with a negative usage entry', async () => {
+      const insert = jest.spyOn(db, 'insertQuotaUsage').mockResolvedValue({ lastID: 2, changes: 1 });
+
+      await Quota.topUpQuota(4, 'color', '25', now);
+
+      expect(insert).toHaveBeenCalledWith({ userId: 4, jobId: null, inkType: 'color', pages: -25, recordedAt: now.toISOString() });
+      await expect(Quota.topUpQuota(4, 'color', 0, now)).rejects.toThrow('Invalid number of pages');
+      await expect(Quota.topUpQuota(4, 'glitter', 5, now)).rejects.toThrow('Invalid ink type');
+    });
+
+    test('should store custom limits, with empty values restoring the defaults', async () => {
+      const save = jest.spyOn(db, 'setUserQuotaLimits').mockResolvedValue({ changes: 1 });
+
+      await Quota.setQuotaLimits(4, { daily: { color: '5', grayscale: '' }, monthly: { color: '0', grayscale: ' ' } });
+
+      expect(save).toHaveBeenCalledWith(4, {
+        dailyColorLimit: 5,
+        dailyGrayscaleLimit: null,
+        monthlyColorLimit: 0,
+        monthlyGrayscaleLimit: null
+      });
+      await expect(Quota.setQuotaLimits(4, { daily: { color: '-1' } })).rejects.toThrow('Invalid daily color limit');
+    });
+  });
+
+  describe('enforcement on submission', () => {
+    test('should not send a job over quota to the printer', async () => {
+      jest.spyOn(db, 'getPrintJob').mockResolvedValue(job);
+      jest.spyOn(Quota, 'chargeJob').mockRejectedValue(new Error('Print quota exceeded: 6 grayscale page(s) are needed but only 1 are left today'));
+      const submit = jest.spyOn(printerIntegration, 'submitJobToPrinter');
+
+      await expect(PrintJob.submitJobToQueue(30, job.documentPath, { ...settings, paperType: 'Plain Paper', printQuality: 'Normal', paperSize: 'A4' }))
+        .rejects.toThrow('Print quota exceeded');
+      expect(submit).not.toHaveBeenCalled();
+    });
+
+    test('should give back the pages when the printer does not accept the job', async () => {
+      jest.spyOn(db, 'getPrintJob').mockResolvedValue(job);
+      jest.spyOn(db, 'getUserById').mockResolvedValue({ id: 1, username: 'alice', forcedWatermark: null, coverPage: 0 });
+      jest.spyOn(Quota, 'chargeJob').mockResolvedValue({ inkType: 'grayscale', pages: 6 });
+      jest.spyOn(printerIntegration, 'submitJobToPrinter').mockResolvedValue({ success: false, message: 'Printer busy', retryable: true });
+      const refund = jest.spyOn(db, 'deleteJobQuotaUsage').mockResolvedValue({ changes: 1 });
+
+      const result = await PrintJob.submitJobToQueue(30, job.documentPath, { ...settings, paperType: 'Plain Paper', printQuality: 'Normal', paperSize: 'A4' });
+
+      expect(result.success).toBe(false);
+      expect(refund).toHaveBeenCalledWith(30);
+    });
+  });
+});
@@ -1,10 +1,19 @@
 const bcrypt = require('bcryptjs');
 const db = require('./database');
+const PrintSettings = require('./printSettings');
+const AppSettings = require('./appSettings');
 
 /**
  * User model for authentication and user management
  */
 
+// Cover page choices: follow the site default, or always or never print one
+const COVER_PAGE_PREFERENCES = {
+  default: null,
+  on: true,
+  off: false
+};
+
 /**
  * Hash a password using bcryptjs
  * @param {string} password - Plain text password
@@ -53,7 +62,7 @@ async function createUser(username, password) {
  * Authenticate user with username and password
  * @param {string} username - Username
  * @param {string} password - Plain text password
- * @returns {Promise<{id: number, username: string}|null>} - User object if authenticated, null otherwise
+ * @returns {Promise<{id: number, username: string, isAdmin: boolean}|null>} - User object if authenticated, null otherwise
  */
 async function authenticateUser(username, password) {
   const user = await db.getUserByUsername(username);
@@ -70,14 +79,16 @@ async function authenticateUser(username, password) {
 
   return {
     id: user.id,
-    username: user.username
+    username: user.username,
+    isAdmin: Boolean(user.isAdmin)
   };
 }
 
 /**
  * Get user by ID
  * @param {number} userId - User ID
- * @returns {Promise<{id: number, username: string}|null>}
+ * @returns {Promise<{id: number, username: string, isAdmin: boolean, forcedWatermark: string|null, coverPage: boolean|null}|null>}
+ *   coverPage is null when the user follows the site default
  */
 async function getUserById(userId) {
   const user = await db.getUserById(userId);
@@ -88,14 +99,70 @@ async function getUserById(userId) {
 
   return {
     id: user.id,
-    username: user.username
+    username: user.username,
+    isAdmin: Boolean(user.isAdmin),
+    forcedWatermark: user.forcedWatermark || null,
+    coverPage: user.coverPage === null || user.coverPage === undefined ? null : Boolean(user.coverPage)
   };
 }
 
+/**
+ * Require a watermark on every job a user prints, whatever they choose themselves
+ * @param {number} userId - User ID
+ * @param {string|null} text - Watermark text, which may contain {username}, {date} and {job}; empty to stop forcing one
+ * @returns {Promise<string|null>} The stored text, or null if no watermark is forced
+ * @throws {Error} If the text is too long
+ */
+async function setForcedWatermark(userId, text) {
+  const watermark = String(text || '').replace(/\s+/g, ' ').trim();
+
+  if (watermark.length > PrintSettings.WATERMARK_TEXT_MAX_LENGTH) {
+    throw new Error(`Invalid watermark: use at most ${PrintSettings.WATERMARK_TEXT_MAX_LENGTH} characters`);
+  }
+
+  await db.setUserForcedWatermark(userId, watermark || null);
+  return watermark || null;
+}
+
+/**
+ * Choose whether cover pages print ahead of a user's jobs
+ * @param {number} userId - User ID
+ * @param {string} preference - default, on or off
+ * @returns {Promise<boolean|null>} The stored choice; null to follow the site default
+ * @throws {Error} If the preference is not one of the choices
+ */
+async function setCoverPagePreference(userId, preference) {
+  if (!Object.prototype.hasOwnProperty.call(COVER_PAGE_PREFERENCES, preference)) {
+    throw new Error(`Invalid cover page preference: ${preference}. Must be one of: ${Object.keys(COVER_PAGE_PREFERENCES).join(', ')}`);
+  }
+
+  const coverPage = COVER_PAGE_PREFERENCES[preference];
+  await db.setUserCoverPage(userId, coverPage === null ? null : Number(coverPage));
+  return coverPage;
+}
+
+/**
+ * Find out whether a cover page prints ahead of a user's jobs
+ * @param {{coverPage: boolean|null}} user - User as returned by getUserById
+ * @returns {Promise<boolean>}
+ */
+async function printsCoverPage(user) {
+  if (user.coverPage !== null && user.coverPage !== undefined) {
+    return user.coverPage;
+  }
+
+  const settings = await AppSettings.getAppSettings();
+  return settings.coverPageDefault;
+}
+
 module.exports = {
+  COVER_PAGE_PREFERENCES,
   hashPassword,
   comparePassword,
   createUser,
   authenticateUser,
-  getUserById
+  getUserById,
+  setForcedWatermark,
+  setCoverPagePreference,
+  printsCoverPage
 };
@@ -71,3 +71,30 @@ describe('User Authentication', () => {
     );
   }, 60000);
 });
+
+describe('Cover Page Preference', () => {
+  const db = require('./database');
+  const User = require('./user');
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should store on, off and the site default', async () => {
+    const save = jest.spyOn(db, 'setUserCoverPage').mockResolvedValue({ changes: 1 });
+
+    expect(await User.setCoverPagePreference(3, 'on')).toBe(true);
+    expect(await User.setCoverPagePreference(3, 'off')).toBe(false);
+    expect(await User.setCoverPagePreference(3, 'default')).toBeNull();
+    expect(save.mock.calls).toEqual([[3, 1], [3, 0], [3, null]]);
+
+    await expect(User.setCoverPagePreference(3, 'sometimes')).rejects.toThrow('Invalid cover page preference');
+  });
+
+  test('should follow the site default only when the user has not chosen', async () => {
+    jest.spyOn(db, 'getAppSettings').mockResolvedValue([{ key: 'coverPageDefault', value: 'true' }]);
+
+    expect(await User.printsCoverPage({ coverPage: null })).toBe(true);
+    expect(await User.printsCoverPage({ coverPage: false })).toBe(false);
+  });
+});
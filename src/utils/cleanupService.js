@@ -1,6 +1,7 @@
 const fs = require('fs');
 const path = require('path');
 const db = require('../models/database');
+const { THUMBNAIL_CONFIG } = require('./thumbnailService');
 
 /**
  * Cleanup Service
@@ -11,8 +12,32 @@ const UPLOADS_DIR = path.join(__dirname, '../../uploads');
 const SCANNED_DOCS_DIR = path.join(__dirname, '../../scanned_documents');
 const ONE_DAY_MS = 24 * 60 * 60 * 1000;
 
+// Jobs that have not reached a final status keep their record and document however old they are:
+// in-progress and awaiting-flip jobs still need their document for a retry or the back sides
+const UNFINISHED_STATUSES = ['scheduled', 'held', 'pending', 'in-progress', 'awaiting-flip'];
+
+/**
+ * Get the document paths cleanup must leave alone: those of jobs that have not finished printing and of
+ * jobs whose owners keep their documents. Reprints share the document of the job they print again.
+ * @private
+ * @returns {Promise<Set<string>>}
+ */
+async function getProtectedDocumentPaths() {
+  const paths = new Set();
+  for (const status of UNFINISHED_STATUSES) {
+    for (const job of await db.getPrintJobsByStatus(status)) {
+      paths.add(path.resolve(job.documentPath));
+    }
+  }
+  for (const job of await db.getKeptPrintJobs()) {
+    paths.add(path.resolve(job.documentPath));
+  }
+  return paths;
+}
+
 /**
  * Clean up old uploaded documents (older than 1 day)
+ * Documents of jobs that have not finished printing and documents their owners keep are left alone
  * @returns {Promise<{deleted: number, message: string}>}
  */
 async function cleanupUploadedDocuments() {
@@ -25,6 +50,7 @@ async function cleanupUploadedDocuments() {
     }
 
     const files = fs.readdirSync(UPLOADS_DIR);
+    const protectedPaths = await getProtectedDocumentPaths();
     const now = Date.now();
     let deletedCount = 0;
 
@@ -35,7 +61,7 @@ async function cleanupUploadedDocuments() {
         const stats = fs.statSync(filePath);
         const age = now - stats.mtimeMs;
 
-        if (age > ONE_DAY_MS) {
+        if (age > ONE_DAY_MS && !protectedPaths.has(path.resolve(filePath))) {
           fs.unlinkSync(filePath);
           deletedCount++;
           console.log(`[CLEANUP] Deleted old uploaded file: ${file}`);
@@ -107,8 +133,57 @@ async function cleanupScannedDocuments() {
   }
 }
 
+/**
+ * Clean up cached previews (older than 1 day)
+ * Previews are rendered again on demand, so the cache never holds more than a day's documents
+ * @returns {Promise<{deleted: number, message: string}>}
+ */
+async function cleanupThumbnails() {
+  try {
+    console.log('[CLEANUP] Starting cleanup of thumbnails');
+
+    if (!fs.existsSync(THUMBNAIL_CONFIG.cacheDir)) {
+      console.log('[CLEANUP] Thumbnails directory does not exist');
+      return { deleted: 0, message: 'Thumbnails directory does not exist' };
+    }
+
+    const files = fs.readdirSync(THUMBNAIL_CONFIG.cacheDir);
+    const now = Date.now();
+    let deletedCount = 0;
+
+    files.forEach(file => {
+      const filePath = path.join(THUMBNAIL_CONFIG.cacheDir, file);
+
+      try {
+        const stats = fs.statSync(filePath);
+        const age = now - stats.mtimeMs;
+
+        if (age > ONE_DAY_MS) {
+          fs.unlinkSync(filePath);
+          deletedCount++;
+        }
+      } catch (err) {
+        console.error(`[CLEANUP] Error processing file ${file}:`, err.message);
+      }
+    });
+
+    console.log(`[CLEANUP] Cleanup of thumbnails completed. Deleted: ${deletedCount}`);
+    return {
+      deleted: deletedCount,
+      message: `Cleaned up ${deletedCount} old thumbnail(s)`
+    };
+  } catch (err) {
+    console.error('[CLEANUP] Error cleaning up thumbnails:', err.message);
+    return {
+      deleted: 0,
+      message: `Failed to cleanup thumbnails: ${err.message}`
+    };
+  }
+}
+
 /**
  * Clean up old print jobs from database (older than 1 day)
+ * Jobs that have not finished printing and jobs whose documents are kept stay in the history
  * @returns {Promise<{deleted: number, message: string}>}
  */
 async function cleanupOldPrintJobs() {
@@ -120,8 +195,9 @@ async function cleanupOldPrintJobs() {
     // Delete print jobs older than 1 day
     const result = await new Promise((resolve, reject) => {
       db.db.run(
-        'DELETE FROM PrintJob WHERE submittedAt < ?',
-        [oneDayAgo],
+        `DELETE FROM PrintJob WHERE submittedAt < ? AND keepDocument = 0
+         AND status NOT IN (${UNFINISHED_STATUSES.map(() => '?').join(', ')})`,
+        [oneDayAgo, ...UNFINISHED_STATUSES],
         function(err) {
           if (err) {
             reject(err);
@@ -146,9 +222,57 @@ async function cleanupOldPrintJobs() {
   }
 }
 
+/**
+ * Expire held jobs that were not released in time and delete their documents
+ * A document can be shared: a held reprint shares it with the job it prints again, and a reprint can
+ * share an expired job's document. It is only deleted once no unfinished or kept job uses it.
+ * @param {Date} [now] - Current time
+ * @returns {Promise<{deleted: number, message: string}>}
+ */
+async function expireHeldJobs(now = new Date()) {
+  try {
+    const expiredJobs = [];
+    for (const job of await db.getExpiredHeldPrintJobs(now.toISOString())) {
+      const result = await db.expirePrintJob(job.id);
+      if (result.changes === 0) {
+        // Released or cancelled in the meantime
+        continue;
+      }
+
+      expiredJobs.push(job);
+      console.log(`[CLEANUP] Held job ${job.id} expired`);
+    }
+
+    // Read once the jobs above have expired, so they no longer protect their own documents
+    const protectedPaths = expiredJobs.length > 0 ? await getProtectedDocumentPaths() : new Set();
+
+    for (const job of expiredJobs) {
+      try {
+        if (fs.existsSync(job.documentPath) && !protectedPaths.has(path.resolve(job.documentPath))) {
+          fs.unlinkSync(job.documentPath);
+          console.log(`[CLEANUP] Deleted document of expired job ${job.id}: ${path.basename(job.documentPath)}`);
+        }
+      } catch (err) {
+        console.error(`[CLEANUP] Error deleting document of expired job ${job.id}:`, err.message);
+      }
+    }
+
+    return {
+      deleted: expiredJobs.length,
+      message: `Expired ${expiredJobs.length} held job(s)`
+    };
+  } catch (err) {
+    console.error('[CLEANUP] Error expiring held jobs:', err.message);
+    return {
+      deleted: 0,
+      message: `Failed to expire held jobs: ${err.message}`
+    };
+  }
+}
+
 /**
  * Run all cleanup tasks
- * @returns {Promise<{uploadedDocs: number, scannedDocs: number, printJobs: number, message: string}>}
+ * @returns {Promise<{uploadedDocs: number, scannedDocs: number, thumbnails: number, printJobs: number, message: string}>}
  */
 async function runAllCleanup() {
   try {
@@ -156,13 +280,15 @@ async function runAllCleanup() {
     
     const uploadResult = await cleanupUploadedDocuments();
     const scannedResult = await cleanupScannedDocuments();
+    const thumbnailResult = await cleanupThumbnails();
     const jobsResult = await cleanupOldPrintJobs();
 
     const summary = {
       uploadedDocs: uploadResult.deleted,
       scannedDocs: scannedResult.deleted,
+      thumbnails: thumbnailResult.deleted,
       printJobs: jobsResult.deleted,
-      message: `Cleanup completed: ${uploadResult.deleted} uploaded docs, ${scannedResult.deleted} scanned docs, ${jobsResult.deleted} print jobs removed`
+      message: `Cleanup completed: ${uploadResult.deleted} uploaded docs, ${scannedResult.deleted} scanned docs, ${thumbnailResult.deleted} thumbnails, ${jobsResult.deleted} print jobs removed`
     };
 
     console.log('[CLEANUP] ========== DAILY CLEANUP COMPLETED ==========');
@@ -174,6 +300,7 @@ async function runAllCleanup() {
     return {
       uploadedDocs: 0,
       scannedDocs: 0,
+      thumbnails: 0,
       printJobs: 0,
       message: `Cleanup failed: ${err.message}`
     };
@@ -204,7 +331,9 @@ function scheduleDailyCleanup() {
 module.exports = {
   cleanupUploadedDocuments,
   cleanupScannedDocuments,
+  cleanupThumbnails,
   cleanupOldPrintJobs,
+  expireHeldJobs,
   runAllCleanup,
   scheduleDailyCleanup
 };
@@ -0,0 +1,126 @@
+const fs = require('fs');
+const path = require('path');
+const db = require('../models/database');
+const cleanupService = require('./cleanupService');
+
+describe('Cleanup Service', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('expireHeldJobs', () => {
+    const documentPath = path.join(__dirname, '../../data/held_job_document.pdf');
+
+    beforeEach(() => {
+      jest.spyOn(db, 'getKeptPrintJobs').mockResolvedValue([]);
+      jest.spyOn(db, 'getPrintJobsByStatus').mockResolvedValue([]);
+    });
+
+    afterEach(() => {
+      if (fs.existsSync(documentPath)) {
+        fs.unlinkSync(documentPath);
+      }
+    });
+
+    test('should expire held jobs past their release time and delete their documents', async () => {
+      fs.writeFileSync(documentPath, '%PDF-1.4 test content');
+      const now = new Date();
+      const due = jest.spyOn(db, 'getExpiredHeldPrintJobs').mockResolvedValue([{ id: 4, status: 'held', documentPath }]);
+      const expire = jest.spyOn(db, 'expirePrintJob').mockResolvedValue({ changes: 1 });
+
+      const result = await cleanupService.expireHeldJobs(now);
+
+      expect(due).toHaveBeenCalledWith(now.toISOString());
+      expect(expire).toHaveBeenCalledWith(4);
+      expect(result.deleted).toBe(1);
+      expect(fs.existsSync(documentPath)).toBe(false);
+    });
+
+    test('should keep the documents of jobs released in the meantime', async () => {
+      fs.writeFileSync(documentPath, '%PDF-1.4 test content');
+      jest.spyOn(db, 'getExpiredHeldPrintJobs').mockResolvedValue([{ id: 5, status: 'held', documentPath }]);
+      jest.spyOn(db, 'expirePrintJob').mockResolvedValue({ changes: 0 });
+
+      const result = await cleanupService.expireHeldJobs();
+
+      expect(result.deleted).toBe(0);
+      expect(fs.existsSync(documentPath)).toBe(true);
+    });
+
+    test('should keep the document of an expired reprint when the original job keeps it', async () => {
+      fs.writeFileSync(documentPath, '%PDF-1.4 test content');
+      jest.spyOn(db, 'getExpiredHeldPrintJobs').mockResolvedValue([{ id: 6, status: 'held', documentPath, reprintOf: 2 }]);
+      jest.spyOn(db, 'expirePrintJob').mockResolvedValue({ changes: 1 });
+      db.getKeptPrintJobs.mockResolvedValue([{ id: 2, status: 'completed', documentPath, keepDocument: 1 }]);
+
+      const result = await cleanupService.expireHeldJobs();
+
+      expect(result.deleted).toBe(1);
+      expect(fs.existsSync(documentPath)).toBe(true);
+    });
+
+    test('should keep the document of an expired job while another job waiting to print shares it', async () => {
+      fs.writeFileSync(documentPath, '%PDF-1.4 test content');
+      jest.spyOn(db, 'getExpiredHeldPrintJobs').mockResolvedValue([{ id: 7, status: 'held', documentPath }]);
+      jest.spyOn(db, 'expirePrintJob').mockResolvedValue({ changes: 1 });
+      db.getPrintJobsByStatus.mockImplementation(async status =>
+        (status === 'scheduled' ? [{ id: 8, status, documentPath }] : []));
+
+      const result = await cleanupService.expireHeldJobs();
+
+      expect(result.deleted).toBe(1);
+      expect(fs.existsSync(documentPath)).toBe(true);
+    });
+  });
+
+  describe('cleanupUploadedDocuments', () => {
+    const uploadsDir = path.join(__dirname, '../../uploads');
+    const keptPath = path.join(uploadsDir, 'cleanup_kept_test.pdf');
+    const oldPath = path.join(uploadsDir, 'cleanup_old_test.pdf');
+    const flipPath = path.join(uploadsDir, 'cleanup_flip_test.pdf');
+
+    afterEach(() => {
+      [keptPath, oldPath, flipPath].filter(filePath => fs.existsSync(filePath)).forEach(filePath => fs.unlinkSync(filePath));
+    });
+
+    test('should skip old documents that kept jobs still use', async () => {
+      fs.mkdirSync(uploadsDir, { recursive: true });
+      const twoDaysAgo = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000);
+      for (const filePath of [keptPath, oldPath]) {
+        fs.writeFileSync(filePath, '%PDF-1.4 test content');
+        fs.utimesSync(filePath, twoDaysAgo, twoDaysAgo);
+      }
+
+      // Only look at the test files, whatever else is in the uploads directory
+      jest.spyOn(fs, 'readdirSync').mockReturnValue([path.basename(keptPath), path.basename(oldPath)]);
+      jest.spyOn(db, 'getPrintJobsByStatus').mockResolvedValue([]);
+      jest.spyOn(db, 'getKeptPrintJobs').mockResolvedValue([{ id: 9, status: 'completed', documentPath: keptPath, keepDocument: 1 }]);
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      const result = await cleanupService.cleanupUploadedDocuments();
+
+      expect(result.deleted).toBe(1);
+      expect(fs.existsSync(keptPath)).toBe(true);
+      expect(fs.existsSync(oldPath)).toBe(false);
+    });
+
+    test('should skip old documents of jobs that have not finished printing', async () => {
+      fs.mkdirSync(uploadsDir, { recursive: true });
+      const twoDaysAgo = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000);
+      fs.writeFileSync(flipPath, '%PDF-1.4 test content');
+      fs.utimesSync(flipPath, twoDaysAgo, twoDaysAgo);
+
+      jest.spyOn(fs, 'readdirSync').mockReturnValue([path.basename(flipPath)]);
+      const byStatus = jest.spyOn(db, 'getPrintJobsByStatus').mockImplementation(async status =>
+        status === 'awaiting-flip' ? [{ id: 10, status, documentPath: flipPath }] : []);
+      jest.spyOn(db, 'getKeptPrintJobs').mockResolvedValue([]);
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      const result = await cleanupService.cleanupUploadedDocuments();
+
+      expect(byStatus).toHaveBeenCalledWith('in-progress');
+      expect(result.deleted).toBe(0);
+      expect(fs.existsSync(flipPath)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,154 @@
+const { StandardFonts, PageSizes, rgb } = require('pdf-lib');
+
+/**
+ * Cover Page
+ * Draws a separator page that prints ahead of a job, so each person's printouts can be picked
+ * out of a shared output tray. The owner's name is printed large across the top, followed by the
+ * document, when it was submitted, its page count and the settings it prints with.
+ */
+
+const COVER_PAGE_CONFIG = {
+  // Page margin in points
+  margin: 54,
+  ownerFontSize: 36,
+  fontSize: 12,
+  lineHeight: 1.6
+};
+
+const LABEL_COLOR = rgb(0.4, 0.4, 0.4);
+const RULE_COLOR = rgb(0, 0, 0);
+
+/**
+ * Get the portrait size of a sheet of paper in points
+ * Sizes pdf-lib does not know are drawn as A4
+ * @param {string} paperSize - Paper size setting, e.g. A4 or Letter
+ * @returns {[number, number]} Width and height
+ */
+function getPaperDimensions(paperSize) {
+  const name = Object.keys(PageSizes).find(size => size.toLowerCase() === String(paperSize || '').toLowerCase());
+  return name ? PageSizes[name] : PageSizes.A4;
+}
+
+/**
+ * Replace characters the standard fonts cannot draw
+ * @private
+ */
+function toDrawableText(text, font) {
+  const characters = new Set(font.getCharacterSet());
+  let drawable = '';
+  for (const char of String(text)) {
+    drawable += characters.has(char.codePointAt(0)) ? char : '?';
+  }
+  return drawable;
+}
+
+/**
+ * Shorten text to fit a width, ending it with an ellipsis
+ * @private
+ */
+function fitText(text, font, size, maxWidth) {
+  if (font.widthOfTextAtSize(text, size) <= maxWidth) {
+    return text;
+  }
+
+  let fitted = text;
+  while (fitted.length > 0 && font.widthOfTextAtSize(`${fitted}…`, size) > maxWidth) {
+    fitted = fitted.slice(0, -1);
+  }
+  return `${fitted}…`;
+}
+
+/**
+ * Describe a job's print settings as label and value rows
+ * @param {Object} settings - Print settings
+ * @returns {Array<[string, string]>}
+ */
+function describeSettings(settings) {
+  const rows = [
+    ['Paper', `${settings.paperSize}, ${settings.paperType}`],
+    ['Color Mode', settings.colorMode],
+    ['Quality', settings.printQuality],
+    ['Copies', `${settings.copies || 1}${settings.copies > 1 ? (settings.collated === false ? ', uncollated' : ', collated') : ''}`],
+    ['Page Range', settings.pageRanges || 'All pages'],
+    ['Pages per Sheet', String(settings.pagesPerSheet || 1)],
+    ['Orientation', settings.orientation || 'Portrait']
+  ];
+
+  if (settings.priority) {
+    rows.push(['Priority', settings.priority]);
+  }
+  if (settings.imageScaling) {
+    rows.push(['Image Layout', settings.imageScaling === 'Custom' ? `Scaled to ${settings.imageScale}%` : settings.imageScaling]);
+  }
+
+  return rows;
+}
+
+/**
+ * Add a cover page in front of a document
+ * @param {PDFDocument} pdfDoc - Document the cover page is inserted into, changed in place
+ * @param {Object} details
+ * @param {number} details.jobId - Job number
+ * @param {string} details.owner - Username of the job's owner
+ * @param {string} details.documentName - Original document name
+ * @param {Date} details.submittedAt - When the job was submitted
+ * @param {number|null} details.pageCount - Pages in the document, if known
+ * @param {string} details.printerName - Printer the job prints on
+ * @param {Object} details.settings - Print settings of the job
+ * @returns {Promise<void>}
+ */
+async function addCoverPage(pdfDoc, details) {
+  const [width, height] = getPaperDimensions(details.settings.paperSize);
+  const page = pdfDoc.insertPage(0, [width, height]);
+  const regular = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const bold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+  const { margin, ownerFontSize, fontSize, lineHeight } = COVER_PAGE_CONFIG;
+  const contentWidth = width - 2 * margin;
+
+  let y = height - margin;
+
+  // A heavy rule and the owner's name in large type are easy to spot on the edge of a pile
+  page.drawRectangle({ x: margin, y: y - 8, width: contentWidth, height: 8, color: RULE_COLOR });
+  y -= 8 + ownerFontSize * 1.4;
+
+  page.drawText(fitText(toDrawableText(details.owner, bold), bold, ownerFontSize, contentWidth), {
+    x: margin,
+    y,
+    size: ownerFontSize,
+    font: bold
+  });
+  y -= fontSize * 2.5;
+
+  page.drawText(`Job ${details.jobId}`, { x: margin, y, size: fontSize * 1.5, font: bold });
+  y -= fontSize * 3;
+
+  const rows = [
+    ['Document', details.documentName],
+    ['Submitted', details.submittedAt.toLocaleString()],
+    ['Pages', details.pageCount ? String(details.pageCount) : 'Unknown'],
+    ['Printer', details.printerName],
+    ...describeSettings(details.settings)
+  ];
+
+  const labelWidth = Math.max(...rows.map(([label]) => regular.widthOfTextAtSize(label, fontSize))) + fontSize * 2;
+  rows.forEach(([label, value]) => {
+    page.drawText(label, { x: margin, y, size: fontSize, font: regular, color: LABEL_COLOR });
+    page.drawText(fitText(toDrawableText(value, regular), regular, fontSize, contentWidth - labelWidth), {
+      x: margin + labelWidth,
+      y,
+      size: fontSize,
+      font: regular
+    });
+    y -= fontSize * lineHeight;
+  });
+
+  y -= fontSize;
+  page.drawRectangle({ x: margin, y, width: contentWidth, height: 2, color: RULE_COLOR });
+}
+
+module.exports = {
+  COVER_PAGE_CONFIG,
+  getPaperDimensions,
+  describeSettings,
+  addCoverPage
+};
@@ -0,0 +1,60 @@
+const { PDFDocument, PageSizes } = require('pdf-lib');
+const coverPage = require('./coverPage');
+
+const settings = {
+  paperSize: 'Letter',
+  paperType: 'Plain',
+  colorMode: 'Color',
+  printQuality: 'High',
+  copies: 3,
+  collated: false,
+  pageRanges: '1-4',
+  pagesPerSheet: 2,
+  orientation: 'Landscape'
+};
+
+describe('Cover Page', () => {
+  describe('describeSettings', () => {
+    test('should describe the copies, page range and layout', () => {
+      const rows = Object.fromEntries(coverPage.describeSettings(settings));
+
+      expect(rows).toMatchObject({
+        'Paper': 'Letter, Plain',
+        'Copies': '3, uncollated',
+        'Page Range': '1-4',
+        'Pages per Sheet': '2',
+        'Orientation': 'Landscape'
+      });
+      expect(Object.fromEntries(coverPage.describeSettings({ ...settings, copies: 1, pageRanges: '' }))).toMatchObject({
+        'Copies': '1',
+        'Page Range': 'All pages'
+      });
+    });
+  });
+
+  describe('addCoverPage', () => {
+    test('should put a page of the paper size in front of the document', async () => {
+      const pdfDoc = await PDFDocument.create();
+      pdfDoc.addPage(PageSizes.A4);
+
+      await coverPage.addCoverPage(pdfDoc, {
+        jobId: 12,
+        owner: `ålice ${'x'.repeat(200)} 寿司`,
+        documentName: 'quarterly report.pdf',
+        submittedAt: new Date(2024, 4, 1, 9, 30),
+        pageCount: null,
+        printerName: 'Office Printer',
+        settings
+      });
+
+      const saved = await PDFDocument.load(await pdfDoc.save());
+      expect(saved.getPageCount()).toBe(2);
+      expect(saved.getPage(0).getSize()).toEqual({ width: PageSizes.Letter[0], height: PageSizes.Letter[1] });
+    });
+
+    test('should fall back to A4 for paper sizes it does not know', () => {
+      expect(coverPage.getPaperDimensions('Tabloid-ish')).toEqual(PageSizes.A4);
+      expect(coverPage.getPaperDimensions('legal')).toEqual(PageSizes.Legal);
+    });
+  });
+});
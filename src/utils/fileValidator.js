@@ -2,6 +2,8 @@
  * File validation utilities for upload handling
  */
 
+const fs = require('fs').promises;
+
 // Supported file formats
 const SUPPORTED_FORMATS = {
   'application/pdf': ['.pdf'],
@@ -9,11 +11,47 @@ const SUPPORTED_FORMATS = {
   'image/png': ['.png'],
   'image/gif': ['.gif'],
   'image/bmp': ['.bmp'],
-  'image/tiff': ['.tiff', '.tif']
+  'image/tiff': ['.tiff', '.tif'],
+  // Text documents are laid out as PDFs by textRenderer when they are uploaded.
+  // Browsers often send Markdown files as text/plain.
+  'text/plain': ['.txt', '.text', '.md', '.markdown'],
+  'text/markdown': ['.md', '.markdown'],
+  'text/x-markdown': ['.md', '.markdown']
 };
 
 // Flatten supported extensions
-const SUPPORTED_EXTENSIONS = Object.values(SUPPORTED_FORMATS).flat();
+const SUPPORTED_EXTENSIONS = [...new Set(Object.values(SUPPORTED_FORMATS).flat())];
+
+// Extensions of text documents rendered as Markdown
+const MARKDOWN_EXTENSIONS = ['.md', '.markdown'];
+
+// Signatures each binary format's content starts with. The MIME type and extension come from the
+// client, so the content is checked against them before a file is printed.
+const FILE_SIGNATURES = {
+  'application/pdf': [Buffer.from('%PDF-', 'latin1')],
+  'image/png': [Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])],
+  'image/jpeg': [Buffer.from([0xFF, 0xD8, 0xFF])],
+  'image/gif': [Buffer.from('GIF87a', 'latin1'), Buffer.from('GIF89a', 'latin1')],
+  'image/bmp': [Buffer.from('BM', 'latin1')],
+  'image/tiff': [Buffer.from([0x49, 0x49, 0x2A, 0x00]), Buffer.from([0x4D, 0x4D, 0x00, 0x2A])]
+};
+
+// Formats whose signature is too short to tell them from text that happens to start the same way,
+// such as "BM" in "BMW". Text documents are only rejected as these formats when they also hold binary data.
+const AMBIGUOUS_SIGNATURE_FORMATS = ['image/bmp'];
+
+// Names of the detected formats used in error messages
+const FORMAT_NAMES = {
+  'application/pdf': 'a PDF document',
+  'image/png': 'a PNG image',
+  'image/jpeg': 'a JPEG image',
+  'image/gif': 'a GIF image',
+  'image/bmp': 'a BMP image',
+  'image/tiff': 'a TIFF image'
+};
+
+// Bytes read from the start of a file to check its content; text is checked for binary data over this span
+const CONTENT_SNIFF_BYTES = 8192;
 
 // Default file size limit: 50MB
 const DEFAULT_FILE_SIZE_LIMIT = 50 * 1024 * 1024;
@@ -34,6 +72,46 @@ function getSupportedExtensions() {
   return SUPPORTED_EXTENSIONS;
 }
 
+/**
+ * Get the MIME type of a stored document from its extension
+ * Documents on disk have already passed validation, so the first type listing the extension is used
+ * @param {string} filename - File name or path
+ * @returns {string|null} MIME type, or null if the extension is not supported
+ */
+function getMimeType(filename) {
+  const ext = getFileExtension(String(filename || '')).toLowerCase();
+  const entry = Object.entries(SUPPORTED_FORMATS).find(([, extensions]) => extensions.includes(ext));
+  return entry ? entry[0] : null;
+}
+
+/**
+ * Check whether a supported MIME type is an image, which prints with the image layout settings
+ * @param {string} mimetype - MIME type from multer
+ * @returns {boolean}
+ */
+function isImageFormat(mimetype) {
+  return getSupportedMimeTypes().includes(mimetype) && mimetype.startsWith('image/');
+}
+
+/**
+ * Check whether a supported file is a text document, which is converted to PDF before printing
+ * @param {string} mimetype - MIME type from multer
+ * @returns {boolean}
+ */
+function isTextFormat(mimetype) {
+  return getSupportedMimeTypes().includes(mimetype) && mimetype.startsWith('text/');
+}
+
+/**
+ * Check whether a text document is Markdown
+ * @param {string} filename - Original filename
+ * @param {string} mimetype - MIME type from multer
+ * @returns {boolean}
+ */
+function isMarkdownFile(filename, mimetype) {
+  return /markdown/.test(mimetype) || MARKDOWN_EXTENSIONS.includes(getFileExtension(filename).toLowerCase());
+}
+
 /**
  * Validate file format by MIME type and extension
  * @param {string} filename - Original filename
@@ -54,6 +132,71 @@ function validateFileFormat(filename, mimetype) {
   return allowedExtensions.includes(ext.toLowerCase());
 }
 
+/**
+ * Detect a binary format from the start of a file's content
+ * @param {Buffer} header - First bytes of the file
+ * @returns {string|null} MIME type whose signature the content starts with, or null if none match
+ */
+function detectFormat(header) {
+  const entry = Object.entries(FILE_SIGNATURES).find(([, signatures]) =>
+    signatures.some(signature => header.length >= signature.length && header.subarray(0, signature.length).equals(signature)));
+  return entry ? entry[0] : null;
+}
+
+/**
+ * Check that a file's content matches the format it was uploaded as
+ * Binary formats must start with their signature; text documents must not contain binary data or
+ * start with an unambiguous signature
+ * @param {Buffer} header - First bytes of the file (see CONTENT_SNIFF_BYTES)
+ * @param {string} mimetype - MIME type from multer
+ * @returns {{valid: boolean, detected: string|null, message: string|null}}
+ */
+function validateFileContent(header, mimetype) {
+  const detected = detectFormat(header);
+
+  if (isTextFormat(mimetype)) {
+    const binary = header.includes(0);
+    if (binary || (detected && !AMBIGUOUS_SIGNATURE_FORMATS.includes(detected))) {
+      return {
+        valid: false,
+        detected,
+        message: `File content is ${detected ? FORMAT_NAMES[detected] : 'binary data'}, not a text document`
+      };
+    }
+    return { valid: true, detected: null, message: null };
+  }
+
+  if (detected !== mimetype) {
+    const expected = FORMAT_NAMES[mimetype] || mimetype;
+    return {
+      valid: false,
+      detected,
+      message: detected
+        ? `File content is ${FORMAT_NAMES[detected]}, but the file was uploaded as ${expected}`
+        : `File content does not match its type: it is not ${expected}`
+    };
+  }
+
+  return { valid: true, detected, message: null };
+}
+
+/**
+ * Read the start of an uploaded file and check it against the format it was uploaded as
+ * @param {string} filePath - Path to the uploaded file
+ * @param {string} mimetype - MIME type from multer
+ * @returns {Promise<{valid: boolean, detected: string|null, message: string|null}>}
+ */
+async function checkFileContent(filePath, mimetype) {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(CONTENT_SNIFF_BYTES);
+    const { bytesRead } = await handle.read(buffer, 0, CONTENT_SNIFF_BYTES, 0);
+    return validateFileContent(buffer.subarray(0, bytesRead), mimetype);
+  } finally {
+    await handle.close();
+  }
+}
+
 /**
  * Validate file size
  * @param {number} fileSize - File size in bytes
@@ -77,6 +220,24 @@ function getFileExtension(filename) {
   return filename.substring(lastDot);
 }
 
+/**
+ * Make an uploaded file name safe to store on disk
+ * Keeps letters, digits, dots, dashes and underscores; anything else (including path separators,
+ * quotes and shell metacharacters) becomes an underscore
+ * @param {string} filename - Original filename from the client
+ * @returns {string} - Safe filename with a lowercase extension (e.g., 'my_report.pdf')
+ */
+function sanitizeFileName(filename) {
+  const base = String(filename || '').split(/[\\/]/).pop();
+  const ext = getFileExtension(base).toLowerCase().replace(/[^a-z0-9.]/g, '');
+  const name = base.slice(0, base.length - getFileExtension(base).length)
+    .replace(/[^A-Za-z0-9._-]+/g, '_')
+    .replace(/^[._-]+/, '')
+    .slice(0, 100);
+
+  return `${name || 'document'}${ext.length > 1 ? ext : ''}`;
+}
+
 /**
  * Get file size limit in MB
  * @param {number} maxSize - Maximum size in bytes (optional)
@@ -89,11 +250,21 @@ function getFileSizeLimitMB(maxSize = DEFAULT_FILE_SIZE_LIMIT) {
 module.exports = {
   SUPPORTED_FORMATS,
   SUPPORTED_EXTENSIONS,
+  FILE_SIGNATURES,
+  CONTENT_SNIFF_BYTES,
   DEFAULT_FILE_SIZE_LIMIT,
   getSupportedMimeTypes,
   getSupportedExtensions,
+  getMimeType,
+  isImageFormat,
+  isTextFormat,
+  isMarkdownFile,
   validateFileFormat,
+  detectFormat,
+  validateFileContent,
+  checkFileContent,
   validateFileSize,
   getFileExtension,
+  sanitizeFileName,
   getFileSizeLimitMB
 };
@@ -180,6 +180,164 @@ describe('File Validator', () => {
     });
   });
 
+  describe('sanitizeFileName', () => {
+    /**
+     * Property: Any client file name becomes a name made only of safe characters that
+     * cannot start an option or hide a file, and supported extensions are kept
+     */
+    test('Property: Sanitised names contain only safe characters', () => {
+      fc.assert(
+        fc.property(
+          fc.string({ maxLength: 200 }),
+          fc.constantFrom(...fileValidator.SUPPORTED_EXTENSIONS),
+          (name, ext) => {
+            const sanitized = fileValidator.sanitizeFileName(`${name}${ext.toUpperCase()}`);
+
+            expect(sanitized).toMatch(/^[A-Za-z0-9][A-Za-z0-9._-]*$/);
+            expect(sanitized.endsWith(ext)).toBe(true);
+            expect(sanitized.length).toBeLessThanOrEqual(100 + ext.length);
+          }
+        ),
+        { numRuns: 200 }
+      );
+    });
+
+    test('should neutralise shell metacharacters and path separators', () => {
+      expect(fileValidator.sanitizeFileName('$(touch pwned).pdf')).toBe('touch_pwned_.pdf');
+      expect(fileValidator.sanitizeFileName('`id`.jpg')).toBe('id_.jpg');
+      expect(fileValidator.sanitizeFileName('report"; rm -rf ~; ".pdf')).toBe('report_rm_-rf_.pdf');
+      expect(fileValidator.sanitizeFileName('../../etc/passwd.png')).toBe('passwd.png');
+      expect(fileValidator.sanitizeFileName('..\\windows\\evil.pdf')).toBe('evil.pdf');
+      expect(fileValidator.sanitizeFileName('-rf.pdf')).toBe('rf.pdf');
+      expect(fileValidator.sanitizeFileName('My Report 2024.PDF')).toBe('My_Report_2024.pdf');
+      expect(fileValidator.sanitizeFileName('.pdf')).toBe('document.pdf');
+    });
+  });
+
+  describe('validateFileContent', () => {
+    const binaryTypes = Object.keys(fileValidator.FILE_SIGNATURES);
+    const withSignature = (mimetype, index, rest) => {
+      const signatures = fileValidator.FILE_SIGNATURES[mimetype];
+      return Buffer.concat([signatures[index % signatures.length], Buffer.from(rest)]);
+    };
+
+    /**
+     * Property: A file whose content starts with its format's signature is accepted,
+     * whatever follows the signature
+     */
+    test('Property: Content matching the uploaded format is accepted', () => {
+      fc.assert(
+        fc.property(
+          fc.constantFrom(...binaryTypes),
+          fc.nat(),
+          fc.uint8Array({ maxLength: 256 }),
+          (mimetype, index, rest) => {
+            const result = fileValidator.validateFileContent(withSignature(mimetype, index, rest), mimetype);
+
+            expect(result.valid).toBe(true);
+            expect(result.detected).toBe(mimetype);
+            expect(result.message).toBeNull();
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    /**
+     * Property: A file renamed to another format is rejected, and the error names the format
+     * the content really is
+     */
+    test('Property: Content of a different format is rejected', () => {
+      fc.assert(
+        fc.property(
+          fc.constantFrom(...binaryTypes),
+          fc.constantFrom(...binaryTypes),
+          fc.nat(),
+          fc.uint8Array({ maxLength: 256 }),
+          (actual, claimed, index, rest) => {
+            fc.pre(actual !== claimed);
+            const result = fileValidator.validateFileContent(withSignature(actual, index, rest), claimed);
+
+            expect(result.valid).toBe(false);
+            expect(result.detected).toBe(actual);
+            expect(result.message).toMatch(/^File content is a .+, but the file was uploaded as a .+$/);
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    /**
+     * Property: Content without any known signature, such as an executable, is never accepted
+     * as a PDF or image
+     */
+    test('Property: Content without a known signature is rejected', () => {
+      fc.assert(
+        fc.property(
+          fc.constantFrom(...binaryTypes),
+          fc.constantFrom(Buffer.from('\x7fELF', 'latin1'), Buffer.from('MZ', 'latin1'), Buffer.from('PK\x03\x04', 'latin1'), Buffer.alloc(0)),
+          fc.uint8Array({ maxLength: 256 }),
+          (mimetype, prefix, rest) => {
+            const header = Buffer.concat([prefix, Buffer.from(rest)]);
+            fc.pre(fileValidator.detectFormat(header) === null);
+            const result = fileValidator.validateFileContent(header, mimetype);
+
+            expect(result.valid).toBe(false);
+            expect(result.detected).toBeNull();
+            expect(result.message).toContain('does not match its type');
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    /**
+     * Property: Text documents are accepted as long as they contain no binary data
+     */
+    test('Property: Text documents must not contain binary data', () => {
+      fc.assert(
+        fc.property(
+          fc.constantFrom('text/plain', 'text/markdown', 'text/x-markdown'),
+          fc.string({ maxLength: 200 }).filter(text => !text.includes('\0')),
+          fc.string({ maxLength: 200 }),
+          (mimetype, before, after) => {
+            const text = Buffer.from(`# ${before}`, 'utf8');
+            expect(fileValidator.validateFileContent(text, mimetype).valid).toBe(true);
+
+            const withNul = Buffer.concat([text, Buffer.from([0]), Buffer.from(after, 'utf8')]);
+            const result = fileValidator.validateFileContent(withNul, mimetype);
+            expect(result.valid).toBe(false);
+            expect(result.message).toBe('File content is binary data, not a text document');
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    test('should reject a PDF or image uploaded as text', () => {
+      const result = fileValidator.validateFileContent(Buffer.from('%PDF-1.7\n', 'latin1'), 'text/plain');
+      expect(result.valid).toBe(false);
+      expect(result.message).toBe('File content is a PDF document, not a text document');
+    });
+
+    test('should accept text that starts like a BMP signature', () => {
+      const text = Buffer.from('BMW service log\nOil changed at 30,000 miles\n', 'latin1');
+      expect(fileValidator.detectFormat(text)).toBe('image/bmp');
+      expect(fileValidator.validateFileContent(text, 'text/plain')).toEqual({ valid: true, detected: null, message: null });
+    });
+
+    test('should still reject a BMP image uploaded as text', () => {
+      const bmp = Buffer.concat([Buffer.from('BM', 'latin1'), Buffer.from([0x46, 0, 0, 0, 0, 0, 0, 0, 0x36, 0, 0, 0, 0x28, 0, 0, 0])]);
+      expect(fileValidator.validateFileContent(bmp, 'text/plain').message).toBe('File content is a BMP image, not a text document');
+    });
+
+    test('should describe a renamed image clearly', () => {
+      const png = withSignature('image/png', 0, [0, 0, 0, 13]);
+      expect(fileValidator.validateFileContent(png, 'application/pdf').message)
+        .toBe('File content is a PNG image, but the file was uploaded as a PDF document');
+    });
+  });
+
   describe('Helper functions', () => {
     test('getSupportedMimeTypes returns array of MIME types', () => {
       const mimeTypes = fileValidator.getSupportedMimeTypes();
@@ -206,6 +364,31 @@ describe('File Validator', () => {
       expect(fileValidator.getFileExtension('noextension')).toBe('');
     });
 
+    test('getMimeType reads the type of a stored document from its extension', () => {
+      expect(fileValidator.getMimeType('/uploads/1700000000-report.PDF')).toBe('application/pdf');
+      expect(fileValidator.getMimeType('photo.jpeg')).toBe('image/jpeg');
+      expect(fileValidator.getMimeType('archive.zip')).toBeNull();
+    });
+
+    test('isImageFormat only accepts supported image types', () => {
+      expect(fileValidator.isImageFormat('image/jpeg')).toBe(true);
+      expect(fileValidator.isImageFormat('image/tiff')).toBe(true);
+      expect(fileValidator.isImageFormat('application/pdf')).toBe(false);
+      expect(fileValidator.isImageFormat('image/svg+xml')).toBe(false);
+    });
+
+    test('text documents are accepted and Markdown is recognised', () => {
+      expect(fileValidator.validateFileFormat('list.txt', 'text/plain')).toBe(true);
+      expect(fileValidator.validateFileFormat('recipe.md', 'text/markdown')).toBe(true);
+      expect(fileValidator.validateFileFormat('recipe.md', 'text/plain')).toBe(true);
+      expect(fileValidator.validateFileFormat('list.txt', 'text/markdown')).toBe(false);
+
+      expect(fileValidator.isTextFormat('text/plain')).toBe(true);
+      expect(fileValidator.isTextFormat('application/pdf')).toBe(false);
+      expect(fileValidator.isMarkdownFile('recipe.MD', 'text/plain')).toBe(true);
+      expect(fileValidator.isMarkdownFile('list.txt', 'text/plain')).toBe(false);
+    });
+
     test('getFileSizeLimitMB converts bytes to MB', () => {
       const limitMB = fileValidator.getFileSizeLimitMB();
       expect(limitMB).toBe(50);
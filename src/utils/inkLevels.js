@@ -0,0 +1,237 @@
+/**
+ * Ink Levels
+ * Parses the ink (marker) levels CUPS reports for a printer and keeps the latest reading of each
+ * queue in memory, so the printer status can warn about low ink without querying the printer.
+ *
+ * CUPS describes each supply with parallel marker-* attributes, e.g.
+ *   marker-names=Black Cartridge,Tri-color Cartridge
+ *   marker-levels=45,8
+ *   marker-colors=#000000,#00FFFF#FF00FF#FFFF00
+ * Levels are percentages; negative levels mean the printer does not know.
+ */
+
+// Levels at or below this percentage count as low when the printer does not report its own threshold
+const INK_CONFIG = {
+  lowThreshold: Math.min(100, Math.max(0, parseInt(process.env.INK_LOW_THRESHOLD, 10) || 15))
+};
+
+// Colors for supplies named in hp-levels output, in marker-colors notation
+const SUPPLY_COLORS = [
+  { pattern: /tri-?colou?r|colou?r/i, color: '#00FFFF#FF00FF#FFFF00' },
+  { pattern: /black/i, color: '#000000' },
+  { pattern: /cyan/i, color: '#00FFFF' },
+  { pattern: /magenta/i, color: '#FF00FF' },
+  { pattern: /yellow/i, color: '#FFFF00' }
+];
+
+// Latest reading per queue: queueName -> { markers, readAt }
+const latestLevels = new Map();
+
+/**
+ * Split a marker attribute into its values
+ * Accepts the value list from an IPP response or a comma-separated string from lpoptions
+ * @private
+ * @returns {Array<string>}
+ */
+function toList(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  if (Array.isArray(value)) {
+    return value.map(String);
+  }
+  return String(value).split(',');
+}
+
+/**
+ * Parse a marker level, treating the negative "unknown" levels as null
+ * @private
+ */
+function toLevel(value) {
+  const level = parseInt(value, 10);
+  return Number.isInteger(level) && level >= 0 ? Math.min(level, 100) : null;
+}
+
+/**
+ * Parse the marker attributes of a printer into supplies
+ * @param {Object} attributes - marker-names, marker-levels and optionally marker-colors,
+ *   marker-types and marker-low-levels, as lists or comma-separated strings
+ * @returns {Array<{name: string, color: string|null, type: string|null, level: number|null, lowLevel: number}>}
+ */
+function parseMarkerAttributes(attributes) {
+  const names = toList(attributes['marker-names']);
+  const levels = toList(attributes['marker-levels']);
+  const colors = toList(attributes['marker-colors']);
+  const types = toList(attributes['marker-types']);
+  const lowLevels = toList(attributes['marker-low-levels']);
+
+  return names.map((name, i) => {
+    const lowLevel = toLevel(lowLevels[i]);
+
+    return {
+      name: name.trim(),
+      color: colors[i] ? colors[i].trim() : null,
+      type: types[i] ? types[i].trim() : null,
+      level: toLevel(levels[i]),
+      lowLevel: lowLevel !== null ? lowLevel : INK_CONFIG.lowThreshold
+    };
+  });
+}
+
+/**
+ * Parse the printer attributes printed by `lpoptions -p <queue>`
+ * Values are separated by spaces and may be quoted or contain backslash escapes
+ * @param {string} output - lpoptions output
+ * @returns {Object<string, string>} Attribute values by name
+ */
+function parseLpoptionsAttributes(output) {
+  const attributes = {};
+  const text = String(output || '');
+  let i = 0;
+
+  while (i < text.length) {
+    while (i < text.length && /\s/.test(text[i])) {
+      i++;
+    }
+
+    let token = '';
+    let name = null;
+    let quote = null;
+    while (i < text.length && (quote || !/\s/.test(text[i]))) {
+      const char = text[i];
+      if (char === '\\' && i + 1 < text.length) {
+        token += text[i + 1];
+        i += 2;
+        continue;
+      }
+      if (quote && char === quote) {
+        quote = null;
+      } else if (!quote && (char === '\'' || char === '"')) {
+        quote = char;
+      } else if (!quote && char === '=' && name === null) {
+        name = token;
+        token = '';
+      } else {
+        token += char;
+      }
+      i++;
+    }
+
+    if (name !== null) {
+      attributes[name] = token;
+    }
+  }
+
+  return attributes;
+}
+
+/**
+ * Parse the supply levels printed by HPLIP's `hp-levels`
+ * Each supply starts with its description, followed by detail lines and either a level line or a bar:
+ *   Black ink cartridge
+ *   Part No.: 31
+ *   Health: OK
+ *   |##############################                    |
+ *   Level: 60%
+ * @param {string} output - hp-levels output
+ * @returns {Array<{name: string, color: string|null, type: string|null, level: number|null, lowLevel: number}>}
+ */
+function parseHpLevels(output) {
+  const markers = [];
+  let current = null;
+
+  String(output || '').split('\n').forEach(rawLine => {
+    const line = rawLine.trim();
+
+    const levelMatch = line.match(/^Level:\s*(-?\d+)\s*%?/i);
+    if (levelMatch) {
+      if (current) {
+        current.level = toLevel(levelMatch[1]);
+      }
+      return;
+    }
+
+    // A bar of # marks within |...| shows the level when no level line is printed
+    const barMatch = line.match(/^\|([# ]+)\|$/);
+    if (barMatch) {
+      if (current && current.level === null && barMatch[1].includes('#')) {
+        const bar = barMatch[1];
+        current.level = Math.round(((bar.match(/#/g) || []).length / bar.length) * 100);
+      }
+      return;
+    }
+
+    if (/(ink|cartridge|tank|toner|printhead)/i.test(line) && !line.includes(':')) {
+      const supply = SUPPLY_COLORS.find(entry => entry.pattern.test(line));
+      current = {
+        name: line,
+        color: supply ? supply.color : null,
+        type: /toner/i.test(line) ? 'toner' : 'ink',
+        level: null,
+        lowLevel: INK_CONFIG.lowThreshold
+      };
+      markers.push(current);
+    }
+  });
+
+  return markers;
+}
+
+/**
+ * Get the supplies at or below their low level
+ * @param {Array<Object>} markers - Parsed supplies
+ * @returns {Array<Object>}
+ */
+function getLowMarkers(markers) {
+  return (markers || []).filter(marker => marker.level !== null && marker.level <= marker.lowLevel);
+}
+
+/**
+ * Describe low supplies for a warning
+ * @param {Array<Object>} lowMarkers - Supplies from getLowMarkers
+ * @returns {string|null} e.g. "Ink is low: Tri-color Cartridge (8%)", or null if nothing is low
+ */
+function describeLowInk(lowMarkers) {
+  if (!lowMarkers || lowMarkers.length === 0) {
+    return null;
+  }
+  return `Ink is low: ${lowMarkers.map(marker => `${marker.name} (${marker.level}%)`).join(', ')}`;
+}
+
+/**
+ * Remember the latest ink levels of a queue
+ * @param {string} queueName - CUPS queue name
+ * @param {Array<Object>} markers - Parsed supplies
+ * @param {Date} [readAt] - When the levels were read
+ */
+function setLatestLevels(queueName, markers, readAt = new Date()) {
+  latestLevels.set(queueName, { markers, readAt });
+}
+
+/**
+ * Get the latest ink levels read for a queue
+ * @param {string} queueName - CUPS queue name
+ * @returns {{markers: Array<Object>, readAt: Date}|null}
+ */
+function getLatestLevels(queueName) {
+  return latestLevels.get(queueName) || null;
+}
+
+/**
+ * Forget all cached ink levels
+ */
+function clearLatestLevels() {
+  latestLevels.clear();
+}
+
+module.exports = {
+  INK_CONFIG,
+  parseMarkerAttributes,
+  parseLpoptionsAttributes,
+  parseHpLevels,
+  getLowMarkers,
+  describeLowInk,
+  setLatestLevels,
+  getLatestLevels,
+  clearLatestLevels
+};
@@ -0,0 +1,78 @@
+const inkLevels = require('./inkLevels');
+
+describe('Ink Levels', () => {
+  describe('parseMarkerAttributes', () => {
+    test('should pair up the marker attributes of each supply', () => {
+      const markers = inkLevels.parseMarkerAttributes({
+        'marker-names': ['Black Cartridge', 'Tri-color Cartridge'],
+        'marker-levels': [45, 8],
+        'marker-colors': ['#000000', '#00FFFF#FF00FF#FFFF00'],
+        'marker-types': ['ink-cartridge', 'ink-cartridge'],
+        'marker-low-levels': [5, 10]
+      });
+
+      expect(markers).toEqual([
+        { name: 'Black Cartridge', color: '#000000', type: 'ink-cartridge', level: 45, lowLevel: 5 },
+        { name: 'Tri-color Cartridge', color: '#00FFFF#FF00FF#FFFF00', type: 'ink-cartridge', level: 8, lowLevel: 10 }
+      ]);
+    });
+
+    test('should treat negative levels as unknown and default the low level', () => {
+      const markers = inkLevels.parseMarkerAttributes({
+        'marker-names': 'Black,Color',
+        'marker-levels': '-1,-3'
+      });
+
+      expect(markers.map(marker => marker.level)).toEqual([null, null]);
+      expect(markers[0].lowLevel).toBe(inkLevels.INK_CONFIG.lowThreshold);
+      expect(inkLevels.getLowMarkers(markers)).toEqual([]);
+    });
+  });
+
+  test('should read quoted and escaped values from lpoptions output', () => {
+    const output = "copies=1 device-uri=usb://HP/Ink%20Tank%20310 marker-colors=\\#000000,\\#00FFFF\\#FF00FF\\#FFFF00 " +
+      "marker-levels=60,12 marker-names='Black Ink,Tri-color Ink' printer-info=\"HP Ink Tank\" printer-location=Office\\ 2\n";
+
+    const attributes = inkLevels.parseLpoptionsAttributes(output);
+
+    expect(attributes['marker-names']).toBe('Black Ink,Tri-color Ink');
+    expect(attributes['marker-colors']).toBe('#000000,#00FFFF#FF00FF#FFFF00');
+    expect(attributes['printer-info']).toBe('HP Ink Tank');
+    expect(attributes['printer-location']).toBe('Office 2');
+    expect(inkLevels.parseMarkerAttributes(attributes).map(marker => marker.level)).toEqual([60, 12]);
+  });
+
+  test('should read supplies from hp-levels output', () => {
+    const output = [
+      'HP Linux Imaging and Printing System (ver. 3.22.10)',
+      'Supply Levels Utility ver. 2.0',
+      '',
+      'Device URI: hp:/usb/HP_Ink_Tank_310_series?serial=CN00000000',
+      'Printer Name: Ink-Tank-310-series',
+      '',
+      'Black ink cartridge',
+      'Part No.: 31',
+      'Health: OK',
+      '|                                                  |',
+      '|##############################                    |',
+      '|                                                  |',
+      '',
+      'Tri-color ink cartridge',
+      'Part No.: 31',
+      'Health: OK',
+      'Level: 9%'
+    ].join('\n');
+
+    const markers = inkLevels.parseHpLevels(output);
+
+    expect(markers).toEqual([
+      { name: 'Black ink cartridge', color: '#000000', type: 'ink', level: 60, lowLevel: inkLevels.INK_CONFIG.lowThreshold },
+      { name: 'Tri-color ink cartridge', color: '#00FFFF#FF00FF#FFFF00', type: 'ink', level: 9, lowLevel: inkLevels.INK_CONFIG.lowThreshold }
+    ]);
+    expect(inkLevels.describeLowInk(inkLevels.getLowMarkers(markers))).toBe('Ink is low: Tri-color ink cartridge (9%)');
+  });
+
+  test('should not describe anything when no ink is low', () => {
+    expect(inkLevels.describeLowInk([])).toBeNull();
+  });
+});
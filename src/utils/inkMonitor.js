@@ -0,0 +1,168 @@
+const db = require('../models/database');
+const Printer = require('../models/printer');
+const printerIntegration = require('./printerIntegration');
+const inkLevels = require('./inkLevels');
+
+/**
+ * Ink Monitor
+ * Reads the ink levels of every enabled printer on a fixed interval, keeps the latest reading in
+ * the inkLevels cache for printer status checks, and stores each reading in the InkLevelReading
+ * table so the dashboard can show how quickly ink is being used.
+ */
+
+const INK_MONITOR_CONFIG = {
+  intervalMs: 30 * 60 * 1000,
+  // Readings older than this are deleted
+  historyDays: 90,
+  // Period the dashboard reports ink use over
+  trendDays: 7
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let monitorTimer = null;
+let checkInProgress = false;
+
+/**
+ * Get the queues whose ink levels are monitored
+ * @private
+ * @returns {Promise<Array<string>>}
+ */
+async function getMonitoredQueues() {
+  const printers = await Printer.listEnabledPrinters();
+  if (printers.length === 0) {
+    return [printerIntegration.PRINTER_CONFIG.name];
+  }
+  return printers.map(printer => printer.queueName);
+}
+
+/**
+ * Convert stored InkLevelReading rows back to supplies
+ * @private
+ */
+function toMarkers(rows) {
+  return rows.map(row => ({
+    name: row.markerName,
+    color: row.markerColor,
+    type: row.markerType,
+    level: row.level,
+    lowLevel: row.lowLevel !== null ? row.lowLevel : inkLevels.INK_CONFIG.lowThreshold
+  }));
+}
+
+/**
+ * Read and record the ink levels of every monitored printer
+ * Printers that cannot be read keep their last known levels
+ * @param {Date} [now] - Current time
+ * @returns {Promise<{read: number, failed: number}>}
+ */
+async function checkInkLevels(now = new Date()) {
+  const summary = { read: 0, failed: 0 };
+
+  // Skip this run if the previous one is still waiting on a printer
+  if (checkInProgress) {
+    return summary;
+  }
+
+  checkInProgress = true;
+  try {
+    for (const queueName of await getMonitoredQueues()) {
+      const result = await printerIntegration.readInkLevels(queueName);
+
+      if (!result.success) {
+        console.log(`[INK] ${result.message}`);
+        summary.failed++;
+        continue;
+      }
+
+      inkLevels.setLatestLevels(queueName, result.markers, now);
+      await db.insertInkLevelReadings(queueName, result.markers, now.toISOString());
+      summary.read++;
+
+      const warning = inkLevels.describeLowInk(inkLevels.getLowMarkers(result.markers));
+      if (warning) {
+        console.warn(`[INK] ${queueName}: ${warning}`);
+      }
+    }
+
+    await db.deleteInkLevelReadingsBefore(new Date(now.getTime() - INK_MONITOR_CONFIG.historyDays * DAY_MS).toISOString());
+    return summary;
+  } catch (err) {
+    console.error('[INK] Error checking ink levels:', err.message);
+    return summary;
+  } finally {
+    checkInProgress = false;
+  }
+}
+
+/**
+ * Get a printer's latest ink levels and how much of each ink was used recently
+ * Falls back to the last stored reading when the printer has not been read since the server started
+ * @param {string} queueName - CUPS queue name
+ * @param {Date} [now] - Current time
+ * @returns {Promise<{markers: Array<Object>, readAt: Date}|null>} Each marker also has low (boolean) and
+ *   usedRecently (percentage points used over INK_MONITOR_CONFIG.trendDays, or null if unknown or refilled);
+ *   null if the printer's ink levels were never read
+ */
+async function getInkLevels(queueName, now = new Date()) {
+  let latest = inkLevels.getLatestLevels(queueName);
+
+  if (!latest) {
+    const rows = await db.getLatestInkLevelReadings(queueName);
+    if (rows.length === 0) {
+      return null;
+    }
+    inkLevels.setLatestLevels(queueName, toMarkers(rows), new Date(rows[0].recordedAt));
+    latest = inkLevels.getLatestLevels(queueName);
+  }
+
+  const history = await db.getInkLevelReadings(queueName, new Date(now.getTime() - INK_MONITOR_CONFIG.trendDays * DAY_MS).toISOString());
+  const lowMarkers = inkLevels.getLowMarkers(latest.markers);
+
+  return {
+    readAt: latest.readAt,
+    markers: latest.markers.map(marker => {
+      const earliest = history.find(row => row.markerName === marker.name && row.level !== null);
+      const used = earliest && marker.level !== null ? earliest.level - marker.level : null;
+
+      return {
+        ...marker,
+        low: lowMarkers.includes(marker),
+        usedRecently: used !== null && used >= 0 ? used : null
+      };
+    })
+  };
+}
+
+/**
+ * Start reading ink levels on a fixed interval
+ * Runs once immediately so the printer status has ink levels to warn about
+ * @param {number} intervalMs - Check interval in milliseconds
+ */
+function startInkMonitor(intervalMs = INK_MONITOR_CONFIG.intervalMs) {
+  if (monitorTimer) {
+    return;
+  }
+
+  console.log(`[INK] Reading ink levels every ${Math.round(intervalMs / 60000)} minutes`);
+  monitorTimer = setInterval(checkInkLevels, intervalMs);
+  checkInkLevels();
+}
+
+/**
+ * Stop reading ink levels
+ */
+function stopInkMonitor() {
+  if (monitorTimer) {
+    clearInterval(monitorTimer);
+    monitorTimer = null;
+  }
+}
+
+module.exports = {
+  checkInkLevels,
+  getInkLevels,
+  startInkMonitor,
+  stopInkMonitor,
+  INK_MONITOR_CONFIG
+};
@@ -0,0 +1,76 @@
+const db = require('../models/database');
+const Printer = require('../models/printer');
+const printerIntegration = require('./printerIntegration');
+const inkLevels = require('./inkLevels');
+const inkMonitor = require('./inkMonitor');
+
+describe('Ink Monitor', () => {
+  const now = new Date('2026-03-02T09:00:00.000Z');
+  const markers = [
+    { name: 'Black', color: '#000000', type: 'ink', level: 50, lowLevel: 15 },
+    { name: 'Tri-color', color: '#00FFFF#FF00FF#FFFF00', type: 'ink', level: 10, lowLevel: 15 }
+  ];
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    inkLevels.clearLatestLevels();
+  });
+
+  describe('checkInkLevels', () => {
+    test('should record the levels of each enabled printer and prune old readings', async () => {
+      jest.spyOn(Printer, 'listEnabledPrinters').mockResolvedValue([{ id: 1, queueName: 'Ink-Tank', enabled: true }]);
+      jest.spyOn(printerIntegration, 'readInkLevels').mockResolvedValue({ success: true, markers, source: 'cups', message: 'ok' });
+      const insert = jest.spyOn(db, 'insertInkLevelReadings').mockResolvedValue();
+      const prune = jest.spyOn(db, 'deleteInkLevelReadingsBefore').mockResolvedValue({ changes: 0 });
+
+      const summary = await inkMonitor.checkInkLevels(now);
+
+      expect(summary).toEqual({ read: 1, failed: 0 });
+      expect(insert).toHaveBeenCalledWith('Ink-Tank', markers, now.toISOString());
+      expect(inkLevels.getLatestLevels('Ink-Tank').markers).toBe(markers);
+      expect(new Date(prune.mock.calls[0][0]).getTime())
+        .toBe(now.getTime() - inkMonitor.INK_MONITOR_CONFIG.historyDays * 24 * 60 * 60 * 1000);
+    });
+
+    test('should keep the last known levels when a printer cannot be read', async () => {
+      inkLevels.setLatestLevels('Ink-Tank', markers, now);
+      jest.spyOn(Printer, 'listEnabledPrinters').mockResolvedValue([{ id: 1, queueName: 'Ink-Tank', enabled: true }]);
+      jest.spyOn(printerIntegration, 'readInkLevels').mockResolvedValue({ success: false, markers: [], source: null, message: 'not available' });
+      const insert = jest.spyOn(db, 'insertInkLevelReadings');
+      jest.spyOn(db, 'deleteInkLevelReadingsBefore').mockResolvedValue({ changes: 0 });
+
+      const summary = await inkMonitor.checkInkLevels(now);
+
+      expect(summary).toEqual({ read: 0, failed: 1 });
+      expect(insert).not.toHaveBeenCalled();
+      expect(inkLevels.getLatestLevels('Ink-Tank').markers).toBe(markers);
+    });
+  });
+
+  describe('getInkLevels', () => {
+    test('should load the last stored reading and report recent ink use', async () => {
+      jest.spyOn(db, 'getLatestInkLevelReadings').mockResolvedValue([
+        { markerName: 'Black', markerColor: '#000000', markerType: 'ink', level: 50, lowLevel: 15, recordedAt: now.toISOString() },
+        { markerName: 'Tri-color', markerColor: '#00FFFF#FF00FF#FFFF00', markerType: 'ink', level: 10, lowLevel: null, recordedAt: now.toISOString() }
+      ]);
+      jest.spyOn(db, 'getInkLevelReadings').mockResolvedValue([
+        { markerName: 'Black', level: 62 },
+        { markerName: 'Tri-color', level: 4 },
+        { markerName: 'Black', level: 50 }
+      ]);
+
+      const ink = await inkMonitor.getInkLevels('Ink-Tank', now);
+
+      expect(ink.readAt).toEqual(now);
+      expect(ink.markers[0]).toMatchObject({ name: 'Black', level: 50, low: false, usedRecently: 12 });
+      // The tri-color tank was refilled during the week, so its use is not known
+      expect(ink.markers[1]).toMatchObject({ name: 'Tri-color', level: 10, low: true, usedRecently: null });
+    });
+
+    test('should return null for a printer that was never read', async () => {
+      jest.spyOn(db, 'getLatestInkLevelReadings').mockResolvedValue([]);
+
+      expect(await inkMonitor.getInkLevels('Ink-Tank', now)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,453 @@
+const http = require('http');
+const fs = require('fs');
+
+/**
+ * IPP Client Module
+ * Encodes and decodes Internet Printing Protocol messages (RFC 8010) and sends them to
+ * CUPS over HTTP, so printer and job state can be read without scraping command output
+ */
+
+// IPP version sent with every request (1.1 is accepted by every CUPS release)
+const IPP_VERSION = [1, 1];
+
+// Delimiter tags that start an attribute group
+const GROUP_TAGS = {
+  operation: 0x01,
+  job: 0x02,
+  end: 0x03,
+  printer: 0x04,
+  unsupported: 0x05
+};
+
+// Value tags
+const VALUE_TAGS = {
+  unsupported: 0x10,
+  unknown: 0x12,
+  noValue: 0x13,
+  integer: 0x21,
+  boolean: 0x22,
+  enum: 0x23,
+  octetString: 0x30,
+  dateTime: 0x31,
+  resolution: 0x32,
+  rangeOfInteger: 0x33,
+  begCollection: 0x34,
+  textWithLanguage: 0x35,
+  nameWithLanguage: 0x36,
+  endCollection: 0x37,
+  textWithoutLanguage: 0x41,
+  nameWithoutLanguage: 0x42,
+  keyword: 0x44,
+  uri: 0x45,
+  uriScheme: 0x46,
+  charset: 0x47,
+  naturalLanguage: 0x48,
+  mimeMediaType: 0x49,
+  memberAttrName: 0x4a
+};
+
+// Operations used by the print queue manager
+const OPERATIONS = {
+  printJob: 0x0002,
+  cancelJob: 0x0008,
+  getJobAttributes: 0x0009,
+  getJobs: 0x000a,
+  getPrinterAttributes: 0x000b
+};
+
+// Status codes with specific handling
+const STATUS_CODES = {
+  successfulOk: 0x0000,
+  clientErrorNotAuthorized: 0x0403,
+  clientErrorNotPossible: 0x0404,
+  clientErrorNotFound: 0x0406,
+  serverErrorServiceUnavailable: 0x0502,
+  serverErrorBusy: 0x0507
+};
+
+// job-state enum values
+const JOB_STATES = {
+  3: 'pending',
+  4: 'held',
+  5: 'processing',
+  6: 'stopped',
+  7: 'canceled',
+  8: 'aborted',
+  9: 'completed'
+};
+
+// printer-state enum values
+const PRINTER_STATES = {
+  3: 'idle',
+  4: 'processing',
+  5: 'stopped'
+};
+
+const INTEGER_TAGS = [VALUE_TAGS.integer, VALUE_TAGS.enum];
+const OUT_OF_BAND_TAGS = [VALUE_TAGS.unsupported, VALUE_TAGS.unknown, VALUE_TAGS.noValue];
+
+/**
+ * Encode a single attribute value
+ * @private
+ */
+function encodeValue(tag, value) {
+  if (INTEGER_TAGS.includes(tag)) {
+    const buffer = Buffer.alloc(4);
+    buffer.writeInt32BE(value);
+    return buffer;
+  }
+
+  if (tag === VALUE_TAGS.boolean) {
+    return Buffer.from([value ? 1 : 0]);
+  }
+
+  if (tag === VALUE_TAGS.rangeOfInteger) {
+    const buffer = Buffer.alloc(8);
+    buffer.writeInt32BE(value.lower, 0);
+    buffer.writeInt32BE(value.upper, 4);
+    return buffer;
+  }
+
+  if (OUT_OF_BAND_TAGS.includes(tag)) {
+    return Buffer.alloc(0);
+  }
+
+  return Buffer.from(String(value), 'utf8');
+}
+
+/**
+ * Encode an attribute with one or more values
+ * Additional values of a set repeat the value tag with an empty name
+ * @private
+ */
+function encodeAttribute({ name, tag, value }) {
+  const values = Array.isArray(value) ? value : [value];
+  const parts = [];
+
+  values.forEach((item, index) => {
+    const nameBuffer = Buffer.from(index === 0 ? name : '', 'utf8');
+    const valueBuffer = encodeValue(tag, item);
+    const header = Buffer.alloc(3);
+    header.writeUInt8(tag, 0);
+    header.writeUInt16BE(nameBuffer.length, 1);
+    const valueLength = Buffer.alloc(2);
+    valueLength.writeUInt16BE(valueBuffer.length, 0);
+    parts.push(header, nameBuffer, valueLength, valueBuffer);
+  });
+
+  return Buffer.concat(parts);
+}
+
+/**
+ * Encode an IPP message
+ * @param {Object} message
+ * @param {number} message.code - Operation ID for requests, status code for responses
+ * @param {number} message.requestId - Request ID echoed in the response
+ * @param {Array<{tag: number, attributes: Array<{name: string, tag: number, value: *}>}>} message.groups - Attribute groups
+ * @param {Buffer} [message.data] - Document data following the attributes
+ * @returns {Buffer}
+ */
+function encodeMessage({ code, requestId, groups, data }) {
+  const header = Buffer.alloc(8);
+  header.writeUInt8(IPP_VERSION[0], 0);
+  header.writeUInt8(IPP_VERSION[1], 1);
+  header.writeUInt16BE(code, 2);
+  header.writeInt32BE(requestId, 4);
+
+  const parts = [header];
+  groups.forEach(group => {
+    parts.push(Buffer.from([group.tag]));
+    group.attributes.forEach(attribute => parts.push(encodeAttribute(attribute)));
+  });
+  parts.push(Buffer.from([GROUP_TAGS.end]));
+
+  if (data) {
+    parts.push(data);
+  }
+
+  return Buffer.concat(parts);
+}
+
+/**
+ * Decode a single attribute value
+ * @private
+ */
+function decodeValue(tag, buffer) {
+  if (INTEGER_TAGS.includes(tag)) {
+    return buffer.readInt32BE(0);
+  }
+
+  switch (tag) {
+    case VALUE_TAGS.boolean:
+      return buffer.readUInt8(0) !== 0;
+    case VALUE_TAGS.rangeOfInteger:
+      return { lower: buffer.readInt32BE(0), upper: buffer.readInt32BE(4) };
+    case VALUE_TAGS.resolution:
+      return { x: buffer.readInt32BE(0), y: buffer.readInt32BE(4), units: buffer.readInt8(8) };
+    case VALUE_TAGS.dateTime:
+    case VALUE_TAGS.octetString:
+      return Buffer.from(buffer);
+    case VALUE_TAGS.textWithLanguage:
+    case VALUE_TAGS.nameWithLanguage: {
+      const languageLength = buffer.readUInt16BE(0);
+      const textLength = buffer.readUInt16BE(2 + languageLength);
+      return buffer.toString('utf8', 4 + languageLength, 4 + languageLength + textLength);
+    }
+    default:
+      return OUT_OF_BAND_TAGS.includes(tag) ? null : buffer.toString('utf8');
+  }
+}
+
+/**
+ * Read one tag/name/value triple
+ * @private
+ */
+function readTriple(buffer, offset) {
+  const tag = buffer.readUInt8(offset);
+  const nameLength = buffer.readUInt16BE(offset + 1);
+  const name = buffer.toString('utf8', offset + 3, offset + 3 + nameLength);
+  const valueOffset = offset + 3 + nameLength;
+  const valueLength = buffer.readUInt16BE(valueOffset);
+  const value = buffer.subarray(valueOffset + 2, valueOffset + 2 + valueLength);
+
+  return { tag, name, value, next: valueOffset + 2 + valueLength };
+}
+
+/**
+ * Decode a collection value, starting after its begCollection triple
+ * @private
+ * @returns {{value: Object, next: number}}
+ */
+function decodeCollection(buffer, offset) {
+  const collection = {};
+  let memberName = null;
+
+  while (offset < buffer.length) {
+    const triple = readTriple(buffer, offset);
+    offset = triple.next;
+
+    if (triple.tag === VALUE_TAGS.endCollection) {
+      return { value: collection, next: offset };
+    }
+
+    if (triple.tag === VALUE_TAGS.memberAttrName) {
+      memberName = triple.value.toString('utf8');
+      collection[memberName] = [];
+      continue;
+    }
+
+    let value;
+    if (triple.tag === VALUE_TAGS.begCollection) {
+      const nested = decodeCollection(buffer, offset);
+      value = nested.value;
+      offset = nested.next;
+    } else {
+      value = decodeValue(triple.tag, triple.value);
+    }
+
+    if (memberName !== null) {
+      collection[memberName].push(value);
+    }
+  }
+
+  throw new Error('Malformed IPP message: unterminated collection');
+}
+
+/**
+ * Decode an IPP message
+ * Attribute values are always arrays, since any attribute may carry a set of values
+ * @param {Buffer} buffer - Encoded message
+ * @returns {{version: string, code: number, requestId: number, groups: Array<{tag: number, attributes: Object<string, Array>}>, data: Buffer}}
+ */
+function decodeMessage(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 9) {
+    throw new Error('Malformed IPP message: too short');
+  }
+
+  const message = {
+    version: `${buffer.readUInt8(0)}.${buffer.readUInt8(1)}`,
+    code: buffer.readUInt16BE(2),
+    requestId: buffer.readInt32BE(4),
+    groups: [],
+    data: Buffer.alloc(0)
+  };
+
+  let offset = 8;
+  let group = null;
+  let lastName = null;
+
+  try {
+    while (offset < buffer.length) {
+      const tag = buffer.readUInt8(offset);
+
+      // Delimiter tags are 0x00-0x0f
+      if (tag <= 0x0f) {
+        offset += 1;
+        if (tag === GROUP_TAGS.end) {
+          message.data = buffer.subarray(offset);
+          return message;
+        }
+        group = { tag, attributes: {} };
+        message.groups.push(group);
+        lastName = null;
+        continue;
+      }
+
+      if (!group) {
+        throw new Error('attribute outside of a group');
+      }
+
+      const triple = readTriple(buffer, offset);
+      offset = triple.next;
+
+      let value;
+      if (tag === VALUE_TAGS.begCollection) {
+        const collection = decodeCollection(buffer, offset);
+        value = collection.value;
+        offset = collection.next;
+      } else {
+        value = decodeValue(tag, triple.value);
+      }
+
+      // An empty name adds another value to the previous attribute
+      const name = triple.name || lastName;
+      if (!group.attributes[name]) {
+        group.attributes[name] = [];
+      }
+      group.attributes[name].push(value);
+      lastName = name;
+    }
+  } catch (err) {
+    throw new Error(`Malformed IPP message: ${err.message}`);
+  }
+
+  throw new Error('Malformed IPP message: missing end-of-attributes tag');
+}
+
+/**
+ * Get the groups of a message with a given delimiter tag
+ * @param {Object} message - Decoded message
+ * @param {number} tag - Group tag
+ * @returns {Array<Object<string, Array>>} Attributes of each matching group
+ */
+function getGroups(message, tag) {
+  return message.groups.filter(group => group.tag === tag).map(group => group.attributes);
+}
+
+/**
+ * Get the first value of an attribute, or null if it is missing
+ * @param {Object<string, Array>} attributes - Attributes of one group
+ * @param {string} name - Attribute name
+ * @returns {*}
+ */
+function getValue(attributes, name) {
+  return attributes && attributes[name] && attributes[name].length > 0 ? attributes[name][0] : null;
+}
+
+/**
+ * Build the operation attributes every request starts with
+ * @param {string} printerUri - ipp:// URI of the printer
+ * @param {string} [userName] - requesting-user-name
+ * @returns {Array<{name: string, tag: number, value: *}>}
+ */
+function operationAttributes(printerUri, userName) {
+  const attributes = [
+    { name: 'attributes-charset', tag: VALUE_TAGS.charset, value: 'utf-8' },
+    { name: 'attributes-natural-language', tag: VALUE_TAGS.naturalLanguage, value: 'en' },
+    { name: 'printer-uri', tag: VALUE_TAGS.uri, value: printerUri }
+  ];
+
+  if (userName) {
+    attributes.push({ name: 'requesting-user-name', tag: VALUE_TAGS.nameWithoutLanguage, value: userName });
+  }
+
+  return attributes;
+}
+
+let nextRequestId = 1;
+
+/**
+ * Send an IPP request to CUPS over HTTP
+ * The document, if any, is streamed after the encoded attributes
+ * @param {string} printerUri - ipp:// URI of the printer
+ * @param {number} operationId - Operation from OPERATIONS
+ * @param {Array} groups - Attribute groups
+ * @param {Object} [options]
+ * @param {string} [options.documentPath] - File to send as document data
+ * @param {number} [options.timeout] - Socket inactivity timeout in milliseconds
+ * @returns {Promise<Object>} Decoded response; rejects when the status code is not successful
+ */
+function sendRequest(printerUri, operationId, groups, { documentPath = null, timeout = 5000 } = {}) {
+  return new Promise((resolve, reject) => {
+    let url;
+    try {
+      url = new URL(printerUri.replace(/^ipps?:/, 'http:'));
+    } catch (err) {
+      reject(new Error(`Invalid printer URI: ${printerUri}`));
+      return;
+    }
+
+    const requestId = nextRequestId++;
+    const body = encodeMessage({ code: operationId, requestId, groups });
+
+    const req = http.request({
+      hostname: url.hostname,
+      port: url.port || 631,
+      path: url.pathname,
+      method: 'POST',
+      headers: { 'Content-Type': 'application/ipp' },
+      timeout
+    }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => {
+        if (res.statusCode !== 200) {
+          reject(new Error(`IPP request failed with HTTP status ${res.statusCode}`));
+          return;
+        }
+
+        try {
+          const response = decodeMessage(Buffer.concat(chunks));
+          if (response.code >= 0x0100) {
+            const statusMessage = getValue(getGroups(response, GROUP_TAGS.operation)[0], 'status-message');
+            const err = new Error(`IPP status 0x${response.code.toString(16).padStart(4, '0')}${statusMessage ? `: ${statusMessage}` : ''}`);
+            err.statusCode = response.code;
+            reject(err);
+            return;
+          }
+          resolve(response);
+        } catch (err) {
+          reject(err);
+        }
+      });
+    });
+
+    req.on('timeout', () => req.destroy(new Error('IPP request timeout')));
+    req.on('error', reject);
+
+    if (!documentPath) {
+      req.end(body);
+      return;
+    }
+
+    req.write(body);
+    const document = fs.createReadStream(documentPath);
+    document.on('error', (err) => req.destroy(err));
+    document.pipe(req);
+  });
+}
+
+module.exports = {
+  GROUP_TAGS,
+  VALUE_TAGS,
+  OPERATIONS,
+  STATUS_CODES,
+  JOB_STATES,
+  PRINTER_STATES,
+  encodeMessage,
+  decodeMessage,
+  getGroups,
+  getValue,
+  operationAttributes,
+  sendRequest
+};
@@ -0,0 +1,218 @@
+const fc = require('fast-check');
+const http = require('http');
+const ippClient = require('./ippClient');
+
+const { GROUP_TAGS, VALUE_TAGS, OPERATIONS } = ippClient;
+
+/**
+ * Start an HTTP server that answers IPP requests with the handler's response
+ * @returns {Promise<{server: http.Server, uri: string, requests: Array}>}
+ */
+function startMockIppServer(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const request = ippClient.decodeMessage(Buffer.concat(chunks));
+      requests.push({ path: req.url, contentType: req.headers['content-type'], request });
+
+      const response = handler(request);
+      res.writeHead(200, { 'Content-Type': 'application/ipp' });
+      res.end(ippClient.encodeMessage({ ...response, requestId: request.requestId }));
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, uri: `ipp://127.0.0.1:${server.address().port}/printers/Test`, requests });
+    });
+  });
+}
+
+describe('IPP Client', () => {
+  describe('encodeMessage / decodeMessage', () => {
+    const attributeArbitrary = fc.oneof(
+      fc.record({
+        tag: fc.constantFrom(VALUE_TAGS.integer, VALUE_TAGS.enum),
+        value: fc.array(fc.integer({ min: -2147483648, max: 2147483647 }), { minLength: 1, maxLength: 3 })
+      }),
+      fc.record({
+        tag: fc.constant(VALUE_TAGS.boolean),
+        value: fc.array(fc.boolean(), { minLength: 1, maxLength: 3 })
+      }),
+      fc.record({
+        tag: fc.constantFrom(VALUE_TAGS.keyword, VALUE_TAGS.nameWithoutLanguage, VALUE_TAGS.uri),
+        value: fc.array(fc.string({ minLength: 1, maxLength: 20 }), { minLength: 1, maxLength: 3 })
+      }),
+      fc.record({
+        tag: fc.constant(VALUE_TAGS.rangeOfInteger),
+        value: fc.array(
+          fc.record({ lower: fc.integer({ min: 1, max: 1000 }), upper: fc.integer({ min: 1, max: 1000 }) }),
+          { minLength: 1, maxLength: 3 }
+        )
+      })
+    );
+
+    /**
+     * Property: Decoding an encoded message returns its code, request ID, groups and values
+     */
+    test('Property: Messages round-trip through encode and decode', () => {
+      fc.assert(
+        fc.property(
+          fc.integer({ min: 0, max: 0xffff }),
+          fc.integer({ min: 1, max: 2147483647 }),
+          fc.array(
+            fc.record({
+              tag: fc.constantFrom(GROUP_TAGS.operation, GROUP_TAGS.job, GROUP_TAGS.printer),
+              attributes: fc.uniqueArray(
+                fc.tuple(fc.stringMatching(/^[a-z][a-z-]{0,20}$/), attributeArbitrary),
+                { selector: ([name]) => name, maxLength: 6 }
+              )
+            }),
+            { maxLength: 4 }
+          ),
+          (code, requestId, groups) => {
+            const message = {
+              code,
+              requestId,
+              groups: groups.map(group => ({
+                tag: group.tag,
+                attributes: group.attributes.map(([name, attribute]) => ({ name, ...attribute }))
+              }))
+            };
+
+            const decoded = ippClient.decodeMessage(ippClient.encodeMessage(message));
+
+            expect(decoded.version).toBe('1.1');
+            expect(decoded.code).toBe(code);
+            expect(decoded.requestId).toBe(requestId);
+            expect(decoded.groups).toEqual(message.groups.map(group => ({
+              tag: group.tag,
+              attributes: Object.fromEntries(group.attributes.map(attribute => [attribute.name, attribute.value]))
+            })));
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    test('should keep document data after the attributes', () => {
+      const data = Buffer.from('%PDF-1.4 document');
+      const encoded = ippClient.encodeMessage({
+        code: OPERATIONS.printJob,
+        requestId: 7,
+        groups: [{ tag: GROUP_TAGS.operation, attributes: ippClient.operationAttributes('ipp://localhost/printers/Test') }],
+        data
+      });
+
+      expect(ippClient.decodeMessage(encoded).data).toEqual(data);
+    });
+
+    test('should decode collections and language-tagged text', () => {
+      const triple = (tag, name, value) => {
+        const nameBuffer = Buffer.from(name);
+        const header = Buffer.alloc(3);
+        header.writeUInt8(tag, 0);
+        header.writeUInt16BE(nameBuffer.length, 1);
+        const length = Buffer.alloc(2);
+        length.writeUInt16BE(value.length, 0);
+        return Buffer.concat([header, nameBuffer, length, value]);
+      };
+      const integer = value => {
+        const buffer = Buffer.alloc(4);
+        buffer.writeInt32BE(value, 0);
+        return buffer;
+      };
+      const textWithLanguage = Buffer.from([0, 2, ...Buffer.from('en'), 0, 5, ...Buffer.from('Ready')]);
+
+      const encoded = Buffer.concat([
+        Buffer.from([2, 0, 0, 0, 0, 0, 0, 1, GROUP_TAGS.printer]),
+        triple(VALUE_TAGS.begCollection, 'media-col-default', Buffer.alloc(0)),
+        triple(VALUE_TAGS.memberAttrName, '', Buffer.from('media-size')),
+        triple(VALUE_TAGS.begCollection, '', Buffer.alloc(0)),
+        triple(VALUE_TAGS.memberAttrName, '', Buffer.from('x-dimension')),
+        triple(VALUE_TAGS.integer, '', integer(21000)),
+        triple(VALUE_TAGS.endCollection, '', Buffer.alloc(0)),
+        triple(VALUE_TAGS.memberAttrName, '', Buffer.from('media-type')),
+        triple(VALUE_TAGS.keyword, '', Buffer.from('stationery')),
+        triple(VALUE_TAGS.endCollection, '', Buffer.alloc(0)),
+        triple(VALUE_TAGS.textWithLanguage, 'printer-state-message', textWithLanguage),
+        Buffer.from([GROUP_TAGS.end])
+      ]);
+
+      const decoded = ippClient.decodeMessage(encoded);
+      const printer = ippClient.getGroups(decoded, GROUP_TAGS.printer)[0];
+
+      expect(ippClient.getValue(printer, 'media-col-default')).toEqual({
+        'media-size': [{ 'x-dimension': [21000] }],
+        'media-type': ['stationery']
+      });
+      expect(ippClient.getValue(printer, 'printer-state-message')).toBe('Ready');
+    });
+
+    test('should reject truncated messages', () => {
+      const encoded = ippClient.encodeMessage({
+        code: 0,
+        requestId: 1,
+        groups: [{ tag: GROUP_TAGS.operation, attributes: ippClient.operationAttributes('ipp://localhost/printers/Test') }]
+      });
+
+      expect(() => ippClient.decodeMessage(encoded.subarray(0, encoded.length - 5))).toThrow('Malformed IPP message');
+      expect(() => ippClient.decodeMessage(Buffer.alloc(4))).toThrow('Malformed IPP message');
+    });
+  });
+
+  describe('getValue', () => {
+    test('should return null for missing attributes', () => {
+      expect(ippClient.getValue({}, 'job-id')).toBeNull();
+      expect(ippClient.getValue(undefined, 'job-id')).toBeNull();
+      expect(ippClient.getValue({ 'job-id': [12] }, 'job-id')).toBe(12);
+    });
+  });
+
+  describe('sendRequest', () => {
+    let mock;
+
+    afterEach(done => {
+      mock.server.close(done);
+    });
+
+    test('should post the request to the printer path and decode the response', async () => {
+      mock = await startMockIppServer(() => ({
+        code: ippClient.STATUS_CODES.successfulOk,
+        groups: [
+          { tag: GROUP_TAGS.operation, attributes: [] },
+          { tag: GROUP_TAGS.printer, attributes: [{ name: 'printer-state', tag: VALUE_TAGS.enum, value: 3 }] }
+        ]
+      }));
+
+      const response = await ippClient.sendRequest(mock.uri, OPERATIONS.getPrinterAttributes, [
+        { tag: GROUP_TAGS.operation, attributes: ippClient.operationAttributes(mock.uri, 'alice') }
+      ]);
+
+      expect(mock.requests[0].path).toBe('/printers/Test');
+      expect(mock.requests[0].contentType).toBe('application/ipp');
+      expect(mock.requests[0].request.code).toBe(OPERATIONS.getPrinterAttributes);
+      expect(ippClient.getValue(mock.requests[0].request.groups[0].attributes, 'requesting-user-name')).toBe('alice');
+      expect(ippClient.getValue(ippClient.getGroups(response, GROUP_TAGS.printer)[0], 'printer-state')).toBe(3);
+    });
+
+    test('should reject with the IPP status code of an unsuccessful response', async () => {
+      mock = await startMockIppServer(() => ({
+        code: ippClient.STATUS_CODES.clientErrorNotFound,
+        groups: [{
+          tag: GROUP_TAGS.operation,
+          attributes: [{ name: 'status-message', tag: VALUE_TAGS.textWithoutLanguage, value: 'Job #9 does not exist.' }]
+        }]
+      }));
+
+      await expect(ippClient.sendRequest(mock.uri, OPERATIONS.cancelJob, [
+        { tag: GROUP_TAGS.operation, attributes: ippClient.operationAttributes(mock.uri) }
+      ])).rejects.toMatchObject({
+        statusCode: ippClient.STATUS_CODES.clientErrorNotFound,
+        message: expect.stringContaining('Job #9 does not exist.')
+      });
+    });
+  });
+});
@@ -0,0 +1,297 @@
+const db = require('../models/database');
+const Printer = require('../models/printer');
+const PrintJob = require('../models/printJob');
+const printerIntegration = require('./printerIntegration');
+
+/**
+ * Job Dispatcher
+ * Owns the queue of pending jobs and hands them to CUPS in priority order. Each printer has at most
+ * DISPATCH_CONFIG.concurrency jobs in CUPS at a time; a printer that is unavailable is paused until
+ * it reports ready again. Pending jobs live in the PrintJob table, so the queue survives a restart.
+ * Submissions that fail for a transient reason are retried with exponential backoff, up to
+ * PRINTER_CONFIG.retryAttempts attempts; every attempt is recorded on the job.
+ */
+
+const DISPATCH_CONFIG = {
+  intervalMs: 5000,
+  concurrency: Math.max(1, parseInt(process.env.PRINT_CONCURRENCY, 10) || 1)
+};
+
+// Statuses that occupy a printer. A manual duplex job awaiting its flip keeps the printer
+// so nothing else prints while the user is reloading the stack, until it times out
+// (PrintJob.DUPLEX_CONFIG).
+const OCCUPYING_STATUSES = ['in-progress', 'awaiting-flip'];
+
+let dispatchTimer = null;
+let dispatchInProgress = false;
+
+// Paused printers: queue name -> { reason, since }
+const pausedPrinters = new Map();
+
+/**
+ * Mark a printer as paused
+ * @private
+ */
+function pausePrinter(queueName, reason) {
+  if (!pausedPrinters.has(queueName)) {
+    console.log(`[DISPATCH] Pausing ${queueName}: ${reason}`);
+    pausedPrinters.set(queueName, { reason, since: new Date() });
+  } else {
+    pausedPrinters.get(queueName).reason = reason;
+  }
+}
+
+/**
+ * Clear a printer's paused state
+ * @private
+ */
+function resumePrinter(queueName) {
+  if (pausedPrinters.delete(queueName)) {
+    console.log(`[DISPATCH] Resuming ${queueName}`);
+  }
+}
+
+/**
+ * Group jobs by the CUPS queue they target, keeping their order
+ * @private
+ * @returns {Promise<Map<string, Array>>}
+ */
+async function groupByQueue(jobs) {
+  const queueNames = new Map();
+  const groups = new Map();
+
+  for (const job of jobs) {
+    if (!queueNames.has(job.printerId)) {
+      queueNames.set(job.printerId, await Printer.resolveQueueName(job.printerId));
+    }
+
+    const queueName = queueNames.get(job.printerId);
+    if (!groups.has(queueName)) {
+      groups.set(queueName, []);
+    }
+    groups.get(queueName).push(job);
+  }
+
+  return groups;
+}
+
+/**
+ * Check whether a job takes up one of its printer's slots
+ * A printing job without a CUPS job ID cannot be followed in CUPS, so it would never be seen to
+ * finish; it does not hold a slot
+ * @private
+ */
+function isOccupying(job) {
+  return job.status === 'awaiting-flip' || Boolean(job.cupsJobId);
+}
+
+/**
+ * Get the delay before retrying a job after a failed attempt
+ * @private
+ * @param {number} attemptNumber - Number of the attempt that failed, starting at 1
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(attemptNumber) {
+  return printerIntegration.PRINTER_CONFIG.retryDelay * 2 ** (attemptNumber - 1);
+}
+
+/**
+ * Check whether a job is waiting out its retry backoff
+ * @private
+ */
+function isBackingOff(job, now) {
+  return Boolean(job.nextAttemptAt) && new Date(job.nextAttemptAt) > now;
+}
+
+/**
+ * Hand one pending job to CUPS
+ * Jobs that can never be printed (invalid settings, missing document, a permanent CUPS error) and
+ * jobs out of attempts are failed so they leave the queue; retryable failures are scheduled again
+ * @private
+ * @returns {Promise<{outcome: string, result: Object}>} outcome is dispatched, retrying, failed or skipped
+ */
+async function dispatchJob(job) {
+  // The job may have been cancelled since the queue was read
+  const current = await db.getPrintJob(job.id);
+  if (!current || current.status !== 'pending') {
+    return { outcome: 'skipped', result: null };
+  }
+
+  let result;
+  try {
+    result = await PrintJob.submitJobToQueue(current.id, current.documentPath, PrintJob.getJobSettings(current));
+  } catch (err) {
+    result = { success: false, jobId: null, message: err.message, retryable: false };
+  }
+
+  const attemptNumber = await db.insertPrintJobAttempt(current.id, {
+    success: result.success,
+    retryable: Boolean(result.retryable),
+    message: result.message
+  });
+
+  if (result.success) {
+    return { outcome: 'dispatched', result };
+  }
+
+  if (result.retryable && attemptNumber < printerIntegration.PRINTER_CONFIG.retryAttempts) {
+    const delay = getRetryDelay(attemptNumber);
+    console.warn(`[DISPATCH] Attempt ${attemptNumber} for job ${current.id} failed, retrying in ${delay} ms: ${result.message}`);
+    await db.setPrintJobNextAttempt(current.id, new Date(Date.now() + delay).toISOString());
+    return { outcome: 'retrying', result };
+  }
+
+  console.error(`[DISPATCH] Job ${current.id} failed after ${attemptNumber} attempt(s): ${result.message}`);
+  await db.failPrintJob(current.id);
+  return { outcome: 'failed', result };
+}
+
+/**
+ * Hand pending jobs to CUPS
+ * For each printer with free slots, checks that the printer is available and submits the
+ * highest-priority pending jobs that are not waiting to be retried. Unavailable printers are paused
+ * and checked again on the next run.
+ * @returns {Promise<{dispatched: number, failed: number, results: Object<number, Object>}>}
+ *   results holds the submission result of each job handled in this run, keyed by job ID
+ */
+async function dispatchPendingJobs() {
+  const summary = { dispatched: 0, failed: 0, results: {} };
+
+  // Skip this run if the previous one is still talking to CUPS
+  if (dispatchInProgress) {
+    return summary;
+  }
+
+  dispatchInProgress = true;
+  try {
+    const pendingByQueue = await groupByQueue(await db.getPendingPrintJobs());
+
+    const occupying = [];
+    for (const status of OCCUPYING_STATUSES) {
+      occupying.push(...(await db.getPrintJobsByStatus(status)).filter(isOccupying));
+    }
+    const occupyingByQueue = await groupByQueue(occupying);
+
+    // Printers without pending jobs are no longer waiting on anything
+    for (const queueName of pausedPrinters.keys()) {
+      if (!pendingByQueue.has(queueName)) {
+        resumePrinter(queueName);
+      }
+    }
+
+    for (const [queueName, jobs] of pendingByQueue) {
+      const slots = DISPATCH_CONFIG.concurrency - (occupyingByQueue.get(queueName) || []).length;
+      if (slots <= 0) {
+        continue;
+      }
+
+      const printerStatus = await printerIntegration.getPrinterStatus(queueName);
+      if (!printerStatus.available) {
+        pausePrinter(queueName, printerStatus.message);
+        continue;
+      }
+      resumePrinter(queueName);
+
+      const now = new Date();
+      let remaining = slots;
+      for (const job of jobs) {
+        if (remaining === 0) {
+          break;
+        }
+        if (isBackingOff(job, now)) {
+          continue;
+        }
+
+        const { outcome, result } = await dispatchJob(job);
+        if (result) {
+          summary.results[job.id] = result;
+        }
+
+        if (outcome === 'dispatched') {
+          summary.dispatched++;
+          remaining--;
+        } else if (outcome === 'failed') {
+          summary.failed++;
+        } else if (outcome === 'retrying') {
+          // The printer is having trouble; wait for the next run before trying it again
+          pausePrinter(queueName, result.message);
+          break;
+        }
+      }
+    }
+
+    return summary;
+  } catch (err) {
+    console.error('[DISPATCH] Error dispatching jobs:', err.message);
+    return summary;
+  } finally {
+    dispatchInProgress = false;
+  }
+}
+
+/**
+ * Get why a printer's queue is paused
+ * @param {string} queueName - CUPS queue name
+ * @returns {{reason: string, since: Date}|null} Pause details, or null if the printer is not paused
+ */
+function getPauseState(queueName) {
+  return pausedPrinters.get(queueName) || null;
+}
+
+/**
+ * Get a pending job's place in its printer's queue
+ * @param {Object} job - PrintJob row
+ * @returns {Promise<number|null>} 1-based position, or null if the job is not pending
+ */
+async function getQueuePosition(job) {
+  if (!job || job.status !== 'pending') {
+    return null;
+  }
+
+  const pending = await db.getPendingPrintJobs();
+  const sameQueue = pending.filter(other => (other.printerId || null) === (job.printerId || null));
+  const index = sameQueue.findIndex(other => other.id === job.id);
+  return index === -1 ? null : index + 1;
+}
+
+/**
+ * Start dispatching on a fixed interval
+ * Runs once immediately so jobs left pending by a restart are picked up
+ * @param {number} intervalMs - Dispatch interval in milliseconds
+ */
+function startDispatcher(intervalMs = DISPATCH_CONFIG.intervalMs) {
+  if (dispatchTimer) {
+    return;
+  }
+
+  console.log(`[DISPATCH] Dispatching up to ${DISPATCH_CONFIG.concurrency} job(s) per printer every ${Math.round(intervalMs / 1000)} seconds`);
+  dispatchTimer = setInterval(dispatchPendingJobs, intervalMs);
+  dispatchPendingJobs();
+}
+
+/**
+ * Stop dispatching
+ */
+function stopDispatcher() {
+  if (dispatchTimer) {
+    clearInterval(dispatchTimer);
+    dispatchTimer = null;
+  }
+}
+
+/**
+ * Forget all paused printers
+ */
+function resetDispatcher() {
+  pausedPrinters.clear();
+}
+
+module.exports = {
+  dispatchPendingJobs,
+  getPauseState,
+  getQueuePosition,
+  startDispatcher,
+  stopDispatcher,
+  resetDispatcher,
+  DISPATCH_CONFIG
+};
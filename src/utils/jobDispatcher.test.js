@@ -0,0 +1,255 @@
+const db = require('../models/database');
+const PrintJob = require('../models/printJob');
+const printerIntegration = require('./printerIntegration');
+const jobDispatcher = require('./jobDispatcher');
+
+const QUEUE = printerIntegration.PRINTER_CONFIG.name;
+
+/**
+ * Build a pending PrintJob row
+ */
+function pendingJob(id, overrides = {}) {
+  return {
+    id,
+    userId: 1,
+    documentPath: `/uploads/doc-${id}.pdf`,
+    status: 'pending',
+    paperSize: 'A4',
+    paperType: 'Plain',
+    printQuality: 'Normal',
+    colorMode: 'Color',
+    copies: 1,
+    collated: 1,
+    pagesPerSheet: 1,
+    orientation: 'Portrait',
+    duplexMode: 'None',
+    priority: 1,
+    printerId: null,
+    ...overrides
+  };
+}
+
+/**
+ * Mock the database with the given pending and occupying jobs
+ */
+function mockQueue(pending, occupying = {}) {
+  const rows = new Map(pending.map(job => [job.id, job]));
+  const attempts = new Map();
+  jest.spyOn(db, 'getPendingPrintJobs').mockResolvedValue(pending);
+  jest.spyOn(db, 'getPrintJobsByStatus').mockImplementation(async status => occupying[status] || []);
+  jest.spyOn(db, 'getPrintJob').mockImplementation(async id => rows.get(id) || null);
+  jest.spyOn(db, 'insertPrintJobAttempt').mockImplementation(async jobId => {
+    attempts.set(jobId, (attempts.get(jobId) || rows.get(jobId).attemptCount || 0) + 1);
+    return attempts.get(jobId);
+  });
+  jest.spyOn(db, 'setPrintJobNextAttempt').mockResolvedValue({ changes: 1 });
+  return rows;
+}
+
+describe('Job Dispatcher', () => {
+  afterEach(() => {
+    jobDispatcher.resetDispatcher();
+    jest.restoreAllMocks();
+  });
+
+  describe('dispatchPendingJobs', () => {
+    test('should submit pending jobs in the order the queue returns them, up to the concurrency limit', async () => {
+      mockQueue([pendingJob(3, { priority: 2 }), pendingJob(1), pendingJob(2)]);
+      jest.spyOn(printerIntegration, 'getPrinterStatus').mockResolvedValue({ available: true, status: 'ready', message: 'Printer is ready' });
+      const submit = jest.spyOn(PrintJob, 'submitJobToQueue').mockResolvedValue({ success: true, jobId: '50', message: 'Job submitted' });
+
+      const summary = await jobDispatcher.dispatchPendingJobs();
+
+      expect(submit).toHaveBeenCalledTimes(jobDispatcher.DISPATCH_CONFIG.concurrency);
+      expect(submit.mock.calls[0][0]).toBe(3);
+      expect(submit.mock.calls[0][1]).toBe('/uploads/doc-3.pdf');
+      expect(summary.dispatched).toBe(jobDispatcher.DISPATCH_CONFIG.concurrency);
+      expect(summary.results[3]).toEqual({ success: true, jobId: '50', message: 'Job submitted' });
+    });
+
+    test('should not submit while a job awaiting its flip occupies the printer', async () => {
+      mockQueue([pendingJob(1)], { 'awaiting-flip': [pendingJob(9, { status: 'awaiting-flip' })] });
+      const status = jest.spyOn(printerIntegration, 'getPrinterStatus');
+      const submit = jest.spyOn(PrintJob, 'submitJobToQueue');
+
+      const originalConcurrency = jobDispatcher.DISPATCH_CONFIG.concurrency;
+      jobDispatcher.DISPATCH_CONFIG.concurrency = 1;
+      try {
+        const summary = await jobDispatcher.dispatchPendingJobs();
+        expect(summary.dispatched).toBe(0);
+      } finally {
+        jobDispatcher.DISPATCH_CONFIG.concurrency = originalConcurrency;
+      }
+
+      expect(status).not.toHaveBeenCalled();
+      expect(submit).not.toHaveBeenCalled();
+    });
+
+    test('should not hold a slot for printing jobs that cannot be followed in CUPS', async () => {
+      mockQueue([pendingJob(1)], {
+        'in-progress': [pendingJob(8, { status: 'in-progress', cupsJobId: null })]
+      });
+      jest.spyOn(printerIntegration, 'getPrinterStatus').mockResolvedValue({ available: true, status: 'ready', message: 'Printer is ready' });
+      const submit = jest.spyOn(PrintJob, 'submitJobToQueue').mockResolvedValue({ success: true, jobId: '52', message: 'Job submitted' });
+
+      const originalConcurrency = jobDispatcher.DISPATCH_CONFIG.concurrency;
+      jobDispatcher.DISPATCH_CONFIG.concurrency = 1;
+      try {
+        const summary = await jobDispatcher.dispatchPendingJobs();
+        expect(summary.dispatched).toBe(1);
+      } finally {
+        jobDispatcher.DISPATCH_CONFIG.concurrency = originalConcurrency;
+      }
+
+      expect(submit).toHaveBeenCalledTimes(1);
+    });
+
+    test('should hold a slot for printing jobs CUPS is following', async () => {
+      mockQueue([pendingJob(1)], {
+        'in-progress': [pendingJob(8, { status: 'in-progress', cupsJobId: '40' })]
+      });
+      const submit = jest.spyOn(PrintJob, 'submitJobToQueue');
+
+      const originalConcurrency = jobDispatcher.DISPATCH_CONFIG.concurrency;
+      jobDispatcher.DISPATCH_CONFIG.concurrency = 1;
+      try {
+        await jobDispatcher.dispatchPendingJobs();
+      } finally {
+        jobDispatcher.DISPATCH_CONFIG.concurrency = originalConcurrency;
+      }
+
+      expect(submit).not.toHaveBeenCalled();
+    });
+
+    test('should pause an unavailable printer and resume it once it is ready', async () => {
+      mockQueue([pendingJob(1)]);
+      const status = jest.spyOn(printerIntegration, 'getPrinterStatus')
+        .mockResolvedValue({ available: false, status: 'offline', message: 'Printer is offline' });
+      const submit = jest.spyOn(PrintJob, 'submitJobToQueue').mockResolvedValue({ success: true, jobId: '51', message: 'Job submitted' });
+
+      await jobDispatcher.dispatchPendingJobs();
+
+      expect(submit).not.toHaveBeenCalled();
+      expect(jobDispatcher.getPauseState(QUEUE)).toMatchObject({ reason: 'Printer is offline' });
+
+      status.mockResolvedValue({ available: true, status: 'ready', message: 'Printer is ready' });
+      const summary = await jobDispatcher.dispatchPendingJobs();
+
+      expect(summary.dispatched).toBe(1);
+      expect(jobDispatcher.getPauseState(QUEUE)).toBeNull();
+    });
+
+    test('should record each attempt and schedule retryable failures with exponential backoff', async () => {
+      const { retryDelay } = printerIntegration.PRINTER_CONFIG;
+      mockQueue([pendingJob(1), pendingJob(2)]);
+      jest.spyOn(printerIntegration, 'getPrinterStatus').mockResolvedValue({ available: true, status: 'ready', message: 'Printer is ready' });
+      const submit = jest.spyOn(PrintJob, 'submitJobToQueue')
+        .mockResolvedValue({ success: false, jobId: null, message: 'Printer communication timeout', retryable: true });
+      const fail = jest.spyOn(db, 'failPrintJob');
+
+      const before = Date.now();
+      const summary = await jobDispatcher.dispatchPendingJobs();
+      await jobDispatcher.dispatchPendingJobs();
+
+      // The printer is left alone for the rest of a run once a submission fails
+      expect(submit).toHaveBeenCalledTimes(2);
+      expect(submit.mock.calls.every(call => call[0] === 1)).toBe(true);
+      expect(fail).not.toHaveBeenCalled();
+      expect(summary.dispatched).toBe(0);
+      expect(db.insertPrintJobAttempt).toHaveBeenCalledWith(1, { success: false, retryable: true, message: 'Printer communication timeout' });
+      expect(jobDispatcher.getPauseState(QUEUE)).toMatchObject({ reason: 'Printer communication timeout' });
+
+      const delays = db.setPrintJobNextAttempt.mock.calls.map(([, nextAttemptAt]) => new Date(nextAttemptAt).getTime() - before);
+      expect(delays[0]).toBeGreaterThanOrEqual(retryDelay);
+      expect(delays[0]).toBeLessThan(2 * retryDelay);
+      expect(delays[1]).toBeGreaterThanOrEqual(2 * retryDelay);
+    });
+
+    test('should fail a job once it runs out of attempts', async () => {
+      const { retryAttempts } = printerIntegration.PRINTER_CONFIG;
+      mockQueue([pendingJob(1, { attemptCount: retryAttempts - 1 })]);
+      jest.spyOn(printerIntegration, 'getPrinterStatus').mockResolvedValue({ available: true, status: 'ready', message: 'Printer is ready' });
+      jest.spyOn(PrintJob, 'submitJobToQueue')
+        .mockResolvedValue({ success: false, jobId: null, message: 'CUPS is not running', retryable: true });
+      const fail = jest.spyOn(db, 'failPrintJob').mockResolvedValue({ changes: 1 });
+
+      const summary = await jobDispatcher.dispatchPendingJobs();
+
+      expect(fail).toHaveBeenCalledWith(1);
+      expect(db.setPrintJobNextAttempt).not.toHaveBeenCalled();
+      expect(summary.failed).toBe(1);
+    });
+
+    test('should fail permanent errors without retrying', async () => {
+      mockQueue([pendingJob(1)]);
+      jest.spyOn(printerIntegration, 'getPrinterStatus').mockResolvedValue({ available: true, status: 'ready', message: 'Printer is ready' });
+      jest.spyOn(PrintJob, 'submitJobToQueue')
+        .mockResolvedValue({ success: false, jobId: null, message: 'Printer not found or CUPS not installed', retryable: false });
+      const fail = jest.spyOn(db, 'failPrintJob').mockResolvedValue({ changes: 1 });
+
+      await jobDispatcher.dispatchPendingJobs();
+
+      expect(fail).toHaveBeenCalledWith(1);
+      expect(db.setPrintJobNextAttempt).not.toHaveBeenCalled();
+    });
+
+    test('should leave jobs alone until their retry is due', async () => {
+      mockQueue([
+        pendingJob(1, { attemptCount: 1, nextAttemptAt: new Date(Date.now() + 60000).toISOString() }),
+        pendingJob(2, { attemptCount: 1, nextAttemptAt: new Date(Date.now() - 1000).toISOString() })
+      ]);
+      jest.spyOn(printerIntegration, 'getPrinterStatus').mockResolvedValue({ available: true, status: 'ready', message: 'Printer is ready' });
+      const submit = jest.spyOn(PrintJob, 'submitJobToQueue').mockResolvedValue({ success: true, jobId: '53', message: 'Job submitted' });
+
+      await jobDispatcher.dispatchPendingJobs();
+
+      expect(submit).toHaveBeenCalledTimes(1);
+      expect(submit.mock.calls[0][0]).toBe(2);
+      expect(db.insertPrintJobAttempt).toHaveBeenCalledWith(2, { success: true, retryable: false, message: 'Job submitted' });
+    });
+
+    test('should fail jobs that can never be printed and move on to the next one', async () => {
+      mockQueue([pendingJob(1), pendingJob(2)]);
+      jest.spyOn(printerIntegration, 'getPrinterStatus').mockResolvedValue({ available: true, status: 'ready', message: 'Printer is ready' });
+      jest.spyOn(PrintJob, 'submitJobToQueue')
+        .mockRejectedValueOnce(new Error('Document not found'))
+        .mockResolvedValue({ success: true, jobId: '52', message: 'Job submitted' });
+      const fail = jest.spyOn(db, 'failPrintJob').mockResolvedValue({ changes: 1 });
+
+      const summary = await jobDispatcher.dispatchPendingJobs();
+
+      expect(fail).toHaveBeenCalledWith(1);
+      expect(summary.failed).toBe(1);
+      expect(summary.dispatched).toBe(1);
+      expect(summary.results[1]).toMatchObject({ success: false, message: 'Document not found' });
+      expect(db.insertPrintJobAttempt).toHaveBeenCalledWith(1, { success: false, retryable: false, message: 'Document not found' });
+    });
+
+    test('should skip jobs cancelled since the queue was read', async () => {
+      const rows = mockQueue([pendingJob(1)]);
+      rows.set(1, pendingJob(1, { status: 'cancelled' }));
+      jest.spyOn(printerIntegration, 'getPrinterStatus').mockResolvedValue({ available: true, status: 'ready', message: 'Printer is ready' });
+      const submit = jest.spyOn(PrintJob, 'submitJobToQueue');
+
+      const summary = await jobDispatcher.dispatchPendingJobs();
+
+      expect(submit).not.toHaveBeenCalled();
+      expect(summary.results).toEqual({});
+    });
+  });
+
+  describe('getQueuePosition', () => {
+    test('should count only pending jobs for the same printer', async () => {
+      jest.spyOn(db, 'getPendingPrintJobs').mockResolvedValue([
+        pendingJob(4, { priority: 2 }),
+        pendingJob(5, { printerId: 2 }),
+        pendingJob(6),
+        pendingJob(7)
+      ]);
+
+      expect(await jobDispatcher.getQueuePosition(pendingJob(7))).toBe(3);
+      expect(await jobDispatcher.getQueuePosition(pendingJob(5, { printerId: 2 }))).toBe(1);
+      expect(await jobDispatcher.getQueuePosition(pendingJob(6, { status: 'completed' }))).toBeNull();
+    });
+  });
+});
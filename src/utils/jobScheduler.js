@@ -0,0 +1,136 @@
+const db = require('../models/database');
+const PrintJob = require('../models/printJob');
+const jobDispatcher = require('./jobDispatcher');
+const cleanupService = require('./cleanupService');
+
+/**
+ * Job Scheduler
+ * Moves scheduled jobs into the dispatch queue once their print time comes, and expires held
+ * jobs that were not released in time. Manual duplex jobs whose back sides were not printed in
+ * time are failed so they stop holding their printer.
+ *
+ * A job whose print time passed while the server was down is released if it is less than
+ * SCHEDULE_CONFIG.missedGraceMs late. Jobs missed by more than that are moved to the same time
+ * on the next day rather than printed at an arbitrary hour; users can reschedule or cancel them.
+ */
+
+const SCHEDULE_CONFIG = {
+  intervalMs: 30000,
+  missedGraceMs: 60 * 60 * 1000
+};
+
+let scheduleTimer = null;
+let releaseInProgress = false;
+
+/**
+ * Get the next time after now with the same time of day as a missed print time
+ * @private
+ * @param {Date} scheduledFor - Missed print time
+ * @param {Date} now - Current time
+ * @returns {Date}
+ */
+function nextOccurrence(scheduledFor, now) {
+  const next = new Date(scheduledFor);
+  while (next <= now) {
+    next.setDate(next.getDate() + 1);
+  }
+  return next;
+}
+
+/**
+ * Release scheduled jobs whose print time has come
+ * Released jobs are handed to the dispatcher straight away
+ * @param {Date} [now] - Current time
+ * @returns {Promise<{released: number, deferred: number}>}
+ */
+async function releaseDueJobs(now = new Date()) {
+  const summary = { released: 0, deferred: 0 };
+
+  // Skip this run if the previous one has not finished
+  if (releaseInProgress) {
+    return summary;
+  }
+
+  releaseInProgress = true;
+  try {
+    const dueJobs = await db.getDueScheduledPrintJobs(now.toISOString());
+
+    for (const job of dueJobs) {
+      const scheduledFor = new Date(job.scheduledFor);
+
+      if (now - scheduledFor > SCHEDULE_CONFIG.missedGraceMs) {
+        const next = nextOccurrence(scheduledFor, now);
+        const deferred = await db.schedulePrintJob(job.id, next.toISOString());
+        if (deferred.changes > 0) {
+          console.log(`[SCHEDULE] Job ${job.id} missed its print time of ${scheduledFor.toISOString()}, moved to ${next.toISOString()}`);
+          summary.deferred++;
+        }
+        continue;
+      }
+
+      const result = await db.releaseScheduledPrintJob(job.id);
+      if (result.changes > 0) {
+        console.log(`[SCHEDULE] Job ${job.id} released to the queue`);
+        summary.released++;
+      }
+    }
+
+    if (summary.released > 0) {
+      await jobDispatcher.dispatchPendingJobs();
+    }
+
+    return summary;
+  } catch (err) {
+    console.error('[SCHEDULE] Error releasing scheduled jobs:', err.message);
+    return summary;
+  } finally {
+    releaseInProgress = false;
+  }
+}
+
+/**
+ * Run the time-based job transitions once
+ * @private
+ */
+async function runScheduledTasks() {
+  await releaseDueJobs();
+  await cleanupService.expireHeldJobs();
+
+  try {
+    await PrintJob.failUnflippedJobs();
+  } catch (err) {
+    console.error('[SCHEDULE] Error failing unflipped manual duplex jobs:', err.message);
+  }
+}
+
+/**
+ * Start releasing scheduled jobs and expiring held jobs on a fixed interval
+ * Runs once immediately so print times that passed while the server was down are handled
+ * @param {number} intervalMs - Check interval in milliseconds
+ */
+function startScheduler(intervalMs = SCHEDULE_CONFIG.intervalMs) {
+  if (scheduleTimer) {
+    return;
+  }
+
+  console.log(`[SCHEDULE] Checking for scheduled and held jobs every ${Math.round(intervalMs / 1000)} seconds`);
+  scheduleTimer = setInterval(runScheduledTasks, intervalMs);
+  runScheduledTasks();
+}
+
+/**
+ * Stop releasing scheduled jobs
+ */
+function stopScheduler() {
+  if (scheduleTimer) {
+    clearInterval(scheduleTimer);
+    scheduleTimer = null;
+  }
+}
+
+module.exports = {
+  releaseDueJobs,
+  startScheduler,
+  stopScheduler,
+  SCHEDULE_CONFIG
+};
@@ -0,0 +1,79 @@
+const db = require('../models/database');
+const jobDispatcher = require('./jobDispatcher');
+const jobScheduler = require('./jobScheduler');
+
+describe('Job Scheduler', () => {
+  const now = new Date('2026-03-02T09:00:00.000Z');
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('releaseDueJobs', () => {
+    test('should release due jobs to the queue and dispatch them', async () => {
+      const due = jest.spyOn(db, 'getDueScheduledPrintJobs').mockResolvedValue([
+        { id: 4, status: 'scheduled', scheduledFor: '2026-03-02T08:59:30.000Z' }
+      ]);
+      const release = jest.spyOn(db, 'releaseScheduledPrintJob').mockResolvedValue({ changes: 1 });
+      const dispatch = jest.spyOn(jobDispatcher, 'dispatchPendingJobs').mockResolvedValue({ dispatched: 1, failed: 0, results: {} });
+
+      const summary = await jobScheduler.releaseDueJobs(now);
+
+      expect(due).toHaveBeenCalledWith(now.toISOString());
+      expect(release).toHaveBeenCalledWith(4);
+      expect(dispatch).toHaveBeenCalledTimes(1);
+      expect(summary).toEqual({ released: 1, deferred: 0 });
+    });
+
+    test('should release jobs missed by less than the grace period, such as during a quick restart', async () => {
+      const late = new Date(now.getTime() - jobScheduler.SCHEDULE_CONFIG.missedGraceMs + 60000);
+      jest.spyOn(db, 'getDueScheduledPrintJobs').mockResolvedValue([{ id: 5, status: 'scheduled', scheduledFor: late.toISOString() }]);
+      const release = jest.spyOn(db, 'releaseScheduledPrintJob').mockResolvedValue({ changes: 1 });
+      jest.spyOn(jobDispatcher, 'dispatchPendingJobs').mockResolvedValue({ dispatched: 1, failed: 0, results: {} });
+
+      await jobScheduler.releaseDueJobs(now);
+
+      expect(release).toHaveBeenCalledWith(5);
+    });
+
+    test('should move long-missed jobs to the same time on the next day', async () => {
+      const missed = new Date(now.getTime() - 26 * 60 * 60 * 1000);
+      jest.spyOn(db, 'getDueScheduledPrintJobs').mockResolvedValue([{ id: 6, status: 'scheduled', scheduledFor: missed.toISOString() }]);
+      const release = jest.spyOn(db, 'releaseScheduledPrintJob');
+      const reschedule = jest.spyOn(db, 'schedulePrintJob').mockResolvedValue({ changes: 1 });
+      const dispatch = jest.spyOn(jobDispatcher, 'dispatchPendingJobs');
+
+      const summary = await jobScheduler.releaseDueJobs(now);
+
+      const next = new Date(reschedule.mock.calls[0][1]);
+      expect(reschedule.mock.calls[0][0]).toBe(6);
+      expect(next > now).toBe(true);
+      expect(next.getHours()).toBe(missed.getHours());
+      expect(next.getMinutes()).toBe(missed.getMinutes());
+      expect(release).not.toHaveBeenCalled();
+      expect(dispatch).not.toHaveBeenCalled();
+      expect(summary).toEqual({ released: 0, deferred: 1 });
+    });
+
+    test('should not count missed jobs cancelled before they were moved', async () => {
+      const missed = new Date(now.getTime() - 26 * 60 * 60 * 1000);
+      jest.spyOn(db, 'getDueScheduledPrintJobs').mockResolvedValue([{ id: 8, status: 'scheduled', scheduledFor: missed.toISOString() }]);
+      jest.spyOn(db, 'schedulePrintJob').mockResolvedValue({ changes: 0 });
+
+      const summary = await jobScheduler.releaseDueJobs(now);
+
+      expect(summary).toEqual({ released: 0, deferred: 0 });
+    });
+
+    test('should not count jobs cancelled before they were released', async () => {
+      jest.spyOn(db, 'getDueScheduledPrintJobs').mockResolvedValue([{ id: 7, status: 'scheduled', scheduledFor: now.toISOString() }]);
+      jest.spyOn(db, 'releaseScheduledPrintJob').mockResolvedValue({ changes: 0 });
+      const dispatch = jest.spyOn(jobDispatcher, 'dispatchPendingJobs');
+
+      const summary = await jobScheduler.releaseDueJobs(now);
+
+      expect(summary.released).toBe(0);
+      expect(dispatch).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,130 @@
+const db = require('../models/database');
+const Printer = require('../models/printer');
+const printerIntegration = require('./printerIntegration');
+
+/**
+ * Job Status Sync
+ * Polls CUPS in the background and moves in-progress jobs to completed, failed or cancelled.
+ * A job CUPS no longer knows about has left its queue without being reported as failed, so it
+ * counts as completed, as does an in-progress job without a CUPS job ID that cannot be followed at all.
+ */
+
+const SYNC_CONFIG = {
+  intervalMs: 10000
+};
+
+let syncTimer = null;
+let syncInProgress = false;
+
+/**
+ * Reconcile a single in-progress job with its CUPS job state
+ * @param {Object} job - PrintJob row
+ * @returns {Promise<{jobId: number, status: string, updated: boolean}>}
+ */
+async function syncJob(job) {
+  if (job.status !== 'in-progress') {
+    return { jobId: job.id, status: job.status, updated: false };
+  }
+
+  // Nothing can follow a job without an ID, so it would otherwise stay in progress for good
+  if (!job.cupsJobId) {
+    await db.completePrintJob(job.id);
+    console.log(`[SYNC] Job ${job.id} has no CUPS job ID to follow; marking it completed`);
+    return { jobId: job.id, status: 'completed', updated: true };
+  }
+
+  const queueName = await Printer.resolveQueueName(job.printerId);
+  const jobState = await printerIntegration.getJobState(job.cupsJobId, queueName);
+
+  if (jobState.state === 'completed') {
+    await db.completePrintJob(job.id);
+    console.log(`[SYNC] Job ${job.id} (CUPS ${job.cupsJobId}) completed`);
+    return { jobId: job.id, status: 'completed', updated: true };
+  }
+
+  if (jobState.missing) {
+    await db.completePrintJob(job.id);
+    console.log(`[SYNC] Job ${job.id} (CUPS ${job.cupsJobId}) is no longer known to CUPS; marking it completed`);
+    return { jobId: job.id, status: 'completed', updated: true };
+  }
+
+  if (jobState.state === 'canceled') {
+    await db.cancelPrintJob(job.id);
+    console.log(`[SYNC] Job ${job.id} (CUPS ${job.cupsJobId}) was cancelled in CUPS`);
+    return { jobId: job.id, status: 'cancelled', updated: true };
+  }
+
+  if (jobState.state === 'aborted') {
+    await db.failPrintJob(job.id);
+    console.log(`[SYNC] Job ${job.id} (CUPS ${job.cupsJobId}) failed: ${jobState.reasons.join(', ')}`);
+    return { jobId: job.id, status: 'failed', updated: true };
+  }
+
+  return { jobId: job.id, status: job.status, updated: false };
+}
+
+/**
+ * Reconcile every in-progress job with CUPS
+ * @returns {Promise<{checked: number, updated: number}>}
+ */
+async function syncJobStatuses() {
+  // Skip this tick if the previous one is still waiting on lpstat
+  if (syncInProgress) {
+    return { checked: 0, updated: 0 };
+  }
+
+  syncInProgress = true;
+  try {
+    const jobs = await db.getPrintJobsByStatus('in-progress');
+    let updated = 0;
+
+    for (const job of jobs) {
+      try {
+        const result = await syncJob(job);
+        if (result.updated) {
+          updated++;
+        }
+      } catch (err) {
+        console.error(`[SYNC] Error syncing job ${job.id}:`, err.message);
+      }
+    }
+
+    return { checked: jobs.length, updated };
+  } catch (err) {
+    console.error('[SYNC] Error syncing job statuses:', err.message);
+    return { checked: 0, updated: 0 };
+  } finally {
+    syncInProgress = false;
+  }
+}
+
+/**
+ * Start polling CUPS on a fixed interval
+ * @param {number} intervalMs - Poll interval in milliseconds
+ */
+function startJobStatusSync(intervalMs = SYNC_CONFIG.intervalMs) {
+  if (syncTimer) {
+    return;
+  }
+
+  console.log(`[SYNC] Job status sync running every ${Math.round(intervalMs / 1000)} seconds`);
+  syncTimer = setInterval(syncJobStatuses, intervalMs);
+}
+
+/**
+ * Stop polling CUPS
+ */
+function stopJobStatusSync() {
+  if (syncTimer) {
+    clearInterval(syncTimer);
+    syncTimer = null;
+  }
+}
+
+module.exports = {
+  syncJob,
+  syncJobStatuses,
+  startJobStatusSync,
+  stopJobStatusSync,
+  SYNC_CONFIG
+};
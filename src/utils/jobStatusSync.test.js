@@ -0,0 +1,107 @@
+const db = require('../models/database');
+const printerIntegration = require('./printerIntegration');
+const jobStatusSync = require('./jobStatusSync');
+
+describe('Job Status Sync', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('syncJob', () => {
+    test('should complete jobs that CUPS reports as completed', async () => {
+      jest.spyOn(printerIntegration, 'getJobState').mockResolvedValue({ found: true, state: 'completed', reasons: [] });
+      const complete = jest.spyOn(db, 'completePrintJob').mockResolvedValue({ changes: 1 });
+
+      const result = await jobStatusSync.syncJob({ id: 7, status: 'in-progress', cupsJobId: '41' });
+
+      expect(printerIntegration.getJobState).toHaveBeenCalledWith('41', printerIntegration.PRINTER_CONFIG.name);
+      expect(complete).toHaveBeenCalledWith(7);
+      expect(result).toEqual({ jobId: 7, status: 'completed', updated: true });
+    });
+
+    test('should look jobs up on the queue of the printer they target', async () => {
+      jest.spyOn(db, 'getPrinter').mockResolvedValue({ id: 3, queueName: 'LaserJet-M110', displayName: 'Laser', enabled: 1 });
+      jest.spyOn(printerIntegration, 'getJobState').mockResolvedValue({ found: true, state: 'processing', reasons: [] });
+
+      await jobStatusSync.syncJob({ id: 9, status: 'in-progress', cupsJobId: '12', printerId: 3 });
+
+      expect(printerIntegration.getJobState).toHaveBeenCalledWith('12', 'LaserJet-M110');
+    });
+
+    test('should fail jobs that CUPS reports as aborted', async () => {
+      jest.spyOn(printerIntegration, 'getJobState').mockResolvedValue({ found: true, state: 'aborted', reasons: [] });
+      const fail = jest.spyOn(db, 'failPrintJob').mockResolvedValue({ changes: 1 });
+
+      const result = await jobStatusSync.syncJob({ id: 8, status: 'in-progress', cupsJobId: '42' });
+
+      expect(fail).toHaveBeenCalledWith(8);
+      expect(result.status).toBe('failed');
+    });
+
+    test('should cancel jobs that were cancelled in CUPS', async () => {
+      jest.spyOn(printerIntegration, 'getJobState').mockResolvedValue({ found: true, state: 'canceled', reasons: [] });
+      const cancel = jest.spyOn(db, 'cancelPrintJob').mockResolvedValue({ changes: 1 });
+
+      const result = await jobStatusSync.syncJob({ id: 8, status: 'in-progress', cupsJobId: '42' });
+
+      expect(cancel).toHaveBeenCalledWith(8);
+      expect(result.status).toBe('cancelled');
+    });
+
+    test('should complete jobs that CUPS no longer knows about', async () => {
+      jest.spyOn(printerIntegration, 'getJobState').mockResolvedValue({ found: false, missing: true, state: 'unknown', reasons: [] });
+      const complete = jest.spyOn(db, 'completePrintJob').mockResolvedValue({ changes: 1 });
+
+      const result = await jobStatusSync.syncJob({ id: 11, status: 'in-progress', cupsJobId: '44' });
+
+      expect(complete).toHaveBeenCalledWith(11);
+      expect(result).toEqual({ jobId: 11, status: 'completed', updated: true });
+    });
+
+    test('should leave jobs that are still queued or unknown untouched', async () => {
+      const complete = jest.spyOn(db, 'completePrintJob');
+      const fail = jest.spyOn(db, 'failPrintJob');
+
+      for (const state of ['pending', 'processing', 'held', 'unknown']) {
+        jest.spyOn(printerIntegration, 'getJobState').mockResolvedValue({ found: state !== 'unknown', state, reasons: [] });
+
+        const result = await jobStatusSync.syncJob({ id: 9, status: 'in-progress', cupsJobId: '43' });
+        expect(result).toEqual({ jobId: 9, status: 'in-progress', updated: false });
+      }
+
+      expect(complete).not.toHaveBeenCalled();
+      expect(fail).not.toHaveBeenCalled();
+    });
+
+    test('should complete jobs without a CUPS job ID instead of querying CUPS', async () => {
+      const getJobState = jest.spyOn(printerIntegration, 'getJobState');
+      const complete = jest.spyOn(db, 'completePrintJob').mockResolvedValue({ changes: 1 });
+
+      const result = await jobStatusSync.syncJob({ id: 10, status: 'in-progress', cupsJobId: null });
+
+      expect(getJobState).not.toHaveBeenCalled();
+      expect(complete).toHaveBeenCalledWith(10);
+      expect(result).toEqual({ jobId: 10, status: 'completed', updated: true });
+    });
+  });
+
+  describe('syncJobStatuses', () => {
+    test('should reconcile every in-progress job', async () => {
+      jest.spyOn(db, 'getPrintJobsByStatus').mockResolvedValue([
+        { id: 1, status: 'in-progress', cupsJobId: '11' },
+        { id: 2, status: 'in-progress', cupsJobId: '12' }
+      ]);
+      jest.spyOn(printerIntegration, 'getJobState').mockImplementation(async (cupsJobId) => ({
+        found: true,
+        state: cupsJobId === '11' ? 'completed' : 'processing',
+        reasons: []
+      }));
+      jest.spyOn(db, 'completePrintJob').mockResolvedValue({ changes: 1 });
+
+      const result = await jobStatusSync.syncJobStatuses();
+
+      expect(db.getPrintJobsByStatus).toHaveBeenCalledWith('in-progress');
+      expect(result).toEqual({ checked: 2, updated: 1 });
+    });
+  });
+});
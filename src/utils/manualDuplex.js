@@ -0,0 +1,61 @@
+/**
+ * Manual Duplex
+ * Plans two-pass printing for printers without a duplex unit, such as the Ink Tank 310.
+ * The front sides are printed first; the user reloads the stack and the back sides
+ * are printed in reverse order so each one lands on the right sheet.
+ */
+
+/**
+ * Split the pages of a job into front and back sides
+ * @param {Array<number>} pages - Page numbers in print order
+ * @returns {{frontPages: Array<number>, backPages: Array<number>, setAsidePage: number|null}}
+ *   frontPages print in order, backPages print in reverse order, and setAsidePage is
+ *   the last front page when the page count is odd (its sheet has no back side)
+ */
+function planManualDuplex(pages) {
+  const frontPages = pages.filter((_, i) => i % 2 === 0);
+  const backPages = pages.filter((_, i) => i % 2 === 1);
+  const setAsidePage = pages.length % 2 === 1 && backPages.length > 0
+    ? frontPages[frontPages.length - 1]
+    : null;
+
+  return {
+    frontPages,
+    backPages,
+    setAsidePage
+  };
+}
+
+/**
+ * Format page numbers as a CUPS page-ranges list, collapsing consecutive pages
+ * @param {Array<number>} pages - Page numbers in ascending order
+ * @returns {string} Page list such as "1,3,5-7"
+ */
+function formatPageList(pages) {
+  const parts = [];
+  let start = null;
+  let previous = null;
+
+  pages.forEach(page => {
+    if (start !== null && page === previous + 1) {
+      previous = page;
+      return;
+    }
+    if (start !== null) {
+      parts.push(start === previous ? `${start}` : `${start}-${previous}`);
+    }
+    start = page;
+    previous = page;
+  });
+
+  if (start !== null) {
+    parts.push(start === previous ? `${start}` : `${start}-${previous}`);
+  }
+
+  return parts.join(',');
+}
+
+module.exports = {
+  planManualDuplex,
+  formatPageList
+};
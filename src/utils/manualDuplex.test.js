@@ -0,0 +1,61 @@
+const fc = require('fast-check');
+const manualDuplex = require('./manualDuplex');
+
+describe('Manual Duplex', () => {
+  describe('planManualDuplex', () => {
+    /**
+     * Property: Every selected page is printed exactly once, fronts and backs alternate,
+     * and only odd page counts leave a sheet without a back side
+     */
+    test('Property: Front and back sides cover every page once', () => {
+      fc.assert(
+        fc.property(
+          fc.uniqueArray(fc.integer({ min: 1, max: 300 }), { minLength: 1, maxLength: 60 }),
+          (unsortedPages) => {
+            const pages = [...unsortedPages].sort((a, b) => a - b);
+            const plan = manualDuplex.planManualDuplex(pages);
+
+            expect([...plan.frontPages, ...plan.backPages].sort((a, b) => a - b)).toEqual(pages);
+            expect(plan.frontPages.length - plan.backPages.length).toBe(pages.length % 2);
+
+            // Each back side belongs on the sheet whose front is the page before it
+            plan.backPages.forEach((page, i) => {
+              expect(pages.indexOf(page)).toBe(pages.indexOf(plan.frontPages[i]) + 1);
+            });
+
+            if (pages.length % 2 === 1 && pages.length > 1) {
+              expect(plan.setAsidePage).toBe(pages[pages.length - 1]);
+            } else {
+              expect(plan.setAsidePage).toBeNull();
+            }
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    test('should plan a five page document', () => {
+      expect(manualDuplex.planManualDuplex([1, 2, 3, 4, 5])).toEqual({
+        frontPages: [1, 3, 5],
+        backPages: [2, 4],
+        setAsidePage: 5
+      });
+    });
+
+    test('should not set aside a sheet for a single page', () => {
+      expect(manualDuplex.planManualDuplex([3])).toEqual({
+        frontPages: [3],
+        backPages: [],
+        setAsidePage: null
+      });
+    });
+  });
+
+  describe('formatPageList', () => {
+    test('should collapse consecutive pages into ranges', () => {
+      expect(manualDuplex.formatPageList([1, 3, 5])).toBe('1,3,5');
+      expect(manualDuplex.formatPageList([1, 2, 3, 7, 9, 10])).toBe('1-3,7,9-10');
+      expect(manualDuplex.formatPageList([])).toBe('');
+    });
+  });
+});
@@ -0,0 +1,249 @@
+const fs = require('fs').promises;
+const { PDFDocument } = require('pdf-lib');
+const fileValidator = require('./fileValidator');
+const PrintSettings = require('../models/printSettings');
+
+/**
+ * Page Counter
+ * Determines how many pages a document will print
+ */
+
+/**
+ * Count the pages in a PDF file
+ * @param {string} filePath - Path to PDF file
+ * @returns {Promise<number|null>} Page count, or null if the PDF cannot be read
+ */
+async function countPdfPages(filePath) {
+  try {
+    const bytes = await fs.readFile(filePath);
+    const pdf = await PDFDocument.load(bytes, { ignoreEncryption: true, updateMetadata: false });
+    return pdf.getPageCount();
+  } catch (err) {
+    console.error(`[PAGES] Failed to count PDF pages in ${filePath}:`, err.message);
+    return null;
+  }
+}
+
+/**
+ * Count the frames in TIFF data by following its chain of image file directories
+ * @private
+ * @param {Buffer} bytes
+ * @returns {number|null} Frame count, or null if the data is not a readable TIFF
+ */
+function countTiffFrames(bytes) {
+  if (bytes.length < 8) {
+    return null;
+  }
+
+  const byteOrder = bytes.toString('latin1', 0, 2);
+  if (byteOrder !== 'II' && byteOrder !== 'MM') {
+    return null;
+  }
+
+  const littleEndian = byteOrder === 'II';
+  const readUInt16 = offset => (littleEndian ? bytes.readUInt16LE(offset) : bytes.readUInt16BE(offset));
+  const readUInt32 = offset => (littleEndian ? bytes.readUInt32LE(offset) : bytes.readUInt32BE(offset));
+
+  if (readUInt16(2) !== 42) {
+    return null;
+  }
+
+  let frames = 0;
+  const visited = new Set();
+  let offset = readUInt32(4);
+
+  // A directory pointing back at an earlier one would loop forever
+  while (offset !== 0 && !visited.has(offset)) {
+    if (offset + 2 > bytes.length) {
+      break;
+    }
+
+    const entries = readUInt16(offset);
+    const nextPointer = offset + 2 + entries * 12;
+    if (nextPointer + 4 > bytes.length) {
+      break;
+    }
+
+    visited.add(offset);
+    frames++;
+    offset = readUInt32(nextPointer);
+  }
+
+  return frames > 0 ? frames : null;
+}
+
+/**
+ * Skip over a run of GIF data sub-blocks
+ * @private
+ * @returns {number} Offset just past the block terminator
+ */
+function skipGifSubBlocks(bytes, offset) {
+  let position = offset;
+  while (position < bytes.length && bytes[position] !== 0) {
+    position += bytes[position] + 1;
+  }
+  return position + 1;
+}
+
+/**
+ * Count the frames in GIF data by walking its image descriptors
+ * @private
+ * @param {Buffer} bytes
+ * @returns {number|null} Frame count, or null if the data is not a readable GIF
+ */
+function countGifFrames(bytes) {
+  if (bytes.length < 13 || !/^GIF8[79]a$/.test(bytes.toString('latin1', 0, 6))) {
+    return null;
+  }
+
+  let position = 13;
+  const screenFlags = bytes[10];
+  if (screenFlags & 0x80) {
+    position += 3 * 2 ** ((screenFlags & 0x07) + 1);
+  }
+
+  let frames = 0;
+  while (position < bytes.length) {
+    const blockType = bytes[position];
+
+    if (blockType === 0x2c) {
+      // Image descriptor, optional local color table, LZW code size, then image data
+      frames++;
+      const imageFlags = bytes[position + 9];
+      position += 10;
+      if (imageFlags & 0x80) {
+        position += 3 * 2 ** ((imageFlags & 0x07) + 1);
+      }
+      position = skipGifSubBlocks(bytes, position + 1);
+    } else if (blockType === 0x21) {
+      // Extension: label, then data sub-blocks
+      position = skipGifSubBlocks(bytes, position + 2);
+    } else {
+      // Trailer, or data we cannot follow
+      break;
+    }
+  }
+
+  return frames > 0 ? frames : null;
+}
+
+/**
+ * Count the frames in a multi-frame image file
+ * @private
+ */
+async function countImageFrames(filePath, countFrames) {
+  try {
+    return countFrames(await fs.readFile(filePath));
+  } catch (err) {
+    console.error(`[PAGES] Failed to count frames in ${filePath}:`, err.message);
+    return null;
+  }
+}
+
+/**
+ * Count the pages in a document
+ * PDFs are parsed; each frame of a TIFF or GIF prints as a page, and other images are a single page
+ * @param {string} filePath - Path to document file
+ * @returns {Promise<number|null>} Page count, or null if it cannot be determined
+ */
+async function countPages(filePath) {
+  const ext = fileValidator.getFileExtension(filePath).toLowerCase();
+
+  if (ext === '.pdf') {
+    return countPdfPages(filePath);
+  }
+
+  if (ext === '.tif' || ext === '.tiff') {
+    return countImageFrames(filePath, countTiffFrames);
+  }
+
+  if (ext === '.gif') {
+    return countImageFrames(filePath, countGifFrames);
+  }
+
+  return 1;
+}
+
+/**
+ * Check whether a color mode prints in color
+ * Driver modes such as "Grayscale" and "Composite Grayscale" print in shades of grey
+ * @param {string} colorMode - Color mode setting
+ * @returns {boolean}
+ */
+function isColorMode(colorMode) {
+  return !/gr[ae]y|mono|black/i.test(String(colorMode || ''));
+}
+
+/**
+ * Work out how much paper a job will use
+ * @param {number|null} pageCount - Pages in the document, or null if unknown
+ * @param {Object} settings - Print settings
+ * @returns {{pageCount: number|null, selectedPages: number|null, sheetsPerCopy: number|null,
+ *   copies: number, sheets: number|null, printedSides: number|null, color: boolean}}
+ *   printedSides counts each side of paper printed on, across all copies. Page, sheet and side
+ *   counts are null when the page count is unknown or the page range is invalid
+ */
+function getPrintSummary(pageCount, settings) {
+  const copies = parseInt(settings.copies, 10) || 1;
+  const pagesPerSheet = parseInt(settings.pagesPerSheet, 10) || 1;
+  const pages = pageCount ? PrintSettings.expandPageRanges(settings.pageRanges, pageCount) : null;
+
+  const summary = {
+    pageCount: pageCount || null,
+    selectedPages: pages ? pages.length : null,
+    sheetsPerCopy: null,
+    copies,
+    sheets: null,
+    printedSides: null,
+    color: isColorMode(settings.colorMode)
+  };
+
+  if (pages) {
+    // Manual duplex prints one page on each side of a sheet
+    const sides = Math.ceil(pages.length / pagesPerSheet);
+    summary.sheetsPerCopy = settings.duplexMode === 'Manual' ? Math.ceil(sides / 2) : sides;
+    summary.sheets = summary.sheetsPerCopy * copies;
+    summary.printedSides = sides * copies;
+  }
+
+  return summary;
+}
+
+/**
+ * Work out how much paper a batch of documents will use
+ * Separate documents each start on a new sheet. Combined documents print as one job, so their
+ * pages share sheets and the page range counts across the whole batch.
+ * @param {Array<{pageCount: number|null, settings: Object}>} documents - Documents in print order
+ * @param {boolean} combined - Whether the documents print as a single job
+ * @returns {Object} Totals for the batch, in the form returned by getPrintSummary
+ */
+function getBatchSummary(documents, combined) {
+  if (combined) {
+    const pageCounts = documents.map(document => document.pageCount);
+    const pageCount = pageCounts.every(Boolean) ? pageCounts.reduce((sum, count) => sum + count, 0) : null;
+    return getPrintSummary(pageCount, documents[0].settings);
+  }
+
+  const summaries = documents.map(document => getPrintSummary(document.pageCount, document.settings));
+  const total = field => (summaries.every(summary => summary[field] !== null)
+    ? summaries.reduce((sum, summary) => sum + summary[field], 0)
+    : null);
+
+  return {
+    pageCount: total('pageCount'),
+    selectedPages: total('selectedPages'),
+    sheetsPerCopy: total('sheetsPerCopy'),
+    copies: summaries[0].copies,
+    sheets: total('sheets'),
+    printedSides: total('printedSides'),
+    color: summaries.some(summary => summary.color)
+  };
+}
+
+module.exports = {
+  countPdfPages,
+  countPages,
+  isColorMode,
+  getPrintSummary,
+  getBatchSummary
+};
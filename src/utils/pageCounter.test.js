@@ -0,0 +1,162 @@
+const fs = require('fs');
+const path = require('path');
+const { PDFDocument } = require('pdf-lib');
+const pageCounter = require('./pageCounter');
+
+describe('Page Counter', () => {
+  const dataDir = path.join(__dirname, '../../data');
+  const testPdfPath = path.join(dataDir, 'test_page_count.pdf');
+  const testImagePath = path.join(dataDir, 'test_page_count.png');
+  const testTiffPath = path.join(dataDir, 'test_page_count.tif');
+  const testGifPath = path.join(dataDir, 'test_page_count.gif');
+
+  afterEach(() => {
+    [testPdfPath, testImagePath, testTiffPath, testGifPath].forEach(filePath => {
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+    });
+  });
+
+  test('should count the pages in a PDF', async () => {
+    const pdf = await PDFDocument.create();
+    for (let i = 0; i < 5; i++) {
+      pdf.addPage();
+    }
+    fs.writeFileSync(testPdfPath, await pdf.save());
+
+    expect(await pageCounter.countPages(testPdfPath)).toBe(5);
+  });
+
+  test('should return null for an unreadable PDF', async () => {
+    fs.writeFileSync(testPdfPath, 'Test PDF content');
+
+    expect(await pageCounter.countPages(testPdfPath)).toBeNull();
+  });
+
+  test('should count images as a single page', async () => {
+    fs.writeFileSync(testImagePath, Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+
+    expect(await pageCounter.countPages(testImagePath)).toBe(1);
+  });
+
+  test('should count each frame of a multi-page TIFF as a page', async () => {
+    // Little-endian TIFF with three empty image file directories chained together
+    const tiff = Buffer.alloc(26);
+    tiff.write('II', 0, 'latin1');
+    tiff.writeUInt16LE(42, 2);
+    tiff.writeUInt32LE(8, 4);
+    [8, 14, 20].forEach((offset, i, offsets) => {
+      tiff.writeUInt16LE(0, offset);
+      tiff.writeUInt32LE(offsets[i + 1] || 0, offset + 2);
+    });
+    fs.writeFileSync(testTiffPath, tiff);
+
+    expect(await pageCounter.countPages(testTiffPath)).toBe(3);
+  });
+
+  test('should count each frame of an animated GIF as a page', async () => {
+    const frame = [
+      0x21, 0xf9, 0x04, 0x00, 0x0a, 0x00, 0x00, 0x00, // graphic control extension
+      0x2c, 0, 0, 0, 0, 1, 0, 1, 0, 0x00, // image descriptor for a 1x1 frame
+      0x02, 0x02, 0x44, 0x01, 0x00 // image data
+    ];
+    const gif = Buffer.from([
+      ...Buffer.from('GIF89a', 'latin1'),
+      1, 0, 1, 0, 0x80, 0, 0, // 1x1 screen with a two-color global color table
+      0, 0, 0, 255, 255, 255,
+      ...frame,
+      ...frame,
+      0x3b
+    ]);
+    fs.writeFileSync(testGifPath, gif);
+
+    expect(await pageCounter.countPages(testGifPath)).toBe(2);
+  });
+
+  test('should return null for an unreadable TIFF', async () => {
+    fs.writeFileSync(testTiffPath, 'not a tiff');
+
+    expect(await pageCounter.countPages(testTiffPath)).toBeNull();
+  });
+
+  describe('getPrintSummary', () => {
+    const settings = { copies: 1, pageRanges: '', pagesPerSheet: 1, duplexMode: 'Off', colorMode: 'Grayscale' };
+
+    test('should count one sheet per selected page', () => {
+      expect(pageCounter.getPrintSummary(5, { ...settings, pageRanges: '2-4' })).toEqual({
+        pageCount: 5,
+        selectedPages: 3,
+        sheetsPerCopy: 3,
+        copies: 1,
+        sheets: 3,
+        printedSides: 3,
+        color: false
+      });
+    });
+
+    test('should fit several pages on a sheet and multiply by copies', () => {
+      const summary = pageCounter.getPrintSummary(7, { ...settings, pagesPerSheet: 4, copies: 3, colorMode: 'Color' });
+
+      expect(summary.sheetsPerCopy).toBe(2);
+      expect(summary.sheets).toBe(6);
+      expect(summary.printedSides).toBe(6);
+      expect(summary.color).toBe(true);
+    });
+
+    test('should print on both sides of each sheet with manual duplex', () => {
+      const summary = pageCounter.getPrintSummary(5, { ...settings, duplexMode: 'Manual' });
+
+      expect(summary.sheets).toBe(3);
+      expect(summary.printedSides).toBe(5);
+    });
+
+    test('should report no pages when the range is past the end of the document', () => {
+      const summary = pageCounter.getPrintSummary(2, { ...settings, pageRanges: '5-6' });
+
+      expect(summary.selectedPages).toBe(0);
+      expect(summary.sheets).toBe(0);
+    });
+
+    test('should leave counts unknown when the page count is unknown', () => {
+      const summary = pageCounter.getPrintSummary(null, settings);
+
+      expect(summary.selectedPages).toBeNull();
+      expect(summary.sheets).toBeNull();
+    });
+
+    test('should treat composite grayscale as grayscale', () => {
+      expect(pageCounter.isColorMode('Composite Grayscale')).toBe(false);
+      expect(pageCounter.isColorMode('Color')).toBe(true);
+    });
+  });
+
+  describe('getBatchSummary', () => {
+    const settings = { copies: 2, pageRanges: '', pagesPerSheet: 2, duplexMode: 'Off', colorMode: 'Grayscale' };
+    const documents = [{ pageCount: 3, settings }, { pageCount: 1, settings }];
+
+    test('should start each separate document on a new sheet', () => {
+      const summary = pageCounter.getBatchSummary(documents, false);
+
+      expect(summary.pageCount).toBe(4);
+      expect(summary.sheetsPerCopy).toBe(3);
+      expect(summary.sheets).toBe(6);
+      expect(summary.copies).toBe(2);
+    });
+
+    test('should share sheets between combined documents', () => {
+      const summary = pageCounter.getBatchSummary(documents, true);
+
+      expect(summary.sheetsPerCopy).toBe(2);
+      expect(summary.printedSides).toBe(4);
+    });
+
+    test('should leave totals unknown when a page count is unknown', () => {
+      const summary = pageCounter.getBatchSummary([...documents, { pageCount: null, settings }], false);
+
+      expect(summary.pageCount).toBeNull();
+      expect(summary.sheets).toBeNull();
+      expect(pageCounter.getBatchSummary([...documents, { pageCount: null, settings }], true).sheets).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * Page Ranges
+ * Parses the page ranges users type, such as "1-3,7", so the print settings, the printer options
+ * and the page counts all agree on which ranges are valid. Pages are numbered from 1.
+ */
+
+/**
+ * Parse a page range string such as "1-3,7" into ranges
+ * An empty string means all pages
+ * @param {string} pageRanges - Comma-separated pages and ranges
+ * @returns {Array<{start: number, end: number}>|null} Ranges, or null if the string is invalid
+ */
+function parsePageRanges(pageRanges) {
+  const value = String(pageRanges === undefined || pageRanges === null ? '' : pageRanges).replace(/\s+/g, '');
+
+  if (value === '') {
+    return [];
+  }
+
+  const ranges = [];
+  for (const part of value.split(',')) {
+    const match = part.match(/^(\d+)(?:-(\d+))?$/);
+    if (!match) {
+      return null;
+    }
+
+    const start = parseInt(match[1], 10);
+    const end = match[2] !== undefined ? parseInt(match[2], 10) : start;
+    if (start < 1 || end < start) {
+      return null;
+    }
+
+    ranges.push({ start, end });
+  }
+
+  return ranges;
+}
+
+/**
+ * Format parsed ranges the way CUPS expects them, e.g. "1-3,7"
+ * @param {Array<{start: number, end: number}>} ranges - Ranges from parsePageRanges
+ * @returns {string}
+ */
+function formatPageRanges(ranges) {
+  return ranges.map(({ start, end }) => (start === end ? String(start) : `${start}-${end}`)).join(',');
+}
+
+module.exports = {
+  parsePageRanges,
+  formatPageRanges
+};
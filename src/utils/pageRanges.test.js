@@ -0,0 +1,18 @@
+const pageRanges = require('./pageRanges');
+
+describe('Page Ranges', () => {
+  test('should parse pages and ranges, ignoring spaces', () => {
+    expect(pageRanges.parsePageRanges(' 1 - 3, 7 ')).toEqual([{ start: 1, end: 3 }, { start: 7, end: 7 }]);
+    expect(pageRanges.parsePageRanges('')).toEqual([]);
+  });
+
+  test('should reject page 0 and ranges that run backwards', () => {
+    ['0', '0-3', '3-1', '1,,2', 'a-b'].forEach(value => {
+      expect(pageRanges.parsePageRanges(value)).toBeNull();
+    });
+  });
+
+  test('should format ranges the way CUPS expects them', () => {
+    expect(pageRanges.formatPageRanges(pageRanges.parsePageRanges('1 - 3, 7, 9-9'))).toBe('1-3,7,9');
+  });
+});
@@ -0,0 +1,270 @@
+const { execFile } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const util = require('util');
+const { PDFDocument, pushGraphicsState, popGraphicsState, rectangle, clip, endPath } = require('pdf-lib');
+const fileValidator = require('./fileValidator');
+const watermark = require('./watermark');
+const coverPage = require('./coverPage');
+const PrintSettings = require('../models/printSettings');
+
+const execFileAsync = util.promisify(execFile);
+
+/**
+ * Print Copy
+ * Builds the file a job is actually printed from when it gets a watermark or a cover page: a PDF
+ * copy of the document with the watermark stamped on every page and the cover page in front, sent
+ * to CUPS as a single submission. The uploaded document is never changed.
+ *
+ * Images are first laid out on a page of the chosen paper size following their layout settings,
+ * so the watermark lands on the printed sheet rather than on the image itself.
+ *
+ * The files of a combined batch are joined the same way into the one document their job prints.
+ */
+
+const PRINT_COPY_CONFIG = {
+  // Print copies only exist while a job is being sent to the printer
+  outputDir: path.join(__dirname, '../../print-copies'),
+  convertTimeout: 30000
+};
+
+const POINTS_PER_MM = 72 / 25.4;
+
+/**
+ * Work out where an image is drawn on the page from its layout settings
+ * Fit shows the whole image, Fill covers the printable area and Custom scales the fitted image by imageScale percent
+ * @param {number} imageWidth - Image width
+ * @param {number} imageHeight - Image height
+ * @param {number} pageWidth - Page width in points
+ * @param {number} pageHeight - Page height in points
+ * @param {Object} settings - Image layout settings
+ * @returns {{x: number, y: number, width: number, height: number, area: {x: number, y: number, width: number, height: number}}}
+ *   The image rectangle, and the printable area it is clipped to
+ */
+function layoutImage(imageWidth, imageHeight, pageWidth, pageHeight, settings) {
+  const borderless = settings.borderless === true || settings.borderless === 'true';
+  const margin = borderless ? 0 : (parseInt(settings.imageMargin, 10) || 0) * POINTS_PER_MM;
+  const area = { x: margin, y: margin, width: pageWidth - 2 * margin, height: pageHeight - 2 * margin };
+
+  const fit = Math.min(area.width / imageWidth, area.height / imageHeight);
+  let scale = fit;
+  if (settings.imageScaling === 'Fill') {
+    scale = Math.max(area.width / imageWidth, area.height / imageHeight);
+  } else if (settings.imageScaling === 'Custom') {
+    scale = fit * (parseInt(settings.imageScale, 10) || 100) / 100;
+  }
+
+  const width = imageWidth * scale;
+  const height = imageHeight * scale;
+  const position = String(settings.imagePosition || 'Center');
+
+  let x = area.x + (area.width - width) / 2;
+  if (/Left/.test(position)) {
+    x = area.x;
+  } else if (/Right/.test(position)) {
+    x = area.x + area.width - width;
+  }
+
+  let y = area.y + (area.height - height) / 2;
+  if (/Top/.test(position)) {
+    y = area.y + area.height - height;
+  } else if (/Bottom/.test(position)) {
+    y = area.y;
+  }
+
+  return { x, y, width, height, area };
+}
+
+/**
+ * Read an image in a format pdf-lib can embed
+ * GIF, BMP and TIFF images are converted to PNG with ImageMagick; only the first frame is kept
+ * @private
+ * @returns {Promise<Buffer>}
+ */
+async function readEmbeddableImage(imagePath, mimetype) {
+  if (mimetype === 'image/jpeg' || mimetype === 'image/png') {
+    return fs.readFile(imagePath);
+  }
+
+  try {
+    const { stdout } = await execFileAsync('convert', [`${imagePath}[0]`, 'png:-'],
+      { encoding: 'buffer', maxBuffer: 256 * 1024 * 1024, timeout: PRINT_COPY_CONFIG.convertTimeout });
+    return stdout;
+  } catch (err) {
+    throw new Error(`Could not convert ${path.basename(imagePath)} for printing: ${err.message}`);
+  }
+}
+
+/**
+ * Lay out an image on a page of the chosen paper size
+ * @param {string} imagePath - Image document
+ * @param {string} mimetype - Image MIME type
+ * @param {Object} settings - Print settings, including the image layout settings
+ * @returns {Promise<PDFDocument>}
+ */
+async function imageToPdf(imagePath, mimetype, settings) {
+  const pdfDoc = await PDFDocument.create();
+  const bytes = await readEmbeddableImage(imagePath, mimetype);
+  const image = mimetype === 'image/jpeg' ? await pdfDoc.embedJpg(bytes) : await pdfDoc.embedPng(bytes);
+
+  let [pageWidth, pageHeight] = coverPage.getPaperDimensions(settings.paperSize);
+  if (settings.orientation === 'Landscape') {
+    [pageWidth, pageHeight] = [pageHeight, pageWidth];
+  }
+
+  const page = pdfDoc.addPage([pageWidth, pageHeight]);
+  const { x, y, width, height, area } = layoutImage(image.width, image.height, pageWidth, pageHeight, settings);
+
+  // Filled and enlarged images are cropped to the printable area
+  page.pushOperators(pushGraphicsState(), rectangle(area.x, area.y, area.width, area.height), clip(), endPath());
+  page.drawImage(image, { x, y, width, height });
+  page.pushOperators(popGraphicsState());
+
+  return pdfDoc;
+}
+
+/**
+ * Load a document as a PDF that can be stamped
+ * @private
+ * @returns {Promise<{pdfDoc: PDFDocument, settings: Object}>} The document and the settings to print it with
+ */
+async function loadDocument(documentPath, settings) {
+  const mimetype = fileValidator.getMimeType(documentPath);
+
+  if (mimetype === 'application/pdf') {
+    try {
+      return { pdfDoc: await PDFDocument.load(await fs.readFile(documentPath)), settings };
+    } catch (err) {
+      throw new Error(`Could not prepare ${path.basename(documentPath)} for printing: ${err.message}`);
+    }
+  }
+
+  if (fileValidator.isImageFormat(mimetype)) {
+    // The image is already laid out on the page, which then prints at full size
+    return {
+      pdfDoc: await imageToPdf(documentPath, mimetype, settings),
+      settings: {
+        ...settings,
+        orientation: 'Portrait',
+        imageScaling: 'Fit',
+        imageScale: null,
+        imagePosition: 'Center',
+        imageMargin: 0
+      }
+    };
+  }
+
+  throw new Error(`Cannot prepare ${path.basename(documentPath)} for printing`);
+}
+
+/**
+ * Keep only the pages a job prints
+ * The cover page goes in front of the selected pages, so the copy is printed whole
+ * @private
+ */
+function selectPages(pdfDoc, pageRanges) {
+  const pages = PrintSettings.expandPageRanges(pageRanges, pdfDoc.getPageCount());
+  if (!pages || pages.length === 0) {
+    throw new Error(`Page range ${pageRanges} does not select any of the ${pdfDoc.getPageCount()} page(s) in the document`);
+  }
+
+  for (let index = pdfDoc.getPageCount() - 1; index >= 0; index--) {
+    if (!pages.includes(index + 1)) {
+      pdfDoc.removePage(index);
+    }
+  }
+}
+
+/**
+ * Make the copy of a document a job is printed from
+ * The cover page is printed on a sheet of its own, so with several pages per sheet it is followed
+ * by blank pages. Each copy of a job that prints several copies starts with the cover page.
+ * @param {string} documentPath - PDF or image document
+ * @param {Object} settings - Print settings of the job
+ * @param {Object} additions
+ * @param {Object} [additions.watermark] - Watermark stamped on every page of the document (see watermark.stampPdf)
+ * @param {Object} [additions.coverPage] - Details printed on the cover page (see coverPage.addCoverPage)
+ * @returns {Promise<{path: string, settings: Object}>} The print copy and the settings to print it with
+ * @throws {Error} If the document cannot be read
+ */
+async function createPrintCopy(documentPath, settings, { watermark: stamp = null, coverPage: cover = null }) {
+  const loaded = await loadDocument(documentPath, settings);
+  const { pdfDoc } = loaded;
+  let printSettings = loaded.settings;
+
+  if (stamp) {
+    await watermark.stampPdf(pdfDoc, stamp);
+  }
+
+  if (cover) {
+    if (printSettings.pageRanges) {
+      selectPages(pdfDoc, printSettings.pageRanges);
+      printSettings = { ...printSettings, pageRanges: '' };
+    }
+
+    await coverPage.addCoverPage(pdfDoc, cover);
+
+    const [width, height] = coverPage.getPaperDimensions(cover.settings.paperSize);
+    for (let blank = 1; blank < (parseInt(printSettings.pagesPerSheet, 10) || 1); blank++) {
+      pdfDoc.insertPage(blank, [width, height]);
+    }
+  }
+
+  await fs.mkdir(PRINT_COPY_CONFIG.outputDir, { recursive: true });
+  const outputPath = path.join(PRINT_COPY_CONFIG.outputDir,
+    `${path.basename(documentPath, path.extname(documentPath))}-${crypto.randomBytes(4).toString('hex')}.pdf`);
+  await fs.writeFile(outputPath, await pdfDoc.save());
+
+  return { path: outputPath, settings: printSettings };
+}
+
+/**
+ * Join documents into a single PDF, in the order given
+ * Images are laid out on upright pages with their own settings; the orientation of the job then
+ * turns every page of the joined document alike
+ * @param {Array<{path: string, mimetype: string, settings: Object}>} documents - PDF and image documents
+ *   with the settings each prints with, including image layout settings for images
+ * @param {string} outputPath - Where the joined PDF is written
+ * @returns {Promise<number>} Pages in the joined document
+ * @throws {Error} If a document cannot be read
+ */
+async function combineDocuments(documents, outputPath) {
+  const combined = await PDFDocument.create();
+
+  for (const document of documents) {
+    const pdfDoc = fileValidator.isImageFormat(document.mimetype)
+      ? await imageToPdf(document.path, document.mimetype, { ...document.settings, orientation: 'Portrait' })
+      : (await loadDocument(document.path, document.settings)).pdfDoc;
+
+    const pages = await combined.copyPages(pdfDoc, pdfDoc.getPageIndices());
+    pages.forEach(page => combined.addPage(page));
+  }
+
+  await fs.writeFile(outputPath, await combined.save());
+  return combined.getPageCount();
+}
+
+/**
+ * Delete a print copy once the printer has it
+ * @param {string} copyPath - Path returned by createPrintCopy
+ * @returns {Promise<void>}
+ */
+async function removePrintCopy(copyPath) {
+  try {
+    await fs.unlink(copyPath);
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error(`[PRINT COPY] Could not delete ${copyPath}: ${err.message}`);
+    }
+  }
+}
+
+module.exports = {
+  PRINT_COPY_CONFIG,
+  layoutImage,
+  imageToPdf,
+  createPrintCopy,
+  combineDocuments,
+  removePrintCopy
+};
@@ -0,0 +1,174 @@
+const fc = require('fast-check');
+const fs = require('fs');
+const path = require('path');
+const { PDFDocument, PageSizes } = require('pdf-lib');
+const printCopy = require('./printCopy');
+
+const dataDir = path.join(__dirname, '../../data');
+
+// 1x1 PNG
+const PNG_PIXEL = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==', 'base64');
+
+const stamp = { text: 'alice - 2024-05-01 - Job 7', position: 'Footer', opacity: 50, fontSize: 10 };
+
+const cover = {
+  jobId: 7,
+  owner: 'alice',
+  documentName: 'report.pdf',
+  submittedAt: new Date(2024, 4, 1, 9, 30),
+  pageCount: 5,
+  printerName: 'Office Printer',
+  settings: { paperSize: 'A4', paperType: 'Plain', colorMode: 'Grayscale', printQuality: 'Normal', copies: 1 }
+};
+
+/**
+ * Write a PDF with the given number of A4 pages to the data directory
+ */
+async function writePdf(name, pageCount) {
+  const filePath = path.join(dataDir, name);
+  const pdfDoc = await PDFDocument.create();
+  for (let page = 0; page < pageCount; page++) {
+    pdfDoc.addPage(PageSizes.A4);
+  }
+  fs.writeFileSync(filePath, await pdfDoc.save());
+  return filePath;
+}
+
+describe('Print Copy', () => {
+  describe('layoutImage', () => {
+    const page = { width: PageSizes.A4[0], height: PageSizes.A4[1] };
+
+    /**
+     * Property: A fitted image is as large as it can be without leaving the printable area,
+     * and a filled image covers the whole printable area
+     */
+    test('Property: Fit stays inside the printable area and Fill covers it', () => {
+      fc.assert(
+        fc.property(
+          fc.integer({ min: 1, max: 10000 }),
+          fc.integer({ min: 1, max: 10000 }),
+          fc.integer({ min: 0, max: 50 }),
+          fc.constantFrom('Center', 'Top Left', 'Bottom Right', 'Left', 'Top'),
+          (imageWidth, imageHeight, imageMargin, imagePosition) => {
+            const settings = { imageMargin, imagePosition };
+            const fit = printCopy.layoutImage(imageWidth, imageHeight, page.width, page.height, { ...settings, imageScaling: 'Fit' });
+            const fill = printCopy.layoutImage(imageWidth, imageHeight, page.width, page.height, { ...settings, imageScaling: 'Fill' });
+            const { area } = fit;
+
+            expect(fit.x).toBeGreaterThanOrEqual(area.x - 0.001);
+            expect(fit.y).toBeGreaterThanOrEqual(area.y - 0.001);
+            expect(fit.x + fit.width).toBeLessThanOrEqual(area.x + area.width + 0.001);
+            expect(fit.y + fit.height).toBeLessThanOrEqual(area.y + area.height + 0.001);
+            expect(Math.max(fit.width / area.width, fit.height / area.height)).toBeCloseTo(1, 6);
+
+            expect(fill.width).toBeGreaterThanOrEqual(area.width - 0.001);
+            expect(fill.height).toBeGreaterThanOrEqual(area.height - 0.001);
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    test('should scale a custom size from the fitted size and ignore margins when borderless', () => {
+      const custom = printCopy.layoutImage(100, 100, 600, 800, { imageScaling: 'Custom', imageScale: 50, imagePosition: 'Top Left' });
+      expect(custom).toMatchObject({ x: 0, y: 500, width: 300, height: 300 });
+
+      const borderless = printCopy.layoutImage(100, 100, 600, 800, { imageScaling: 'Fit', imageMargin: 10, borderless: true });
+      expect(borderless.area).toEqual({ x: 0, y: 0, width: 600, height: 800 });
+    });
+  });
+
+  describe('createPrintCopy', () => {
+    test('should stamp a copy of a PDF and leave the original unchanged', async () => {
+      const sourcePath = await writePdf('print_copy_test.pdf', 2);
+      const original = fs.readFileSync(sourcePath);
+
+      try {
+        const settings = { paperSize: 'A4', orientation: 'Portrait' };
+        const copy = await printCopy.createPrintCopy(sourcePath, settings, { watermark: stamp });
+
+        expect(path.dirname(copy.path)).toBe(printCopy.PRINT_COPY_CONFIG.outputDir);
+        expect(copy.settings).toBe(settings);
+        expect((await PDFDocument.load(fs.readFileSync(copy.path))).getPageCount()).toBe(2);
+        expect(fs.readFileSync(sourcePath).equals(original)).toBe(true);
+
+        await printCopy.removePrintCopy(copy.path);
+        expect(fs.existsSync(copy.path)).toBe(false);
+      } finally {
+        fs.unlinkSync(sourcePath);
+      }
+    });
+
+    test('should lay out an image on the paper and print it with Fit', async () => {
+      const sourcePath = path.join(dataDir, 'print_copy_test.png');
+      fs.writeFileSync(sourcePath, PNG_PIXEL);
+
+      try {
+        const copy = await printCopy.createPrintCopy(sourcePath, {
+          paperSize: 'Letter',
+          orientation: 'Landscape',
+          imageScaling: 'Custom',
+          imageScale: 40,
+          imagePosition: 'Top Left',
+          imageMargin: 10,
+          borderless: false
+        }, { watermark: stamp });
+
+        const pdfDoc = await PDFDocument.load(fs.readFileSync(copy.path));
+        expect(pdfDoc.getPageCount()).toBe(1);
+        expect(pdfDoc.getPage(0).getSize()).toEqual({ width: PageSizes.Letter[1], height: PageSizes.Letter[0] });
+        expect(copy.settings).toMatchObject({ orientation: 'Portrait', imageScaling: 'Fit', imagePosition: 'Center', imageMargin: 0 });
+
+        await printCopy.removePrintCopy(copy.path);
+      } finally {
+        fs.unlinkSync(sourcePath);
+      }
+    });
+
+    test('should put a cover page on its own sheet in front of the selected pages', async () => {
+      const sourcePath = await writePdf('print_copy_cover_test.pdf', 5);
+
+      try {
+        const copy = await printCopy.createPrintCopy(sourcePath, { paperSize: 'A4', pageRanges: '2-3', pagesPerSheet: 4 }, { coverPage: cover });
+
+        // Cover, three blank pages to fill its sheet, then pages 2 and 3
+        expect((await PDFDocument.load(fs.readFileSync(copy.path))).getPageCount()).toBe(6);
+        expect(copy.settings).toMatchObject({ pageRanges: '', pagesPerSheet: 4 });
+
+        await printCopy.removePrintCopy(copy.path);
+      } finally {
+        fs.unlinkSync(sourcePath);
+      }
+    });
+
+    test('should refuse documents it cannot prepare', async () => {
+      await expect(printCopy.createPrintCopy('/uploads/notes.txt', {}, { watermark: stamp })).rejects.toThrow('Cannot prepare notes.txt');
+    });
+  });
+
+  describe('combineDocuments', () => {
+    test('should join documents in order, laying out each image on a page', async () => {
+      const firstPath = await writePdf('combine_first_test.pdf', 3);
+      const imagePath = path.join(dataDir, 'combine_image_test.png');
+      const secondPath = await writePdf('combine_second_test.pdf', 1);
+      const outputPath = path.join(dataDir, 'combine_output_test.pdf');
+      fs.writeFileSync(imagePath, PNG_PIXEL);
+
+      try {
+        const pageCount = await printCopy.combineDocuments([
+          { path: firstPath, mimetype: 'application/pdf', settings: { paperSize: 'A4' } },
+          { path: imagePath, mimetype: 'image/png', settings: { paperSize: 'Letter', orientation: 'Landscape', imageScaling: 'Fit' } },
+          { path: secondPath, mimetype: 'application/pdf', settings: { paperSize: 'A4' } }
+        ], outputPath);
+
+        const combined = await PDFDocument.load(fs.readFileSync(outputPath));
+        expect(pageCount).toBe(5);
+        expect(combined.getPageCount()).toBe(5);
+        // The image page is upright on the chosen paper
+        expect(combined.getPage(3).getSize()).toEqual({ width: PageSizes.Letter[0], height: PageSizes.Letter[1] });
+      } finally {
+        [firstPath, imagePath, secondPath, outputPath].filter(fs.existsSync).forEach(file => fs.unlinkSync(file));
+      }
+    });
+  });
+});
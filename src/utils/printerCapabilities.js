@@ -0,0 +1,261 @@
+/**
+ * Printer Capabilities Module
+ * Parses the PPD options reported by `lpoptions -l` into a capability model and caches it
+ * per printer. The model maps each print setting to its PPD option and the choices the driver exposes.
+ */
+
+// How long parsed capabilities are reused before `lpoptions` is queried again
+const CAPABILITIES_CACHE_TTL_MS = 10 * 60 * 1000;
+
+// How long the fallback or a stored profile is used before a printer that could not be queried is tried again
+const CAPABILITIES_RETRY_MS = 60 * 1000;
+
+// Print settings backed by PPD options
+// cupsOption is the lp option name used when it differs from the PPD key,
+// labels gives friendly names for known driver keywords (unknown keywords are shown as-is)
+const SETTING_OPTIONS = {
+  paperType: {
+    option: 'MediaType',
+    labels: { Plain: 'Plain Paper' }
+  },
+  printQuality: {
+    option: 'OutputMode',
+    labels: {}
+  },
+  colorMode: {
+    option: 'ColorModel',
+    // HP Ink Tank 310: RGB (color), KGray (black & white), CMYGray (color grayscale)
+    labels: { RGB: 'Color', KGray: 'Grayscale', CMYGray: 'Composite Grayscale' }
+  },
+  paperSize: {
+    option: 'PageSize',
+    cupsOption: 'media',
+    labels: {}
+  }
+};
+
+// Options reported by the HP Ink Tank 310 driver, used until the printer can be queried
+const FALLBACK_LPOPTIONS_OUTPUT = [
+  'PageSize/Media Size: *A4 Letter Legal',
+  'MediaType/Media Type: *Plain Glossy',
+  'OutputMode/Print Quality: *Normal Best Photo',
+  'ColorModel/Output Mode: *RGB KGray'
+].join('\n');
+
+/**
+ * Parse `lpoptions -l` output into PPD options
+ * Each line looks like "MediaType/Media Type: *Plain Glossy" where * marks the default choice
+ * @param {string} output - lpoptions output
+ * @returns {Object<string, {key: string, label: string, choices: Array<string>, defaultChoice: string|null}>}
+ */
+function parseLpoptions(output) {
+  const options = {};
+
+  (output || '').split('\n').forEach(line => {
+    const match = line.match(/^([^\/:\s]+)(?:\/([^:]*))?:\s*(.*)$/);
+    if (!match) {
+      return;
+    }
+
+    const [, key, label, choiceList] = match;
+    let defaultChoice = null;
+    const choices = choiceList.split(/\s+/).filter(Boolean).map(choice => {
+      if (choice.startsWith('*')) {
+        defaultChoice = choice.slice(1);
+        return defaultChoice;
+      }
+      return choice;
+    });
+
+    options[key] = {
+      key,
+      label: label ? label.trim() : key,
+      choices,
+      defaultChoice
+    };
+  });
+
+  return options;
+}
+
+/**
+ * Build the capability model for the print settings from parsed PPD options
+ * Settings the driver does not expose keep their fallback choices
+ * @param {Object} ppdOptions - Result of parseLpoptions
+ * @returns {Object<string, {option: string, cupsOption: string, label: string, choices: Array<{value: string, keyword: string}>, defaultValue: string|null}>}
+ */
+function buildCapabilities(ppdOptions) {
+  const capabilities = {};
+
+  Object.entries(SETTING_OPTIONS).forEach(([setting, mapping]) => {
+    const ppdOption = ppdOptions[mapping.option] && ppdOptions[mapping.option].choices.length > 0
+      ? ppdOptions[mapping.option]
+      : fallbackOptions[mapping.option];
+
+    const toValue = keyword => mapping.labels[keyword] || keyword;
+
+    capabilities[setting] = {
+      option: mapping.option,
+      cupsOption: mapping.cupsOption || mapping.option,
+      label: ppdOption.label,
+      choices: ppdOption.choices.map(keyword => ({ value: toValue(keyword), keyword })),
+      defaultValue: ppdOption.defaultChoice ? toValue(ppdOption.defaultChoice) : null
+    };
+  });
+
+  return capabilities;
+}
+
+const fallbackOptions = parseLpoptions(FALLBACK_LPOPTIONS_OUTPUT);
+const fallbackCapabilities = buildCapabilities(fallbackOptions);
+
+// Cached capabilities keyed by CUPS queue name
+const cache = new Map();
+
+/**
+ * Get the cache entry for a printer
+ * Printers that have not been queried yet use the fallback capabilities
+ * @private
+ */
+function getEntry(printerName) {
+  return cache.get(printerName) || {
+    capabilities: fallbackCapabilities,
+    source: 'fallback',
+    fetchedAt: 0,
+    queryFailedAt: 0
+  };
+}
+
+/**
+ * Get the cached capability model for a printer
+ * @param {string} printerName - CUPS queue name
+ * @returns {Object} Capability model keyed by setting name
+ */
+function getCapabilities(printerName) {
+  return getEntry(printerName).capabilities;
+}
+
+/**
+ * Get where a printer's cached capabilities came from
+ * @param {string} printerName - CUPS queue name
+ * @returns {string} 'printer' (read live), 'profile' (stored when registered) or 'fallback'
+ */
+function getCapabilitiesSource(printerName) {
+  return getEntry(printerName).source;
+}
+
+/**
+ * Check whether a printer's cached capabilities should be refreshed from the printer
+ * A printer that could not be queried is not tried again for CAPABILITIES_RETRY_MS, whatever
+ * capabilities are in use meanwhile
+ * @param {string} printerName - CUPS queue name
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {boolean}
+ */
+function isCacheStale(printerName, now = Date.now()) {
+  const entry = getEntry(printerName);
+  if (now - entry.queryFailedAt < CAPABILITIES_RETRY_MS) {
+    return false;
+  }
+  return entry.source !== 'printer' || now - entry.fetchedAt >= CAPABILITIES_CACHE_TTL_MS;
+}
+
+/**
+ * Replace a printer's cached capabilities with options parsed from `lpoptions -l`
+ * @param {string} printerName - CUPS queue name
+ * @param {string} output - lpoptions output
+ * @param {string} [source] - 'printer' when read live, 'profile' when loaded from the database
+ * @returns {Object} The new capability model
+ */
+function updateFromLpoptions(printerName, output, source = 'printer') {
+  const entry = {
+    capabilities: buildCapabilities(parseLpoptions(output)),
+    source,
+    fetchedAt: source === 'printer' ? Date.now() : 0,
+    // Loading a stored profile does not make a printer that just failed worth querying again
+    queryFailedAt: source === 'printer' ? 0 : getEntry(printerName).queryFailedAt
+  };
+  cache.set(printerName, entry);
+  return entry.capabilities;
+}
+
+/**
+ * Record that a printer could not be queried
+ * The capabilities in use are kept and the printer is not queried again for CAPABILITIES_RETRY_MS
+ * @param {string} printerName - CUPS queue name
+ * @param {number} [now] - Current time in milliseconds
+ */
+function markQueryFailed(printerName, now = Date.now()) {
+  cache.set(printerName, { ...getEntry(printerName), queryFailedAt: now });
+}
+
+/**
+ * Clear all cached capabilities
+ */
+function resetCapabilities() {
+  cache.clear();
+}
+
+/**
+ * Get the values a setting accepts on a printer
+ * @param {string} setting - Setting name (paperType, printQuality, colorMode, paperSize)
+ * @param {string} printerName - CUPS queue name
+ * @returns {Array<string>}
+ */
+function getChoiceValues(setting, printerName) {
+  const capability = getCapabilities(printerName)[setting];
+  return capability ? capability.choices.map(choice => choice.value) : [];
+}
+
+/**
+ * Find the driver keyword for a setting value on a printer
+ * @param {string} setting - Setting name
+ * @param {string} value - Setting value, e.g. "Plain Paper"
+ * @param {string} printerName - CUPS queue name
+ * @returns {string|null} Driver keyword, e.g. "Plain", or null if the printer does not offer it
+ */
+function getChoiceKeyword(setting, value, printerName) {
+  const capability = getCapabilities(printerName)[setting];
+  if (!capability) {
+    return null;
+  }
+
+  const choice = capability.choices.find(c => c.value === value);
+  return choice ? choice.keyword : null;
+}
+
+/**
+ * Get the driver keyword of the borderless variant of a paper size
+ * Drivers offer borderless sizes as separate PageSize choices such as A4.Borderless or Letter.FullBleed
+ * @param {string} value - Paper size value (e.g. "A4")
+ * @param {string} [printerName] - CUPS queue name
+ * @returns {string|null} Driver keyword, or null if the printer has no borderless variant
+ */
+function getBorderlessPaperSize(value, printerName) {
+  const keyword = getChoiceKeyword('paperSize', value, printerName);
+  if (!keyword) {
+    return null;
+  }
+
+  const variant = getCapabilities(printerName).paperSize.choices.find(choice =>
+    choice.keyword.toLowerCase().startsWith(`${keyword.toLowerCase()}.`) &&
+    /\.(borderless|fullbleed|fb)$/i.test(choice.keyword));
+  return variant ? variant.keyword : null;
+}
+
+module.exports = {
+  CAPABILITIES_CACHE_TTL_MS,
+  CAPABILITIES_RETRY_MS,
+  SETTING_OPTIONS,
+  parseLpoptions,
+  buildCapabilities,
+  getCapabilities,
+  getCapabilitiesSource,
+  isCacheStale,
+  updateFromLpoptions,
+  markQueryFailed,
+  resetCapabilities,
+  getChoiceValues,
+  getChoiceKeyword,
+  getBorderlessPaperSize
+};
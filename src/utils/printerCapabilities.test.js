@@ -0,0 +1,190 @@
+const fc = require('fast-check');
+const printerCapabilities = require('./printerCapabilities');
+const printerIntegration = require('./printerIntegration');
+const PrintSettings = require('../models/printSettings');
+
+const PRINTER = printerIntegration.PRINTER_CONFIG.name;
+
+// Trimmed `lpoptions -l` output from an HP Ink Tank 310 using the hpcups driver
+const LPOPTIONS_OUTPUT = [
+  'PageSize/Media Size: Card3x5 Hagaki Photo4x6 A6 Photo5x7 B5 *A4 A5 Letter Legal Executive',
+  'ColorModel/Output Mode: *RGB CMYGray KGray',
+  'MediaType/Media Type: *Plain Glossy Brochure TransparencyFilm',
+  'OutputMode/Print Quality: Draft *Normal Best Photo',
+  'InputSlot/Media Source: *Auto Main',
+  'Duplex/2-Sided Printing: *None DuplexNoTumble DuplexTumble'
+].join('\n');
+
+describe('Printer Capabilities', () => {
+  afterEach(() => {
+    printerCapabilities.resetCapabilities();
+  });
+
+  describe('parseLpoptions', () => {
+    test('should parse option keys, display names, choices and defaults', () => {
+      const options = printerCapabilities.parseLpoptions(LPOPTIONS_OUTPUT);
+
+      expect(Object.keys(options)).toEqual(['PageSize', 'ColorModel', 'MediaType', 'OutputMode', 'InputSlot', 'Duplex']);
+      expect(options.MediaType).toEqual({
+        key: 'MediaType',
+        label: 'Media Type',
+        choices: ['Plain', 'Glossy', 'Brochure', 'TransparencyFilm'],
+        defaultChoice: 'Plain'
+      });
+      expect(options.OutputMode.defaultChoice).toBe('Normal');
+      expect(options.Duplex.label).toBe('2-Sided Printing');
+    });
+
+    test('should handle options without a display name or default', () => {
+      const options = printerCapabilities.parseLpoptions('HPOption_Duplexer: True False\n\nnot an option line');
+
+      expect(options).toEqual({
+        HPOption_Duplexer: {
+          key: 'HPOption_Duplexer',
+          label: 'HPOption_Duplexer',
+          choices: ['True', 'False'],
+          defaultChoice: null
+        }
+      });
+    });
+
+    /**
+     * Property: Every choice listed is parsed once and the starred choice is the default
+     */
+    test('Property: Choices and default round-trip', () => {
+      const keyword = fc.stringMatching(/^[A-Za-z][A-Za-z0-9_.]{0,11}$/);
+
+      fc.assert(
+        fc.property(
+          keyword,
+          fc.uniqueArray(keyword, { minLength: 1, maxLength: 10 }),
+          fc.nat(),
+          (key, choices, defaultSeed) => {
+            const defaultIndex = defaultSeed % choices.length;
+            const line = `${key}/Some Label: ` + choices.map((c, i) => (i === defaultIndex ? `*${c}` : c)).join(' ');
+
+            const option = printerCapabilities.parseLpoptions(line)[key];
+
+            expect(option.choices).toEqual(choices);
+            expect(option.defaultChoice).toBe(choices[defaultIndex]);
+            expect(option.label).toBe('Some Label');
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  describe('buildCapabilities', () => {
+    test('should map driver keywords to friendly setting values', () => {
+      const capabilities = printerCapabilities.buildCapabilities(printerCapabilities.parseLpoptions(LPOPTIONS_OUTPUT));
+
+      expect(capabilities.colorMode.choices).toEqual([
+        { value: 'Color', keyword: 'RGB' },
+        { value: 'Composite Grayscale', keyword: 'CMYGray' },
+        { value: 'Grayscale', keyword: 'KGray' }
+      ]);
+      expect(capabilities.colorMode.defaultValue).toBe('Color');
+      expect(capabilities.paperType.defaultValue).toBe('Plain Paper');
+      expect(capabilities.paperSize.cupsOption).toBe('media');
+      expect(capabilities.printQuality.cupsOption).toBe('OutputMode');
+    });
+
+    test('should keep fallback choices for options the driver does not report', () => {
+      const capabilities = printerCapabilities.buildCapabilities(
+        printerCapabilities.parseLpoptions('MediaType/Media Type: *Plain Cardstock')
+      );
+
+      expect(capabilities.paperType.choices.map(c => c.value)).toEqual(['Plain Paper', 'Cardstock']);
+      expect(capabilities.printQuality.choices.map(c => c.value)).toEqual(['Normal', 'Best', 'Photo']);
+      expect(capabilities.paperSize.choices.map(c => c.value)).toEqual(['A4', 'Letter', 'Legal']);
+    });
+  });
+
+  describe('cache', () => {
+    test('should be stale until capabilities are read from the printer', () => {
+      expect(printerCapabilities.getCapabilitiesSource(PRINTER)).toBe('fallback');
+      expect(printerCapabilities.isCacheStale(PRINTER)).toBe(true);
+
+      printerCapabilities.updateFromLpoptions(PRINTER, LPOPTIONS_OUTPUT);
+
+      expect(printerCapabilities.getCapabilitiesSource(PRINTER)).toBe('printer');
+      expect(printerCapabilities.isCacheStale(PRINTER)).toBe(false);
+      expect(printerCapabilities.isCacheStale(PRINTER, Date.now() + printerCapabilities.CAPABILITIES_CACHE_TTL_MS)).toBe(true);
+    });
+
+    test('should keep stored profiles stale so the printer is queried live', () => {
+      printerCapabilities.updateFromLpoptions(PRINTER, LPOPTIONS_OUTPUT, 'profile');
+
+      expect(printerCapabilities.getCapabilitiesSource(PRINTER)).toBe('profile');
+      expect(printerCapabilities.isCacheStale(PRINTER)).toBe(true);
+      expect(printerCapabilities.getChoiceValues('paperType', PRINTER)).toContain('Brochure');
+    });
+
+    test('should not query a printer again straight after it failed', () => {
+      const failedAt = Date.now();
+      printerCapabilities.markQueryFailed(PRINTER, failedAt);
+
+      expect(printerCapabilities.getCapabilitiesSource(PRINTER)).toBe('fallback');
+      expect(printerCapabilities.isCacheStale(PRINTER, failedAt + 1000)).toBe(false);
+      expect(printerCapabilities.isCacheStale(PRINTER, failedAt + printerCapabilities.CAPABILITIES_RETRY_MS)).toBe(true);
+
+      // Loading the stored profile meanwhile does not bring the query forward
+      printerCapabilities.updateFromLpoptions(PRINTER, LPOPTIONS_OUTPUT, 'profile');
+      expect(printerCapabilities.isCacheStale(PRINTER, failedAt + 1000)).toBe(false);
+      expect(printerCapabilities.getChoiceValues('paperType', PRINTER)).toContain('Brochure');
+    });
+
+    test('should cache capabilities per printer', () => {
+      printerCapabilities.updateFromLpoptions('LaserJet-M110', 'ColorModel/Output Mode: *Gray\nPageSize/Media Size: *A4 A5');
+
+      expect(printerCapabilities.getChoiceValues('colorMode', 'LaserJet-M110')).toEqual(['Gray']);
+      expect(printerCapabilities.getChoiceValues('colorMode', PRINTER)).toEqual(['Color', 'Grayscale']);
+      expect(printerIntegration.formatPrinterOptions({ colorMode: 'Gray' }, 'LaserJet-M110')).toContain('-o ColorModel=Gray');
+      expect(printerIntegration.validatePrintSettings({ colorMode: 'Color' }, 'LaserJet-M110').valid).toBe(false);
+      expect(PrintSettings.validateSettings({ paperSize: 'A5' }, 'LaserJet-M110').isValid).toBe(true);
+      expect(PrintSettings.validateSettings({ paperSize: 'A5' }).isValid).toBe(false);
+    });
+  });
+
+  describe('driving settings', () => {
+    test('should offer, validate and format choices added by the driver', () => {
+      printerCapabilities.updateFromLpoptions(PRINTER, LPOPTIONS_OUTPUT);
+
+      expect(PrintSettings.getAvailableOptions().paperTypes).toContain('Brochure');
+      expect(PrintSettings.getAvailableOptions().paperSizes).toContain('Executive');
+
+      const settings = {
+        paperType: 'Brochure',
+        printQuality: 'Draft',
+        colorMode: 'Composite Grayscale',
+        paperSize: 'Executive'
+      };
+
+      expect(PrintSettings.validateSettings(settings).isValid).toBe(true);
+      expect(printerIntegration.validatePrintSettings(settings).valid).toBe(true);
+
+      const options = printerIntegration.formatPrinterOptions(settings);
+      expect(options).toContain('-o MediaType=Brochure');
+      expect(options).toContain('-o OutputMode=Draft');
+      expect(options).toContain('-o ColorModel=CMYGray');
+      expect(options).toContain('-o media=Executive');
+    });
+
+    test('should reject choices the driver does not offer', () => {
+      printerCapabilities.updateFromLpoptions(PRINTER, 'MediaType/Media Type: *Plain\nOutputMode/Print Quality: *Normal');
+
+      expect(PrintSettings.validateSettings({ paperType: 'Glossy' }).isValid).toBe(false);
+      expect(printerIntegration.validatePrintSettings({ printQuality: 'Photo' }).valid).toBe(false);
+      expect(printerIntegration.formatPrinterOptions({ paperType: 'Glossy' })).not.toContain('MediaType');
+    });
+
+    test('should fall back to the printer default when the app default is not offered', () => {
+      printerCapabilities.updateFromLpoptions(PRINTER, 'PageSize/Media Size: A4 *Letter\nColorModel/Output Mode: *RGB');
+
+      const defaults = PrintSettings.getDefaults();
+      expect(defaults.paperSize).toBe('A4');
+      expect(defaults.colorMode).toBe('Color');
+    });
+  });
+});
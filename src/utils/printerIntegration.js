@@ -1,14 +1,21 @@
-const { execSync, exec } = require('child_process');
+const { execFile } = require('child_process');
 const util = require('util');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
 
-const execAsync = util.promisify(exec);
+const printerCapabilities = require('./printerCapabilities');
+const ippClient = require('./ippClient');
+const inkLevels = require('./inkLevels');
+const printerState = require('./printerState');
+const { parsePageRanges, formatPageRanges } = require('./pageRanges');
+
+const execFileAsync = util.promisify(execFile);
 
 /**
  * Printer Integration Module
- * Handles communication with system printer via CUPS/lp command on Raspberry Pi/Linux
+ * Handles communication with system printer via CUPS/lp command on Raspberry Pi/Linux,
+ * or directly with CUPS over IPP when PRINTER_BACKEND=ipp
  */
 
 // Detect platform
@@ -16,141 +23,588 @@ const isWindows = os.platform() === 'win32';
 const isLinux = os.platform() === 'linux';
 
 // Printer configuration
+// name is the default CUPS queue, used when no registered printer is given
+// backend is 'cli' (lp, lpq, lpstat and cancel) or 'ipp' (requests sent straight to CUPS at cupsUri)
 const PRINTER_CONFIG = {
   name: 'Ink-Tank-310-series',
+  backend: process.env.PRINTER_BACKEND === 'ipp' ? 'ipp' : 'cli',
+  cupsUri: process.env.CUPS_URI || 'ipp://localhost:631',
   defaultTimeout: 5000,
   retryAttempts: 3,
   retryDelay: 1000
 };
 
+// Settings whose choices come from the printer driver, in lp option order
+const PRINTER_SETTINGS = ['paperSize', 'colorMode', 'printQuality', 'paperType'];
+
 /**
- * Format print options from settings object to CUPS command options
- * @param {Object} settings - Print settings
- * @param {string} settings.paperType - Paper type (Plain Paper, Glossy)
- * @param {number} settings.printQuality - Print quality (600, 1200 DPI)
- * @param {string} settings.colorMode - Color mode (Color, Grayscale)
- * @param {string} settings.paperSize - Paper size (A4, Letter, Legal)
- * @returns {string} Formatted printer options string
+ * Run a printing command without a shell
+ * Queue names, job IDs and document paths are passed as separate arguments, so quotes and
+ * shell metacharacters in them are never interpreted
+ * @private
+ * @param {string} command - Executable name
+ * @param {Array<string>} args - Arguments
+ * @returns {Promise<{stdout: string, stderr: string}>}
+ */
+function runCommand(command, args) {
+  return execFileAsync(command, args, { timeout: PRINTER_CONFIG.defaultTimeout });
+}
+
+/**
+ * Check whether a command failed because it was killed after its timeout
+ * @private
+ */
+function isTimeout(execError) {
+  return Boolean(execError.killed) || execError.message.includes('timeout');
+}
+
+/**
+ * Check whether a CUPS command failed because the scheduler is not running
+ * @private
+ */
+function isSchedulerDown(execError) {
+  return /scheduler not responding|unable to connect to server|connection refused/i.test(execError.message);
+}
+
+/**
+ * Create a submission error
+ * Retryable errors are transient (a timeout, CUPS not running) and resubmitting the job may succeed;
+ * any other error will recur however often the job is resubmitted
+ * @private
+ * @param {string} message - Error message
+ * @param {boolean} retryable - Whether the submission may be retried
+ * @returns {Error}
  */
-function formatPrinterOptions(settings) {
+function submissionError(message, retryable) {
+  const err = new Error(message);
+  err.retryable = retryable;
+  return err;
+}
+
+/**
+ * Build the print options for a job from its settings
+ * Options are named as CUPS names them; the lp command line and IPP job attributes are both built from this list
+ * @private
+ * @returns {Array<{name: string, value: *}>}
+ */
+function buildPrinterOptions(settings, printerName) {
   const options = [];
 
-  // Paper size mapping to CUPS options
-  const paperSizeMap = {
-    'A4': 'A4',
-    'Letter': 'Letter',
-    'Legal': 'Legal'
+  // Orientation mapping to IPP orientation-requested values
+  // Portrait is left to CUPS so landscape documents still auto-rotate
+  const orientationMap = {
+    'Landscape': 4
   };
 
-  // Color mode mapping to CUPS options
-  // For HP Ink Tank 310: RGB (color), KGray (black & white), CMYGray (color grayscale)
-  const colorModeMap = {
-    'Color': '-o ColorModel=RGB',
-    'Grayscale': '-o ColorModel=KGray'
-  };
+  // Add printer driver options (paper size, color mode, quality, paper type)
+  PRINTER_SETTINGS.forEach(setting => {
+    const capability = printerCapabilities.getCapabilities(printerName)[setting];
+    const keyword = printerCapabilities.getChoiceKeyword(setting, settings[setting], printerName);
 
-  // Print quality mapping to CUPS options
-  // HP Ink Tank 310 uses OutputMode with three quality levels
-  const qualityMap = {
-    'Normal': '-o OutputMode=Normal',
-    'Best': '-o OutputMode=Best',
-    'Photo': '-o OutputMode=Photo'
-  };
+    if (settings[setting] && keyword) {
+      options.push({ name: capability.cupsOption, value: keyword });
+    } else {
+      console.log(`[PRINTER] ${setting} not offered by printer: ${settings[setting]}`);
+    }
+  });
 
-  // Paper type mapping to CUPS options
-  const paperTypeMap = {
-    'Plain Paper': '-o MediaType=Plain',
-    'Glossy': '-o MediaType=Glossy'
-  };
+  // Add copies and collation
+  const copies = parseInt(settings.copies, 10);
+  if (copies > 1) {
+    options.push({ name: 'copies', value: copies });
 
-  console.log(`[PRINTER] formatPrinterOptions input:`, settings);
-  console.log(`[PRINTER] printQuality type: ${typeof settings.printQuality}, value: ${settings.printQuality}`);
+    if (settings.collated !== undefined) {
+      const collated = settings.collated === true || settings.collated === 'true';
+      options.push({ name: 'collate', value: collated });
+    }
+  }
+
+  // Add page ranges
+  const ranges = parsePageRanges(settings.pageRanges);
+  if (ranges && ranges.length > 0) {
+    options.push({ name: 'page-ranges', value: formatPageRanges(ranges) });
+  }
+
+  // Add pages per sheet
+  const pagesPerSheet = parseInt(settings.pagesPerSheet, 10);
+  if (pagesPerSheet > 1) {
+    options.push({ name: 'number-up', value: pagesPerSheet });
+  }
+
+  // Add orientation
+  if (settings.orientation && orientationMap[settings.orientation]) {
+    options.push({ name: 'orientation-requested', value: orientationMap[settings.orientation] });
+  }
+
+  // Add output order
+  if (settings.outputOrder === 'reverse') {
+    options.push({ name: 'outputorder', value: 'reverse' });
+  }
 
-  // Add paper size
-  if (settings.paperSize && paperSizeMap[settings.paperSize]) {
-    options.push(`-o media=${paperSizeMap[settings.paperSize]}`);
+  // Add image layout; only image documents carry these settings
+  if (settings.imageScaling) {
+    options.push(...buildImageOptions(settings, printerName, options));
   }
 
-  // Add color mode
-  if (settings.colorMode && colorModeMap[settings.colorMode]) {
-    console.log(`[PRINTER] Adding color mode: ${settings.colorMode} -> ${colorModeMap[settings.colorMode]}`);
-    options.push(colorModeMap[settings.colorMode]);
-  } else {
-    console.log(`[PRINTER] Color mode not found: ${settings.colorMode}`);
+  return options;
+}
+
+/**
+ * Build the CUPS image options for an image document's layout settings
+ * A borderless print swaps the media option already in options for the driver's borderless paper size, if it has one
+ * @private
+ * @returns {Array<{name: string, value: *}>}
+ */
+function buildImageOptions(settings, printerName, options) {
+  const imageOptions = [];
+
+  if (settings.imageScaling === 'Fit') {
+    imageOptions.push({ name: 'fit-to-page', value: true });
+  } else if (settings.imageScaling === 'Fill') {
+    imageOptions.push({ name: 'print-scaling', value: 'fill' });
+  } else if (settings.imageScaling === 'Custom' && parseInt(settings.imageScale, 10) > 0) {
+    imageOptions.push({ name: 'scaling', value: parseInt(settings.imageScale, 10) });
   }
 
-  // Add print quality
-  if (settings.printQuality && qualityMap[settings.printQuality]) {
-    console.log(`[PRINTER] Adding quality: ${settings.printQuality} -> ${qualityMap[settings.printQuality]}`);
-    options.push(qualityMap[settings.printQuality]);
-  } else {
-    console.log(`[PRINTER] Quality not found: ${settings.printQuality}`);
+  if (settings.imagePosition) {
+    imageOptions.push({ name: 'position', value: settings.imagePosition.toLowerCase().replace(/\s+/g, '-') });
   }
 
-  // Add paper type
-  if (settings.paperType && paperTypeMap[settings.paperType]) {
-    options.push(paperTypeMap[settings.paperType]);
+  // Page margins are given in points
+  const borderless = settings.borderless === true || settings.borderless === 'true';
+  const margin = borderless ? 0 : Math.round((parseInt(settings.imageMargin, 10) || 0) * 72 / 25.4);
+  if (borderless || margin > 0) {
+    ['page-left', 'page-right', 'page-top', 'page-bottom'].forEach(name => {
+      imageOptions.push({ name, value: margin });
+    });
   }
 
-  const result = options.join(' ');
+  if (borderless) {
+    const media = options.find(option => option.name === 'media');
+    const borderlessSize = printerCapabilities.getBorderlessPaperSize(settings.paperSize, printerName);
+    if (media && borderlessSize) {
+      media.value = borderlessSize;
+    } else {
+      console.log(`[PRINTER] No borderless paper size for ${settings.paperSize}; printing with zero margins`);
+    }
+  }
+
+  return imageOptions;
+}
+
+/**
+ * Convert print options to lp command arguments
+ * @private
+ * @returns {Array<string>}
+ */
+function toLpArguments(options) {
+  return options.flatMap(option => {
+    if (option.name === 'copies') {
+      return ['-n', String(option.value)];
+    }
+    if (option.name === 'page-ranges') {
+      return ['-P', option.value];
+    }
+    return ['-o', `${option.name}=${option.value}`];
+  });
+}
+
+/**
+ * Format print options from settings object to CUPS command options
+ * @param {Object} settings - Print settings
+ * @param {string} settings.paperType - Paper type offered by the printer (Plain Paper, Glossy)
+ * @param {string} settings.printQuality - Print quality offered by the printer (Normal, Best, Photo)
+ * @param {string} settings.colorMode - Color mode offered by the printer (Color, Grayscale)
+ * @param {string} settings.paperSize - Paper size offered by the printer (A4, Letter, Legal)
+ * @param {number} [settings.copies] - Number of copies
+ * @param {string} [settings.pageRanges] - Pages to print, e.g. "1-3,7" (empty for all)
+ * @param {number} [settings.pagesPerSheet] - Pages per sheet (1, 2, 4, 6)
+ * @param {string} [settings.orientation] - Orientation (Portrait, Landscape)
+ * @param {boolean} [settings.collated] - Collate copies
+ * @param {string} [settings.outputOrder] - Page output order (normal, reverse)
+ * @param {string} [settings.imageScaling] - Image layout (Fit, Fill, Custom); only set for image documents
+ * @param {number} [settings.imageScale] - Custom image scale as a percentage of the page
+ * @param {string} [settings.imagePosition] - Image position on the page (Center, Top Left, ...)
+ * @param {number} [settings.imageMargin] - Image margin on each side in millimetres
+ * @param {boolean} [settings.borderless] - Print the image to the edges of the paper
+ * @param {string} [printerName] - CUPS queue whose capabilities map the driver options
+ * @returns {string} Formatted printer options string
+ */
+function formatPrinterOptions(settings, printerName = PRINTER_CONFIG.name) {
+  console.log(`[PRINTER] formatPrinterOptions input:`, settings);
+
+  const result = toLpArguments(buildPrinterOptions(settings, printerName)).join(' ');
+
   console.log(`[PRINTER] Formatted options: ${result}`);
   return result;
 }
 
+// IPP attribute syntax for each print option; other options are driver options sent as names
+const IPP_OPTION_TAGS = {
+  'copies': ippClient.VALUE_TAGS.integer,
+  'number-up': ippClient.VALUE_TAGS.integer,
+  'orientation-requested': ippClient.VALUE_TAGS.enum,
+  'page-ranges': ippClient.VALUE_TAGS.rangeOfInteger,
+  'media': ippClient.VALUE_TAGS.keyword,
+  'outputorder': ippClient.VALUE_TAGS.keyword,
+  'fit-to-page': ippClient.VALUE_TAGS.boolean,
+  'print-scaling': ippClient.VALUE_TAGS.keyword,
+  'scaling': ippClient.VALUE_TAGS.integer,
+  'position': ippClient.VALUE_TAGS.keyword,
+  'page-left': ippClient.VALUE_TAGS.integer,
+  'page-right': ippClient.VALUE_TAGS.integer,
+  'page-top': ippClient.VALUE_TAGS.integer,
+  'page-bottom': ippClient.VALUE_TAGS.integer
+};
+
 /**
- * Check if printer is available and ready
- * @returns {Promise<{available: boolean, status: string, message: string}>}
+ * Check whether printer requests go to CUPS over IPP instead of the command line tools
+ * @private
  */
-async function getPrinterStatus() {
+function useIpp() {
+  return PRINTER_CONFIG.backend === 'ipp';
+}
+
+/**
+ * Get the IPP URI of a CUPS queue
+ * @private
+ */
+function getPrinterUri(printerName) {
+  return `${PRINTER_CONFIG.cupsUri.replace(/\/+$/, '')}/printers/${encodeURIComponent(printerName)}`;
+}
+
+/**
+ * Get the user name jobs are submitted and cancelled as
+ * @private
+ */
+function getRequestingUserName() {
   try {
-    // Try to get printer status using lpstat command
-    const { stdout } = await execAsync(`lpstat -p -d`, { timeout: PRINTER_CONFIG.defaultTimeout });
-
-    // Check if our printer is in the output
-    if (stdout.includes(PRINTER_CONFIG.name)) {
-      // Check if printer is idle or busy
-      if (stdout.includes('idle')) {
-        return {
-          available: true,
-          status: 'idle',
-          message: `Printer ${PRINTER_CONFIG.name} is ready`
-        };
-      } else if (stdout.includes('processing')) {
-        return {
-          available: true,
-          status: 'processing',
-          message: `Printer ${PRINTER_CONFIG.name} is currently processing a job`
-        };
-      } else {
-        return {
-          available: true,
-          status: 'unknown',
-          message: `Printer ${PRINTER_CONFIG.name} status is unknown`
-        };
-      }
-    } else {
+    return os.userInfo().username;
+  } catch (err) {
+    return 'print-queue-manager';
+  }
+}
+
+/**
+ * Convert print options to IPP job template attributes
+ * @private
+ */
+function toIppAttributes(options) {
+  return options.map(option => {
+    if (option.name === 'collate') {
       return {
-        available: false,
-        status: 'not_found',
-        message: `Printer ${PRINTER_CONFIG.name} not found`
+        name: 'multiple-document-handling',
+        tag: ippClient.VALUE_TAGS.keyword,
+        value: option.value ? 'separate-documents-collated-copies' : 'separate-documents-uncollated-copies'
       };
     }
+
+    if (option.name === 'page-ranges') {
+      return {
+        name: option.name,
+        tag: IPP_OPTION_TAGS[option.name],
+        value: option.value.split(',').map(range => {
+          const [lower, upper] = range.split('-').map(Number);
+          return { lower, upper: upper || lower };
+        })
+      };
+    }
+
+    return {
+      name: option.name,
+      tag: IPP_OPTION_TAGS[option.name] || ippClient.VALUE_TAGS.nameWithoutLanguage,
+      value: option.value
+    };
+  });
+}
+
+/**
+ * Send an IPP request for a CUPS queue
+ * @private
+ */
+function sendIppRequest(printerName, operationId, operationAttributes = [], groups = [], documentPath = null) {
+  const printerUri = getPrinterUri(printerName);
+
+  return ippClient.sendRequest(printerUri, operationId, [
+    {
+      tag: ippClient.GROUP_TAGS.operation,
+      attributes: [
+        ...ippClient.operationAttributes(printerUri, getRequestingUserName()),
+        ...operationAttributes
+      ]
+    },
+    ...groups
+  ], {
+    documentPath,
+    timeout: PRINTER_CONFIG.defaultTimeout
+  });
+}
+
+/**
+ * Build the requested-attributes operation attribute
+ * @private
+ */
+function requestedAttributes(names) {
+  return { name: 'requested-attributes', tag: ippClient.VALUE_TAGS.keyword, value: names };
+}
+
+/**
+ * Check whether an IPP request failed because CUPS could not be reached
+ * @private
+ */
+function isConnectionError(err) {
+  return ['ECONNREFUSED', 'ECONNRESET', 'EHOSTUNREACH', 'ENOTFOUND'].includes(err.code) ||
+    err.message.includes('timeout');
+}
+
+/**
+ * Build the status of a printer that cannot be used at all
+ * @private
+ */
+function unavailableStatus(status, message) {
+  return { available: false, status, severity: 'error', message, reasons: [], conditions: [] };
+}
+
+/**
+ * Check printer status with Get-Printer-Attributes
+ * @private
+ */
+async function getPrinterStatusIpp(printerName) {
+  try {
+    const response = await sendIppRequest(printerName, ippClient.OPERATIONS.getPrinterAttributes, [
+      requestedAttributes(['printer-state', 'printer-state-reasons', 'printer-state-message', 'printer-is-accepting-jobs'])
+    ]);
+
+    const attributes = ippClient.getGroups(response, ippClient.GROUP_TAGS.printer)[0] || {};
+    const acceptingJobs = ippClient.getValue(attributes, 'printer-is-accepting-jobs');
+
+    return printerState.buildPrinterStatus(printerName, {
+      state: ippClient.PRINTER_STATES[ippClient.getValue(attributes, 'printer-state')] || 'unknown',
+      reasons: attributes['printer-state-reasons'] || [],
+      stateMessage: ippClient.getValue(attributes, 'printer-state-message') || null,
+      acceptingJobs: typeof acceptingJobs === 'boolean' ? acceptingJobs : null
+    });
   } catch (err) {
-    // If lpstat fails, try a simpler check
-    try {
-      await execAsync(`lpstat -p`, { timeout: PRINTER_CONFIG.defaultTimeout });
+    if (err.statusCode === ippClient.STATUS_CODES.clientErrorNotFound) {
+      return unavailableStatus('not_found', `Printer ${printerName} not found`);
+    }
+
+    console.error(`[PRINTER] IPP printer status error: ${err.message}`);
+    return unavailableStatus('cups_unavailable', 'CUPS service is not available or not running');
+  }
+}
+
+// Printer attributes describing ink and other supplies
+const MARKER_ATTRIBUTES = ['marker-names', 'marker-levels', 'marker-colors', 'marker-types', 'marker-low-levels'];
+
+/**
+ * Submit job to printer with an IPP Print-Job request
+ * The document is streamed to CUPS, so its file name never passes through a shell
+ * @private
+ */
+async function submitJobToPrinterIpp(documentPath, settings, printerName) {
+  const options = buildPrinterOptions(settings, printerName);
+
+  try {
+    const response = await sendIppRequest(printerName, ippClient.OPERATIONS.printJob, [
+      { name: 'job-name', tag: ippClient.VALUE_TAGS.nameWithoutLanguage, value: path.basename(documentPath) },
+      { name: 'document-format', tag: ippClient.VALUE_TAGS.mimeMediaType, value: 'application/octet-stream' }
+    ], [
+      { tag: ippClient.GROUP_TAGS.job, attributes: toIppAttributes(options) }
+    ], documentPath);
+
+    const jobAttributes = ippClient.getGroups(response, ippClient.GROUP_TAGS.job)[0];
+    const jobId = jobAttributes && ippClient.getValue(jobAttributes, 'job-id') !== null
+      ? String(ippClient.getValue(jobAttributes, 'job-id'))
+      : 'unknown';
+
+    console.log(`[PRINTER] Job submitted over IPP with ID: ${jobId}`);
+
+    return {
+      success: true,
+      jobId,
+      message: `Job submitted successfully to printer. Job ID: ${jobId}`
+    };
+  } catch (err) {
+    console.error(`[PRINTER] IPP Print-Job error: ${err.message}`);
+
+    if (err.statusCode === ippClient.STATUS_CODES.clientErrorNotFound) {
+      throw submissionError('Printer not found or CUPS not installed', false);
+    } else if (err.statusCode === ippClient.STATUS_CODES.clientErrorNotAuthorized) {
+      throw submissionError('Permission denied. User may not have access to printer', false);
+    } else if (err.message.includes('timeout')) {
+      throw submissionError('Printer communication timeout', true);
+    } else if (isConnectionError(err)) {
+      throw submissionError('CUPS is not running', true);
+    } else if (err.statusCode === ippClient.STATUS_CODES.serverErrorServiceUnavailable ||
+      err.statusCode === ippClient.STATUS_CODES.serverErrorBusy) {
+      throw submissionError(`Printer is busy: ${err.message}`, true);
+    } else {
+      throw submissionError(`Printer submission failed: ${err.message}`, false);
+    }
+  }
+}
+
+/**
+ * Get print queue status with Get-Jobs
+ * @private
+ */
+async function getPrintQueueStatusIpp(printerName) {
+  try {
+    const response = await sendIppRequest(printerName, ippClient.OPERATIONS.getJobs, [
+      { name: 'which-jobs', tag: ippClient.VALUE_TAGS.keyword, value: 'not-completed' },
+      requestedAttributes(['job-id', 'job-name', 'job-originating-user-name', 'job-state', 'job-state-reasons'])
+    ]);
+
+    const jobs = ippClient.getGroups(response, ippClient.GROUP_TAGS.job).map((attributes, index) => {
+      const state = ippClient.JOB_STATES[ippClient.getValue(attributes, 'job-state')] || 'unknown';
       return {
-        available: false,
-        status: 'not_configured',
-        message: 'CUPS is running but printer is not configured'
+        rank: state === 'processing' ? 'active' : String(index + 1),
+        owner: ippClient.getValue(attributes, 'job-originating-user-name'),
+        jobId: String(ippClient.getValue(attributes, 'job-id')),
+        files: ippClient.getValue(attributes, 'job-name') || '',
+        state,
+        reasons: (attributes['job-state-reasons'] || []).filter(reason => reason !== 'none')
       };
-    } catch (innerErr) {
+    });
+
+    return {
+      jobs,
+      message: `Print queue has ${jobs.length} job(s)`
+    };
+  } catch (err) {
+    return {
+      jobs: [],
+      message: `Failed to retrieve print queue: ${err.message}`
+    };
+  }
+}
+
+/**
+ * Get the state of a job with Get-Job-Attributes
+ * @private
+ */
+async function getJobStateIpp(cupsJobId, printerName) {
+  try {
+    const response = await sendIppRequest(printerName, ippClient.OPERATIONS.getJobAttributes, [
+      { name: 'job-id', tag: ippClient.VALUE_TAGS.integer, value: parseInt(cupsJobId, 10) },
+      requestedAttributes(['job-state', 'job-state-reasons'])
+    ]);
+
+    const attributes = ippClient.getGroups(response, ippClient.GROUP_TAGS.job)[0] || {};
+    const jobState = ippClient.JOB_STATES[ippClient.getValue(attributes, 'job-state')];
+    const reasons = (attributes['job-state-reasons'] || []).filter(reason => reason !== 'none');
+
+    if (!jobState) {
+      return {
+        found: false,
+        state: 'unknown',
+        reasons,
+        message: `Job ${cupsJobId} has no known state`
+      };
+    }
+
+    // A stopped job was processing when its printer stopped
+    const state = jobState === 'stopped' ? 'processing' : jobState;
+    return {
+      found: true,
+      state,
+      reasons,
+      message: `Job ${cupsJobId} is ${state}`
+    };
+  } catch (err) {
+    if (err.statusCode === ippClient.STATUS_CODES.clientErrorNotFound) {
       return {
-        available: false,
-        status: 'cups_unavailable',
-        message: 'CUPS service is not available or not running'
+        found: false,
+        missing: true,
+        state: 'unknown',
+        reasons: [],
+        message: `Job ${cupsJobId} not found in CUPS`
       };
     }
+
+    console.error(`[PRINTER] Error getting job state over IPP: ${err.message}`);
+    return {
+      found: false,
+      state: 'unknown',
+      reasons: [],
+      message: `Failed to get job state: ${err.message}`
+    };
+  }
+}
+
+/**
+ * Cancel a print job with Cancel-Job
+ * @private
+ */
+async function cancelPrintJobIpp(jobId, printerName) {
+  await sendIppRequest(printerName, ippClient.OPERATIONS.cancelJob, [
+    { name: 'job-id', tag: ippClient.VALUE_TAGS.integer, value: parseInt(jobId, 10) }
+  ]);
+}
+
+/**
+ * Check if printer is available and ready
+ * The status is built from the printer's state and printer-state-reasons (see printerState): a printer that is
+ * stopped, disabled, offline, out of paper or jammed is unavailable, and conditions lists every reported reason.
+ * Low ink does not make a printer unavailable; it is reported in inkWarning and lowInk.
+ * @param {string} [printerName] - CUPS queue name
+ * @returns {Promise<{available: boolean, status: string, severity: string, message: string, reasons: Array<string>,
+ *   conditions: Array<Object>, inkWarning: string|null, lowInk: Array<Object>}>}
+ */
+async function getPrinterStatus(printerName = PRINTER_CONFIG.name) {
+  const status = useIpp()
+    ? await getPrinterStatusIpp(printerName)
+    : await getPrinterStatusCli(printerName);
+
+  return withInkWarning(status, printerName);
+}
+
+/**
+ * Add a low-ink warning to a printer status
+ * Uses the latest ink level reading, or the printer's own supply warning when levels are unknown
+ * @private
+ */
+function withInkWarning(status, printerName) {
+  const latest = inkLevels.getLatestLevels(printerName);
+  const lowInk = latest ? inkLevels.getLowMarkers(latest.markers) : [];
+  let inkWarning = inkLevels.describeLowInk(lowInk);
+
+  if (!inkWarning && (status.reasons || []).some(reason => reason.startsWith('marker-supply-low'))) {
+    inkWarning = 'Ink is low';
+  }
+
+  return {
+    ...status,
+    // Low ink is worth a warning but never makes the printer unavailable
+    severity: inkWarning && ['ok', 'info'].includes(status.severity) ? 'warning' : status.severity,
+    lowInk,
+    inkWarning
+  };
+}
+
+/**
+ * Check printer status with lpstat
+ * @private
+ */
+async function getPrinterStatusCli(printerName) {
+  try {
+    const { stdout } = await runCommand('lpstat', ['-l', '-p']);
+    const printer = printerState.parseLpstatPrinters(stdout)[printerName];
+
+    if (!printer) {
+      return unavailableStatus('not_found', `Printer ${printerName} not found`);
+    }
+
+    return printerState.buildPrinterStatus(printerName, printer);
+  } catch (err) {
+    // If lpstat fails, try a simpler check
+    try {
+      await runCommand('lpstat', ['-p']);
+      return unavailableStatus('not_configured', 'CUPS is running but printer is not configured');
+    } catch (innerErr) {
+      return unavailableStatus('cups_unavailable', 'CUPS service is not available or not running');
+    }
   }
 }
 
@@ -163,9 +617,11 @@ async function getPrinterStatus() {
  * @param {number} settings.printQuality - Print quality (DPI)
  * @param {string} settings.colorMode - Color mode
  * @param {string} settings.paperSize - Paper size
- * @returns {Promise<{success: boolean, jobId: string, message: string}>}
+ * @param {string} [printerName] - CUPS queue to print on
+ * @returns {Promise<{success: boolean, jobId: string, message: string, retryable?: boolean}>}
+ *   retryable is set on failures and tells whether resubmitting the job may succeed
  */
-async function submitJobToPrinter(documentPath, settings) {
+async function submitJobToPrinter(documentPath, settings, printerName = PRINTER_CONFIG.name) {
   try {
     console.log(`[PRINTER] submitJobToPrinter called with path: ${documentPath}`);
     console.log(`[PRINTER] Platform detected: ${os.platform()}`);
@@ -186,13 +642,16 @@ async function submitJobToPrinter(documentPath, settings) {
 
     console.log(`[PRINTER] Settings validated`);
 
-    // Use platform-specific submission
-    if (isWindows) {
+    // Use the IPP backend when configured, otherwise platform-specific submission
+    if (useIpp()) {
+      console.log(`[PRINTER] Using IPP submission`);
+      return await submitJobToPrinterIpp(documentPath, settings, printerName);
+    } else if (isWindows) {
       console.log(`[PRINTER] Using Windows submission`);
-      return await submitJobToPrinterWindows(documentPath, settings);
+      return await submitJobToPrinterWindows(documentPath, settings, printerName);
     } else if (isLinux) {
       console.log(`[PRINTER] Using Linux submission`);
-      return await submitJobToPrinterLinux(documentPath, settings);
+      return await submitJobToPrinterLinux(documentPath, settings, printerName);
     } else {
       console.error(`[PRINTER] Unsupported platform: ${os.platform()}`);
       throw new Error(`Unsupported platform: ${os.platform()}`);
@@ -202,7 +661,8 @@ async function submitJobToPrinter(documentPath, settings) {
     return {
       success: false,
       jobId: null,
-      message: `Failed to submit job to printer: ${err.message}`
+      message: `Failed to submit job to printer: ${err.message}`,
+      retryable: Boolean(err.retryable)
     };
   }
 }
@@ -211,34 +671,32 @@ async function submitJobToPrinter(documentPath, settings) {
  * Submit job to printer on Windows using print command
  * @private
  */
-async function submitJobToPrinterWindows(documentPath, settings) {
+async function submitJobToPrinterWindows(documentPath, settings, printerName) {
   try {
     // Windows print command: print /D:printerName filename
     // Note: Windows print command has limited options compared to CUPS
-    const command = `print /D:"${PRINTER_CONFIG.name}" "${documentPath}"`;
+    const args = [`/D:${printerName}`, documentPath];
 
     try {
       // Execute print command
-      const { stdout, stderr } = await execAsync(command, { timeout: PRINTER_CONFIG.defaultTimeout });
-
-      // Generate a job ID based on timestamp
-      const jobId = Math.floor(Date.now() / 1000).toString();
+      await runCommand('print', args);
 
+      // The print command does not report a job ID, so the job cannot be followed in a queue
       return {
         success: true,
-        jobId,
-        message: `Job submitted successfully to printer. Job ID: ${jobId}`
+        jobId: null,
+        message: 'Job submitted successfully to printer'
       };
     } catch (execError) {
       // Handle specific error cases
-      if (execError.message.includes('not found') || execError.message.includes('not recognized')) {
-        throw new Error('Printer not found or print command not available');
+      if (execError.code === 'ENOENT' || execError.message.includes('not found') || execError.message.includes('not recognized')) {
+        throw submissionError('Printer not found or print command not available', false);
       } else if (execError.message.includes('Access denied')) {
-        throw new Error('Permission denied. User may not have access to printer');
-      } else if (execError.message.includes('timeout')) {
-        throw new Error('Printer communication timeout');
+        throw submissionError('Permission denied. User may not have access to printer', false);
+      } else if (isTimeout(execError)) {
+        throw submissionError('Printer communication timeout', true);
       } else {
-        throw new Error(`Printer submission failed: ${execError.message}`);
+        throw submissionError(`Printer submission failed: ${execError.message}`, false);
       }
     }
   } catch (err) {
@@ -250,21 +708,17 @@ async function submitJobToPrinterWindows(documentPath, settings) {
  * Submit job to printer on Linux using lp command
  * @private
  */
-async function submitJobToPrinterLinux(documentPath, settings) {
+async function submitJobToPrinterLinux(documentPath, settings, printerName) {
   try {
     console.log(`[PRINTER] Attempting to submit job: ${documentPath}`);
     
-    // Format printer options for CUPS
-    const printerOptions = formatPrinterOptions(settings);
-    console.log(`[PRINTER] Formatted options: ${printerOptions}`);
-
-    // Build lp command
-    const command = `lp -d ${PRINTER_CONFIG.name} ${printerOptions} "${documentPath}"`;
-    console.log(`[PRINTER] Executing command: ${command}`);
+    // Build lp arguments; the document path is always a single argument
+    const args = ['-d', printerName, ...toLpArguments(buildPrinterOptions(settings, printerName)), documentPath];
+    console.log(`[PRINTER] Executing lp with arguments:`, args);
 
     try {
       // Execute lp command
-      const { stdout, stderr } = await execAsync(command, { timeout: PRINTER_CONFIG.defaultTimeout });
+      const { stdout, stderr } = await runCommand('lp', args);
 
       console.log(`[PRINTER] Command stdout: ${stdout}`);
       if (stderr) {
@@ -286,14 +740,16 @@ async function submitJobToPrinterLinux(documentPath, settings) {
       console.error(`[PRINTER] Command execution error: ${execError.message}`);
       
       // Handle specific error cases
-      if (execError.message.includes('No such file or directory')) {
-        throw new Error('Printer not found or CUPS not installed');
+      if (execError.code === 'ENOENT' || execError.message.includes('No such file or directory')) {
+        throw submissionError('Printer not found or CUPS not installed', false);
       } else if (execError.message.includes('Permission denied')) {
-        throw new Error('Permission denied. User may not have access to printer');
-      } else if (execError.message.includes('timeout')) {
-        throw new Error('Printer communication timeout');
+        throw submissionError('Permission denied. User may not have access to printer', false);
+      } else if (isTimeout(execError)) {
+        throw submissionError('Printer communication timeout', true);
+      } else if (isSchedulerDown(execError)) {
+        throw submissionError('CUPS is not running', true);
       } else {
-        throw new Error(`Printer submission failed: ${execError.message}`);
+        throw submissionError(`Printer submission failed: ${execError.message}`, false);
       }
     }
   } catch (err) {
@@ -304,11 +760,17 @@ async function submitJobToPrinterLinux(documentPath, settings) {
 
 /**
  * Get print queue status
+ * Jobs listed by the IPP backend also carry their state and state reasons
+ * @param {string} [printerName] - CUPS queue name
  * @returns {Promise<{jobs: Array, message: string}>}
  */
-async function getPrintQueueStatus() {
+async function getPrintQueueStatus(printerName = PRINTER_CONFIG.name) {
+  if (useIpp()) {
+    return getPrintQueueStatusIpp(printerName);
+  }
+
   try {
-    const { stdout } = await execAsync(`lpq -P ${PRINTER_CONFIG.name}`, { timeout: PRINTER_CONFIG.defaultTimeout });
+    const { stdout } = await runCommand('lpq', ['-P', printerName]);
 
     // Parse queue output
     const lines = stdout.split('\n').filter(line => line.trim());
@@ -342,11 +804,12 @@ async function getPrintQueueStatus() {
 /**
  * Check if a print job is still in the queue
  * @param {string} jobId - Job ID to check
+ * @param {string} [printerName] - CUPS queue name
  * @returns {Promise<{inQueue: boolean, status: string}>}
  */
-async function isJobInQueue(jobId) {
+async function isJobInQueue(jobId, printerName = PRINTER_CONFIG.name) {
   try {
-    const queueStatus = await getPrintQueueStatus();
+    const queueStatus = await getPrintQueueStatus(printerName);
     const jobInQueue = queueStatus.jobs.some(job => job.jobId.includes(jobId));
     
     if (jobInQueue) {
@@ -370,19 +833,147 @@ async function isJobInQueue(jobId) {
   }
 }
 
+/**
+ * Parse long-format `lpstat -l -o` output into job entries
+ * Job lines start with the request ID ("Ink-Tank-310-series-123  user  1024  date"),
+ * followed by indented detail lines such as "Alerts: job-completed-successfully"
+ * @param {string} output - lpstat output
+ * @returns {Array<{requestId: string, jobId: string, owner: string, reasons: Array<string>}>}
+ */
+function parseLpstatJobs(output) {
+  const jobs = [];
+  let current = null;
+
+  (output || '').split('\n').forEach(line => {
+    if (!line.trim()) {
+      return;
+    }
+
+    if (!/^\s/.test(line)) {
+      const parts = line.trim().split(/\s+/);
+      const idMatch = parts[0].match(/-(\d+)$/);
+
+      current = {
+        requestId: parts[0],
+        jobId: idMatch ? idMatch[1] : null,
+        owner: parts[1] || null,
+        reasons: []
+      };
+      jobs.push(current);
+      return;
+    }
+
+    const alertsMatch = line.match(/^\s+Alerts:\s*(.*)$/);
+    if (current && alertsMatch) {
+      current.reasons = alertsMatch[1].split(/\s+/).filter(Boolean);
+    }
+  });
+
+  return jobs;
+}
+
+/**
+ * Derive a CUPS job state from whether the job is still active and its state reasons
+ * @param {boolean} active - True if the job is listed among not-completed jobs
+ * @param {Array<string>} reasons - job-state-reasons reported by CUPS
+ * @returns {string} One of pending, held, processing, completed, canceled, aborted
+ */
+function resolveJobState(active, reasons) {
+  if (active) {
+    if (reasons.some(reason => reason.startsWith('job-hold'))) {
+      return 'held';
+    }
+    return reasons.includes('job-printing') ? 'processing' : 'pending';
+  }
+
+  if (reasons.some(reason => reason.includes('canceled'))) {
+    return 'canceled';
+  }
+  if (reasons.some(reason => reason.includes('aborted') || reason.includes('with-errors'))) {
+    return 'aborted';
+  }
+  return 'completed';
+}
+
+/**
+ * Get the state of a job in the CUPS queue
+ * @param {string} cupsJobId - CUPS job ID returned by submitJobToPrinter
+ * @param {string} [printerName] - CUPS queue the job was submitted to
+ * @returns {Promise<{found: boolean, missing?: boolean, state: string, reasons: Array<string>, message: string}>}
+ *   missing is true when CUPS was asked and has no such job, e.g. once a finished job has been purged
+ */
+async function getJobState(cupsJobId, printerName = PRINTER_CONFIG.name) {
+  if (!cupsJobId) {
+    return {
+      found: false,
+      state: 'unknown',
+      reasons: [],
+      message: 'Job ID is required'
+    };
+  }
+
+  if (useIpp()) {
+    return getJobStateIpp(cupsJobId, printerName);
+  }
+
+  const findJob = (stdout) => parseLpstatJobs(stdout).find(job => job.jobId === String(cupsJobId));
+
+  try {
+    const active = await runCommand('lpstat', ['-l', '-W', 'not-completed', '-o', printerName]);
+    let job = findJob(active.stdout);
+    let isActive = true;
+
+    if (!job) {
+      const completed = await runCommand('lpstat', ['-l', '-W', 'completed', '-o', printerName]);
+      job = findJob(completed.stdout);
+      isActive = false;
+    }
+
+    if (!job) {
+      return {
+        found: false,
+        missing: true,
+        state: 'unknown',
+        reasons: [],
+        message: `Job ${cupsJobId} not found in CUPS`
+      };
+    }
+
+    const state = resolveJobState(isActive, job.reasons);
+    return {
+      found: true,
+      state,
+      reasons: job.reasons,
+      message: `Job ${cupsJobId} is ${state}`
+    };
+  } catch (err) {
+    console.error(`[PRINTER] Error getting job state: ${err.message}`);
+    return {
+      found: false,
+      state: 'unknown',
+      reasons: [],
+      message: `Failed to get job state: ${err.message}`
+    };
+  }
+}
+
 /**
  * Cancel a print job
  * @param {string} jobId - Job ID to cancel
+ * @param {string} [printerName] - CUPS queue the job was submitted to
  * @returns {Promise<{success: boolean, message: string}>}
  */
-async function cancelPrintJob(jobId) {
+async function cancelPrintJob(jobId, printerName = PRINTER_CONFIG.name) {
   try {
     if (!jobId) {
       throw new Error('Job ID is required');
     }
 
-    const command = `cancel ${PRINTER_CONFIG.name}-${jobId}`;
-    await execAsync(command, { timeout: PRINTER_CONFIG.defaultTimeout });
+    if (useIpp()) {
+      await cancelPrintJobIpp(jobId, printerName);
+    } else {
+      await runCommand('cancel', [`${printerName}-${jobId}`]);
+    }
 
     return {
       success: true,
@@ -399,9 +990,10 @@ async function cancelPrintJob(jobId) {
 /**
  * Validate print settings
  * @param {Object} settings - Settings to validate
+ * @param {string} [printerName] - CUPS queue whose capabilities the settings must match
  * @returns {{valid: boolean, errors: Array<string>}}
  */
-function validatePrintSettings(settings) {
+function validatePrintSettings(settings, printerName = PRINTER_CONFIG.name) {
   const errors = [];
 
   if (!settings || typeof settings !== 'object') {
@@ -411,28 +1003,33 @@ function validatePrintSettings(settings) {
     };
   }
 
-  // Validate paper type
-  const validPaperTypes = ['Plain Paper', 'Glossy'];
-  if (settings.paperType && !validPaperTypes.includes(settings.paperType)) {
-    errors.push(`Invalid paper type: ${settings.paperType}`);
-  }
+  // Validate driver options against the printer capabilities
+  const labels = {
+    paperType: 'paper type',
+    printQuality: 'print quality',
+    colorMode: 'color mode',
+    paperSize: 'paper size'
+  };
+  PRINTER_SETTINGS.forEach(setting => {
+    if (settings[setting] && !printerCapabilities.getChoiceValues(setting, printerName).includes(settings[setting])) {
+      errors.push(`Invalid ${labels[setting]}: ${settings[setting]}`);
+    }
+  });
 
-  // Validate print quality
-  const validQualities = [600, 1200];
-  if (settings.printQuality && !validQualities.includes(parseInt(settings.printQuality, 10))) {
-    errors.push(`Invalid print quality: ${settings.printQuality}`);
+  // Validate copies
+  if (settings.copies !== undefined && !(Number.isInteger(Number(settings.copies)) && Number(settings.copies) >= 1)) {
+    errors.push(`Invalid number of copies: ${settings.copies}`);
   }
 
-  // Validate color mode
-  const validColorModes = ['Color', 'Grayscale'];
-  if (settings.colorMode && !validColorModes.includes(settings.colorMode)) {
-    errors.push(`Invalid color mode: ${settings.colorMode}`);
+  // Validate pages per sheet
+  const validPagesPerSheet = [1, 2, 4, 6];
+  if (settings.pagesPerSheet !== undefined && !validPagesPerSheet.includes(parseInt(settings.pagesPerSheet, 10))) {
+    errors.push(`Invalid pages per sheet: ${settings.pagesPerSheet}`);
   }
 
-  // Validate paper size
-  const validPaperSizes = ['A4', 'Letter', 'Legal'];
-  if (settings.paperSize && !validPaperSizes.includes(settings.paperSize)) {
-    errors.push(`Invalid paper size: ${settings.paperSize}`);
+  // Validate page ranges
+  if (parsePageRanges(settings.pageRanges) === null) {
+    errors.push(`Invalid page range: ${settings.pageRanges}`);
   }
 
   return {
@@ -441,32 +1038,154 @@ function validatePrintSettings(settings) {
   };
 }
 
+/**
+ * Read a printer's driver options with `lpoptions -l`
+ * @param {string} [printerName] - CUPS queue name
+ * @returns {Promise<string>} Raw lpoptions output
+ */
+async function readPrinterOptions(printerName = PRINTER_CONFIG.name) {
+  const { stdout } = await runCommand('lpoptions', ['-p', printerName, '-l']);
+  return stdout;
+}
+
 /**
  * Get printer capabilities
- * @returns {Promise<{capabilities: Object, message: string}>}
+ * Parses `lpoptions -l` into the capability model, which is cached for
+ * printerCapabilities.CAPABILITIES_CACHE_TTL_MS. The last known (or fallback) model is kept
+ * when the printer cannot be queried, and the printer is not queried again for
+ * printerCapabilities.CAPABILITIES_RETRY_MS.
+ * @param {Object} [options]
+ * @param {string} [options.printerName] - CUPS queue name
+ * @param {boolean} [options.refresh] - Query the printer even if the cache is fresh
+ * @returns {Promise<{capabilities: Object, model: Object, source: string, message: string}>}
+ */
+async function getPrinterCapabilities({ printerName = PRINTER_CONFIG.name, refresh = false } = {}) {
+  let message = 'Printer capabilities retrieved successfully';
+
+  if (refresh || printerCapabilities.isCacheStale(printerName)) {
+    try {
+      printerCapabilities.updateFromLpoptions(printerName, await readPrinterOptions(printerName));
+    } catch (err) {
+      console.error(`[PRINTER] Error reading printer options: ${err.message}`);
+      printerCapabilities.markQueryFailed(printerName);
+      message = printerCapabilities.getCapabilitiesSource(printerName) === 'fallback'
+        ? 'Using default capabilities'
+        : 'Using cached capabilities';
+    }
+  }
+
+  return {
+    capabilities: {
+      paperTypes: printerCapabilities.getChoiceValues('paperType', printerName),
+      printQualities: printerCapabilities.getChoiceValues('printQuality', printerName),
+      colorModes: printerCapabilities.getChoiceValues('colorMode', printerName),
+      paperSizes: printerCapabilities.getChoiceValues('paperSize', printerName)
+    },
+    model: printerCapabilities.getCapabilities(printerName),
+    source: printerCapabilities.getCapabilitiesSource(printerName),
+    message
+  };
+}
+
+/**
+ * Read a printer's ink levels
+ * Asks CUPS for the queue's marker attributes (over IPP, or with `lpoptions -p`). Printers whose
+ * driver does not report levels to CUPS are read with HPLIP's hp-levels instead.
+ * @param {string} [printerName] - CUPS queue name
+ * @returns {Promise<{success: boolean, markers: Array<Object>, source: string|null, message: string}>}
+ *   markers are parsed by inkLevels; source is 'cups' or 'hp-levels'
+ */
+async function readInkLevels(printerName = PRINTER_CONFIG.name) {
+  let markers = [];
+
+  try {
+    if (useIpp()) {
+      const response = await sendIppRequest(printerName, ippClient.OPERATIONS.getPrinterAttributes, [
+        requestedAttributes(MARKER_ATTRIBUTES)
+      ]);
+      markers = inkLevels.parseMarkerAttributes(ippClient.getGroups(response, ippClient.GROUP_TAGS.printer)[0] || {});
+    } else {
+      const { stdout } = await runCommand('lpoptions', ['-p', printerName]);
+      markers = inkLevels.parseMarkerAttributes(inkLevels.parseLpoptionsAttributes(stdout));
+    }
+  } catch (err) {
+    console.error(`[PRINTER] Error reading marker levels for ${printerName}: ${err.message}`);
+  }
+
+  if (markers.some(marker => marker.level !== null)) {
+    return {
+      success: true,
+      markers,
+      source: 'cups',
+      message: `Read ${markers.length} ink level(s) from CUPS`
+    };
+  }
+
+  try {
+    // hp-levels talks to the printer itself, which takes longer than a CUPS query
+    const { stdout } = await execFileAsync('hp-levels', ['-p', printerName], { timeout: PRINTER_CONFIG.defaultTimeout * 6 });
+    const hpMarkers = inkLevels.parseHpLevels(stdout);
+
+    if (hpMarkers.length > 0) {
+      return {
+        success: true,
+        markers: hpMarkers,
+        source: 'hp-levels',
+        message: `Read ${hpMarkers.length} ink level(s) with hp-levels`
+      };
+    }
+  } catch (err) {
+    console.error(`[PRINTER] Error running hp-levels for ${printerName}: ${err.message}`);
+  }
+
+  return {
+    success: false,
+    markers,
+    source: null,
+    message: `Ink levels of ${printerName} are not available`
+  };
+}
+
+/**
+ * Parse `lpstat -v` output into CUPS queues
+ * Each line looks like "device for Ink-Tank-310-series: usb://HP/Ink%20Tank%20310%20series"
+ * @param {string} output - lpstat output
+ * @returns {Array<{queueName: string, deviceUri: string}>}
+ */
+function parseLpstatDevices(output) {
+  const devices = [];
+
+  (output || '').split('\n').forEach(line => {
+    const match = line.match(/^device for ([^:\s]+):\s*(.*)$/);
+    if (match) {
+      devices.push({
+        queueName: match[1],
+        deviceUri: match[2].trim()
+      });
+    }
+  });
+
+  return devices;
+}
+
+/**
+ * Discover the print queues configured in CUPS
+ * @returns {Promise<{printers: Array<{queueName: string, deviceUri: string}>, message: string}>}
  */
-async function getPrinterCapabilities() {
+async function discoverPrinters() {
   try {
-    const { stdout } = await execAsync(`lpoptions -p ${PRINTER_CONFIG.name} -l`, { timeout: PRINTER_CONFIG.defaultTimeout });
+    const { stdout } = await runCommand('lpstat', ['-v']);
+    const printers = parseLpstatDevices(stdout);
 
     return {
-      capabilities: {
-        paperTypes: ['Plain Paper', 'Glossy'],
-        printQualities: [600, 1200],
-        colorModes: ['Color', 'Grayscale'],
-        paperSizes: ['A4', 'Letter', 'Legal']
-      },
-      message: 'Printer capabilities retrieved successfully'
+      printers,
+      message: `Found ${printers.length} printer(s)`
     };
   } catch (err) {
+    console.error(`[PRINTER] Error discovering printers: ${err.message}`);
     return {
-      capabilities: {
-        paperTypes: ['Plain Paper', 'Glossy'],
-        printQualities: [600, 1200],
-        colorModes: ['Color', 'Grayscale'],
-        paperSizes: ['A4', 'Letter', 'Legal']
-      },
-      message: 'Using default capabilities'
+      printers: [],
+      message: `Failed to discover printers: ${err.message}`
     };
   }
 }
@@ -477,8 +1196,15 @@ module.exports = {
   submitJobToPrinter,
   getPrintQueueStatus,
   isJobInQueue,
+  parseLpstatJobs,
+  resolveJobState,
+  getJobState,
   cancelPrintJob,
   validatePrintSettings,
+  readPrinterOptions,
   getPrinterCapabilities,
+  readInkLevels,
+  parseLpstatDevices,
+  discoverPrinters,
   PRINTER_CONFIG
 };
@@ -1,8 +1,41 @@
 const fc = require('fast-check');
+const http = require('http');
 const printerIntegration = require('./printerIntegration');
+const ippClient = require('./ippClient');
+const printerCapabilities = require('./printerCapabilities');
+const inkLevels = require('./inkLevels');
 const fs = require('fs');
 const path = require('path');
 
+/**
+ * Start a mock CUPS server that answers IPP requests with the handler's response
+ * @returns {Promise<{server: http.Server, port: number, requests: Array}>}
+ */
+function startMockCups(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const request = ippClient.decodeMessage(Buffer.concat(chunks));
+      const operation = request.groups[0].attributes;
+      requests.push({ path: req.url, request, operation });
+
+      const response = handler(request, operation);
+      res.writeHead(200, { 'Content-Type': 'application/ipp' });
+      res.end(ippClient.encodeMessage({
+        code: response.code || ippClient.STATUS_CODES.successfulOk,
+        requestId: request.requestId,
+        groups: [{ tag: ippClient.GROUP_TAGS.operation, attributes: [] }, ...(response.groups || [])]
+      }));
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, port: server.address().port, requests }));
+  });
+}
+
 describe('Printer Integration Module', () => {
   /**
    * **Feature: print-queue-manager, Property 2: File Format Validation**
@@ -82,6 +115,111 @@ describe('Printer Integration Module', () => {
       expect(options).toContain('-o MediaType=Glossy');
     });
 
+    test('should map copies, page ranges, n-up, orientation and collation to lp options', () => {
+      const options = printerIntegration.formatPrinterOptions({
+        paperType: 'Plain Paper',
+        printQuality: 'Normal',
+        colorMode: 'Grayscale',
+        paperSize: 'A4',
+        copies: 3,
+        pageRanges: '1-3,7',
+        pagesPerSheet: 2,
+        orientation: 'Landscape',
+        collated: false
+      });
+
+      expect(options).toContain('-n 3');
+      expect(options).toContain('-o collate=false');
+      expect(options).toContain('-P 1-3,7');
+      expect(options).toContain('-o number-up=2');
+      expect(options).toContain('-o orientation-requested=4');
+    });
+
+    test('should pass page ranges to lp without spaces', () => {
+      const options = printerIntegration.formatPrinterOptions({ paperSize: 'A4', pageRanges: ' 1 - 3, 7 ' });
+
+      expect(options).toContain('-P 1-3,7');
+    });
+
+    test('should omit layout options that match the printer defaults', () => {
+      const options = printerIntegration.formatPrinterOptions({
+        paperSize: 'A4',
+        copies: 1,
+        pageRanges: '',
+        pagesPerSheet: 1,
+        orientation: 'Portrait',
+        collated: true
+      });
+
+      expect(options).not.toContain('-n ');
+      expect(options).not.toContain('collate');
+      expect(options).not.toContain('-P ');
+      expect(options).not.toContain('number-up');
+      expect(options).not.toContain('orientation-requested');
+    });
+
+    test('should reverse the output order when requested', () => {
+      const options = printerIntegration.formatPrinterOptions({
+        paperSize: 'A4',
+        pageRanges: '2,4',
+        outputOrder: 'reverse'
+      });
+
+      expect(options).toContain('-o outputorder=reverse');
+      expect(printerIntegration.formatPrinterOptions({ paperSize: 'A4' })).not.toContain('outputorder');
+    });
+
+    test('should map image layout settings to CUPS image options', () => {
+      const fit = printerIntegration.formatPrinterOptions({ paperSize: 'A4', imageScaling: 'Fit', imagePosition: 'Center', imageMargin: 0 });
+      expect(fit).toContain('-o fit-to-page=true');
+      expect(fit).toContain('-o position=center');
+      expect(fit).not.toContain('page-left');
+
+      const custom = printerIntegration.formatPrinterOptions({
+        paperSize: 'A4',
+        imageScaling: 'Custom',
+        imageScale: 150,
+        imagePosition: 'Top Left',
+        imageMargin: 10
+      });
+      expect(custom).toContain('-o scaling=150');
+      expect(custom).toContain('-o position=top-left');
+      // 10 mm is 28 points
+      expect(custom).toContain('-o page-left=28 -o page-right=28 -o page-top=28 -o page-bottom=28');
+
+      // Documents other than images have no layout settings
+      expect(printerIntegration.formatPrinterOptions({ paperSize: 'A4' })).not.toMatch(/fit-to-page|scaling|position/);
+    });
+
+    test('should print borderless on the driver\'s borderless paper size', () => {
+      printerCapabilities.updateFromLpoptions('Photo-Printer', [
+        'PageSize/Media Size: *A4 A4.Borderless Letter',
+        'MediaType/Media Type: *Plain Glossy'
+      ].join('\n'));
+
+      try {
+        const options = printerIntegration.formatPrinterOptions({
+          paperType: 'Glossy',
+          paperSize: 'A4',
+          imageScaling: 'Fill',
+          imagePosition: 'Center',
+          imageMargin: 0,
+          borderless: true
+        }, 'Photo-Printer');
+
+        expect(options).toContain('-o media=A4.Borderless');
+        expect(options).toContain('-o print-scaling=fill');
+        expect(options).toContain('-o page-left=0');
+
+        // Without a borderless size the image is printed with zero margins
+        const letter = printerIntegration.formatPrinterOptions({ paperSize: 'Letter', imageScaling: 'Fill', borderless: true }, 'Photo-Printer');
+        expect(letter).toContain('-o media=Letter');
+        expect(letter).toContain('-o page-bottom=0');
+      } finally {
+        printerCapabilities.resetCapabilities();
+      }
+    });
+
     test('Property: Format options with various valid settings', async () => {
       await fc.assert(
         fc.asyncProperty(
@@ -113,7 +251,7 @@ describe('Printer Integration Module', () => {
     test('should validate correct settings', () => {
       const settings = {
         paperType: 'Plain Paper',
-        printQuality: 600,
+        printQuality: 'Normal',
         colorMode: 'Grayscale',
         paperSize: 'A4'
       };
@@ -126,7 +264,7 @@ describe('Printer Integration Module', () => {
     test('should reject invalid paper type', () => {
       const settings = {
         paperType: 'Invalid Paper',
-        printQuality: 600,
+        printQuality: 'Normal',
         colorMode: 'Grayscale',
         paperSize: 'A4'
       };
@@ -152,7 +290,7 @@ describe('Printer Integration Module', () => {
     test('should reject invalid color mode', () => {
       const settings = {
         paperType: 'Plain Paper',
-        printQuality: 600,
+        printQuality: 'Normal',
         colorMode: 'Sepia',
         paperSize: 'A4'
       };
@@ -165,7 +303,7 @@ describe('Printer Integration Module', () => {
     test('should reject invalid paper size', () => {
       const settings = {
         paperType: 'Plain Paper',
-        printQuality: 600,
+        printQuality: 'Normal',
         colorMode: 'Grayscale',
         paperSize: 'A3'
       };
@@ -175,6 +313,17 @@ describe('Printer Integration Module', () => {
       expect(result.errors.length).toBeGreaterThan(0);
     });
 
+    test('should reject the page ranges print settings reject', () => {
+      const settings = { paperType: 'Plain Paper', printQuality: 'Normal', colorMode: 'Grayscale', paperSize: 'A4' };
+
+      ['0', '0-3', '3-1'].forEach(pageRanges => {
+        const result = printerIntegration.validatePrintSettings({ ...settings, pageRanges });
+        expect(result.valid).toBe(false);
+        expect(result.errors).toContain(`Invalid page range: ${pageRanges}`);
+      });
+      expect(printerIntegration.validatePrintSettings({ ...settings, pageRanges: '1 - 3, 7' }).valid).toBe(true);
+    });
+
     test('should reject null settings', () => {
       const result = printerIntegration.validatePrintSettings(null);
       expect(result.valid).toBe(false);
@@ -236,6 +385,80 @@ describe('Printer Integration Module', () => {
     });
   });
 
+  describe('parseLpstatJobs', () => {
+    test('should parse job lines and their alerts', () => {
+      const output = [
+        'Ink-Tank-310-series-41  alice  1024   Mon 01 Jan 2024 10:00:00 AM UTC',
+        '\tStatus: ',
+        '\tAlerts: job-completed-successfully',
+        '\tqueued for Ink-Tank-310-series',
+        'Ink-Tank-310-series-42  bob  2048   Mon 01 Jan 2024 10:05:00 AM UTC',
+        '\tAlerts: job-canceled-by-user',
+        ''
+      ].join('\n');
+
+      const jobs = printerIntegration.parseLpstatJobs(output);
+
+      expect(jobs).toHaveLength(2);
+      expect(jobs[0]).toEqual({
+        requestId: 'Ink-Tank-310-series-41',
+        jobId: '41',
+        owner: 'alice',
+        reasons: ['job-completed-successfully']
+      });
+      expect(jobs[1].jobId).toBe('42');
+      expect(jobs[1].reasons).toEqual(['job-canceled-by-user']);
+    });
+
+    test('should return an empty list for empty output', () => {
+      expect(printerIntegration.parseLpstatJobs('')).toEqual([]);
+      expect(printerIntegration.parseLpstatJobs(undefined)).toEqual([]);
+    });
+  });
+
+  describe('resolveJobState', () => {
+    test('should map active jobs to pending, processing or held', () => {
+      expect(printerIntegration.resolveJobState(true, ['job-printing'])).toBe('processing');
+      expect(printerIntegration.resolveJobState(true, ['job-hold-until-specified'])).toBe('held');
+      expect(printerIntegration.resolveJobState(true, [])).toBe('pending');
+    });
+
+    test('should map finished jobs to completed, canceled or aborted', () => {
+      expect(printerIntegration.resolveJobState(false, ['job-completed-successfully'])).toBe('completed');
+      expect(printerIntegration.resolveJobState(false, ['job-canceled-by-user'])).toBe('canceled');
+      expect(printerIntegration.resolveJobState(false, ['job-aborted-by-system'])).toBe('aborted');
+      expect(printerIntegration.resolveJobState(false, ['job-completed-with-errors'])).toBe('aborted');
+    });
+  });
+
+  describe('parseLpstatDevices', () => {
+    test('should parse queue names and device URIs', () => {
+      const output = [
+        'device for Ink-Tank-310-series: usb://HP/Ink%20Tank%20310%20series?serial=CN1234',
+        'device for LaserJet_M110: ipp://192.168.1.20/ipp/print',
+        ''
+      ].join('\n');
+
+      expect(printerIntegration.parseLpstatDevices(output)).toEqual([
+        { queueName: 'Ink-Tank-310-series', deviceUri: 'usb://HP/Ink%20Tank%20310%20series?serial=CN1234' },
+        { queueName: 'LaserJet_M110', deviceUri: 'ipp://192.168.1.20/ipp/print' }
+      ]);
+    });
+
+    test('should return an empty list for empty output', () => {
+      expect(printerIntegration.parseLpstatDevices('')).toEqual([]);
+    });
+  });
+
+  describe('getJobState', () => {
+    test('should report unknown state without a job ID', async () => {
+      const result = await printerIntegration.getJobState(null);
+
+      expect(result.found).toBe(false);
+      expect(result.state).toBe('unknown');
+    });
+  });
+
   describe('cancelPrintJob', () => {
     test('should reject empty job ID', async () => {
       const result = await printerIntegration.cancelPrintJob('');
@@ -296,6 +519,7 @@ describe('Printer Integration Module', () => {
 
       expect(result.success).toBe(false);
       expect(result.message).toContain('not found');
+      expect(result.retryable).toBe(false);
     });
 
     test('should reject invalid settings', async () => {
@@ -354,4 +578,331 @@ describe('Printer Integration Module', () => {
       }
     });
   });
+  describe('command execution', () => {
+    const sentinel = path.join(process.cwd(), 'pqm-injection-sentinel');
+
+    afterEach(() => {
+      if (fs.existsSync(sentinel)) {
+        fs.unlinkSync(sentinel);
+      }
+    });
+
+    test('should pass hostile document paths to lp without a shell', async () => {
+      const hostileNames = [
+        'a$(touch pqm-injection-sentinel).pdf',
+        'b`touch pqm-injection-sentinel`.pdf',
+        'c"; touch pqm-injection-sentinel; ".pdf',
+        "d'; touch pqm-injection-sentinel; '.pdf"
+      ];
+
+      for (const name of hostileNames) {
+        const testFile = path.join(__dirname, '../../data', name);
+        fs.writeFileSync(testFile, '%PDF-1.4 test content');
+
+        try {
+          const result = await printerIntegration.submitJobToPrinter(testFile, { paperSize: 'A4' });
+          expect(typeof result.success).toBe('boolean');
+        } finally {
+          fs.unlinkSync(testFile);
+        }
+      }
+
+      expect(fs.existsSync(sentinel)).toBe(false);
+    });
+
+    test('should pass hostile queue names and job IDs as single arguments', async () => {
+      await printerIntegration.cancelPrintJob('1; touch pqm-injection-sentinel', 'q$(touch pqm-injection-sentinel)');
+      await printerIntegration.getJobState('1', 'q`touch pqm-injection-sentinel`');
+      await printerIntegration.getPrintQueueStatus('q; touch pqm-injection-sentinel');
+
+      expect(fs.existsSync(sentinel)).toBe(false);
+    });
+  });
+
+  describe('IPP backend', () => {
+    const { GROUP_TAGS, VALUE_TAGS, OPERATIONS, STATUS_CODES } = ippClient;
+    const originalConfig = { ...printerIntegration.PRINTER_CONFIG };
+    let mock;
+
+    const useMockCups = async (handler) => {
+      mock = await startMockCups(handler);
+      printerIntegration.PRINTER_CONFIG.backend = 'ipp';
+      printerIntegration.PRINTER_CONFIG.cupsUri = `ipp://127.0.0.1:${mock.port}`;
+    };
+
+    const jobGroup = attributes => ({ tag: GROUP_TAGS.job, attributes });
+
+    afterEach(done => {
+      Object.assign(printerIntegration.PRINTER_CONFIG, originalConfig);
+      if (mock) {
+        mock.server.close(done);
+        mock = null;
+      } else {
+        done();
+      }
+    });
+
+    test('should submit the document with Print-Job and return the CUPS job ID', async () => {
+      const testFile = path.join(__dirname, '../../data/it\'s a "test" $(document).pdf');
+      fs.writeFileSync(testFile, '%PDF-1.4 test content');
+
+      try {
+        await useMockCups(() => ({
+          groups: [jobGroup([
+            { name: 'job-id', tag: VALUE_TAGS.integer, value: 57 },
+            { name: 'job-state', tag: VALUE_TAGS.enum, value: 3 }
+          ])]
+        }));
+
+        const result = await printerIntegration.submitJobToPrinter(testFile, {
+          paperType: 'Plain Paper',
+          printQuality: 'Normal',
+          colorMode: 'Grayscale',
+          paperSize: 'A4',
+          copies: 2,
+          collated: true,
+          pageRanges: '1-3,7',
+          orientation: 'Landscape'
+        }, 'Office-Printer');
+
+        expect(result).toEqual({
+          success: true,
+          jobId: '57',
+          message: 'Job submitted successfully to printer. Job ID: 57'
+        });
+
+        const { path: requestPath, request, operation } = mock.requests[0];
+        expect(requestPath).toBe('/printers/Office-Printer');
+        expect(request.code).toBe(OPERATIONS.printJob);
+        expect(ippClient.getValue(operation, 'printer-uri')).toBe(`ipp://127.0.0.1:${mock.port}/printers/Office-Printer`);
+        expect(ippClient.getValue(operation, 'job-name')).toBe('it\'s a "test" $(document).pdf');
+        expect(request.data.toString()).toBe('%PDF-1.4 test content');
+
+        const job = ippClient.getGroups(request, GROUP_TAGS.job)[0];
+        expect(job['media']).toEqual(['A4']);
+        expect(job['ColorModel']).toEqual(['KGray']);
+        expect(job['copies']).toEqual([2]);
+        expect(job['multiple-document-handling']).toEqual(['separate-documents-collated-copies']);
+        expect(job['page-ranges']).toEqual([{ lower: 1, upper: 3 }, { lower: 7, upper: 7 }]);
+        expect(job['orientation-requested']).toEqual([4]);
+      } finally {
+        fs.unlinkSync(testFile);
+      }
+    });
+
+    test('should report a missing printer when Print-Job is rejected', async () => {
+      const testFile = path.join(__dirname, '../../data/ipp_missing_printer.pdf');
+      fs.writeFileSync(testFile, '%PDF-1.4 test content');
+
+      try {
+        await useMockCups(() => ({ code: STATUS_CODES.clientErrorNotFound }));
+
+        const result = await printerIntegration.submitJobToPrinter(testFile, { paperSize: 'A4' }, 'Missing');
+
+        expect(result.success).toBe(false);
+        expect(result.jobId).toBeNull();
+        expect(result.message).toContain('Printer not found');
+        expect(result.retryable).toBe(false);
+      } finally {
+        fs.unlinkSync(testFile);
+      }
+    });
+
+    test('should mark busy or unreachable CUPS submissions as retryable', async () => {
+      const testFile = path.join(__dirname, '../../data/ipp_busy_printer.pdf');
+      fs.writeFileSync(testFile, '%PDF-1.4 test content');
+
+      try {
+        await useMockCups(() => ({ code: STATUS_CODES.serverErrorBusy }));
+        const busy = await printerIntegration.submitJobToPrinter(testFile, { paperSize: 'A4' });
+        expect(busy).toMatchObject({ success: false, retryable: true });
+
+        await new Promise(resolve => mock.server.close(resolve));
+        mock = null;
+        const unreachable = await printerIntegration.submitJobToPrinter(testFile, { paperSize: 'A4' });
+        expect(unreachable).toMatchObject({ success: false, retryable: true, message: expect.stringContaining('CUPS is not running') });
+      } finally {
+        fs.unlinkSync(testFile);
+      }
+    });
+
+    test('should map IPP job-state values with Get-Job-Attributes', async () => {
+      const jobs = {
+        11: { state: 3, reasons: ['none'] },
+        12: { state: 4, reasons: ['job-hold-until-specified'] },
+        13: { state: 5, reasons: ['job-printing'] },
+        14: { state: 7, reasons: ['job-canceled-by-user'] },
+        15: { state: 8, reasons: ['aborted-by-system'] },
+        16: { state: 9, reasons: ['job-completed-successfully'] }
+      };
+
+      await useMockCups((request, operation) => {
+        const job = jobs[ippClient.getValue(operation, 'job-id')];
+        if (!job) {
+          return { code: STATUS_CODES.clientErrorNotFound };
+        }
+        return {
+          groups: [jobGroup([
+            { name: 'job-state', tag: VALUE_TAGS.enum, value: job.state },
+            { name: 'job-state-reasons', tag: VALUE_TAGS.keyword, value: job.reasons }
+          ])]
+        };
+      });
+
+      const states = {};
+      for (const jobId of Object.keys(jobs)) {
+        states[jobId] = (await printerIntegration.getJobState(jobId)).state;
+      }
+
+      expect(states).toEqual({
+        11: 'pending',
+        12: 'held',
+        13: 'processing',
+        14: 'canceled',
+        15: 'aborted',
+        16: 'completed'
+      });
+      expect(mock.requests.every(({ request }) => request.code === OPERATIONS.getJobAttributes)).toBe(true);
+
+      const pending = await printerIntegration.getJobState('11');
+      expect(pending.reasons).toEqual([]);
+
+      const missing = await printerIntegration.getJobState('99');
+      expect(missing).toEqual({
+        found: false,
+        missing: true,
+        state: 'unknown',
+        reasons: [],
+        message: 'Job 99 not found in CUPS'
+      });
+    });
+
+    test('should list not-completed jobs with Get-Jobs', async () => {
+      await useMockCups(() => ({
+        groups: [
+          jobGroup([
+            { name: 'job-id', tag: VALUE_TAGS.integer, value: 21 },
+            { name: 'job-name', tag: VALUE_TAGS.nameWithoutLanguage, value: 'report.pdf' },
+            { name: 'job-originating-user-name', tag: VALUE_TAGS.nameWithoutLanguage, value: 'alice' },
+            { name: 'job-state', tag: VALUE_TAGS.enum, value: 5 }
+          ]),
+          jobGroup([
+            { name: 'job-id', tag: VALUE_TAGS.integer, value: 22 },
+            { name: 'job-name', tag: VALUE_TAGS.nameWithoutLanguage, value: 'photo.jpg' },
+            { name: 'job-originating-user-name', tag: VALUE_TAGS.nameWithoutLanguage, value: 'bob' },
+            { name: 'job-state', tag: VALUE_TAGS.enum, value: 3 }
+          ])
+        ]
+      }));
+
+      const queueStatus = await printerIntegration.getPrintQueueStatus();
+
+      expect(ippClient.getValue(mock.requests[0].operation, 'which-jobs')).toBe('not-completed');
+      expect(queueStatus.message).toBe('Print queue has 2 job(s)');
+      expect(queueStatus.jobs).toEqual([
+        { rank: 'active', owner: 'alice', jobId: '21', files: 'report.pdf', state: 'processing', reasons: [] },
+        { rank: '2', owner: 'bob', jobId: '22', files: 'photo.jpg', state: 'pending', reasons: [] }
+      ]);
+
+      expect(await printerIntegration.isJobInQueue('22')).toEqual({ inQueue: true, status: 'in-progress' });
+    });
+
+    test('should cancel jobs with Cancel-Job', async () => {
+      await useMockCups(() => ({}));
+
+      const result = await printerIntegration.cancelPrintJob('31', 'Office-Printer');
+
+      expect(result).toEqual({ success: true, message: 'Job 31 cancelled successfully' });
+      expect(mock.requests[0].request.code).toBe(OPERATIONS.cancelJob);
+      expect(mock.requests[0].path).toBe('/printers/Office-Printer');
+      expect(ippClient.getValue(mock.requests[0].operation, 'job-id')).toBe(31);
+    });
+
+    test('should report printer state from Get-Printer-Attributes', async () => {
+      let printerState = 3;
+      await useMockCups((request, operation) => {
+        if (operation['printer-uri'][0].endsWith('/Missing')) {
+          return { code: STATUS_CODES.clientErrorNotFound };
+        }
+        return {
+          groups: [{
+            tag: GROUP_TAGS.printer,
+            attributes: [
+              { name: 'printer-state', tag: VALUE_TAGS.enum, value: printerState },
+              { name: 'printer-state-reasons', tag: VALUE_TAGS.keyword, value: printerState === 5 ? ['media-empty-error'] : ['none'] },
+              { name: 'printer-state-message', tag: VALUE_TAGS.textWithoutLanguage, value: printerState === 5 ? 'Out of paper' : '' }
+            ]
+          }]
+        };
+      });
+
+      const idle = await printerIntegration.getPrinterStatus();
+      expect(idle).toMatchObject({ available: true, status: 'idle', reasons: [] });
+
+      printerState = 5;
+      const stopped = await printerIntegration.getPrinterStatus();
+      expect(stopped).toMatchObject({ available: false, status: 'stopped', reasons: ['media-empty-error'] });
+      expect(stopped.message).toContain('Out of paper');
+
+      const missing = await printerIntegration.getPrinterStatus('Missing');
+      expect(missing).toMatchObject({ available: false, status: 'not_found' });
+    });
+
+    test('should read ink levels from the printer\'s marker attributes', async () => {
+      await useMockCups(() => ({
+        groups: [{
+          tag: GROUP_TAGS.printer,
+          attributes: [
+            { name: 'marker-names', tag: VALUE_TAGS.nameWithoutLanguage, value: ['Black Cartridge', 'Tri-color Cartridge'] },
+            { name: 'marker-levels', tag: VALUE_TAGS.integer, value: [70, 6] },
+            { name: 'marker-colors', tag: VALUE_TAGS.nameWithoutLanguage, value: ['#000000', '#00FFFF#FF00FF#FFFF00'] }
+          ]
+        }]
+      }));
+
+      const result = await printerIntegration.readInkLevels('Office-Printer');
+
+      expect(result.success).toBe(true);
+      expect(result.source).toBe('cups');
+      expect(result.markers.map(marker => marker.level)).toEqual([70, 6]);
+      expect(mock.requests[0].request.code).toBe(OPERATIONS.getPrinterAttributes);
+      expect(ippClient.getValue(mock.requests[0].operation, 'requested-attributes')).toBe('marker-names');
+    });
+
+    test('should warn about low ink in the printer status', async () => {
+      await useMockCups(() => ({
+        groups: [{
+          tag: GROUP_TAGS.printer,
+          attributes: [
+            { name: 'printer-state', tag: VALUE_TAGS.enum, value: 3 },
+            { name: 'printer-state-reasons', tag: VALUE_TAGS.keyword, value: ['marker-supply-low-warning'] }
+          ]
+        }]
+      }));
+
+      const unread = await printerIntegration.getPrinterStatus('Office-Printer');
+      expect(unread).toMatchObject({ available: true, inkWarning: 'Ink is low', lowInk: [] });
+
+      inkLevels.setLatestLevels('Office-Printer', inkLevels.parseMarkerAttributes({ 'marker-names': 'Black,Color', 'marker-levels': '70,6' }));
+      try {
+        const status = await printerIntegration.getPrinterStatus('Office-Printer');
+        expect(status.available).toBe(true);
+        expect(status.inkWarning).toBe('Ink is low: Color (6%)');
+        expect(status.lowInk.map(marker => marker.name)).toEqual(['Color']);
+      } finally {
+        inkLevels.clearLatestLevels();
+      }
+    });
+
+    test('should report CUPS as unavailable when the server cannot be reached', async () => {
+      await useMockCups(() => ({}));
+      await new Promise(resolve => mock.server.close(resolve));
+      mock = null;
+
+      const status = await printerIntegration.getPrinterStatus();
+
+      expect(status.available).toBe(false);
+      expect(status.status).toBe('cups_unavailable');
+    });
+  });
 });
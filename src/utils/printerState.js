@@ -0,0 +1,192 @@
+/**
+ * Printer State
+ * Turns the state CUPS reports for a printer into a status with a severity and a message users
+ * can act on, e.g. "Printer Office is stopped: Out of paper".
+ *
+ * CUPS explains a printer's state with printer-state-reasons keywords such as media-empty-error or
+ * offline-report. The -error, -warning and -report suffixes are dropped to look up each reason, but
+ * a -warning or -report suffix still sets its severity: the printer only warns or informs.
+ */
+
+// Severities from least to most severe
+const SEVERITIES = ['ok', 'info', 'warning', 'error'];
+
+// Known printer-state-reasons, without their suffix
+const STATE_REASONS = {
+  'media-empty': { severity: 'error', message: 'Out of paper' },
+  'media-needed': { severity: 'error', message: 'Paper needs to be loaded' },
+  'media-jam': { severity: 'error', message: 'Paper jam' },
+  'media-low': { severity: 'warning', message: 'Paper is running low' },
+  'offline': { severity: 'error', message: 'Printer is offline or disconnected' },
+  'paused': { severity: 'error', message: 'Queue is disabled' },
+  'shutdown': { severity: 'error', message: 'Printer is switched off' },
+  'door-open': { severity: 'error', message: 'A door is open' },
+  'cover-open': { severity: 'error', message: 'A cover is open' },
+  'input-tray-missing': { severity: 'error', message: 'A paper tray is missing' },
+  'output-tray-missing': { severity: 'error', message: 'The output tray is missing' },
+  'output-area-full': { severity: 'error', message: 'The output tray is full' },
+  'output-area-almost-full': { severity: 'warning', message: 'The output tray is almost full' },
+  'marker-supply-empty': { severity: 'error', message: 'Out of ink' },
+  'marker-supply-low': { severity: 'warning', message: 'Ink is low' },
+  'toner-empty': { severity: 'error', message: 'Out of toner' },
+  'toner-low': { severity: 'warning', message: 'Toner is low' },
+  'marker-waste-full': { severity: 'error', message: 'The waste ink container is full' },
+  'marker-waste-almost-full': { severity: 'warning', message: 'The waste ink container is almost full' },
+  'spool-area-full': { severity: 'error', message: 'The print server has run out of spool space' },
+  'cups-missing-filter': { severity: 'error', message: 'A print filter is missing on the server' },
+  'cups-insecure-filter': { severity: 'error', message: 'A print filter on the server is insecure' },
+  'connecting-to-device': { severity: 'info', message: 'Connecting to the printer' },
+  'moving-to-paused': { severity: 'warning', message: 'Queue is being disabled' },
+  'timed-out': { severity: 'warning', message: 'The printer stopped responding' }
+};
+
+/**
+ * Get the more severe of two severities
+ * @private
+ */
+function maxSeverity(a, b) {
+  return SEVERITIES.indexOf(b) > SEVERITIES.indexOf(a) ? b : a;
+}
+
+// Severities set by printer-state-reasons suffixes, whatever the reason
+const SUFFIX_SEVERITIES = { report: 'info', warning: 'warning' };
+
+/**
+ * Describe a printer-state-reasons keyword
+ * -report and -warning suffixes set the severity. Reasons without one, or with -error, take the
+ * severity of the known reason, and unknown ones are errors with -error and informational without.
+ * @param {string} reason - e.g. media-empty-error
+ * @returns {{reason: string, severity: string, message: string}}
+ */
+function describeReason(reason) {
+  const suffixMatch = reason.match(/-(error|warning|report)$/);
+  const keyword = suffixMatch ? reason.slice(0, -suffixMatch[0].length) : reason;
+  const known = STATE_REASONS[keyword];
+  const suffixSeverity = suffixMatch ? SUFFIX_SEVERITIES[suffixMatch[1]] : undefined;
+
+  if (known) {
+    return { reason, severity: suffixSeverity || known.severity, message: known.message };
+  }
+
+  const severity = suffixSeverity || (suffixMatch ? 'error' : 'info');
+  const words = keyword.replace(/^[a-z]+\.[a-z.]+\./, '').replace(/-/g, ' ');
+  return { reason, severity, message: words.charAt(0).toUpperCase() + words.slice(1) };
+}
+
+/**
+ * Build a printer status from the state CUPS reports
+ * A printer is available unless it is stopped, disabled or has an error condition such as a paper jam.
+ * @param {string} printerName - CUPS queue name
+ * @param {Object} state
+ * @param {string} state.state - idle, processing, stopped or unknown
+ * @param {Array<string>} [state.reasons] - printer-state-reasons keywords
+ * @param {string|null} [state.stateMessage] - printer-state-message
+ * @param {boolean|null} [state.acceptingJobs] - printer-is-accepting-jobs, if known
+ * @returns {{available: boolean, status: string, severity: string, message: string, reasons: Array<string>,
+ *   conditions: Array<{reason: string, severity: string, message: string}>}}
+ */
+function buildPrinterStatus(printerName, { state, reasons = [], stateMessage = null, acceptingJobs = null }) {
+  const activeReasons = reasons.filter(reason => reason && reason !== 'none');
+  const conditions = activeReasons.map(describeReason);
+
+  if (acceptingJobs === false) {
+    conditions.push({ reason: 'not-accepting-jobs', severity: 'error', message: 'Queue is not accepting jobs' });
+  }
+
+  // A stopped queue with the paused reason was disabled by an administrator (cupsdisable)
+  const status = state === 'stopped' && activeReasons.some(reason => reason.startsWith('paused')) ? 'disabled' : state;
+
+  let severity = conditions.reduce((worst, condition) => maxSeverity(worst, condition.severity), 'ok');
+  if (status === 'stopped' || status === 'disabled') {
+    severity = 'error';
+  } else if (status === 'unknown') {
+    severity = maxSeverity(severity, 'warning');
+  }
+
+  const headlines = {
+    idle: `Printer ${printerName} is ready`,
+    processing: `Printer ${printerName} is currently processing a job`,
+    stopped: `Printer ${printerName} is stopped`,
+    disabled: `Printer ${printerName} is disabled`,
+    unknown: `Printer ${printerName} status is unknown`
+  };
+
+  // Explain everything worth a warning, then the printer's own message if it says something new
+  const details = conditions
+    .filter(condition => condition.severity === 'warning' || condition.severity === 'error')
+    .filter(condition => !(status === 'disabled' && condition.reason.startsWith('paused')))
+    .map(condition => condition.message);
+  if (stateMessage && !details.some(detail => detail.toLowerCase() === stateMessage.toLowerCase())) {
+    details.push(stateMessage);
+  }
+
+  const headline = status === 'idle' && severity === 'error' ? `Printer ${printerName} needs attention` : headlines[status];
+
+  return {
+    available: severity !== 'error',
+    status,
+    severity,
+    message: details.length > 0 ? `${headline}: ${details.join('; ')}` : headline,
+    reasons: activeReasons,
+    conditions
+  };
+}
+
+/**
+ * Parse the printer list printed by `lpstat -l -p`
+ * Each printer starts with a line such as "printer Office is idle.  enabled since ...",
+ * "printer Office now printing Office-12.  enabled since ..." or "printer Office disabled since ... -",
+ * followed by indented lines: the printer-state-message, if any, then details such as
+ * "Alerts: media-empty-error offline-report"
+ * @param {string} output - lpstat output
+ * @returns {Object<string, {state: string, stateMessage: string|null, reasons: Array<string>}>} Printers by queue name
+ */
+function parseLpstatPrinters(output) {
+  const printers = {};
+  let current = null;
+  let afterHeader = false;
+
+  String(output || '').split('\n').forEach(line => {
+    const headerMatch = line.match(/^printer\s+(\S+)\s+(.*)$/);
+    if (headerMatch) {
+      const description = headerMatch[2];
+      let state = 'unknown';
+      if (/disabled since/.test(description)) {
+        state = 'stopped';
+      } else if (/now printing/.test(description)) {
+        state = 'processing';
+      } else if (/is idle/.test(description)) {
+        state = 'idle';
+      }
+
+      current = { state, stateMessage: null, reasons: [] };
+      printers[headerMatch[1]] = current;
+      afterHeader = true;
+      return;
+    }
+
+    if (!current || !/^\s/.test(line)) {
+      afterHeader = false;
+      return;
+    }
+
+    const text = line.trim();
+    const alertsMatch = text.match(/^Alerts:\s*(.*)$/);
+    if (alertsMatch) {
+      current.reasons = alertsMatch[1].split(/\s+/).filter(Boolean);
+    } else if (afterHeader && text && !/^(Form mounted|Content types|Printer types|Description|Location|Connection|Interface):/.test(text)) {
+      // lpstat prints "reason unknown" for a stopped printer without a message
+      current.stateMessage = text === 'reason unknown' ? null : text;
+    }
+    afterHeader = false;
+  });
+
+  return printers;
+}
+
+module.exports = {
+  SEVERITIES,
+  describeReason,
+  buildPrinterStatus,
+  parseLpstatPrinters
+};
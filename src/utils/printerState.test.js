@@ -0,0 +1,112 @@
+const printerState = require('./printerState');
+
+describe('Printer State', () => {
+  describe('parseLpstatPrinters', () => {
+    test('should read the state, message and alerts of each printer', () => {
+      const output = [
+        'printer Office is idle.  enabled since Mon 02 Mar 2026 09:00:00 AM UTC',
+        '\tForm mounted:',
+        '\tContent types: any',
+        '\tDescription: Office Laser',
+        '\tAlerts: media-empty-error',
+        '\tLocation: Room 2',
+        'printer Ink-Tank now printing Ink-Tank-12.  enabled since Mon 02 Mar 2026 09:05:00 AM UTC',
+        '\tForm mounted:',
+        'printer Lobby disabled since Mon 02 Mar 2026 08:00:00 AM UTC -',
+        '\tPaused for maintenance',
+        '\tForm mounted:',
+        '\tAlerts: paused',
+        'printer Basement disabled since Mon 02 Mar 2026 07:00:00 AM UTC -',
+        '\treason unknown',
+        ''
+      ].join('\n');
+
+      const printers = printerState.parseLpstatPrinters(output);
+
+      expect(printers.Office).toEqual({ state: 'idle', stateMessage: null, reasons: ['media-empty-error'] });
+      expect(printers['Ink-Tank']).toEqual({ state: 'processing', stateMessage: null, reasons: [] });
+      expect(printers.Lobby).toEqual({ state: 'stopped', stateMessage: 'Paused for maintenance', reasons: ['paused'] });
+      expect(printers.Basement).toEqual({ state: 'stopped', stateMessage: null, reasons: [] });
+    });
+
+    test('should return no printers for empty output', () => {
+      expect(printerState.parseLpstatPrinters('')).toEqual({});
+    });
+  });
+
+  describe('describeReason', () => {
+    test('should describe known reasons whatever their suffix', () => {
+      expect(printerState.describeReason('media-jam-error')).toEqual({ reason: 'media-jam-error', severity: 'error', message: 'Paper jam' });
+      expect(printerState.describeReason('offline')).toMatchObject({ severity: 'error', message: 'Printer is offline or disconnected' });
+      expect(printerState.describeReason('marker-supply-low-warning')).toMatchObject({ severity: 'warning', message: 'Ink is low' });
+    });
+
+    test('should let -report and -warning suffixes set the severity of known reasons', () => {
+      expect(printerState.describeReason('offline-report')).toMatchObject({ severity: 'info', message: 'Printer is offline or disconnected' });
+      expect(printerState.describeReason('media-empty-warning')).toMatchObject({ severity: 'warning', message: 'Out of paper' });
+      expect(printerState.describeReason('media-low-report')).toMatchObject({ severity: 'info' });
+      expect(printerState.describeReason('media-low-error')).toMatchObject({ severity: 'warning' });
+    });
+
+    test('should take the severity of unknown reasons from their suffix', () => {
+      expect(printerState.describeReason('com.example.fuser-hot-warning')).toMatchObject({ severity: 'warning', message: 'Fuser hot' });
+      expect(printerState.describeReason('cups-waiting-for-job-completed')).toMatchObject({ severity: 'info' });
+      expect(printerState.describeReason('com.example.fuser-failed-error')).toMatchObject({ severity: 'error' });
+      expect(printerState.describeReason('com.example.fuser-cold-report')).toMatchObject({ severity: 'info' });
+    });
+  });
+
+  describe('buildPrinterStatus', () => {
+    test('should report a ready printer', () => {
+      expect(printerState.buildPrinterStatus('Office', { state: 'idle', reasons: ['none'] })).toEqual({
+        available: true,
+        status: 'idle',
+        severity: 'ok',
+        message: 'Printer Office is ready',
+        reasons: [],
+        conditions: []
+      });
+    });
+
+    test('should make a printer that is out of paper unavailable even while idle', () => {
+      const status = printerState.buildPrinterStatus('Office', { state: 'idle', reasons: ['media-empty-error', 'marker-supply-low-warning'] });
+
+      expect(status).toMatchObject({ available: false, status: 'idle', severity: 'error' });
+      expect(status.message).toBe('Printer Office needs attention: Out of paper; Ink is low');
+    });
+
+    test('should report a disabled queue and the printer\'s message', () => {
+      const status = printerState.buildPrinterStatus('Lobby', { state: 'stopped', reasons: ['paused'], stateMessage: 'Paused for maintenance' });
+
+      expect(status).toMatchObject({ available: false, status: 'disabled', severity: 'error' });
+      expect(status.message).toBe('Printer Lobby is disabled: Paused for maintenance');
+    });
+
+    test('should not repeat a message that matches a condition', () => {
+      const status = printerState.buildPrinterStatus('Office', { state: 'stopped', reasons: ['media-empty-error'], stateMessage: 'Out of paper' });
+
+      expect(status.message).toBe('Printer Office is stopped: Out of paper');
+    });
+
+    test('should keep a printer with only warnings available', () => {
+      const status = printerState.buildPrinterStatus('Office', { state: 'processing', reasons: ['media-low-warning', 'connecting-to-device'] });
+
+      expect(status).toMatchObject({ available: true, severity: 'warning' });
+      expect(status.message).toBe('Printer Office is currently processing a job: Paper is running low');
+      expect(status.conditions.map(condition => condition.severity)).toEqual(['warning', 'info']);
+    });
+
+    test('should keep a printer available when an error reason is only reported', () => {
+      const status = printerState.buildPrinterStatus('Office', { state: 'idle', reasons: ['media-empty-report'] });
+
+      expect(status).toMatchObject({ available: true, severity: 'info', message: 'Printer Office is ready' });
+    });
+
+    test('should report a queue that is rejecting jobs', () => {
+      const status = printerState.buildPrinterStatus('Office', { state: 'idle', acceptingJobs: false });
+
+      expect(status.available).toBe(false);
+      expect(status.message).toBe('Printer Office needs attention: Queue is not accepting jobs');
+    });
+  });
+});
@@ -1,9 +1,10 @@
-const { execAsync } = require('util').promisify(require('child_process').exec);
+const { execFile, spawn } = require('child_process');
 const util = require('util');
 const fs = require('fs');
 const path = require('path');
 
-const exec = util.promisify(require('child_process').exec);
+// Commands run without a shell; device names and paths are passed as separate arguments
+const execFileAsync = util.promisify(execFile);
 
 /**
  * Scanner Integration Module
@@ -30,7 +31,7 @@ async function detectScannerDevice() {
     console.log('[SCANNER] Auto-detecting scanner device...');
     
     // Try to get device list using scanimage -A
-    const { stdout, stderr } = await exec('scanimage -A 2>&1', { timeout: 10000 });
+    const { stdout, stderr } = await execFileAsync('scanimage', ['-A'], { timeout: 10000 });
     const output = stdout + stderr;
     
     console.log('[SCANNER] scanimage -A output:', output.substring(0, 200));
@@ -67,7 +68,7 @@ if (!fs.existsSync(SCANNER_CONFIG.scannedFilesDir)) {
  */
 async function getAvailableScanners() {
   try {
-    const { stdout } = await exec('scanimage -l', { timeout: SCANNER_CONFIG.defaultTimeout });
+    const { stdout } = await execFileAsync('scanimage', ['-l'], { timeout: SCANNER_CONFIG.defaultTimeout });
     
     console.log('[SCANNER] Available scanners:', stdout);
     
@@ -91,6 +92,90 @@ async function getAvailableScanners() {
   }
 }
 
+/**
+ * Run scanimage and write the image it prints to a file
+ * @private
+ * @param {string} deviceName - SANE device name, or 'default' for the default scanner
+ * @param {string} outputPath - File to write the PNM image to
+ * @returns {Promise<void>}
+ */
+function scanToFile(deviceName, outputPath) {
+  const args = deviceName === 'default' ? [] : [`--device-name=${deviceName}`];
+
+  return new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(outputPath);
+    const scan = spawn('scanimage', args, { stdio: ['ignore', 'pipe', 'pipe'] });
+    let stderr = '';
+    let timedOut = false;
+
+    // Close the output file and delete the partial image written to it
+    const discardOutput = () => new Promise(done => {
+      const removeOutput = () => fs.unlink(outputPath, () => done());
+      scan.stdout.unpipe(output);
+      if (output.closed) {
+        removeOutput();
+      } else {
+        output.once('close', removeOutput);
+        output.destroy();
+      }
+    });
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      scan.kill();
+      discardOutput().then(() => reject(new Error('Scanner communication timeout')));
+    }, SCANNER_CONFIG.defaultTimeout);
+
+    scan.stdout.pipe(output);
+    scan.stderr.on('data', chunk => {
+      stderr += chunk;
+    });
+
+    scan.on('error', (err) => {
+      clearTimeout(timer);
+      output.destroy();
+      reject(err);
+    });
+
+    scan.on('close', (code) => {
+      clearTimeout(timer);
+      if (timedOut) {
+        return;
+      }
+      if (code !== 0) {
+        reject(new Error(stderr.trim() || `scanimage exited with code ${code}`));
+      } else if (output.writableFinished) {
+        resolve();
+      } else {
+        output.once('finish', resolve);
+      }
+    });
+  });
+}
+
+/**
+ * Convert a scanned PNM image with ffmpeg, falling back to ImageMagick convert
+ * @private
+ * @returns {Promise<boolean>} False if neither tool could convert the image
+ */
+async function convertScan(inputPath, outputPath) {
+  try {
+    // Try using ffmpeg first
+    await execFileAsync('ffmpeg', ['-i', inputPath, outputPath, '-y'], { timeout: SCANNER_CONFIG.defaultTimeout });
+    return true;
+  } catch (ffmpegErr) {
+    console.log('[SCANNER] ffmpeg not available, trying convert');
+  }
+
+  try {
+    // Fall back to ImageMagick convert
+    await execFileAsync('convert', [inputPath, outputPath], { timeout: SCANNER_CONFIG.defaultTimeout });
+    return true;
+  } catch (convertErr) {
+    return false;
+  }
+}
+
 /**
  * Scan a document from the scanner
  * @param {string} format - Output format ('pdf' or 'png')
@@ -122,66 +207,23 @@ async function scanDocument(format = 'pdf') {
     console.log(`[SCANNER] Scanning to temporary PNM file: ${tempPnmPath}`);
     console.log(`[SCANNER] Using device: ${deviceName}`);
 
-    // Use scanimage to scan to PNM format (default, most reliable)
-    let scanCommand;
-    if (deviceName === 'default') {
-      scanCommand = `scanimage > "${tempPnmPath}"`;
-    } else {
-      scanCommand = `scanimage --device-name="${deviceName}" > "${tempPnmPath}"`;
-    }
-    
     try {
-      console.log(`[SCANNER] Executing: ${scanCommand}`);
-      await exec(scanCommand, { timeout: SCANNER_CONFIG.defaultTimeout, shell: '/bin/bash' });
+      // Use scanimage to scan to PNM format (default, most reliable)
+      console.log('[SCANNER] Running scanimage');
+      await scanToFile(deviceName, tempPnmPath);
       console.log('[SCANNER] Scan completed successfully');
 
       // Convert from PNM to desired format
-      if (format.toLowerCase() === 'pdf') {
-        console.log('[SCANNER] Converting PNM to PDF');
-        try {
-          // Try using ffmpeg first
-          const convertCommand = `ffmpeg -i "${tempPnmPath}" "${finalPath}" -y`;
-          await exec(convertCommand, { timeout: SCANNER_CONFIG.defaultTimeout });
-        } catch (ffmpegErr) {
-          console.log('[SCANNER] ffmpeg not available, trying convert');
-          try {
-            // Fall back to ImageMagick convert
-            const convertCommand = `convert "${tempPnmPath}" "${finalPath}"`;
-            await exec(convertCommand, { timeout: SCANNER_CONFIG.defaultTimeout });
-          } catch (convertErr) {
-            console.log('[SCANNER] convert not available, saving as PNM instead');
-            // If neither works, just rename to PDF (it will be PNM format)
-            fs.renameSync(tempPnmPath, finalPath);
-          }
-        }
-        
-        // Remove temporary PNM file if it still exists
-        if (fs.existsSync(tempPnmPath)) {
-          fs.unlinkSync(tempPnmPath);
-        }
-      } else if (format.toLowerCase() === 'png') {
-        console.log('[SCANNER] Converting PNM to PNG');
-        try {
-          // Try using ffmpeg first
-          const convertCommand = `ffmpeg -i "${tempPnmPath}" "${finalPath}" -y`;
-          await exec(convertCommand, { timeout: SCANNER_CONFIG.defaultTimeout });
-        } catch (ffmpegErr) {
-          console.log('[SCANNER] ffmpeg not available, trying convert');
-          try {
-            // Fall back to ImageMagick convert
-            const convertCommand = `convert "${tempPnmPath}" "${finalPath}"`;
-            await exec(convertCommand, { timeout: SCANNER_CONFIG.defaultTimeout });
-          } catch (convertErr) {
-            console.log('[SCANNER] convert not available, saving as PNG anyway');
-            // If neither works, just rename to PNG (it will be PNM format but with PNG extension)
-            fs.renameSync(tempPnmPath, finalPath);
-          }
-        }
-        
-        // Remove temporary PNM file if it still exists
-        if (fs.existsSync(tempPnmPath)) {
-          fs.unlinkSync(tempPnmPath);
-        }
+      console.log(`[SCANNER] Converting PNM to ${format.toUpperCase()}`);
+      if (!(await convertScan(tempPnmPath, finalPath))) {
+        console.log(`[SCANNER] convert not available, saving as PNM with .${format.toLowerCase()} extension`);
+        // If neither works, just rename (it will be PNM format)
+        fs.renameSync(tempPnmPath, finalPath);
+      }
+
+      // Remove temporary PNM file if it still exists
+      if (fs.existsSync(tempPnmPath)) {
+        fs.unlinkSync(tempPnmPath);
       }
 
       console.log(`[SCANNER] Scan saved to: ${finalPath}`);
@@ -205,7 +247,7 @@ async function scanDocument(format = 'pdf') {
         }
       }
 
-      if (scanError.message.includes('not found') || scanError.message.includes('not recognized')) {
+      if (scanError.code === 'ENOENT' || scanError.message.includes('not found') || scanError.message.includes('not recognized')) {
         throw new Error('Scanner not found or SANE not installed. Make sure SANE is installed: sudo apt-get install sane sane-utils');
       } else if (scanError.message.includes('Permission denied')) {
         throw new Error('Permission denied. Add user to scanner group: sudo usermod -a -G scanner $USER');
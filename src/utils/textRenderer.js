@@ -0,0 +1,504 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { PDFDocument, StandardFonts, PageSizes, rgb } = require('pdf-lib');
+
+/**
+ * Text Renderer
+ * Lays out plain text and Markdown documents as a paginated PDF, so they print, count pages and
+ * preview like any uploaded PDF.
+ *
+ * Plain text is set in a monospaced font so columns stay aligned. Markdown headings, lists, block
+ * quotes, code blocks and rules are styled; inline markup such as **bold** or [links](url) is
+ * reduced to its text. Every page is numbered in the footer.
+ *
+ * Documents are limited in size so a large upload cannot tie up the server: text longer than
+ * maxCharacters, or that would print on more than maxPages pages, is rejected.
+ */
+
+/**
+ * Read a size in points from the environment
+ * @private
+ */
+function envSize(name, fallback, min, max) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value >= min && value <= max ? value : fallback;
+}
+
+/**
+ * Read a limit from the environment
+ * @private
+ */
+function envLimit(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value > 0 ? value : fallback;
+}
+
+const TEXT_RENDER_CONFIG = {
+  // Body font size in points
+  fontSize: envSize('TEXT_FONT_SIZE', 11, 6, 24),
+  // Page margin in points (72 points per inch)
+  margin: envSize('TEXT_MARGIN', 54, 18, 144),
+  pageSize: process.env.TEXT_PAGE_SIZE === 'Letter' ? 'Letter' : 'A4',
+  // Line height as a multiple of the font size
+  lineHeight: 1.35,
+  tabWidth: 4,
+  // Longest text laid out, in characters
+  maxCharacters: envLimit('TEXT_MAX_CHARACTERS', 1000000),
+  // Most pages a text document may print on
+  maxPages: envLimit('TEXT_MAX_PAGES', 500)
+};
+
+// Heading sizes as a multiple of the body font size, by heading level
+const HEADING_SCALES = [1.6, 1.35, 1.15, 1, 1, 1];
+
+// Code of the error thrown for documents too long to lay out, which callers can show to the user
+const TEXT_TOO_LONG = 'TEXT_TOO_LONG';
+
+const CODE_BACKGROUND = rgb(0.95, 0.95, 0.95);
+const QUOTE_COLOR = rgb(0.35, 0.35, 0.35);
+const RULE_COLOR = rgb(0.75, 0.75, 0.75);
+
+/**
+ * Create the error for a document too long to lay out
+ * @private
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function textTooLongError(message) {
+  const err = new Error(message);
+  err.code = TEXT_TOO_LONG;
+  return err;
+}
+
+/**
+ * Normalize line endings and expand tabs
+ * @private
+ */
+function normalizeText(text) {
+  return String(text || '')
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .map(line => {
+      let expanded = '';
+      for (const char of line) {
+        expanded += char === '\t'
+          ? ' '.repeat(TEXT_RENDER_CONFIG.tabWidth - (expanded.length % TEXT_RENDER_CONFIG.tabWidth))
+          : char;
+      }
+      return expanded;
+    })
+    .join('\n');
+}
+
+/**
+ * Reduce inline Markdown to plain text
+ * @private
+ */
+function stripInlineMarkdown(text) {
+  return text
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\(([^)\s]+)[^)]*\)/g, (match, label, url) => (label === url ? label : `${label} (${url})`))
+    .replace(/<((?:https?|mailto):[^>\s]+)>/g, '$1')
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/(\*\*|__)(?=\S)(.+?)\1/g, '$2')
+    .replace(/(^|[^\w*])\*(?=\S)([^*]+?)\*(?!\*)/g, '$1$2')
+    .replace(/(^|\W)_(?=\S)([^_]+?)_(?=\W|$)/g, '$1$2')
+    .replace(/~~(.+?)~~/g, '$1')
+    .replace(/\\([\\`*_{}[\]()#+\-.!>~|])/g, '$1');
+}
+
+/**
+ * Split a Markdown document into blocks
+ * @param {string} text - Markdown source
+ * @returns {Array<Object>} Blocks: { type: 'heading', level, text }, { type: 'paragraph', text },
+ *   { type: 'list-item', depth, marker, text }, { type: 'quote', text }, { type: 'code', lines } or { type: 'rule' }
+ */
+function parseMarkdown(text) {
+  const blocks = [];
+  let open = null;
+  let fence = null;
+  let indentedCode = null;
+
+  const close = () => {
+    if (open) {
+      blocks.push(open);
+      open = null;
+    }
+    indentedCode = null;
+  };
+
+  for (const line of normalizeText(text).split('\n')) {
+    if (fence) {
+      if (line.trim().startsWith(fence.marker)) {
+        blocks.push({ type: 'code', lines: fence.lines });
+        fence = null;
+      } else {
+        fence.lines.push(line);
+      }
+      continue;
+    }
+
+    const fenceMatch = line.match(/^\s{0,3}(`{3,}|~{3,})/);
+    if (fenceMatch) {
+      close();
+      fence = { marker: fenceMatch[1], lines: [] };
+      continue;
+    }
+
+    if (line.trim() === '') {
+      if (open) {
+        close();
+      } else if (indentedCode) {
+        // Blank lines inside an indented code block belong to it
+        indentedCode.lines.push('');
+      }
+      continue;
+    }
+
+    // Indented code starts after a blank line or another block, never inside a paragraph
+    if (!open && /^ {4}/.test(line) && !/^\s*([-*+]|\d{1,9}[.)])\s/.test(line)) {
+      if (!indentedCode) {
+        indentedCode = { type: 'code', lines: [] };
+        blocks.push(indentedCode);
+      }
+      indentedCode.lines.push(line.slice(4));
+      continue;
+    }
+    if (indentedCode) {
+      // Trailing blank lines are not part of the code
+      while (indentedCode.lines[indentedCode.lines.length - 1] === '') {
+        indentedCode.lines.pop();
+      }
+      indentedCode = null;
+    }
+
+    const heading = line.match(/^\s{0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/);
+    if (heading) {
+      close();
+      blocks.push({ type: 'heading', level: heading[1].length, text: heading[2] });
+      continue;
+    }
+
+    // A line of = or - under a paragraph turns it into a heading
+    if (open && open.type === 'paragraph' && /^\s{0,3}(=+|-+)\s*$/.test(line)) {
+      blocks.push({ type: 'heading', level: line.trim()[0] === '=' ? 1 : 2, text: open.text });
+      open = null;
+      continue;
+    }
+
+    if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      close();
+      blocks.push({ type: 'rule' });
+      continue;
+    }
+
+    const item = line.match(/^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/);
+    if (item) {
+      close();
+      open = {
+        type: 'list-item',
+        depth: Math.floor(item[1].length / 2),
+        marker: /\d/.test(item[2]) ? item[2] : '•',
+        text: item[3]
+      };
+      continue;
+    }
+
+    const quote = line.match(/^\s{0,3}>\s?(.*)$/);
+    if (quote) {
+      if (open && open.type === 'quote') {
+        open.text += ` ${quote[1]}`;
+      } else {
+        close();
+        open = { type: 'quote', text: quote[1] };
+      }
+      continue;
+    }
+
+    // Other lines continue the open paragraph, list item or quote
+    if (open) {
+      open.text += ` ${line.trim()}`;
+    } else {
+      open = { type: 'paragraph', text: line.trim() };
+    }
+  }
+
+  if (fence) {
+    blocks.push({ type: 'code', lines: fence.lines });
+  }
+  close();
+
+  return blocks.map(block => (block.text !== undefined ? { ...block, text: stripInlineMarkdown(block.text.trim()) } : block));
+}
+
+/**
+ * Replace characters a standard PDF font cannot draw
+ * @private
+ * @param {Set<string>} replaced - Collects the characters that were replaced
+ */
+function toDrawableText(text, font, characterSets, replaced) {
+  if (!characterSets.has(font)) {
+    characterSets.set(font, new Set(font.getCharacterSet()));
+  }
+  const characters = characterSets.get(font);
+
+  let drawable = '';
+  for (const char of text) {
+    if (characters.has(char.codePointAt(0))) {
+      drawable += char;
+    } else {
+      drawable += '?';
+      replaced.add(char);
+    }
+  }
+  return drawable;
+}
+
+/**
+ * Wrap text to lines no wider than maxWidth
+ * Lines break between words; words too long for a line are split. Leading spaces are kept so plain
+ * text indentation survives.
+ * @param {string} text - Text to wrap
+ * @param {Object} font - Embedded pdf-lib font
+ * @param {number} size - Font size in points
+ * @param {number} maxWidth - Line width in points
+ * @returns {Array<string>} At least one line
+ */
+function wrapText(text, font, size, maxWidth) {
+  const width = value => font.widthOfTextAtSize(value, size);
+  const lines = [];
+  let line = '';
+
+  for (const token of text.split(/(\s+)/).filter(Boolean)) {
+    if (width(line + token) <= maxWidth) {
+      line += token;
+      continue;
+    }
+
+    if (/^\s+$/.test(token)) {
+      lines.push(line);
+      line = '';
+      continue;
+    }
+
+    if (line.trim()) {
+      lines.push(line.trimEnd());
+      line = '';
+    }
+
+    // Search for how much of the word fits, only ever measuring about a line of it however long it is
+    const fits = count => width(line + rest.slice(0, count)) <= maxWidth;
+    let rest = token;
+    for (;;) {
+      let fit = 0;
+      let step = 1;
+      while (fit < rest.length && fits(Math.min(fit + step, rest.length))) {
+        fit = Math.min(fit + step, rest.length);
+        step *= 2;
+      }
+      for (step = Math.floor(step / 2); step >= 1; step = Math.floor(step / 2)) {
+        if (fit + step < rest.length && fits(fit + step)) {
+          fit += step;
+        }
+      }
+      if (fit === rest.length) {
+        break;
+      }
+      fit = Math.max(fit, 1);
+      lines.push(line + rest.slice(0, fit));
+      line = '';
+      rest = rest.slice(fit);
+    }
+    line += rest;
+  }
+
+  lines.push(line.trimEnd());
+  return lines;
+}
+
+/**
+ * Render plain text or Markdown as a PDF
+ * @param {string} text - Document text
+ * @param {Object} [options]
+ * @param {boolean} [options.markdown] - Treat the text as Markdown
+ * @param {string} [options.title] - Document title stored in the PDF
+ * @param {number} [options.fontSize] - Body font size in points
+ * @param {number} [options.margin] - Page margin in points
+ * @param {string} [options.pageSize] - A4 or Letter
+ * @returns {Promise<{pdf: Uint8Array, pageCount: number, replacedCharacters: Array<string>}>} PDF bytes, its
+ *   number of pages and the characters the standard fonts lack, which are printed as question marks
+ * @throws {Error} With code TEXT_TOO_LONG if the text is longer than maxCharacters or would print on more than maxPages pages
+ */
+async function renderTextToPdf(text, options = {}) {
+  const {
+    markdown = false,
+    title = null,
+    fontSize = TEXT_RENDER_CONFIG.fontSize,
+    margin = TEXT_RENDER_CONFIG.margin,
+    pageSize = TEXT_RENDER_CONFIG.pageSize
+  } = options;
+
+  const length = String(text || '').length;
+  if (length > TEXT_RENDER_CONFIG.maxCharacters) {
+    throw textTooLongError(`The text document has ${length} characters, more than the ${TEXT_RENDER_CONFIG.maxCharacters} that can be laid out for printing`);
+  }
+
+  const pdfDoc = await PDFDocument.create();
+  if (title) {
+    pdfDoc.setTitle(title);
+  }
+
+  const fonts = {
+    regular: await pdfDoc.embedFont(StandardFonts.Helvetica),
+    bold: await pdfDoc.embedFont(StandardFonts.HelveticaBold),
+    italic: await pdfDoc.embedFont(StandardFonts.HelveticaOblique),
+    mono: await pdfDoc.embedFont(StandardFonts.Courier)
+  };
+  const characterSets = new Map();
+  const replaced = new Set();
+
+  const [pageWidth, pageHeight] = PageSizes[pageSize] || PageSizes.A4;
+  const contentWidth = pageWidth - margin * 2;
+  const footerHeight = fontSize * 2;
+  const top = pageHeight - margin;
+
+  let page = null;
+  let y = top;
+
+  const newPage = () => {
+    if (pdfDoc.getPageCount() >= TEXT_RENDER_CONFIG.maxPages) {
+      throw textTooLongError(`The text document would print on more than ${TEXT_RENDER_CONFIG.maxPages} pages`);
+    }
+    page = pdfDoc.addPage([pageWidth, pageHeight]);
+    y = top;
+  };
+
+  // Leave space before a block, except at the top of a page
+  const addGap = gap => {
+    if (page && y < top) {
+      y -= gap;
+    }
+  };
+
+  // Draw one line of text, starting a new page when the line does not fit
+  const drawLine = (line, { font, size, x, background = false, bar = false, color, prefix = null }) => {
+    const height = size * TEXT_RENDER_CONFIG.lineHeight;
+    if (!page || y - height < margin + footerHeight) {
+      newPage();
+    }
+    y -= height;
+
+    if (background) {
+      page.drawRectangle({ x: margin, y, width: contentWidth, height, color: CODE_BACKGROUND });
+    }
+    if (bar) {
+      page.drawRectangle({ x: margin, y, width: 2, height, color: RULE_COLOR });
+    }
+    if (prefix) {
+      page.drawText(toDrawableText(prefix.text, font, characterSets, replaced), { x: prefix.x, y: y + size * 0.3, size, font, color });
+    }
+    page.drawText(toDrawableText(line, font, characterSets, replaced), { x, y: y + size * 0.3, size, font, color });
+  };
+
+  const drawWrapped = (value, style, indent = 0) => {
+    const drawable = toDrawableText(value, style.font, characterSets, replaced);
+    wrapText(drawable, style.font, style.size, contentWidth - indent).forEach(line => {
+      drawLine(line, { ...style, x: margin + indent });
+    });
+  };
+
+  if (!markdown) {
+    normalizeText(text).split('\n').forEach(line => drawWrapped(line, { font: fonts.mono, size: fontSize }));
+  } else {
+    let previous = null;
+
+    parseMarkdown(text).forEach(block => {
+      if (block.type === 'heading') {
+        const size = fontSize * HEADING_SCALES[block.level - 1];
+        addGap(fontSize * 0.9);
+        drawWrapped(block.text, { font: fonts.bold, size });
+      } else if (block.type === 'paragraph') {
+        addGap(fontSize * 0.6);
+        drawWrapped(block.text, { font: fonts.regular, size: fontSize });
+      } else if (block.type === 'list-item') {
+        addGap(previous && previous.type === 'list-item' ? fontSize * 0.15 : fontSize * 0.6);
+
+        // Wrapped lines hang under the item text, not the bullet or number
+        const indent = fontSize * 1.2 * (block.depth + 1);
+        const markerX = margin + indent - fonts.regular.widthOfTextAtSize(`${block.marker} `, fontSize);
+        const lines = wrapText(toDrawableText(block.text, fonts.regular, characterSets, replaced), fonts.regular, fontSize, contentWidth - indent);
+        lines.forEach((line, i) => drawLine(line, {
+          font: fonts.regular,
+          size: fontSize,
+          x: margin + indent,
+          prefix: i === 0 ? { text: block.marker, x: markerX } : null
+        }));
+      } else if (block.type === 'quote') {
+        addGap(fontSize * 0.6);
+        drawWrapped(block.text, { font: fonts.italic, size: fontSize, bar: true, color: QUOTE_COLOR }, fontSize);
+      } else if (block.type === 'code') {
+        addGap(fontSize * 0.6);
+        const style = { font: fonts.mono, size: fontSize * 0.9, background: true };
+        (block.lines.length > 0 ? block.lines : ['']).forEach(line => drawWrapped(line, style, fontSize * 0.5));
+      } else if (block.type === 'rule') {
+        addGap(fontSize * 0.6);
+        drawLine('', { font: fonts.regular, size: fontSize, x: margin });
+        page.drawLine({
+          start: { x: margin, y: y + fontSize * 0.6 },
+          end: { x: pageWidth - margin, y: y + fontSize * 0.6 },
+          thickness: 1,
+          color: RULE_COLOR
+        });
+      }
+
+      previous = block;
+    });
+  }
+
+  // An empty document still prints one page
+  if (!page) {
+    newPage();
+  }
+
+  const pages = pdfDoc.getPages();
+  const footerSize = fontSize * 0.8;
+  pages.forEach((pdfPage, i) => {
+    const label = `Page ${i + 1} of ${pages.length}`;
+    pdfPage.drawText(label, {
+      x: (pageWidth - fonts.regular.widthOfTextAtSize(label, footerSize)) / 2,
+      y: margin / 2,
+      size: footerSize,
+      font: fonts.regular,
+      color: QUOTE_COLOR
+    });
+  });
+
+  return { pdf: await pdfDoc.save(), pageCount: pages.length, replacedCharacters: [...replaced] };
+}
+
+/**
+ * Convert a plain text or Markdown file to a PDF next to it
+ * @param {string} sourcePath - Text file
+ * @param {Object} [options] - renderTextToPdf options
+ * @returns {Promise<{path: string, replacedCharacters: Array<string>}>} Path of the PDF and the characters
+ *   printed as question marks
+ * @throws {Error} With code TEXT_TOO_LONG if the text is too long to lay out
+ */
+async function convertTextFile(sourcePath, options = {}) {
+  const text = await fs.readFile(sourcePath, 'utf8');
+  const outputPath = path.join(path.dirname(sourcePath), `${path.basename(sourcePath, path.extname(sourcePath))}.pdf`);
+
+  const { pdf, replacedCharacters } = await renderTextToPdf(text, options);
+  await fs.writeFile(outputPath, pdf);
+  return { path: outputPath, replacedCharacters };
+}
+
+module.exports = {
+  TEXT_RENDER_CONFIG,
+  TEXT_TOO_LONG,
+  parseMarkdown,
+  wrapText,
+  renderTextToPdf,
+  convertTextFile
+};
@@ -0,0 +1,152 @@
+const fs = require('fs');
+const path = require('path');
+const { PDFDocument, StandardFonts } = require('pdf-lib');
+const textRenderer = require('./textRenderer');
+
+const dataDir = path.join(__dirname, '../../data');
+
+describe('Text Renderer', () => {
+  describe('parseMarkdown', () => {
+    test('should split a document into headings, paragraphs, lists, quotes, code and rules', () => {
+      const markdown = [
+        '# Pancakes',
+        '',
+        'Serves **four**, see [the blog](https://example.com/pancakes)',
+        'for photos.',
+        '',
+        '- 200 g flour',
+        '- 2 eggs',
+        '  - at room temperature',
+        '1. Whisk',
+        '',
+        '> Do not overmix',
+        '',
+        '```',
+        'mix(flour, eggs)',
+        '```',
+        '',
+        '---',
+        '',
+        'Notes',
+        '-----'
+      ].join('\n');
+
+      expect(textRenderer.parseMarkdown(markdown)).toEqual([
+        { type: 'heading', level: 1, text: 'Pancakes' },
+        { type: 'paragraph', text: 'Serves four, see the blog (https://example.com/pancakes) for photos.' },
+        { type: 'list-item', depth: 0, marker: '•', text: '200 g flour' },
+        { type: 'list-item', depth: 0, marker: '•', text: '2 eggs' },
+        { type: 'list-item', depth: 1, marker: '•', text: 'at room temperature' },
+        { type: 'list-item', depth: 0, marker: '1.', text: 'Whisk' },
+        { type: 'quote', text: 'Do not overmix' },
+        { type: 'code', lines: ['mix(flour, eggs)'] },
+        { type: 'rule' },
+        { type: 'heading', level: 2, text: 'Notes' }
+      ]);
+    });
+
+    test('should keep indented code and leave snake_case words alone', () => {
+      const blocks = textRenderer.parseMarkdown('Run it:\n\n    npm start\n\n    npm test\n\nUse some_file_name _here_.');
+
+      expect(blocks).toEqual([
+        { type: 'paragraph', text: 'Run it:' },
+        { type: 'code', lines: ['npm start', '', 'npm test'] },
+        { type: 'paragraph', text: 'Use some_file_name here.' }
+      ]);
+    });
+  });
+
+  describe('wrapText', () => {
+    let font;
+
+    beforeAll(async () => {
+      const pdfDoc = await PDFDocument.create();
+      font = await pdfDoc.embedFont(StandardFonts.Courier);
+    });
+
+    test('should break lines between words and split words that do not fit', () => {
+      // Courier characters are 6 points wide at size 10, so 60 points fit 10 characters
+      expect(textRenderer.wrapText('eggs flour milk sugar', font, 10, 60)).toEqual(['eggs flour', 'milk sugar']);
+      expect(textRenderer.wrapText('abcdefghijklmnop', font, 10, 60)).toEqual(['abcdefghij', 'klmnop']);
+    });
+
+    test('should keep indentation and blank lines', () => {
+      expect(textRenderer.wrapText('    - milk', font, 10, 60)).toEqual(['    - milk']);
+      expect(textRenderer.wrapText('', font, 10, 60)).toEqual(['']);
+    });
+  });
+
+  describe('renderTextToPdf', () => {
+    test('should paginate long text', async () => {
+      const text = Array.from({ length: 120 }, (_, i) => `Item ${i + 1}`).join('\n');
+
+      const { pdf, pageCount } = await textRenderer.renderTextToPdf(text, { title: 'list.txt' });
+      const pdfDoc = await PDFDocument.load(pdf);
+
+      expect(pdfDoc.getPageCount()).toBeGreaterThan(1);
+      expect(pageCount).toBe(pdfDoc.getPageCount());
+      expect(pdfDoc.getTitle()).toBe('list.txt');
+    });
+
+    test('should print characters the standard fonts lack as question marks and report them', async () => {
+      const { pdf, replacedCharacters } = await textRenderer.renderTextToPdf('# Sushi 寿司\n\nCosts €12 or 寿', { markdown: true });
+
+      expect((await PDFDocument.load(pdf)).getPageCount()).toBe(1);
+      expect(replacedCharacters).toEqual(['寿', '司']);
+    });
+
+    test('should report no replaced characters for text the standard fonts can print', async () => {
+      const { replacedCharacters } = await textRenderer.renderTextToPdf('Café crème – 12 €', {});
+
+      expect(replacedCharacters).toEqual([]);
+    });
+
+    test('should render an empty document as one page', async () => {
+      const pdfDoc = await PDFDocument.load((await textRenderer.renderTextToPdf('', { markdown: true })).pdf);
+
+      expect(pdfDoc.getPageCount()).toBe(1);
+    });
+
+    test('should reject text longer than the character limit', async () => {
+      const text = 'a'.repeat(textRenderer.TEXT_RENDER_CONFIG.maxCharacters + 1);
+
+      await expect(textRenderer.renderTextToPdf(text)).rejects.toMatchObject({ code: textRenderer.TEXT_TOO_LONG });
+    });
+
+    test('should reject text that would print on more pages than the page limit', async () => {
+      const { maxPages } = textRenderer.TEXT_RENDER_CONFIG;
+      textRenderer.TEXT_RENDER_CONFIG.maxPages = 2;
+
+      try {
+        await expect(textRenderer.renderTextToPdf('\n'.repeat(200))).rejects.toMatchObject({
+          code: textRenderer.TEXT_TOO_LONG,
+          message: 'The text document would print on more than 2 pages'
+        });
+      } finally {
+        textRenderer.TEXT_RENDER_CONFIG.maxPages = maxPages;
+      }
+    });
+
+    test('should split a very long word across lines and pages', async () => {
+      const { pageCount } = await textRenderer.renderTextToPdf('x'.repeat(20000));
+
+      expect(pageCount).toBeGreaterThan(1);
+    });
+  });
+
+  test('should convert a Markdown file to a PDF next to it', async () => {
+    const sourcePath = path.join(dataDir, 'text_renderer_test.md');
+    fs.writeFileSync(sourcePath, '# Shopping\n\n- milk\n- bread\n');
+
+    try {
+      const { path: pdfPath, replacedCharacters } = await textRenderer.convertTextFile(sourcePath, { markdown: true });
+
+      expect(replacedCharacters).toEqual([]);
+      expect(pdfPath).toBe(path.join(dataDir, 'text_renderer_test.pdf'));
+      expect(fs.readFileSync(pdfPath).subarray(0, 5).toString()).toBe('%PDF-');
+      fs.unlinkSync(pdfPath);
+    } finally {
+      fs.unlinkSync(sourcePath);
+    }
+  });
+});
@@ -0,0 +1,161 @@
+const { execFile } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const fileValidator = require('./fileValidator');
+
+const execFileAsync = util.promisify(execFile);
+
+/**
+ * Thumbnail Service
+ * Renders first-page previews of PDFs and resized previews of images as PNG files.
+ * Previews are cached on disk, keyed by the document's path, size and modification time,
+ * so a changed document gets a new preview. The cache is emptied by the cleanup service.
+ */
+
+const THUMBNAIL_CONFIG = {
+  cacheDir: path.join(__dirname, '../../thumbnails'),
+  size: 200,
+  timeout: 15000
+};
+
+// Previews being rendered: cache path -> Promise<string|null>
+const pendingRenders = new Map();
+
+/**
+ * Get the MIME type of a PDF or image from its extension
+ * Text documents are converted to PDF on upload, so they are never previewed as they are
+ * @private
+ * @returns {string|null}
+ */
+function getMimeType(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  const entry = Object.entries(fileValidator.SUPPORTED_FORMATS).find(([mimeType, extensions]) =>
+    !fileValidator.isTextFormat(mimeType) && extensions.includes(extension));
+  return entry ? entry[0] : null;
+}
+
+/**
+ * Get where the preview of the current version of a document is cached
+ * @param {string} sourcePath - Document path
+ * @returns {string|null} Cache path, or null if the document does not exist
+ */
+function getThumbnailPath(sourcePath) {
+  let stats;
+  try {
+    stats = fs.statSync(sourcePath);
+  } catch (err) {
+    return null;
+  }
+
+  const key = crypto.createHash('sha256')
+    .update(`${path.resolve(sourcePath)}:${stats.size}:${stats.mtimeMs}`)
+    .digest('hex');
+  return path.join(THUMBNAIL_CONFIG.cacheDir, `${key}.png`);
+}
+
+/**
+ * Render the first page of a PDF with pdftoppm, or ImageMagick if pdftoppm is not installed
+ * @private
+ */
+async function renderPdf(sourcePath, outputPath) {
+  const size = String(THUMBNAIL_CONFIG.size);
+
+  try {
+    // pdftoppm adds the .png extension to the output prefix itself
+    const prefix = outputPath.replace(/\.png$/, '');
+    await execFileAsync('pdftoppm', ['-f', '1', '-l', '1', '-png', '-singlefile', '-scale-to', size, sourcePath, prefix],
+      { timeout: THUMBNAIL_CONFIG.timeout });
+    return;
+  } catch (err) {
+    console.log(`[THUMBNAIL] pdftoppm failed, trying convert: ${err.message}`);
+  }
+
+  await execFileAsync('convert', ['-density', '72', `${sourcePath}[0]`, '-thumbnail', `${size}x${size}`, '-background', 'white', '-flatten', outputPath],
+    { timeout: THUMBNAIL_CONFIG.timeout });
+}
+
+/**
+ * Render a resized image with ImageMagick, or ffmpeg if ImageMagick is not installed
+ * The first frame is used for animated GIFs and multi-page TIFFs
+ * @private
+ */
+async function renderImage(sourcePath, outputPath) {
+  const size = THUMBNAIL_CONFIG.size;
+
+  try {
+    await execFileAsync('convert', [`${sourcePath}[0]`, '-auto-orient', '-thumbnail', `${size}x${size}`, outputPath],
+      { timeout: THUMBNAIL_CONFIG.timeout });
+    return;
+  } catch (err) {
+    console.log(`[THUMBNAIL] convert failed, trying ffmpeg: ${err.message}`);
+  }
+
+  await execFileAsync('ffmpeg', ['-i', sourcePath, '-frames:v', '1', '-vf', `scale=${size}:${size}:force_original_aspect_ratio=decrease`, '-y', outputPath],
+    { timeout: THUMBNAIL_CONFIG.timeout });
+}
+
+/**
+ * Render a preview into the cache
+ * Renders to a temporary file first so a half-written preview is never served
+ * @private
+ * @returns {Promise<string|null>}
+ */
+async function renderThumbnail(sourcePath, mimeType, thumbnailPath) {
+  const tempPath = thumbnailPath.replace(/\.png$/, `.${process.pid}.tmp.png`);
+
+  try {
+    fs.mkdirSync(THUMBNAIL_CONFIG.cacheDir, { recursive: true });
+
+    if (mimeType === 'application/pdf') {
+      await renderPdf(sourcePath, tempPath);
+    } else {
+      await renderImage(sourcePath, tempPath);
+    }
+
+    fs.renameSync(tempPath, thumbnailPath);
+    return thumbnailPath;
+  } catch (err) {
+    console.error(`[THUMBNAIL] Could not render a preview of ${path.basename(sourcePath)}: ${err.message}`);
+    if (fs.existsSync(tempPath)) {
+      fs.unlinkSync(tempPath);
+    }
+    return null;
+  }
+}
+
+/**
+ * Get a PNG preview of a document, rendering it if it is not cached
+ * @param {string} sourcePath - Path to a PDF or image in one of the supported formats
+ * @returns {Promise<string|null>} Path to the preview, or null if none could be rendered
+ */
+async function getThumbnail(sourcePath) {
+  const mimeType = getMimeType(sourcePath);
+  if (!mimeType) {
+    return null;
+  }
+
+  const thumbnailPath = getThumbnailPath(sourcePath);
+  if (!thumbnailPath) {
+    return null;
+  }
+
+  if (fs.existsSync(thumbnailPath)) {
+    return thumbnailPath;
+  }
+
+  // Several pages may ask for the same preview at once; render it only once
+  if (!pendingRenders.has(thumbnailPath)) {
+    pendingRenders.set(thumbnailPath, renderThumbnail(sourcePath, mimeType, thumbnailPath)
+      .finally(() => pendingRenders.delete(thumbnailPath)));
+  }
+
+  return pendingRenders.get(thumbnailPath);
+}
+
+module.exports = {
+  getThumbnail,
+  getThumbnailPath,
+  THUMBNAIL_CONFIG
+};
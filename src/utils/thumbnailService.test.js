@@ -0,0 +1,134 @@
+const fs = require('fs');
+const path = require('path');
+
+jest.mock('child_process', () => ({ execFile: jest.fn() }));
+
+const { execFile } = require('child_process');
+const thumbnailService = require('./thumbnailService');
+const cleanupService = require('./cleanupService');
+
+const dataDir = path.join(__dirname, '../../data');
+
+/**
+ * Make the mocked renderer write a preview to its output path, or fail for the given commands
+ */
+function mockRenderers(failingCommands = []) {
+  execFile.mockImplementation((command, args, options, callback) => {
+    if (failingCommands.includes(command)) {
+      const err = new Error(`spawn ${command} ENOENT`);
+      err.code = 'ENOENT';
+      callback(err);
+      return;
+    }
+
+    // pdftoppm takes an output prefix; convert and ffmpeg take the output file last
+    const output = command === 'pdftoppm' ? `${args[args.length - 1]}.png` : args[args.length - 1];
+    fs.writeFileSync(output, 'PNG preview');
+    callback(null, '', '');
+  });
+}
+
+describe('Thumbnail Service', () => {
+  const originalCacheDir = thumbnailService.THUMBNAIL_CONFIG.cacheDir;
+  const cacheDir = path.join(dataDir, 'test_thumbnails');
+  const pdfPath = path.join(dataDir, 'thumbnail test $(touch x).pdf');
+  const imagePath = path.join(dataDir, 'thumbnail_test.png');
+
+  beforeEach(() => {
+    thumbnailService.THUMBNAIL_CONFIG.cacheDir = cacheDir;
+    fs.writeFileSync(pdfPath, '%PDF-1.4 test content');
+    fs.writeFileSync(imagePath, 'image content');
+  });
+
+  afterEach(() => {
+    thumbnailService.THUMBNAIL_CONFIG.cacheDir = originalCacheDir;
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+    fs.rmSync(pdfPath, { force: true });
+    fs.rmSync(imagePath, { force: true });
+    execFile.mockReset();
+  });
+
+  test('should render the first page of a PDF with pdftoppm and cache it', async () => {
+    mockRenderers();
+
+    const thumbnail = await thumbnailService.getThumbnail(pdfPath);
+
+    expect(thumbnail).toBe(thumbnailService.getThumbnailPath(pdfPath));
+    expect(fs.readFileSync(thumbnail, 'utf8')).toBe('PNG preview');
+
+    const [command, args] = execFile.mock.calls[0];
+    expect(command).toBe('pdftoppm');
+    expect(args).toEqual(expect.arrayContaining(['-f', '1', '-l', '1', '-png', pdfPath]));
+
+    // A second request is served from the cache
+    await thumbnailService.getThumbnail(pdfPath);
+    expect(execFile).toHaveBeenCalledTimes(1);
+    expect(fs.readdirSync(cacheDir)).toEqual([path.basename(thumbnail)]);
+  });
+
+  test('should fall back to ImageMagick when pdftoppm is not installed', async () => {
+    mockRenderers(['pdftoppm']);
+
+    const thumbnail = await thumbnailService.getThumbnail(pdfPath);
+
+    expect(thumbnail).not.toBeNull();
+    expect(execFile.mock.calls[1][0]).toBe('convert');
+    expect(execFile.mock.calls[1][1]).toContain(`${pdfPath}[0]`);
+  });
+
+  test('should resize images and render each document only once at a time', async () => {
+    mockRenderers();
+
+    const [first, second] = await Promise.all([
+      thumbnailService.getThumbnail(imagePath),
+      thumbnailService.getThumbnail(imagePath)
+    ]);
+
+    expect(first).toBe(second);
+    expect(execFile).toHaveBeenCalledTimes(1);
+    expect(execFile.mock.calls[0][0]).toBe('convert');
+  });
+
+  test('should return null and leave no partial files when no renderer is available', async () => {
+    mockRenderers(['pdftoppm', 'convert', 'ffmpeg']);
+
+    expect(await thumbnailService.getThumbnail(pdfPath)).toBeNull();
+    expect(await thumbnailService.getThumbnail(imagePath)).toBeNull();
+    expect(fs.readdirSync(cacheDir)).toEqual([]);
+  });
+
+  test('should not preview missing or unsupported documents', async () => {
+    mockRenderers();
+    const textPath = path.join(dataDir, 'thumbnail_test.txt');
+    fs.writeFileSync(textPath, 'text');
+
+    try {
+      expect(await thumbnailService.getThumbnail(textPath)).toBeNull();
+      expect(await thumbnailService.getThumbnail(path.join(dataDir, 'missing.pdf'))).toBeNull();
+      expect(execFile).not.toHaveBeenCalled();
+    } finally {
+      fs.unlinkSync(textPath);
+    }
+  });
+
+  test('should cache a new preview when the document changes', () => {
+    const before = thumbnailService.getThumbnailPath(imagePath);
+    fs.writeFileSync(imagePath, 'a different image');
+
+    expect(thumbnailService.getThumbnailPath(imagePath)).not.toBe(before);
+  });
+
+  test('should remove cached previews older than a day during cleanup', async () => {
+    mockRenderers();
+    const oldThumbnail = await thumbnailService.getThumbnail(pdfPath);
+    const freshThumbnail = await thumbnailService.getThumbnail(imagePath);
+    const twoDaysAgo = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000);
+    fs.utimesSync(oldThumbnail, twoDaysAgo, twoDaysAgo);
+
+    const result = await cleanupService.cleanupThumbnails();
+
+    expect(result.deleted).toBe(1);
+    expect(fs.existsSync(oldThumbnail)).toBe(false);
+    expect(fs.existsSync(freshThumbnail)).toBe(true);
+  });
+});
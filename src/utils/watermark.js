@@ -0,0 +1,133 @@
+const { StandardFonts, rgb, degrees } = require('pdf-lib');
+
+/**
+ * Watermark
+ * Stamps a line of text, such as the owner, date and job number, onto every page of a document
+ * just before it is printed. Pages are stamped in the print copy made by printCopy, so the
+ * uploaded document is never changed.
+ */
+
+const WATERMARK_CONFIG = {
+  // Distance of header and footer text from the edge of the page, in points
+  edgeOffset: 14
+};
+
+// Fields a watermark template can contain, e.g. "{username} - {date} - Job {job}"
+const WATERMARK_FIELDS = ['username', 'date', 'job'];
+
+/**
+ * Fill in the fields of a watermark template
+ * Unknown fields are left as they are
+ * @param {string} template - Watermark text
+ * @param {Object} values
+ * @param {string} values.username - Job owner
+ * @param {number} values.jobId - Job number
+ * @param {Date} [values.date] - Print date
+ * @returns {string}
+ */
+function formatWatermarkText(template, { username, jobId, date = new Date() }) {
+  const pad = number => String(number).padStart(2, '0');
+  const fields = {
+    username: String(username || ''),
+    date: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+    job: String(jobId)
+  };
+
+  return String(template || '')
+    .replace(/\{(\w+)\}/g, (match, field) => (WATERMARK_FIELDS.includes(field.toLowerCase()) ? fields[field.toLowerCase()] : match))
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Replace characters the watermark font cannot draw
+ * @private
+ */
+function toDrawableText(text, font) {
+  const characters = new Set(font.getCharacterSet());
+  let drawable = '';
+  for (const char of text) {
+    drawable += characters.has(char.codePointAt(0)) ? char : '?';
+  }
+  return drawable;
+}
+
+/**
+ * Draw a watermark on one page
+ * Positions are worked out on the page as it is displayed, then turned with the page's rotation
+ * @private
+ */
+function drawWatermark(page, font, text, watermark) {
+  const box = page.getCropBox();
+  const rotation = ((page.getRotation().angle % 360) + 360) % 360;
+  const quarterTurn = rotation === 90 || rotation === 270;
+  const width = quarterTurn ? box.height : box.width;
+  const height = quarterTurn ? box.width : box.height;
+  const edge = WATERMARK_CONFIG.edgeOffset;
+
+  // Diagonal text runs from the bottom left to the top right corner
+  const angle = watermark.position === 'Diagonal' ? Math.atan2(height, width) * 180 / Math.PI : 0;
+  const maxWidth = watermark.position === 'Diagonal' ? Math.hypot(width, height) * 0.8 : width - 2 * edge;
+
+  // Text too long for the page is made smaller rather than cut off
+  let size = watermark.fontSize;
+  if (font.widthOfTextAtSize(text, size) > maxWidth) {
+    size = size * maxWidth / font.widthOfTextAtSize(text, size);
+  }
+  const textWidth = font.widthOfTextAtSize(text, size);
+
+  let centerY = height / 2;
+  if (watermark.position === 'Header') {
+    centerY = height - edge - size / 2;
+  } else if (watermark.position === 'Footer') {
+    centerY = edge + size / 2;
+  }
+
+  // Start the baseline so the middle of the text sits on (width / 2, centerY)
+  const radians = angle * Math.PI / 180;
+  const halfHeight = size * 0.35;
+  const vx = width / 2 - Math.cos(radians) * textWidth / 2 + Math.sin(radians) * halfHeight;
+  const vy = centerY - Math.sin(radians) * textWidth / 2 - Math.cos(radians) * halfHeight;
+
+  const toPage = {
+    0: [vx, vy],
+    90: [box.width - vy, vx],
+    180: [box.width - vx, box.height - vy],
+    270: [vy, box.height - vx]
+  };
+  const [x, y] = toPage[rotation] || toPage[0];
+
+  page.drawText(text, {
+    x: box.x + x,
+    y: box.y + y,
+    size,
+    font,
+    color: rgb(0, 0, 0),
+    opacity: watermark.opacity / 100,
+    rotate: degrees(angle + rotation)
+  });
+}
+
+/**
+ * Stamp a watermark onto every page of a PDF
+ * @param {PDFDocument} pdfDoc - Loaded document, changed in place
+ * @param {Object} watermark
+ * @param {string} watermark.text - Text to stamp, with its fields already filled in
+ * @param {string} watermark.position - Header, Footer, Center or Diagonal
+ * @param {number} watermark.opacity - Opacity percentage
+ * @param {number} watermark.fontSize - Font size in points
+ * @returns {Promise<void>}
+ */
+async function stampPdf(pdfDoc, watermark) {
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const text = toDrawableText(watermark.text, font);
+
+  pdfDoc.getPages().forEach(page => drawWatermark(page, font, text, watermark));
+}
+
+module.exports = {
+  WATERMARK_CONFIG,
+  WATERMARK_FIELDS,
+  formatWatermarkText,
+  stampPdf
+};
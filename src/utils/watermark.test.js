@@ -0,0 +1,48 @@
+const fc = require('fast-check');
+const { PDFDocument, PageSizes, degrees } = require('pdf-lib');
+const watermark = require('./watermark');
+
+const stamp = { text: 'alice - 2024-05-01 - Job 7', position: 'Footer', opacity: 50, fontSize: 10 };
+
+describe('Watermark', () => {
+  describe('formatWatermarkText', () => {
+    /**
+     * Property: The username, date and job number fields are filled in wherever they appear,
+     * and unknown fields are left alone
+     */
+    test('Property: Fields are filled in and unknown fields are kept', () => {
+      fc.assert(
+        fc.property(
+          fc.stringMatching(/^[a-z][a-z0-9_]{0,19}$/),
+          fc.integer({ min: 1, max: 1000000 }),
+          fc.date({ min: new Date(2000, 0, 1), max: new Date(2099, 11, 31) }),
+          (username, jobId, date) => {
+            const text = watermark.formatWatermarkText('{username} {DATE} Job {job} {room}', { username, jobId, date });
+            const day = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+            expect(text).toBe(`${username} ${day} Job ${jobId} {room}`);
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    test('should put the text on one line', () => {
+      expect(watermark.formatWatermarkText('  Draft\n\tfor {username} ', { username: 'bob', jobId: 3 })).toBe('Draft for bob');
+    });
+  });
+
+  describe('stampPdf', () => {
+    test('should stamp every page whatever its rotation', async () => {
+      const pdfDoc = await PDFDocument.create();
+      [0, 90, 180, 270].forEach(angle => pdfDoc.addPage(PageSizes.Letter).setRotation(degrees(angle)));
+
+      for (const position of ['Header', 'Footer', 'Center', 'Diagonal']) {
+        await watermark.stampPdf(pdfDoc, { ...stamp, position, text: `Confidential – ${'x'.repeat(300)} 寿司` });
+      }
+
+      const saved = await PDFDocument.load(await pdfDoc.save());
+      expect(saved.getPageCount()).toBe(4);
+    });
+  });
+});